@@ -0,0 +1,109 @@
+const jwt = require("jsonwebtoken");
+const {
+  redis,
+  sessionHelpers,
+  SESSION_EVENTS_CHANNEL,
+  SESSION_REVOKE_REASONS
+} = require("./redis");
+
+/**
+ * Viewer-facing Socket.IO namespace (/client)
+ *
+ * Apps connect with their access token and join two rooms:
+ *   user:{userId}               - every device on the account
+ *   device:{userId}:{deviceId}  - this device only
+ *
+ * Server -> client events:
+ *   session_revoked { reason, deviceId, message, timestamp }
+ *     The device's session is gone; stop playback and return to sign-in.
+ *     The socket is disconnected right after.
+ */
+
+const CLIENT_NAMESPACE = "/client";
+
+const userRoom = (userId) => `user:${userId}`;
+const deviceRoom = (userId, deviceId) => `device:${userId}:${deviceId}`;
+
+const REVOKE_MESSAGES = {
+  [SESSION_REVOKE_REASONS.LOGOUT]: "You signed out on this device.",
+  [SESSION_REVOKE_REASONS.DEVICE_LIMIT]: "You were signed out because another device signed in and your plan's device limit was reached.",
+  [SESSION_REVOKE_REASONS.USER_TERMINATED]: "This device was signed out from another device on your account.",
+  [SESSION_REVOKE_REASONS.ADMIN_TERMINATED]: "This session was ended by support.",
+  [SESSION_REVOKE_REASONS.ACCOUNT_BLOCKED]: "Your account has been temporarily suspended.",
+  [SESSION_REVOKE_REASONS.SECURITY_BLOCK]: "This session was ended because of suspicious activity.",
+  [SESSION_REVOKE_REASONS.TOKEN_REUSE]: "This session was ended because its sign-in was used elsewhere.",
+  [SESSION_REVOKE_REASONS.PASSWORD_CHANGED]: "Your password was changed. Please sign in again.",
+  [SESSION_REVOKE_REASONS.REPORTED_BY_USER]: "All devices were signed out after a sign-in was reported as not yours.",
+  [SESSION_REVOKE_REASONS.DEVICE_FORGOTTEN]: "This device was removed from your account."
+};
+
+let namespace;
+
+function initializeClientSocket(io) {
+  namespace = io.of(CLIENT_NAMESPACE);
+
+  namespace.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth?.token;
+      if (!token) {
+        return next(new Error("No token provided"));
+      }
+
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const isValid = await sessionHelpers.validateSession(decoded.userId, decoded.deviceId, token);
+      if (!isValid) {
+        return next(new Error("Session expired"));
+      }
+
+      socket.user = { userId: decoded.userId, deviceId: decoded.deviceId };
+      next();
+    } catch (err) {
+      next(new Error("Invalid token"));
+    }
+  });
+
+  namespace.on("connection", (socket) => {
+    const { userId, deviceId } = socket.user;
+    socket.join([userRoom(userId), deviceRoom(userId, deviceId)]);
+  });
+
+  // Session deletions are published on Redis so every API instance can
+  // reach the sockets it holds, whichever instance deleted the session
+  const subscriber = redis.duplicate();
+  subscriber.subscribe(SESSION_EVENTS_CHANNEL).catch(err => {
+    console.error("Session events subscribe error:", err);
+  });
+  subscriber.on("message", (channel, message) => {
+    if (channel !== SESSION_EVENTS_CHANNEL) return;
+
+    try {
+      const event = JSON.parse(message);
+      if (event.type === "session_revoked") {
+        pushSessionRevoked(event);
+      }
+    } catch (err) {
+      console.error("Session event error:", err);
+    }
+  });
+
+  return namespace;
+}
+
+function pushSessionRevoked({ userId, deviceId, reason, timestamp }) {
+  const room = deviceRoom(userId, deviceId);
+
+  namespace.to(room).emit("session_revoked", {
+    reason,
+    deviceId,
+    message: REVOKE_MESSAGES[reason] || "You have been signed out.",
+    timestamp
+  });
+  namespace.in(room).disconnectSockets();
+}
+
+module.exports = {
+  CLIENT_NAMESPACE,
+  initializeClientSocket,
+  userRoom,
+  deviceRoom
+};
@@ -0,0 +1,103 @@
+// Default alert rules, seeded into MongoDB on first start.
+// Conditions use the JSON DSL in utils/ruleDsl.js.
+module.exports = [
+  {
+    ruleId: "geo_impossibility",
+    name: "Geographic Impossibility Detected",
+    condition: { field: "geoCheck.isImpossible", op: "eq", value: true },
+    severity: "CRITICAL",
+    actions: ["email", "slack", "block_session"],
+    message: "User {{email}} attempted login from impossible location: {{geoCheck.reason}}"
+  },
+  {
+    ruleId: "trust_score_critical",
+    name: "Critical Trust Score",
+    condition: { field: "trustScore", op: "lt", value: 40 },
+    severity: "HIGH",
+    actions: ["email", "slack"],
+    message: "User {{email}} has critical trust score: {{trustScore}}/100"
+  },
+  {
+    ruleId: "device_sharing",
+    name: "Device Sharing Detected",
+    condition: { field: "deviceUserCount", op: "gt", value: 2 },
+    severity: "MEDIUM",
+    actions: ["email", "flag"],
+    message: "Device {{deviceId|short}} is being used by {{deviceUserCount}} accounts"
+  },
+  {
+    ruleId: "multiple_failed_logins",
+    name: "Multiple Failed Login Attempts",
+    condition: { field: "failedAttempts", op: "gte", value: 5 },
+    severity: "HIGH",
+    actions: ["email", "temporary_block"],
+    message: "User {{email}} has {{failedAttempts}} failed login attempts"
+  },
+  {
+    ruleId: "session_limit_exceeded",
+    name: "Session Limit Exceeded",
+    condition: { field: "activeSessions", op: "gt", valueFrom: "maxSessions" },
+    severity: "MEDIUM",
+    actions: ["email"],
+    message: "User {{email}} exceeded session limit: {{activeSessions}}/{{maxSessions}}"
+  },
+  {
+    ruleId: "unusual_login_hours",
+    name: "Login During Unusual Hours",
+    // 0 = the user's usual time, 1 = never seen; null until a baseline exists
+    condition: { field: "loginTimeAnomaly", op: "gte", value: 0.9 },
+    severity: "LOW",
+    actions: ["log"],
+    message: "User {{email}} logged in at an unusual time for them: {{loginTime}} ({{timezone}})"
+  },
+  {
+    ruleId: "vpn_detected",
+    name: "VPN/Proxy Usage Detected",
+    condition: { field: "isVPN", op: "eq", value: true },
+    severity: "MEDIUM",
+    actions: ["email", "flag"],
+    message: "User {{email}} is using VPN/Proxy from {{location.country}}"
+  },
+  {
+    ruleId: "rapid_location_changes",
+    name: "Rapid Location Changes",
+    condition: { field: "locationChangeCount", op: "gt", value: 3 },
+    severity: "HIGH",
+    actions: ["email", "slack", "flag"],
+    message: "User {{email}} changed locations {{locationChangeCount}} times in 24h"
+  },
+  {
+    ruleId: "new_device_high_risk",
+    name: "New Device from High-Risk Location",
+    condition: {
+      all: [
+        { field: "isNewDevice", op: "eq", value: true },
+        { field: "trustScore", op: "lt", value: 50 }
+      ]
+    },
+    severity: "MEDIUM",
+    actions: ["email"],
+    message: "New device detected for {{email}} with low trust score: {{trustScore}}/100"
+  },
+  {
+    ruleId: "account_takeover_attempt",
+    name: "Potential Account Takeover",
+    condition: {
+      all: [
+        { field: "passwordChanged", op: "eq", value: true },
+        { field: "trustScore", op: "lt", value: 60 }
+      ]
+    },
+    severity: "CRITICAL",
+    actions: ["email", "slack", "temporary_block"],
+    message: "Potential account takeover for {{email}} - password changed with low trust score"
+  },
+  {
+    ruleId: "refresh_token_reuse",
+    name: "Refresh Token Reuse (Suspected Token Theft)",
+    condition: { field: "refreshTokenReused", op: "eq", value: true },
+    severity: "CRITICAL",
+    actions: ["email", "slack", "flag"],
+    message: "Rotated refresh token replayed for {{email}} on device {{deviceId|short}} - session revoked"
+  }
+];
@@ -0,0 +1,107 @@
+// Default trust scoring model, saved as version 1 on first start.
+//
+// Bucket lists are checked in order and the first bucket whose `min` the
+// signal reaches gives the points; `fallback` applies when none match.
+module.exports = {
+  baseScore: 50,
+
+  factors: {
+    // Successful logins from the device (last 90 days)
+    loginFrequency: {
+      buckets: [
+        { min: 50, points: 20 },
+        { min: 30, points: 15 },
+        { min: 15, points: 10 },
+        { min: 5, points: 5 }
+      ],
+      fallback: 0
+    },
+
+    // Days since the device was first seen on the account
+    deviceAge: {
+      buckets: [
+        { min: 180, points: 15 },
+        { min: 90, points: 12 },
+        { min: 30, points: 8 },
+        { min: 7, points: 4 }
+      ],
+      fallback: 0
+    },
+
+    // Countries the device has signed in from (last 30 days)
+    geoConsistency: {
+      firstLogin: 10,
+      // Known country, by how many countries the device has used
+      knownCountry: {
+        buckets: [
+          { min: 3, points: 5 },
+          { min: 2, points: 15 },
+          { min: 1, points: 25 }
+        ],
+        fallback: 0
+      },
+      // New country, by how many countries the device had used before
+      newCountry: {
+        buckets: [
+          { min: 4, points: -10 }
+        ],
+        fallback: 0
+      }
+    },
+
+    // Failed attempts from the device in the last hour
+    failedAttempts: {
+      buckets: [
+        { min: 6, points: -30 },
+        { min: 3, points: -15 },
+        { min: 1, points: -5 }
+      ],
+      fallback: 0
+    },
+
+    // How unusual the login time is for this user (0 typical - 1 never
+    // seen), from their hour-of-week baseline; no points without a baseline
+    loginTime: {
+      buckets: [
+        { min: 0.9, points: -10 },
+        { min: 0.7, points: -5 }
+      ],
+      fallback: 0
+    },
+
+    // Accounts that have used the device (last 30 days)
+    deviceSharing: {
+      buckets: [
+        { min: 3, points: -25 },
+        { min: 2, points: -10 }
+      ],
+      fallback: 0
+    },
+
+    // Worst match wins
+    ipReputation: {
+      tor: -25,
+      vpn: -15,
+      datacenter: -10
+    },
+
+    passkey: {
+      points: 30
+    }
+  },
+
+  // Minimum score for each level; anything lower is CRITICAL
+  levels: {
+    HIGH: 80,
+    MEDIUM: 60,
+    LOW: 40
+  },
+
+  // Per plan: below stepUp a new device must verify, below block the login
+  // is refused (0 never blocks)
+  thresholds: {
+    BASIC: { stepUp: 60, block: 0 },
+    STANDARD: { stepUp: 60, block: 0 },
+    PREMIUM: { stepUp: 60, block: 0 }
+  }
+};
@@ -19,11 +19,266 @@ redis.on("error", (err) => {
   console.error("❌ Redis connection error:", err);
 });
 
+// Sessions live as long as their refresh token (sliding on activity)
+const SESSION_TTL_SECONDS = parseInt(process.env.SESSION_TTL_SECONDS) || 86400;
+
+// Index members are "userId:deviceId"; user IDs never contain a colon
+const splitSessionMember = (member) => {
+  const split = member.indexOf(":");
+  return [member.slice(0, split), member.slice(split + 1)];
+};
+
+// Why a session was deleted - sent to the device as session_revoked
+const SESSION_REVOKE_REASONS = {
+  LOGOUT: "logout",
+  DEVICE_LIMIT: "device_limit",
+  USER_TERMINATED: "user_terminated",
+  ADMIN_TERMINATED: "admin_terminated",
+  ACCOUNT_BLOCKED: "account_blocked",
+  SECURITY_BLOCK: "security_block",
+  TOKEN_REUSE: "token_reuse",
+  PASSWORD_CHANGED: "password_changed",
+  REPORTED_BY_USER: "reported_by_user",
+  DEVICE_FORGOTTEN: "device_forgotten"
+};
+
+// Pub/sub channel for session lifecycle events (see config/clientSocket.js)
+const SESSION_EVENTS_CHANNEL = "session_events";
+
+// Global session indexes, maintained in the same Lua call as the session key
+// so they can't drift from it:
+//   sessions:by_activity        zset  userId:deviceId by lastActivity
+//   sessions:device:{deviceId}  set   userIds signed in on the device
+//   sessions:ip:{ip}            set   userId:deviceId signed in from the IP
+//   sessions:countries          hash  country -> active sessions
+//   sessions:index              hash  userId:deviceId -> { ip, country } it was indexed under
+const SESSION_INDEX_KEYS = {
+  byActivity: "sessions:by_activity",
+  countries: "sessions:countries",
+  index: "sessions:index",
+  device: (deviceId) => `sessions:device:${deviceId}`,
+  ip: (ipAddress) => `sessions:ip:${ipAddress}`
+};
+
+// The scripts below take every key through KEYS. A member's old IP set is
+// only known from its sessions:index entry, so the caller reads that entry
+// first and passes it back; a script finding the entry changed in between
+// does nothing and returns INDEX_CONFLICT for the caller to retry.
+// KEYS 1-3 are always: sessions:index, sessions:countries, old IP set.
+const INDEX_CONFLICT = -1;
+const INDEX_ATTEMPTS = 5;
+
+// Shared by the scripts below: check the entry the caller read, and drop a
+// member's IP / country entries. ARGV 1-2: member, entry read ("" = none)
+const UNINDEX_LUA = `
+if (redis.call("HGET", KEYS[1], ARGV[1]) or "") ~= ARGV[2] then
+  return ${INDEX_CONFLICT}
+end
+local function unindex(member, oldIp, oldCountry)
+  if ARGV[2] == "" then return 0 end
+  if oldIp ~= "" then redis.call("SREM", KEYS[3], member) end
+  if oldCountry ~= "" then
+    if redis.call("HINCRBY", KEYS[2], oldCountry, -1) <= 0 then
+      redis.call("HDEL", KEYS[2], oldCountry)
+    end
+  end
+  redis.call("HDEL", KEYS[1], member)
+  return 1
+end
+`;
+
+// KEYS 4-8: session key, user's session set, activity index, device set,
+// new IP set. ARGV: member, entry read, sessionJSON ("" = index an existing
+// key only), ttl, lastActivity, userId, deviceId, old ip, old country,
+// ip, country, new entry
+redis.defineCommand("sessionIndexAdd", {
+  numberOfKeys: 8,
+  lua: UNINDEX_LUA + `
+local member = ARGV[1]
+unindex(member, ARGV[8], ARGV[9])
+if ARGV[3] ~= "" then
+  redis.call("SETEX", KEYS[4], ARGV[4], ARGV[3])
+end
+redis.call("SADD", KEYS[5], ARGV[7])
+redis.call("ZADD", KEYS[6], ARGV[5], member)
+redis.call("SADD", KEYS[7], ARGV[6])
+if ARGV[10] ~= "" then redis.call("SADD", KEYS[8], member) end
+if ARGV[11] ~= "" then redis.call("HINCRBY", KEYS[2], ARGV[11], 1) end
+redis.call("HSET", KEYS[1], member, ARGV[12])
+return 1
+`
+});
+
+// KEYS 4-7: session key, user's session set, activity index, device set.
+// ARGV: member, entry read, userId, deviceId, old ip, old country,
+// onlyIfExpired ("1" leaves a live session alone, re-scoring it at ARGV[8]
+// so the sweeper doesn't keep picking it up)
+// Returns { session keys deleted, index entries removed }
+redis.defineCommand("sessionIndexRemove", {
+  numberOfKeys: 7,
+  lua: UNINDEX_LUA + `
+local member = ARGV[1]
+if ARGV[7] == "1" and redis.call("EXISTS", KEYS[4]) == 1 then
+  redis.call("ZADD", KEYS[6], ARGV[8], member)
+  return { 0, 0 }
+end
+local removed = redis.call("DEL", KEYS[4])
+redis.call("SREM", KEYS[5], ARGV[4])
+redis.call("ZREM", KEYS[6], member)
+redis.call("SREM", KEYS[7], ARGV[3])
+return { removed, unindex(member, ARGV[5], ARGV[6]) }
+`
+});
+
+const indexArgs = (session) => [
+  session.ipAddress || "",
+  (session.location && session.location.country) || ""
+];
+
+// Run an index script against the member's current sessions:index entry,
+// retrying while a concurrent write keeps changing it
+async function withIndexEntry(userId, deviceId, run) {
+  const member = `${userId}:${deviceId}`;
+
+  for (let attempt = 0; attempt < INDEX_ATTEMPTS; attempt++) {
+    const raw = await redis.hget(SESSION_INDEX_KEYS.index, member);
+    const old = raw ? JSON.parse(raw) : { ip: "", country: "" };
+
+    const result = await run({ member, raw: raw || "", old });
+    if (result !== INDEX_CONFLICT) return result;
+  }
+  throw new Error(`Session index entry for ${member} kept changing`);
+}
+
+// Write (or just index) a session key together with its index entries
+function indexSession(session, sessionJSON) {
+  const userId = session.userId.toString();
+  const { deviceId } = session;
+  const [ip, country] = indexArgs(session);
+
+  return withIndexEntry(userId, deviceId, ({ member, raw, old }) => redis.sessionIndexAdd(
+    SESSION_INDEX_KEYS.index,
+    SESSION_INDEX_KEYS.countries,
+    SESSION_INDEX_KEYS.ip(old.ip),
+    `session:${member}`,
+    `user:${userId}:sessions`,
+    SESSION_INDEX_KEYS.byActivity,
+    SESSION_INDEX_KEYS.device(deviceId),
+    SESSION_INDEX_KEYS.ip(ip),
+    member, raw, sessionJSON, SESSION_TTL_SECONDS, session.lastActivity,
+    userId, deviceId, old.ip, old.country, ip, country,
+    JSON.stringify({ ip, country })
+  ));
+}
+
+// Delete a session key and its index entries; with onlyIfExpired a live
+// key is left alone
+function unindexSession(userId, deviceId, { onlyIfExpired = false } = {}) {
+  userId = userId.toString();
+
+  return withIndexEntry(userId, deviceId, ({ member, raw, old }) => redis.sessionIndexRemove(
+    SESSION_INDEX_KEYS.index,
+    SESSION_INDEX_KEYS.countries,
+    SESSION_INDEX_KEYS.ip(old.ip),
+    `session:${member}`,
+    `user:${userId}:sessions`,
+    SESSION_INDEX_KEYS.byActivity,
+    SESSION_INDEX_KEYS.device(deviceId),
+    member, raw, userId, deviceId, old.ip, old.country,
+    onlyIfExpired ? "1" : "0", Date.now()
+  ));
+}
+
+// Replace a JSON value only if it still holds exactly what the caller read,
+// keeping its TTL. ARGV: expected value, next value ("" deletes the key).
+// Returns 1 if swapped, 0 if the value changed underneath the caller.
+redis.defineCommand("compareAndSwap", {
+  numberOfKeys: 1,
+  lua: `
+if redis.call("GET", KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+if ARGV[2] == "" then
+  redis.call("DEL", KEYS[1])
+  return 1
+end
+local ttl = redis.call("PTTL", KEYS[1])
+if ttl > 0 then
+  redis.call("PSETEX", KEYS[1], ttl, ARGV[2])
+else
+  redis.call("SET", KEYS[1], ARGV[2])
+end
+return 1
+`
+});
+
+// Move the audit log head forward; a slower writer finishing late can't
+// move it back. KEYS: head hash. ARGV: seq, hash
+redis.defineCommand("auditHeadAdvance", {
+  numberOfKeys: 1,
+  lua: `
+local current = tonumber(redis.call("HGET", KEYS[1], "seq") or "0")
+if tonumber(ARGV[1]) <= current then
+  return 0
+end
+redis.call("HSET", KEYS[1], "seq", ARGV[1], "hash", ARGV[2])
+return 1
+`
+});
+
+// Read and delete a hash field in one step, so only one caller gets it.
+// KEYS: hash. ARGV: field. Returns the value, or nil if it was not there.
+redis.defineCommand("hashTake", {
+  numberOfKeys: 1,
+  lua: `
+local value = redis.call("HGET", KEYS[1], ARGV[1])
+if value then
+  redis.call("HDEL", KEYS[1], ARGV[1])
+end
+return value
+`
+});
+
+// Rewrite a dashboard session summary with a new trust score, only while
+// the summary is still exactly what the caller read - never re-adding one a
+// concurrent sign-out removed. KEYS: sessions hash, trust zset, counters hash.
+// ARGV: field, expected summary, next summary, trust score, then
+// (HINCRBY | HINCRBYFLOAT, counter, delta) triples. Returns 1 or 0.
+redis.defineCommand("dashboardTrustUpdate", {
+  numberOfKeys: 3,
+  lua: `
+if redis.call("HGET", KEYS[1], ARGV[1]) ~= ARGV[2] then
+  return 0
+end
+redis.call("HSET", KEYS[1], ARGV[1], ARGV[3])
+redis.call("ZADD", KEYS[2], ARGV[4], ARGV[1])
+for i = 5, #ARGV, 3 do
+  redis.call(ARGV[i], KEYS[3], ARGV[i + 1], ARGV[i + 2])
+end
+return 1
+`
+});
+
+// Rewrite a session with a slid TTL and activity score, only while it is
+// still exactly what the caller read - a slide racing a sign-out must not
+// bring the session back. KEYS: session key, activity zset. ARGV: expected,
+// next, ttl, lastActivity, member. Returns 1 if written, 0 if it changed.
+redis.defineCommand("sessionSlide", {
+  numberOfKeys: 2,
+  lua: `
+if redis.call("GET", KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+redis.call("SETEX", KEYS[1], ARGV[3], ARGV[2])
+redis.call("ZADD", KEYS[2], ARGV[4], ARGV[5])
+return 1
+`
+});
+
 // Helper functions for session management
 const sessionHelpers = {
-  // Store session with expiry (24 hours)
+  // Store session with expiry and index it
   async createSession(userId, deviceId, token, metadata = {}) {
-    const key = `session:${userId}:${deviceId}`;
     const sessionData = {
       token,
       deviceId,
@@ -32,12 +287,16 @@ const sessionHelpers = {
       lastActivity: Date.now(),
       ...metadata
     };
-    
-    await redis.setex(key, 86400, JSON.stringify(sessionData)); // 24h expiry
-    await redis.sadd(`user:${userId}:sessions`, deviceId);
+
+    await indexSession(sessionData, JSON.stringify(sessionData));
     return sessionData;
   },
 
+  // Index a session key written before the indexes existed
+  async indexExistingSession(session) {
+    await indexSession(session, "");
+  },
+
   // Get session
   async getSession(userId, deviceId) {
     const key = `session:${userId}:${deviceId}`;
@@ -52,42 +311,316 @@ const sessionHelpers = {
     
     for (const deviceId of deviceIds) {
       const session = await this.getSession(userId, deviceId);
+      // Expired sessions are unindexed by the sweeper (utils/sessionSweeper.js)
       if (session) {
         sessions.push(session);
-      } else {
-        // Clean up stale references
-        await redis.srem(`user:${userId}:sessions`, deviceId);
       }
     }
-    
+
     return sessions.sort((a, b) => a.createdAt - b.createdAt);
   },
 
-  // Delete session (logout)
-  async deleteSession(userId, deviceId) {
-    const key = `session:${userId}:${deviceId}`;
-    await redis.del(key);
-    await redis.srem(`user:${userId}:sessions`, deviceId);
+  // Delete session and tell the device why it was signed out.
+  // Returns true if there was a session to delete.
+  async deleteSession(userId, deviceId, reason = SESSION_REVOKE_REASONS.LOGOUT) {
+    const session = await this.getSession(userId, deviceId);
+    const [removed] = await unindexSession(userId, deviceId);
+
+    // The session's refresh token must not outlive it
+    if (session && session.refreshTokenHash) {
+      await redis.del(`refresh:${session.refreshTokenHash}`);
+    }
+
+    if (removed > 0) {
+      await redis.publish(SESSION_EVENTS_CHANNEL, JSON.stringify({
+        type: "session_revoked",
+        userId: userId.toString(),
+        deviceId,
+        reason,
+        timestamp: Date.now()
+      }));
+    }
+
+    // Required lazily: dashboardStats depends on this module
+    await require("../utils/dashboardStats").sessionEnded(userId, deviceId, reason);
+    return removed > 0;
   },
 
-  // Update last activity
-  async updateActivity(userId, deviceId) {
-    const session = await this.getSession(userId, deviceId);
-    if (session) {
+  // Clean up the indexes of a session whose key expired by TTL.
+  // Returns true if this call removed it (false if still live or already swept).
+  async removeExpiredSession(userId, deviceId) {
+    const [, unindexed] = await unindexSession(userId, deviceId, { onlyIfExpired: true });
+    return unindexed > 0;
+  },
+
+  // Apply update to a live session, sliding its TTL and its place in the
+  // activity index. Returns the updated session, or null once it is gone.
+  async updateSession(userId, deviceId, update) {
+    const member = `${userId}:${deviceId}`;
+
+    for (let attempt = 0; attempt < INDEX_ATTEMPTS; attempt++) {
+      const raw = await redis.get(`session:${member}`);
+      if (!raw) return null;
+
+      const session = JSON.parse(raw);
+      update(session);
       session.lastActivity = Date.now();
-      await redis.setex(
-        `session:${userId}:${deviceId}`,
-        86400,
-        JSON.stringify(session)
+
+      const written = await redis.sessionSlide(
+        `session:${member}`,
+        SESSION_INDEX_KEYS.byActivity,
+        raw, JSON.stringify(session), SESSION_TTL_SECONDS, session.lastActivity, member
       );
+      if (written) return session;
     }
+    throw new Error(`Session ${member} kept changing`);
+  },
+
+  // Update last activity
+  async updateActivity(userId, deviceId) {
+    await this.updateSession(userId, deviceId, () => {});
+  },
+
+  // Swap in a rotated access/refresh token pair
+  rotateTokens(userId, deviceId, token, refreshTokenHash) {
+    return this.updateSession(userId, deviceId, (session) => {
+      session.token = token;
+      session.refreshTokenHash = refreshTokenHash;
+    });
   },
 
   // Check if session exists and is valid
   async validateSession(userId, deviceId, token) {
     const session = await this.getSession(userId, deviceId);
     return session && session.token === token;
+  },
+
+  // Global views - read from the indexes, never by scanning keys
+
+  async countActiveSessions() {
+    return redis.zcard(SESSION_INDEX_KEYS.byActivity);
+  },
+
+  // Most recently active sessions, as { userId, deviceId, lastActivity }
+  async getRecentlyActiveSessions(limit = 50, offset = 0) {
+    const entries = await redis.zrevrange(
+      SESSION_INDEX_KEYS.byActivity, offset, offset + limit - 1, "WITHSCORES"
+    );
+    const sessions = [];
+    for (let i = 0; i < entries.length; i += 2) {
+      const [userId, deviceId] = splitSessionMember(entries[i]);
+      sessions.push({ userId, deviceId, lastActivity: parseInt(entries[i + 1]) });
+    }
+    return sessions;
+  },
+
+  // Accounts signed in on a device right now
+  async getDeviceUsers(deviceId) {
+    return redis.smembers(SESSION_INDEX_KEYS.device(deviceId));
+  },
+
+  // Sessions signed in from an IP right now, as { userId, deviceId }
+  async getIpSessions(ipAddress) {
+    const members = await redis.smembers(SESSION_INDEX_KEYS.ip(ipAddress));
+    return members.map(member => {
+      const [userId, deviceId] = splitSessionMember(member);
+      return { userId, deviceId };
+    });
+  },
+
+  // country -> active sessions
+  async getCountryCounts() {
+    const counts = await redis.hgetall(SESSION_INDEX_KEYS.countries);
+    return Object.fromEntries(
+      Object.entries(counts).map(([country, count]) => [country, parseInt(count)])
+    );
+  }
+};
+
+// Streams without a heartbeat for this long are considered stale
+const STREAM_TTL_SECONDS = 90;
+
+// A device plays one stream at a time; user:<id>:device_stream:<deviceId>
+// names the stream it is playing
+const deviceStreamKey = (userId, deviceId) => `user:${userId}:device_stream:${deviceId}`;
+
+const STREAM_CONFLICT = -1;
+const STREAM_WRITE_ATTEMPTS = 5;
+
+// Stop the stream a device is replacing, count live streams and register
+// the new one in a single step, so parallel starts can't all pass the plan
+// check. The caller reads the device's stream first and passes it back; if
+// it changed in between nothing happens and STREAM_CONFLICT is returned.
+// KEYS: user streams zset, new stream key, device stream key, replaced
+// stream key (ignored when there is none)
+// ARGV: streamId, lastHeartbeat, staleBefore, maxStreams, ttl, streamJSON,
+// replaced streamId ("" = none)
+// Returns 1 if started, 0 if the plan limit is reached
+redis.defineCommand("streamStartIfAllowed", {
+  numberOfKeys: 4,
+  lua: `
+if (redis.call("GET", KEYS[3]) or "") ~= ARGV[7] then
+  return ${STREAM_CONFLICT}
+end
+if ARGV[7] ~= "" then
+  redis.call("DEL", KEYS[4])
+  redis.call("ZREM", KEYS[1], ARGV[7])
+  redis.call("DEL", KEYS[3])
+end
+redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", ARGV[3])
+if redis.call("ZCARD", KEYS[1]) >= tonumber(ARGV[4]) then
+  return 0
+end
+redis.call("SETEX", KEYS[2], ARGV[5], ARGV[6])
+redis.call("ZADD", KEYS[1], ARGV[2], ARGV[1])
+redis.call("SETEX", KEYS[3], ARGV[5], ARGV[1])
+return 1
+`
+});
+
+// Refresh a stream only while it is still exactly what the caller read, so
+// a heartbeat can't bring back a stream that was stopped in the meantime.
+// KEYS: stream key, user streams zset, device stream key. ARGV: expected,
+// next, ttl, lastHeartbeat, streamId. Returns 1 if refreshed, 0 if it changed.
+redis.defineCommand("streamRefresh", {
+  numberOfKeys: 3,
+  lua: `
+if redis.call("GET", KEYS[1]) ~= ARGV[1] then
+  return 0
+end
+redis.call("SETEX", KEYS[1], ARGV[3], ARGV[2])
+redis.call("ZADD", KEYS[2], ARGV[4], ARGV[5])
+if redis.call("GET", KEYS[3]) == ARGV[5] then
+  redis.call("EXPIRE", KEYS[3], ARGV[3])
+end
+return 1
+`
+});
+
+// Helper functions for playback (concurrent stream) tracking
+const playbackHelpers = {
+  // Register a new stream for a device unless the user already has
+  // maxStreams live ones. The device's current stream is stopped in the same
+  // step - switching titles replaces it. Returns the stream, or null at the
+  // limit.
+  async startStream(userId, deviceId, streamId, maxStreams, metadata = {}) {
+    const streamData = {
+      streamId,
+      userId,
+      deviceId,
+      startedAt: Date.now(),
+      lastHeartbeat: Date.now(),
+      ...metadata
+    };
+    const deviceKey = deviceStreamKey(userId, deviceId);
+
+    for (let attempt = 0; attempt < STREAM_WRITE_ATTEMPTS; attempt++) {
+      const replaced = (await redis.get(deviceKey)) || "";
+
+      const started = await redis.streamStartIfAllowed(
+        `user:${userId}:streams`,
+        `stream:${userId}:${streamId}`,
+        deviceKey,
+        `stream:${userId}:${replaced || streamId}`,
+        streamId,
+        streamData.lastHeartbeat,
+        Date.now() - STREAM_TTL_SECONDS * 1000,
+        maxStreams,
+        STREAM_TTL_SECONDS,
+        JSON.stringify(streamData),
+        replaced
+      );
+      if (started !== STREAM_CONFLICT) return started === 1 ? streamData : null;
+    }
+    throw new Error(`Device ${deviceId} kept switching streams`);
+  },
+
+  // Get stream
+  async getStream(userId, streamId) {
+    const data = await redis.get(`stream:${userId}:${streamId}`);
+    return data ? JSON.parse(data) : null;
+  },
+
+  // Get all live streams for a user (stale entries are pruned)
+  async getActiveStreams(userId) {
+    const setKey = `user:${userId}:streams`;
+    await redis.zremrangebyscore(
+      setKey,
+      "-inf",
+      Date.now() - STREAM_TTL_SECONDS * 1000
+    );
+
+    const streamIds = await redis.zrange(setKey, 0, -1);
+    const streams = [];
+
+    for (const streamId of streamIds) {
+      const stream = await this.getStream(userId, streamId);
+      if (stream) {
+        streams.push(stream);
+      } else {
+        await redis.zrem(setKey, streamId);
+      }
+    }
+
+    return streams.sort((a, b) => a.startedAt - b.startedAt);
+  },
+
+  // Keep a live stream alive. Returns null if it was stopped or expired.
+  async heartbeat(userId, streamId, position) {
+    const key = `stream:${userId}:${streamId}`;
+
+    for (let attempt = 0; attempt < STREAM_WRITE_ATTEMPTS; attempt++) {
+      const raw = await redis.get(key);
+      if (!raw) return null;
+
+      const stream = JSON.parse(raw);
+      stream.lastHeartbeat = Date.now();
+      if (position !== undefined) {
+        stream.position = position;
+      }
+
+      const refreshed = await redis.streamRefresh(
+        key,
+        `user:${userId}:streams`,
+        deviceStreamKey(userId, stream.deviceId),
+        raw,
+        JSON.stringify(stream),
+        STREAM_TTL_SECONDS,
+        stream.lastHeartbeat,
+        streamId
+      );
+      if (refreshed === 1) return stream;
+    }
+    throw new Error(`Stream ${streamId} kept changing during heartbeat`);
+  },
+
+  // Stop a stream
+  async stopStream(userId, streamId) {
+    await redis.multi()
+      .del(`stream:${userId}:${streamId}`)
+      .zrem(`user:${userId}:streams`, streamId)
+      .exec();
+  },
+
+  // Stop every stream playing on a device (logout, eviction)
+  async stopDeviceStreams(userId, deviceId) {
+    const streams = await this.getActiveStreams(userId);
+    for (const stream of streams) {
+      if (stream.deviceId === deviceId) {
+        await this.stopStream(userId, stream.streamId);
+      }
+    }
   }
 };
 
-module.exports = { redis, sessionHelpers };
\ No newline at end of file
+module.exports = {
+  redis,
+  sessionHelpers,
+  playbackHelpers,
+  SESSION_REVOKE_REASONS,
+  SESSION_EVENTS_CHANNEL,
+  SESSION_INDEX_KEYS,
+  splitSessionMember,
+  SESSION_TTL_SECONDS,
+  STREAM_TTL_SECONDS
+};
\ No newline at end of file
@@ -34,11 +34,11 @@ const swaggerOptions = {
           bearerFormat: "JWT",
           description: "Enter your JWT token"
         },
-        AdminKey: {
-          type: "apiKey",
-          in: "header",
-          name: "X-Admin-Key",
-          description: "Admin secret key for dashboard access"
+        AdminBearer: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "Admin JWT from /api/admin/auth/verify-otp"
         }
       },
       schemas: {
@@ -124,6 +124,10 @@ const swaggerOptions = {
         Alert: {
           type: "object",
           properties: {
+            alertId: {
+              type: "string",
+              example: "1704297600000-9f2c1a7b"
+            },
             ruleId: {
               type: "string",
               example: "geo_impossibility"
@@ -144,6 +148,17 @@ const swaggerOptions = {
             timestamp: {
               type: "number",
               example: 1704297600000
+            },
+            status: {
+              type: "string",
+              enum: ["open", "acknowledged", "resolved"]
+            },
+            disposition: {
+              type: "string",
+              enum: ["true_positive", "false_positive"]
+            },
+            incidentId: {
+              type: "string"
             }
           }
         },
@@ -171,6 +186,22 @@ const swaggerOptions = {
         name: "Sessions",
         description: "Session management endpoints"
       },
+      {
+        name: "Device Pairing",
+        description: "TV / streaming stick login via device codes"
+      },
+      {
+        name: "Playback",
+        description: "Concurrent stream tracking and limits"
+      },
+      {
+        name: "Household",
+        description: "Home network detection and extra member slots"
+      },
+      {
+        name: "Security",
+        description: "Account security center: devices, login history and compromise reporting"
+      },
       {
         name: "Admin",
         description: "Admin dashboard and monitoring endpoints"
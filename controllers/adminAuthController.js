@@ -0,0 +1,228 @@
+const bcrypt = require("bcryptjs");
+const Admin = require("../models/Admin");
+const { OTP_PURPOSES, issueOTP, verifyOTP } = require("../utils/otpChallenge");
+const sendOTPEmail = require("../utils/sendOTPEmail");
+const { signAdminToken, ROLE_PERMISSIONS } = require("../middleware/adminAuth");
+const { recordAudit, adminActor } = require("../utils/auditLog");
+const { getClientIp } = require("../utils/clientIp");
+
+const toAdminResponse = (admin) => ({
+  id: admin._id,
+  email: admin.email,
+  name: admin.name,
+  role: admin.role,
+  active: admin.active,
+  lastLogin: admin.lastLogin,
+  createdAt: admin.createdAt
+});
+
+// Failed admin sign-ins go to the audit log like user ones
+const recordLoginFailure = (req, admin, email, reason) =>
+  recordAudit({
+    action: "admin.login_failed",
+    actor: admin ? { type: "admin", id: admin._id, email: admin.email } : { type: "admin", email },
+    details: { reason },
+    ipAddress: getClientIp(req)
+  });
+
+// Request body fields must be plain strings before they reach a query -
+// an object like { "$ne": null } would act as an operator
+const isNonEmptyString = (value) => typeof value === "string" && value.length > 0;
+
+// ADMIN LOGIN (step 1 - password, OTP always required)
+exports.login = async (req, res) => {
+  const { email, password } = req.body;
+
+  try {
+    if (!isNonEmptyString(email) || !isNonEmptyString(password)) {
+      return res.status(400).json({ error: "Email and password required" });
+    }
+
+    const admin = await Admin.findOne({ email });
+    if (!admin || !admin.active) {
+      await recordLoginFailure(req, admin, email, admin ? "account_disabled" : "unknown_account");
+      return res.status(400).json({ error: "Invalid credentials" });
+    }
+
+    const isMatch = await bcrypt.compare(password, admin.password);
+    if (!isMatch) {
+      await recordLoginFailure(req, admin, email, "wrong_password");
+      return res.status(400).json({ error: "Invalid credentials" });
+    }
+
+    // Admin OTPs are bound to the network the password was entered from
+    const otp = await issueOTP({
+      purpose: OTP_PURPOSES.ADMIN_LOGIN,
+      subjectId: admin._id.toString(),
+      ipAddress: getClientIp(req)
+    });
+
+    await sendOTPEmail(admin.email, otp);
+
+    res.json({
+      message: "OTP sent to email.",
+      otpRequired: true
+    });
+
+  } catch (err) {
+    console.error("Admin login error:", err);
+    res.status(500).json({ error: "Login failed" });
+  }
+};
+
+// ADMIN VERIFY OTP (step 2 - issues admin JWT)
+exports.verifyOtp = async (req, res) => {
+  const { email, otp } = req.body;
+
+  try {
+    if (!isNonEmptyString(email) || !isNonEmptyString(otp)) {
+      return res.status(400).json({ error: "Email and OTP required" });
+    }
+
+    const admin = await Admin.findOne({ email });
+    if (!admin || !admin.active) {
+      await recordLoginFailure(req, admin, email, admin ? "account_disabled" : "unknown_account");
+      return res.status(400).json({ error: "Invalid or expired OTP" });
+    }
+
+    const result = await verifyOTP({
+      purpose: OTP_PURPOSES.ADMIN_LOGIN,
+      subjectId: admin._id.toString(),
+      ipAddress: getClientIp(req),
+      code: otp
+    });
+
+    if (result.status !== "valid") {
+      await recordLoginFailure(req, admin, email, `otp_${result.status}`);
+      return res.status(400).json({ error: "Invalid or expired OTP" });
+    }
+
+    admin.lastLogin = new Date();
+    await admin.save();
+
+    await recordAudit({
+      action: "admin.login",
+      actor: { type: "admin", id: admin._id, email: admin.email },
+      details: { role: admin.role },
+      ipAddress: getClientIp(req)
+    });
+
+    res.json({
+      token: signAdminToken(admin),
+      admin: toAdminResponse(admin),
+      permissions: ROLE_PERMISSIONS[admin.role]
+    });
+
+  } catch (err) {
+    console.error("Admin OTP verification error:", err);
+    res.status(500).json({ error: "Verification failed" });
+  }
+};
+
+// CURRENT ADMIN
+exports.me = async (req, res) => {
+  res.json({
+    admin: req.admin,
+    permissions: ROLE_PERMISSIONS[req.admin.role]
+  });
+};
+
+// LIST ADMINS
+exports.listAdmins = async (req, res) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+    res.json({ admins: admins.map(toAdminResponse) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// CREATE ADMIN
+exports.createAdmin = async (req, res) => {
+  const { email, password, name, role } = req.body;
+
+  try {
+    if (!email || !password) {
+      return res.status(400).json({ error: "Email and password required" });
+    }
+
+    if (role && !ROLE_PERMISSIONS[role]) {
+      return res.status(400).json({
+        error: "Invalid role",
+        validRoles: Object.keys(ROLE_PERMISSIONS)
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const admin = await Admin.create({ email, password: hashedPassword, name, role });
+
+    await recordAudit({
+      action: "admin.account_created",
+      actor: adminActor(req.admin),
+      details: { adminId: admin._id.toString(), email: admin.email, role: admin.role }
+    });
+
+    res.status(201).json({ admin: toAdminResponse(admin) });
+  } catch (err) {
+    res.status(400).json({ error: "Admin already exists" });
+  }
+};
+
+// UPDATE ADMIN ROLE / STATUS
+exports.updateAdmin = async (req, res) => {
+  const { role, active, name } = req.body;
+
+  try {
+    if (role && !ROLE_PERMISSIONS[role]) {
+      return res.status(400).json({
+        error: "Invalid role",
+        validRoles: Object.keys(ROLE_PERMISSIONS)
+      });
+    }
+
+    // Don't let a super-admin lock themselves out
+    if (req.params.adminId === req.admin.adminId && (active === false || (role && role !== "super_admin"))) {
+      return res.status(400).json({ error: "Cannot demote or disable your own account" });
+    }
+
+    const admin = await Admin.findById(req.params.adminId);
+    if (!admin) {
+      return res.status(404).json({ error: "Admin not found" });
+    }
+
+    if (role) admin.role = role;
+    if (typeof active === "boolean") admin.active = active;
+    if (name !== undefined) admin.name = name;
+    await admin.save();
+
+    await recordAudit({
+      action: "admin.account_updated",
+      actor: adminActor(req.admin),
+      details: { adminId: admin._id.toString(), role, active }
+    });
+
+    res.json({ admin: toAdminResponse(admin) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// Create the first super-admin from env when no admin accounts exist yet
+exports.seedSuperAdmin = async () => {
+  const { SUPER_ADMIN_EMAIL, SUPER_ADMIN_PASSWORD } = process.env;
+  if (!SUPER_ADMIN_EMAIL || !SUPER_ADMIN_PASSWORD) return;
+
+  const count = await Admin.countDocuments();
+  if (count > 0) return;
+
+  await Admin.create({
+    email: SUPER_ADMIN_EMAIL,
+    password: await bcrypt.hash(SUPER_ADMIN_PASSWORD, 10),
+    name: "Super Admin",
+    role: "super_admin"
+  });
+
+  console.log(`👤 Seeded super-admin account: ${SUPER_ADMIN_EMAIL}`);
+};
+
+module.exports = exports;
@@ -0,0 +1,253 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { redis } = require("../config/redis");
+const { CursorError, parseLimit, paginate } = require("../utils/pagination");
+const trustHistory = require("../utils/trustHistory");
+
+const PLANS = ["BASIC", "STANDARD", "PREMIUM"];
+const TRUST_LEVELS = ["HIGH", "MEDIUM", "LOW", "CRITICAL"];
+const USER_SORTS = ["createdAt", "email", "activeSessionCount"];
+const SESSION_SORTS = ["createdAt", "trustScore"];
+// Users a trustLevel / country filter may narrow to before the search
+// has to be made more specific
+const MAX_SESSION_FILTER_USERS = 5000;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Invalid query parameters are reported, not silently ignored
+class SearchQueryError extends Error {}
+
+function parseSort(query, allowed) {
+  const field = query.sort || "createdAt";
+  if (!allowed.includes(field)) {
+    throw new SearchQueryError(`sort must be one of: ${allowed.join(", ")}`);
+  }
+  const defaultOrder = field === "email" ? "asc" : "desc";
+  const order = parseEnum(query.order, ["asc", "desc"], "order") || defaultOrder;
+  return { field, direction: order === "asc" ? 1 : -1 };
+}
+
+// A repeated parameter (?email=a&email=b) arrives as an array
+function parseString(value, name) {
+  if (value === undefined) return undefined;
+  if (typeof value !== "string") throw new SearchQueryError(`${name} must be given once`);
+  return value;
+}
+
+function parseEnum(value, allowed, name) {
+  if (value === undefined) return undefined;
+  if (!allowed.includes(value)) {
+    throw new SearchQueryError(`${name} must be one of: ${allowed.join(", ")}`);
+  }
+  return value;
+}
+
+function parseNumber(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) throw new SearchQueryError(`${name} must be a number`);
+  return number;
+}
+
+function parseObjectId(value, name) {
+  if (value === undefined) return undefined;
+  if (!mongoose.isValidObjectId(value)) throw new SearchQueryError(`${name} is not a valid ID`);
+  return new mongoose.Types.ObjectId(value);
+}
+
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  const date = new Date(parseString(value, name));
+  if (isNaN(date.getTime())) throw new SearchQueryError(`${name} must be a date`);
+  return date;
+}
+
+function handleSearchError(res, err) {
+  if (err instanceof SearchQueryError || err instanceof CursorError) {
+    return res.status(400).json({ error: err.message });
+  }
+  res.status(500).json({ error: err.message });
+}
+
+// SEARCH USERS
+// Filters: email (prefix), plan, flagged, trustLevel / country (of an active
+// session), minDevices / maxDevices (active device count)
+exports.searchUsers = async (req, res) => {
+  try {
+    const email = parseString(req.query.email, "email");
+    const flagged = parseEnum(req.query.flagged, ["true", "false"], "flagged");
+    const country = parseString(req.query.country, "country");
+    const cursor = parseString(req.query.cursor, "cursor");
+    const plan = parseEnum(req.query.plan, PLANS, "plan");
+    const trustLevel = parseEnum(req.query.trustLevel, TRUST_LEVELS, "trustLevel");
+    const minDevices = parseNumber(req.query.minDevices, "minDevices");
+    const maxDevices = parseNumber(req.query.maxDevices, "maxDevices");
+    const { field, direction } = parseSort(req.query, USER_SORTS);
+    const limit = parseLimit(req.query.limit);
+
+    const filter = {};
+    // Anchored, case-sensitive prefix so the unique email index is used
+    if (email) filter.email = { $regex: `^${escapeRegex(email)}` };
+    if (plan) filter.plan = plan;
+    if (flagged !== undefined) filter.flagged = flagged === "true";
+    if (minDevices !== undefined || maxDevices !== undefined) {
+      filter.activeSessionCount = {};
+      if (minDevices !== undefined) filter.activeSessionCount.$gte = minDevices;
+      if (maxDevices !== undefined) filter.activeSessionCount.$lte = maxDevices;
+    }
+
+    // Session-level filters narrow the users through the session indexes,
+    // up to MAX_SESSION_FILTER_USERS of them
+    if (trustLevel || country) {
+      const sessionFilter = { isActive: true };
+      if (trustLevel) sessionFilter.trustLevel = trustLevel;
+      if (country) sessionFilter.country = country.toUpperCase();
+
+      const userIds = await Session.aggregate([
+        { $match: sessionFilter },
+        { $group: { _id: "$userId" } },
+        { $limit: MAX_SESSION_FILTER_USERS + 1 }
+      ]);
+      if (userIds.length > MAX_SESSION_FILTER_USERS) {
+        throw new SearchQueryError(
+          `trustLevel / country match more than ${MAX_SESSION_FILTER_USERS} users; add more filters or search sessions instead`
+        );
+      }
+      filter._id = { $in: userIds.map(u => u._id) };
+    }
+
+    const { items, nextCursor } = await paginate(User, filter, {
+      field,
+      direction,
+      cursor,
+      limit,
+      select: "email plan flagged activeSessionCount totp.enabled createdAt"
+    });
+
+    res.json({
+      users: items.map(u => ({
+        id: u._id,
+        email: u.email,
+        plan: u.plan,
+        flagged: Boolean(u.flagged),
+        activeSessionCount: u.activeSessionCount || 0,
+        totpEnabled: Boolean(u.totp && u.totp.enabled),
+        createdAt: u.createdAt
+      })),
+      nextCursor,
+      limit
+    });
+  } catch (err) {
+    handleSearchError(res, err);
+  }
+};
+
+// SEARCH SESSIONS
+// Filters: userId or email, deviceId, ipAddress, country, trustLevel,
+// minTrust / maxTrust, active (true | false | all), from / to (start time)
+exports.searchSessions = async (req, res) => {
+  try {
+    const email = parseString(req.query.email, "email");
+    const deviceId = parseString(req.query.deviceId, "deviceId");
+    const ipAddress = parseString(req.query.ipAddress, "ipAddress");
+    const country = parseString(req.query.country, "country");
+    const cursor = parseString(req.query.cursor, "cursor");
+    const userId = parseObjectId(req.query.userId, "userId");
+    const trustLevel = parseEnum(req.query.trustLevel, TRUST_LEVELS, "trustLevel");
+    const active = parseEnum(req.query.active, ["true", "false", "all"], "active") || "true";
+    const minTrust = parseNumber(req.query.minTrust, "minTrust");
+    const maxTrust = parseNumber(req.query.maxTrust, "maxTrust");
+    const from = parseDate(req.query.from, "from");
+    const to = parseDate(req.query.to, "to");
+    const { field, direction } = parseSort(req.query, SESSION_SORTS);
+    const limit = parseLimit(req.query.limit);
+
+    const filter = {};
+    if (active !== "all") filter.isActive = active === "true";
+    if (userId) filter.userId = userId;
+    if (email) {
+      const user = await User.findOne({ email }).select("_id").lean();
+      if (!user) return res.json({ sessions: [], nextCursor: null, limit });
+      filter.userId = user._id;
+    }
+    if (deviceId) filter.deviceId = deviceId;
+    if (ipAddress) filter.ipAddress = ipAddress;
+    if (country) filter.country = country.toUpperCase();
+    if (trustLevel) filter.trustLevel = trustLevel;
+    if (minTrust !== undefined || maxTrust !== undefined) {
+      filter.trustScore = {};
+      if (minTrust !== undefined) filter.trustScore.$gte = minTrust;
+      if (maxTrust !== undefined) filter.trustScore.$lte = maxTrust;
+    }
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    const { items, nextCursor } = await paginate(Session, filter, {
+      field,
+      direction,
+      cursor,
+      limit,
+      select: "-token",
+      populate: { path: "userId", select: "email plan" }
+    });
+
+    // Last activity only lives in Redis - one MGET for the page
+    const live = items.length > 0
+      ? await redis.mget(...items.map(s => `session:${s.userId?._id || s.userId}:${s.deviceId}`))
+      : [];
+
+    res.json({
+      sessions: items.map((s, i) => ({
+        id: s._id,
+        userId: s.userId?._id || s.userId,
+        email: s.userId?.email,
+        plan: s.userId?.plan,
+        deviceId: s.deviceId,
+        isActive: s.isActive,
+        ipAddress: s.ipAddress,
+        userAgent: s.userAgent,
+        location: s.country ? { country: s.country, city: s.city } : null,
+        trustScore: s.trustScore,
+        trustLevel: s.trustLevel,
+        createdAt: s.createdAt,
+        lastActivity: s.isActive && live[i] ? new Date(JSON.parse(live[i]).lastActivity) : null,
+        endedAt: s.endedAt,
+        endReason: s.endReason
+      })),
+      nextCursor,
+      limit
+    });
+  } catch (err) {
+    handleSearchError(res, err);
+  }
+};
+
+// TRUST SCORE HISTORY
+// Every evaluation for the user's devices with factor contributions and an
+// explanation. Filters: deviceId, from / to
+exports.getTrustHistory = async (req, res) => {
+  try {
+    const userId = parseObjectId(req.params.userId, "userId");
+    const from = parseDate(req.query.from, "from");
+    const to = parseDate(req.query.to, "to");
+    const limit = parseLimit(req.query.limit);
+
+    const { entries, nextCursor } = await trustHistory.getHistory(userId, {
+      deviceId: parseString(req.query.deviceId, "deviceId"),
+      from,
+      to,
+      cursor: parseString(req.query.cursor, "cursor"),
+      limit
+    });
+
+    res.json({ userId, history: entries, nextCursor, limit });
+  } catch (err) {
+    handleSearchError(res, err);
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,211 @@
+const Admin = require("../models/Admin");
+const Incident = require("../models/Incident");
+const alertRulesEngine = require("../utils/alertRulesEngine");
+const { hasPermission } = require("../middleware/adminAuth");
+const { recordAudit, adminActor } = require("../utils/auditLog");
+
+const DISPOSITIONS = ["true_positive", "false_positive"];
+const MAX_COMMENT_LENGTH = 2000;
+
+// Optional date query param: undefined, a Date, or null when unparseable
+const parseDateParam = (value) => {
+  if (value === undefined || value === "") return undefined;
+  const date = new Date(value);
+  return typeof value === "string" && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+const auditAlert = (req, action, alert, details = {}) => recordAudit({
+  action: `admin.alert_${action}`,
+  actor: adminActor(req.admin),
+  target: { userId: alert.context?.userId, deviceId: alert.context?.deviceId },
+  details: { alertId: alert.alertId, ruleId: alert.ruleId, ...details }
+});
+
+// LIST ALERTS
+exports.listAlerts = async (req, res) => {
+  try {
+    const { severity, ruleId, userId, status, assignee } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    if (from === null || to === null) {
+      return res.status(400).json({ error: "from and to must be dates" });
+    }
+
+    const result = await alertRulesEngine.queryAlerts({
+      severity, ruleId, userId, status, assignee, from, to, limit, offset
+    });
+
+    res.json({ ...result, limit, offset });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// ALERT DETAILS
+exports.getAlert = async (req, res) => {
+  try {
+    const alert = await alertRulesEngine.getAlert(req.params.alertId);
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    const incident = alert.incidentId
+      ? await Incident.findById(alert.incidentId).lean()
+      : null;
+
+    const userFlag = alert.context?.userId
+      ? await alertRulesEngine.isUserFlagged(alert.context.userId)
+      : null;
+
+    res.json({ alert, incident, userFlag });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// ACKNOWLEDGE ALERT
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = await alertRulesEngine.updateAlert(req.params.alertId, (a) => {
+      if (a.status === "resolved") {
+        throw new alertRulesEngine.AlertStateError("Alert already resolved");
+      }
+      a.status = "acknowledged";
+      a.acknowledgedBy = req.admin.email;
+      a.acknowledgedAt = Date.now();
+    });
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    await auditAlert(req, "acknowledged", alert);
+    res.json({ alert });
+  } catch (err) {
+    if (err instanceof alertRulesEngine.AlertStateError) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// ASSIGN ALERT TO AN ANALYST
+exports.assignAlert = async (req, res) => {
+  const { assignee } = req.body;
+
+  try {
+    if (!assignee || typeof assignee !== "string") {
+      return res.status(400).json({ error: "assignee (admin email) required" });
+    }
+
+    const analyst = await Admin.findOne({ email: assignee, active: true }).lean();
+    if (!analyst || !hasPermission(analyst.role, "alerts:manage")) {
+      return res.status(400).json({ error: "Assignee must be an active admin who can manage alerts" });
+    }
+
+    const alert = await alertRulesEngine.updateAlert(req.params.alertId, (a) => {
+      a.assignedTo = { adminId: analyst._id.toString(), email: analyst.email };
+      a.assignedBy = req.admin.email;
+      a.assignedAt = Date.now();
+    });
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    await auditAlert(req, "assigned", alert, { assignee: analyst.email });
+    res.json({ alert });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// COMMENT ON ALERT
+exports.commentOnAlert = async (req, res) => {
+  const { text } = req.body;
+
+  try {
+    if (!text || typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ error: "Comment text required" });
+    }
+
+    const comment = {
+      author: req.admin.email,
+      text: text.trim().substring(0, MAX_COMMENT_LENGTH),
+      at: Date.now()
+    };
+
+    const alert = await alertRulesEngine.updateAlert(req.params.alertId, (a) => {
+      a.comments = [...(a.comments || []), comment];
+    });
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    await auditAlert(req, "commented", alert);
+    res.status(201).json({ alert });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// RESOLVE ALERT WITH DISPOSITION
+exports.resolveAlert = async (req, res) => {
+  const { disposition, note } = req.body;
+
+  try {
+    if (!DISPOSITIONS.includes(disposition)) {
+      return res.status(400).json({
+        error: "Invalid disposition",
+        validDispositions: DISPOSITIONS
+      });
+    }
+
+    if (note !== undefined && note !== null && typeof note !== "string") {
+      return res.status(400).json({ error: "note must be text" });
+    }
+    const noteText = note ? note.trim().substring(0, MAX_COMMENT_LENGTH) : "";
+
+    // Only the resolve that wins the swap counts towards the tuning stats
+    const alert = await alertRulesEngine.updateAlert(req.params.alertId, (a) => {
+      if (a.status === "resolved") {
+        throw new alertRulesEngine.AlertStateError("Alert already resolved");
+      }
+      a.status = "resolved";
+      a.disposition = disposition;
+      a.resolvedBy = req.admin.email;
+      a.resolvedAt = Date.now();
+      if (noteText) {
+        a.comments = [...(a.comments || []), { author: req.admin.email, text: noteText, at: Date.now() }];
+      }
+    });
+    if (!alert) {
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    await alertRulesEngine.recordDisposition(alert.ruleId, disposition);
+
+    await auditAlert(req, "resolved", alert, { disposition });
+    res.json({ alert });
+  } catch (err) {
+    if (err instanceof alertRulesEngine.AlertStateError) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// ALERT + DISPOSITION STATS (for rule tuning)
+exports.getStats = async (req, res) => {
+  try {
+    const stats = await alertRulesEngine.getAlertStats();
+    const dispositions = await alertRulesEngine.getDispositionStats();
+
+    res.json({ ...stats, dispositions });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,165 @@
+const AlertRule = require("../models/AlertRule");
+const alertRulesEngine = require("../utils/alertRulesEngine");
+const { evaluateCondition, renderMessage } = require("../utils/ruleDsl");
+const { recordAudit, adminActor } = require("../utils/auditLog");
+
+const EDITABLE_FIELDS = [
+  "name", "description", "enabled", "condition",
+  "severity", "actions", "message", "dedupWindowSeconds"
+];
+
+const pickEditable = (body) => {
+  const update = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) update[field] = body[field];
+  }
+  return update;
+};
+
+// LIST RULES
+exports.listRules = async (req, res) => {
+  try {
+    const rules = await AlertRule.find().sort({ ruleId: 1 }).lean();
+    res.json({ rules, total: rules.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// GET RULE
+exports.getRule = async (req, res) => {
+  try {
+    const rule = await AlertRule.findOne({ ruleId: req.params.ruleId }).lean();
+    if (!rule) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+    res.json({ rule });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// CREATE RULE
+exports.createRule = async (req, res) => {
+  try {
+    const definition = { ruleId: req.body.ruleId, actions: [], ...pickEditable(req.body) };
+
+    const errors = alertRulesEngine.validateRule(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid rule", details: errors });
+    }
+
+    const exists = await AlertRule.exists({ ruleId: definition.ruleId });
+    if (exists) {
+      return res.status(409).json({ error: "Rule already exists" });
+    }
+
+    const rule = await AlertRule.create({ ...definition, updatedBy: req.admin.email });
+    await alertRulesEngine.publishRulesChange();
+
+    await recordAudit({
+      action: "admin.rule_created",
+      actor: adminActor(req.admin),
+      details: { ruleId: rule.ruleId, definition }
+    });
+
+    res.status(201).json({ rule });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// UPDATE RULE
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await AlertRule.findOne({ ruleId: req.params.ruleId });
+    if (!rule) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+
+    const update = pickEditable(req.body);
+    const definition = { ...rule.toObject(), ...update };
+
+    const errors = alertRulesEngine.validateRule(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid rule", details: errors });
+    }
+
+    const before = {
+      condition: rule.condition,
+      severity: rule.severity,
+      actions: [...rule.actions],
+      enabled: rule.enabled
+    };
+
+    Object.assign(rule, update, { updatedBy: req.admin.email });
+    rule.markModified("condition");
+    await rule.save();
+    await alertRulesEngine.publishRulesChange();
+
+    await recordAudit({
+      action: "admin.rule_updated",
+      actor: adminActor(req.admin),
+      details: { ruleId: rule.ruleId, before, changes: update }
+    });
+
+    res.json({ rule });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// DELETE RULE (defaults can only be disabled)
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await AlertRule.findOne({ ruleId: req.params.ruleId });
+    if (!rule) {
+      return res.status(404).json({ error: "Rule not found" });
+    }
+
+    if (rule.isDefault) {
+      return res.status(400).json({
+        error: "Default rules cannot be deleted",
+        message: "Disable the rule instead (PUT with enabled: false)."
+      });
+    }
+
+    await AlertRule.deleteOne({ ruleId: rule.ruleId });
+    await alertRulesEngine.publishRulesChange();
+
+    await recordAudit({
+      action: "admin.rule_deleted",
+      actor: adminActor(req.admin),
+      details: { ruleId: rule.ruleId }
+    });
+
+    res.json({ message: "Rule deleted", ruleId: rule.ruleId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// TEST RULE against a sample context without saving it
+exports.testRule = async (req, res) => {
+  try {
+    const { rule = {}, context = {} } = req.body;
+    const definition = { ruleId: "test_rule", name: "Test", actions: [], ...rule };
+
+    const errors = alertRulesEngine.validateRule(definition);
+    if (errors.length > 0) {
+      return res.status(400).json({ valid: false, details: errors });
+    }
+
+    const matched = evaluateCondition(definition.condition, context);
+
+    res.json({
+      valid: true,
+      matched,
+      message: matched ? renderMessage(definition.message, context) : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+module.exports = exports;
@@ -1,24 +1,127 @@
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const geoip = require("geoip-lite");
 const User = require("../models/User");
 const Device = require("../models/Device");
 const Session = require("../models/Session");
 
 // Redis & Utils
-const { sessionHelpers, redis } = require("../config/redis");
-const { checkGeoImpossibility, storeLocationHistory } = require("../utils/geoDetection");
+const { sessionHelpers, redis, SESSION_REVOKE_REASONS } = require("../config/redis");
+const { checkGeoImpossibility } = require("../utils/geoDetection");
 const deviceTrustScorer = require("../utils/deviceTrustScoring");
 const { generateEnhancedFingerprint, detectSpoofing } = require("../utils/enhancedFingerprint");
-const generateOTP = require("../utils/generateOTP");
-const sendOTPEmail = require("../utils/sendOTPEmail");
-const { blockUser } = require("../middleware/rateLimiter");
+const { OTP_PURPOSES, verifyOTP } = require("../utils/otpChallenge");
+const sendPasswordChangedEmail = require("../utils/sendPasswordChangedEmail");
+const { blockUser, checkUserBlocked } = require("../middleware/rateLimiter");
 const alertRulesEngine = require("../utils/alertRulesEngine");
+const householdDetector = require("../utils/householdDetection");
+const ipIntelligence = require("../utils/ipIntelligence");
+const trustScoringConfig = require("../utils/trustScoringConfig");
+const loginTimeProfile = require("../utils/loginTimeProfile");
+const { recordAudit, systemActor, userActor } = require("../utils/auditLog");
+const {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  issueRefreshToken,
+  consumeRefreshToken
+} = require("../utils/tokenService");
+const {
+  getMaxSessions,
+  completeLogin,
+  describeOtherSessions,
+  buildDeviceLimitResponse,
+  revokeAllSessions,
+  endSession
+} = require("../utils/sessionManager");
+const { startPasswordReset, consumeResetToken } = require("../utils/passwordReset");
+const { verifyAppFactor } = require("../utils/totp");
+const { getClientIp } = require("../utils/clientIp");
+const {
+  startStepUp,
+  getLoginChallenge,
+  recordChallengeFailure,
+  consumeLoginChallenge
+} = require("../utils/loginChallenge");
+
+const MIN_PASSWORD_LENGTH = 8;
+const RECENT_PASSWORD_CHANGE_MS = 24 * 60 * 60 * 1000; // takeover window for alert rules
+
+// Response body shared by every path that ends in a signed-in session
+const buildLoginResponse = ({ session, deviceId, trustScore, household, metadata }) => ({
+  token: session.token,
+  refreshToken: session.refreshToken,
+  expiresIn: session.expiresIn,
+  message: "Login successful",
+  deviceId,
+  trustScore: {
+    score: trustScore.score,
+    level: trustScore.level
+  },
+  activeSessions: session.activeSessions,
+  maxSessions: session.maxSessions,
+  household,
+  metadata: {
+    browser: metadata.browserInfo,
+    os: metadata.osInfo,
+    device: metadata.deviceInfo
+  }
+});
+
+// Store a new password, optionally sign out other sessions, run the alert
+// rules (account_takeover_attempt) and tell the user by email
+const applyPasswordChange = async (user, newPassword, {
+  method,
+  deviceId,
+  ipAddress,
+  revokeOtherSessions,
+  actor
+}) => {
+  user.password = await bcrypt.hash(newPassword, 10);
+  user.passwordChangedAt = new Date();
+  user.passwordChangedDeviceId = deviceId;
+  await user.save();
+
+  const revoked = revokeOtherSessions
+    ? await revokeAllSessions(user._id, {
+      exceptDeviceId: deviceId,
+      reason: SESSION_REVOKE_REASONS.PASSWORD_CHANGED,
+      actor
+    })
+    : [];
+
+  const trustScore = await deviceTrustScorer.calculateTrustScore(user._id, deviceId, ipAddress);
+
+  await alertRulesEngine.evaluateRules({
+    userId: user._id,
+    email: user.email,
+    deviceId,
+    ipAddress,
+    passwordChanged: true,
+    passwordChangeMethod: method,
+    trustScore: trustScore.score,
+    ...(await ipIntelligence.getAlertContext(ipAddress))
+  });
+
+  await recordAudit({
+    action: `password.${method}`,
+    actor,
+    target: { userId: user._id, deviceId },
+    details: { revokedSessions: revoked.length, trustScore: trustScore.score },
+    ipAddress
+  });
 
-const getMaxSessions = (plan) => {
-  if (plan === "BASIC") return 1;
-  if (plan === "STANDARD") return 2;
-  if (plan === "PREMIUM") return 4;
-  return 1;
+  try {
+    const geo = geoip.lookup(ipAddress);
+    await sendPasswordChangedEmail(user.email, {
+      ipAddress,
+      location: geo ? { city: geo.city, country: geo.country } : null,
+      revokedSessions: revoked.length
+    });
+  } catch (err) {
+    // The password is already changed - don't fail the request over the email
+    console.error("Password change notification error:", err);
+  }
+
+  return { revoked, trustScore };
 };
 
 // SIGNUP
@@ -40,23 +143,44 @@ exports.signup = async (req, res) => {
 
 // LOGIN with Enhanced Security
 exports.login = async (req, res) => {
-  const { email, password, fingerprint } = req.body;
+  const { email, password, fingerprint, factor } = req.body;
 
   try {
+    const ipAddress = getClientIp(req);
+
     // 1. Validate user credentials
     const user = await User.findOne({ email });
     if (!user) {
+      await recordAudit({
+        action: "auth.login_failed",
+        actor: { type: "user", email },
+        details: { reason: "unknown_account" },
+        ipAddress
+      });
       return res.status(400).json({ error: "Invalid credentials" });
     }
 
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await recordAudit({
+        action: "auth.login_failed",
+        actor: userActor(user),
+        target: { userId: user._id },
+        details: { reason: "wrong_password" },
+        ipAddress
+      });
       return res.status(400).json({ error: "Invalid credentials" });
     }
 
     // 2. Generate enhanced device fingerprint
     const { deviceId, components, metadata } = generateEnhancedFingerprint(req, fingerprint);
 
+    // A recent password change counts against logins from other devices;
+    // the owner signing in where they just reset is expected
+    const passwordChanged = Boolean(user.passwordChangedAt) &&
+      Date.now() - user.passwordChangedAt.getTime() < RECENT_PASSWORD_CHANGE_MS &&
+      user.passwordChangedDeviceId !== deviceId;
+
     // 3. Detect spoofing/automation
     const spoofingCheck = detectSpoofing(components);
     if (spoofingCheck.isSuspicious && spoofingCheck.riskScore > 70) {
@@ -64,6 +188,14 @@ exports.login = async (req, res) => {
       
       // Block highly suspicious attempts
       await blockUser(user._id, 3600); // 1 hour block
+
+      await recordAudit({
+        action: "auth.login_blocked",
+        actor: systemActor(),
+        target: { userId: user._id, deviceId },
+        details: { riskScore: spoofingCheck.riskScore, warnings: spoofingCheck.warnings },
+        ipAddress
+      });
       
       return res.status(403).json({
         error: "Suspicious activity detected",
@@ -73,7 +205,6 @@ exports.login = async (req, res) => {
     }
 
     // 4. Check geo-impossibility
-    const ipAddress = req.headers["x-forwarded-for"] || req.socket.remoteAddress;
     const geoCheck = await checkGeoImpossibility(user._id, ipAddress);
     
     // Evaluate alert rules
@@ -83,9 +214,12 @@ exports.login = async (req, res) => {
       deviceId,
       ipAddress,
       geoCheck,
-      trustScore: 50, // Will be updated later
+      trustScore: null, // set once calculated; score rules don't match before then
       location: geoCheck.currentLocation,
-      isNewDevice: false
+      isNewDevice: false,
+      passwordChanged,
+      ...(await ipIntelligence.getAlertContext(ipAddress)),
+      ...(await loginTimeProfile.getAlertContext(user._id, components.timezone))
     };
     
     if (geoCheck.isImpossible) {
@@ -95,16 +229,16 @@ exports.login = async (req, res) => {
       await alertRulesEngine.evaluateRules(alertContext);
       
       // Force OTP verification for impossible travel
-      const otp = generateOTP();
-      user.otp = otp;
-      user.otpExpiry = Date.now() + 5 * 60 * 1000;
-      await user.save();
-      
-      await sendOTPEmail(user.email, otp);
-      
+      const stepUp = await startStepUp(user, deviceId, ipAddress, "geo_impossibility", factor, {
+        pendingLogin: { location: geoCheck.currentLocation }
+      });
+
       return res.status(200).json({
-        message: "Unusual location detected. OTP sent to email.",
+        message: `Unusual location detected. ${stepUp.prompt}`,
         otpRequired: true,
+        loginChallengeId: stepUp.loginChallengeId,
+        factor: stepUp.factor,
+        availableFactors: stepUp.availableFactors,
         reason: geoCheck.reason,
         securityAlert: true
       });
@@ -114,14 +248,39 @@ exports.login = async (req, res) => {
     const trustScore = await deviceTrustScorer.calculateTrustScore(
       user._id, 
       deviceId, 
-      ipAddress
+      ipAddress,
+      { timezone: components.timezone }
     );
 
     console.log(`🎯 Trust Score for ${email}: ${trustScore.score}/100 (${trustScore.level})`);
 
     // Update alert context with trust score
     alertContext.trustScore = trustScore.score;
-    alertContext.isNewDevice = !device;
+
+    // Per-plan thresholds from the active scoring config
+    const decision = trustScoringConfig.getDecision(trustScore.score, user.plan);
+    if (decision === "block") {
+      await alertRulesEngine.evaluateRules(alertContext);
+
+      await recordAudit({
+        action: "auth.login_blocked",
+        actor: systemActor(),
+        target: { userId: user._id, deviceId },
+        details: {
+          reason: "trust_below_block_threshold",
+          trustScore: trustScore.score,
+          configVersion: trustScore.configVersion
+        },
+        ipAddress
+      });
+
+      return res.status(403).json({
+        error: "Login blocked",
+        message: "This sign-in was blocked for your security. Try again from a device you usually use.",
+        trustScore: trustScore.score,
+        trustLevel: trustScore.level
+      });
+    }
     
     // Check device sharing
     const deviceUserKey = `device:${deviceId}:users`;
@@ -131,24 +290,55 @@ exports.login = async (req, res) => {
     // 6. Check if device exists
     let device = await Device.findOne({ userId: user._id, deviceId });
 
+    // A device the owner reported ("this wasn't me") verifies before it is
+    // trusted again, whatever its score
+    if (device && !device.trusted) {
+      await alertRulesEngine.evaluateRules(alertContext);
+
+      const stepUp = await startStepUp(user, deviceId, ipAddress, "reported_device", factor, {
+        pendingLogin: { trustScore, location: geoCheck.currentLocation }
+      });
+
+      return res.status(200).json({
+        message: `This device needs to be verified. ${stepUp.prompt}`,
+        otpRequired: true,
+        loginChallengeId: stepUp.loginChallengeId,
+        factor: stepUp.factor,
+        availableFactors: stepUp.availableFactors,
+        trustScore: trustScore.score,
+        trustLevel: trustScore.level
+      });
+    }
+
     if (!device) {
       alertContext.isNewDevice = true;
       
-      // Trigger alert for new device if trust is low
-      await alertRulesEngine.evaluateRules(alertContext);
-      
-      // New device - require OTP if trust score is low
-      if (trustScore.score < 60) {
-        const otp = generateOTP();
-        user.otp = otp;
-        user.otpExpiry = Date.now() + 5 * 60 * 1000;
-        await user.save();
+      // Accounts can insist on the authenticator app for every new device
+      const appRequired = Boolean(user.totp && user.totp.enabled && user.totp.requireOnNewDevice);
 
-        await sendOTPEmail(user.email, otp);
+      // New device - require OTP if trust score is low
+      if (decision === "step_up" || appRequired) {
+        // Trigger alert for new device if trust is low
+        await alertRulesEngine.evaluateRules(alertContext);
+
+        const stepUp = await startStepUp(
+          user,
+          deviceId,
+          ipAddress,
+          appRequired ? "new_device_totp_required" : "new_device_low_trust",
+          factor,
+          {
+            appOnly: appRequired,
+            pendingLogin: { trustScore, location: geoCheck.currentLocation }
+          }
+        );
 
         return res.status(200).json({
-          message: "New device detected. OTP sent to email.",
+          message: `New device detected. ${stepUp.prompt}`,
           otpRequired: true,
+          loginChallengeId: stepUp.loginChallengeId,
+          factor: stepUp.factor,
+          availableFactors: stepUp.availableFactors,
           trustScore: trustScore.score,
           trustLevel: trustScore.level
         });
@@ -164,74 +354,67 @@ exports.login = async (req, res) => {
       });
     }
 
-    // Evaluate all alert rules
-    await alertRulesEngine.evaluateRules(alertContext);
+    // 6b. Household check - is this device part of the account's home?
+    const household = await householdDetector.classifyLogin(user, deviceId, ipAddress);
+    alertContext.householdStatus = household.classification;
+    alertContext.homeActiveNow = household.homeActiveNow;
 
-    // 7. Update device last login
-    device.lastLogin = new Date();
-    await device.save();
+    if (household.requiresAction) {
+      console.warn(`🏠 Persistent out-of-household device for ${email}: ${deviceId.substring(0, 8)}`);
 
-    // 8. Track device usage
-    await deviceTrustScorer.incrementLoginCount(deviceId);
-    await deviceTrustScorer.trackDeviceUser(deviceId, user._id);
-    await storeLocationHistory(user._id, ipAddress, deviceId);
+      await alertRulesEngine.evaluateRules(alertContext);
 
-    // 9. Check active sessions and enforce limits
-    const activeSessions = await sessionHelpers.getUserSessions(user._id);
-    const maxSessions = getMaxSessions(user.plan);
+      await householdDetector.markPendingVerification(user._id, deviceId);
+      const stepUp = await startStepUp(user, deviceId, ipAddress, "out_of_household", factor, {
+        pendingLogin: {
+          trustScore,
+          location: geoCheck.currentLocation,
+          household: household.classification
+        }
+      });
 
-    if (activeSessions.length >= maxSessions) {
-      // Force logout oldest session
-      const oldestSession = activeSessions[0];
-      console.log(`🚨 Force logging out session: ${oldestSession.deviceId}`);
-      
-      await sessionHelpers.deleteSession(user._id, oldestSession.deviceId);
-      
-      // Also mark MongoDB session as inactive (for backward compatibility)
-      await Session.updateOne(
-        { userId: user._id, deviceId: oldestSession.deviceId },
-        { isActive: false }
-      );
-    }
-
-    // 10. Create JWT token
-    const token = jwt.sign(
-      { userId: user._id, deviceId, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: "24h" }
-    );
+      return res.status(200).json({
+        message: `This device doesn't appear to be part of your household. ${stepUp.prompt}`,
+        otpRequired: true,
+        loginChallengeId: stepUp.loginChallengeId,
+        factor: stepUp.factor,
+        availableFactors: stepUp.availableFactors,
+        householdVerificationRequired: true,
+        household: {
+          classification: household.classification,
+          awayDays: household.awayDays,
+          extraMemberSlotsAvailable: Math.max(
+            0,
+            (user.extraMemberSlots || 0) - (user.extraMembers || []).length
+          )
+        }
+      });
+    }
 
-    // 11. Create session in Redis
-    await sessionHelpers.createSession(user._id, deviceId, token, {
+    // Evaluate all alert rules
+    await alertRulesEngine.evaluateRules(alertContext);
+
+    // 7-10. Track device, enforce session limits, issue tokens
+    const session = await completeLogin(user, deviceId, {
       ipAddress,
       userAgent: req.headers["user-agent"],
-      trustScore: trustScore.score,
-      location: geoCheck.currentLocation
+      trustScore,
+      location: geoCheck.currentLocation,
+      household: household.classification,
+      timezone: components.timezone
     });
 
-    // 12. Also store in MongoDB (for analytics/backup)
-    await Session.create({
-      userId: user._id,
-      deviceId,
-      token
-    });
+    if (session.limitReached) {
+      return res.status(409).json(buildDeviceLimitResponse(user, session));
+    }
 
-    res.json({
-      token,
-      message: "Login successful",
+    res.json(buildLoginResponse({
+      session,
       deviceId,
-      trustScore: {
-        score: trustScore.score,
-        level: trustScore.level
-      },
-      activeSessions: activeSessions.length + 1,
-      maxSessions,
-      metadata: {
-        browser: metadata.browserInfo,
-        os: metadata.osInfo,
-        device: metadata.deviceInfo
-      }
-    });
+      trustScore,
+      household: household.classification,
+      metadata
+    }));
 
   } catch (err) {
     console.error("Login error:", err);
@@ -239,50 +422,149 @@ exports.login = async (req, res) => {
   }
 };
 
-// VERIFY OTP
+// VERIFY OTP (finishes the pending login)
 exports.verifyOtp = async (req, res) => {
-  const { email, otp, fingerprint } = req.body;
+  const { loginChallengeId, otp, factor = "email", fingerprint } = req.body;
 
   try {
-    const user = await User.findOne({ email });
+    const challenge = await getLoginChallenge(loginChallengeId);
+    if (!challenge) {
+      return res.status(400).json({
+        message: "Login challenge expired or not found. Please login again."
+      });
+    }
+
+    // The challenge only completes from the device and network that started it
+    const { deviceId, components, metadata } = generateEnhancedFingerprint(req, fingerprint);
+    const ipAddress = getClientIp(req);
+    if (deviceId !== challenge.deviceId || ipAddress !== challenge.ipAddress) {
+      return res.status(400).json({
+        message: "This login challenge belongs to a different device. Please login again."
+      });
+    }
+
+    const user = await User.findById(challenge.userId);
     if (!user) {
       return res.status(400).json({ message: "User not found" });
     }
 
-    // Validate OTP
-    if (user.otp !== otp || user.otpExpiry < Date.now()) {
+    if (await checkUserBlocked(user._id)) {
+      return res.status(403).json({
+        error: "Account suspended",
+        message: "Your account has been temporarily suspended due to suspicious activity."
+      });
+    }
+
+    // e.g. accounts requiring the authenticator app can't approve new devices by email
+    if (!challenge.availableFactors.includes(factor)) {
+      return res.status(400).json({
+        message: "This factor can't be used for this login",
+        availableFactors: challenge.availableFactors
+      });
+    }
+
+    // Validate OTP / authenticator code / backup code
+    const result = factor === "email"
+      ? await verifyOTP({
+        purpose: OTP_PURPOSES.LOGIN,
+        subjectId: user._id.toString(),
+        deviceId,
+        ipAddress,
+        code: otp
+      })
+      : { status: (await verifyAppFactor(user, factor, otp)) ? "valid" : "invalid" };
+
+    if (result.status !== "valid") {
       // Record failed attempt
-      const { deviceId } = generateEnhancedFingerprint(req, fingerprint);
       await deviceTrustScorer.recordFailedAttempt(deviceId);
+      const attemptsRemaining = await recordChallengeFailure(loginChallengeId);
+
+      await recordAudit({
+        action: "otp.failed",
+        actor: userActor(user),
+        target: { userId: user._id, deviceId },
+        details: { factor, status: result.status },
+        ipAddress
+      });
+
+      if (result.status === "locked" || attemptsRemaining === 0) {
+        return res.status(400).json({
+          message: "Too many incorrect attempts. Please login again to get a new code."
+        });
+      }
       
-      return res.status(400).json({ message: "Invalid or expired OTP" });
+      return res.status(400).json({
+        message: "Invalid or expired OTP",
+        attemptsRemaining
+      });
     }
 
-    // Generate device fingerprint
-    const { deviceId, components } = generateEnhancedFingerprint(req, fingerprint);
-    const ipAddress = req.headers["x-forwarded-for"] || req.socket.remoteAddress;
+    if (!(await consumeLoginChallenge(loginChallengeId))) {
+      return res.status(400).json({
+        message: "Login challenge expired or not found. Please login again."
+      });
+    }
 
-    // Create trusted device
-    await Device.create({
-      userId: user._id,
-      deviceId,
-      userAgent: req.headers["user-agent"],
-      ipAddress,
-      trusted: true
+    // Create trusted device (or re-approve a known one)
+    await Device.findOneAndUpdate(
+      { userId: user._id, deviceId },
+      {
+        userAgent: req.headers["user-agent"],
+        ipAddress,
+        trusted: true
+      },
+      { upsert: true }
+    );
+
+    // Persist a consumed backup code
+    if (factor === "backup_code") {
+      await user.save();
+    }
+
+    // The verified factor also settles the household check: an
+    // out-of-household device gets a temporary travel pass
+    let household = challenge.household;
+    if (!household) {
+      const classification = await householdDetector.classifyLogin(user, deviceId, ipAddress);
+      household = classification.classification;
+      if (classification.requiresAction) {
+        await householdDetector.markPendingVerification(user._id, deviceId);
+      }
+    }
+    await householdDetector.completeVerification(user._id, deviceId);
+
+    await recordAudit({
+      action: "otp.verified",
+      actor: userActor(user),
+      target: { userId: user._id, deviceId },
+      details: { factor, reason: challenge.reason },
+      ipAddress
     });
 
-    // Clear OTP
-    user.otp = null;
-    user.otpExpiry = null;
-    await user.save();
+    // Impossible-travel challenges are raised before the trust score is computed
+    const trustScore = challenge.trustScore ||
+      await deviceTrustScorer.calculateTrustScore(user._id, deviceId, ipAddress);
 
-    // Track device
-    await deviceTrustScorer.incrementLoginCount(deviceId);
-    await deviceTrustScorer.trackDeviceUser(deviceId, user._id);
+    // Same finish as a direct login: session limits, tokens, session
+    const session = await completeLogin(user, deviceId, {
+      ipAddress,
+      userAgent: req.headers["user-agent"],
+      trustScore,
+      location: challenge.location,
+      household,
+      method: `${challenge.method || "password"}+${factor}`,
+      timezone: components.timezone
+    });
 
-    res.json({ 
-      message: "OTP verified. Device approved. Please login again.",
-      deviceId 
+    if (session.limitReached) {
+      return res.status(409).json(buildDeviceLimitResponse(user, session));
+    }
+
+    res.json({
+      ...buildLoginResponse({ session, deviceId, trustScore, household, metadata }),
+      backupCodesRemaining: factor === "backup_code"
+        ? user.backupCodes.filter(c => !c.usedAt).length
+        : undefined
     });
 
   } catch (err) {
@@ -291,20 +573,323 @@ exports.verifyOtp = async (req, res) => {
   }
 };
 
-// LOGOUT
-exports.logout = async (req, res) => {
+// RESOLVE DEVICE LIMIT (sign out a chosen device, or cancel the login)
+exports.resolveDeviceLimit = async (req, res) => {
+  const { loginChallengeId, action, deviceId: evictDeviceId, fingerprint } = req.body;
+
   try {
-    const { userId, deviceId } = req.user;
+    if (!["sign_out", "cancel"].includes(action)) {
+      return res.status(400).json({ error: "Action must be sign_out or cancel" });
+    }
+
+    const challenge = await getLoginChallenge(loginChallengeId);
+    if (!challenge || challenge.reason !== "device_limit") {
+      return res.status(400).json({
+        error: "Login challenge expired or not found",
+        message: "Please login again."
+      });
+    }
 
-    // Delete session from Redis
-    await sessionHelpers.deleteSession(userId, deviceId);
+    const { deviceId, components, metadata } = generateEnhancedFingerprint(req, fingerprint);
+    const ipAddress = getClientIp(req);
+    if (deviceId !== challenge.deviceId || ipAddress !== challenge.ipAddress) {
+      return res.status(400).json({
+        error: "This login challenge belongs to a different device",
+        message: "Please login again."
+      });
+    }
 
-    // Mark MongoDB session as inactive
+    const user = await User.findById(challenge.userId);
+    if (!user) {
+      return res.status(400).json({ error: "User not found" });
+    }
+
+    if (action === "cancel") {
+      await consumeLoginChallenge(loginChallengeId);
+      await recordAudit({
+        action: "auth.login_cancelled",
+        actor: userActor(user),
+        target: { userId: user._id, deviceId },
+        details: { reason: "device_limit" },
+        ipAddress
+      });
+      return res.json({ message: "Login cancelled. No devices were signed out." });
+    }
+
+    const otherSessions = await describeOtherSessions(user, deviceId);
+    if (!otherSessions.some(session => session.deviceId === evictDeviceId)) {
+      return res.status(400).json({
+        error: "Choose one of the active sessions to sign out",
+        activeSessions: otherSessions
+      });
+    }
+
+    if (!(await consumeLoginChallenge(loginChallengeId))) {
+      return res.status(400).json({
+        error: "Login challenge expired or not found",
+        message: "Please login again."
+      });
+    }
+
+    const session = await completeLogin(user, deviceId, {
+      ipAddress,
+      userAgent: challenge.userAgent,
+      trustScore: challenge.trustScore,
+      location: challenge.location,
+      household: challenge.household,
+      method: challenge.method,
+      timezone: components.timezone,
+      evictDeviceId
+    });
+
+    res.json({
+      ...buildLoginResponse({
+        session,
+        deviceId,
+        trustScore: challenge.trustScore,
+        household: challenge.household,
+        metadata
+      }),
+      evictedDevices: session.evicted
+    });
+
+  } catch (err) {
+    console.error("Resolve device limit error:", err);
+    res.status(500).json({ error: "Login failed" });
+  }
+};
+
+// REFRESH ACCESS TOKEN (rotating refresh tokens)
+exports.refresh = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const claim = await consumeRefreshToken(refreshToken);
+
+    if (claim.status === "invalid") {
+      return res.status(401).json({
+        error: "Invalid refresh token",
+        message: "Please login again."
+      });
+    }
+
+    const { userId, deviceId } = claim;
+    const ipAddress = getClientIp(req);
+
+    if (claim.status === "reused") {
+      // An already-rotated token came back: assume it was stolen. Only the
+      // session it was rotated out of is revoked - a token from an older,
+      // already-replaced login must not be able to sign the device out.
+      console.warn(`🔁 Refresh token reuse detected for user ${userId} on device ${deviceId.substring(0, 8)}`);
+
+      const current = await sessionHelpers.getSession(userId, deviceId);
+      const sameLineage = current && claim.sessionId && current.sessionId === claim.sessionId;
+
+      if (sameLineage) {
+        await endSession(userId, deviceId, SESSION_REVOKE_REASONS.TOKEN_REUSE);
+
+        await recordAudit({
+          action: "session.revoked",
+          actor: systemActor(),
+          target: { userId, deviceId },
+          details: { reason: "refresh_token_reuse" },
+          ipAddress
+        });
+      }
+
+      const user = await User.findById(userId);
+      await alertRulesEngine.evaluateRules({
+        userId,
+        email: user?.email,
+        deviceId,
+        ipAddress,
+        refreshTokenReused: true,
+        ...(await ipIntelligence.getAlertContext(ipAddress))
+      });
+
+      return res.status(401).json(sameLineage
+        ? {
+          error: "Session revoked",
+          message: "This session was signed out for your security. Please login again."
+        }
+        : {
+          error: "Invalid refresh token",
+          message: "Please login again."
+        });
+    }
+
+    // Token must still belong to the live session for that device
+    const session = await sessionHelpers.getSession(userId, deviceId);
+    if (!session || session.refreshTokenHash !== claim.refreshTokenHash) {
+      return res.status(401).json({
+        error: "Session expired or logged out",
+        message: "Your session is no longer active. Please login again."
+      });
+    }
+
+    const isBlocked = await checkUserBlocked(userId);
+    if (isBlocked) {
+      return res.status(403).json({
+        error: "Account suspended",
+        message: "Your account has been temporarily suspended due to suspicious activity."
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    const token = signAccessToken(user, deviceId);
+    const rotated = await issueRefreshToken(user._id, deviceId, session.sessionId);
+
+    await sessionHelpers.rotateTokens(userId, deviceId, token, rotated.refreshTokenHash);
     await Session.updateOne(
       { userId, deviceId, isActive: true },
-      { isActive: false }
+      { token }
     );
 
+    res.json({
+      token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
+
+  } catch (err) {
+    console.error("Token refresh error:", err);
+    res.status(500).json({ error: "Token refresh failed" });
+  }
+};
+
+// FORGOT PASSWORD
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    if (!email) {
+      return res.status(400).json({ error: "Email required" });
+    }
+
+    // Same response whether or not the account exists
+    const user = await User.findOne({ email });
+    if (user) {
+      await startPasswordReset(user, {
+        reason: "forgot_password",
+        ipAddress: getClientIp(req)
+      });
+    }
+
+    res.json({ message: "If an account exists for this email, a reset link has been sent." });
+
+  } catch (err) {
+    console.error("Forgot password error:", err);
+    res.status(500).json({ error: "Failed to start password reset" });
+  }
+};
+
+// RESET PASSWORD (with emailed token)
+exports.resetPassword = async (req, res) => {
+  const { token, newPassword, revokeOtherSessions = true, fingerprint } = req.body;
+
+  try {
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const userId = await consumeResetToken(token);
+    if (!userId) {
+      return res.status(400).json({
+        error: "Invalid or expired reset token",
+        message: "Request a new password reset link."
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // The resetting browser has no session, so "other sessions" means all of them
+    const { deviceId } = generateEnhancedFingerprint(req, fingerprint);
+    const { revoked } = await applyPasswordChange(user, newPassword, {
+      method: "reset",
+      deviceId,
+      ipAddress: getClientIp(req),
+      revokeOtherSessions: revokeOtherSessions !== false,
+      actor: userActor(user)
+    });
+
+    res.json({
+      message: "Password updated. Please login again.",
+      revokedSessions: revoked.length
+    });
+
+  } catch (err) {
+    console.error("Reset password error:", err);
+    res.status(500).json({ error: "Password reset failed" });
+  }
+};
+
+// CHANGE PASSWORD (signed in)
+exports.changePassword = async (req, res) => {
+  const { currentPassword, newPassword, revokeOtherSessions = true } = req.body;
+
+  try {
+    const { userId, deviceId } = req.user;
+    const ipAddress = getClientIp(req);
+
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword || "", user.password);
+    if (!isMatch) {
+      await recordAudit({
+        action: "password.change_failed",
+        actor: userActor(req.user),
+        target: { userId, deviceId },
+        details: { reason: "wrong_password" },
+        ipAddress
+      });
+      return res.status(400).json({ error: "Current password is incorrect" });
+    }
+
+    const { revoked } = await applyPasswordChange(user, newPassword, {
+      method: "changed",
+      deviceId,
+      ipAddress,
+      revokeOtherSessions: revokeOtherSessions !== false,
+      actor: userActor(req.user)
+    });
+
+    res.json({
+      message: "Password changed successfully",
+      revokedSessions: revoked.length
+    });
+
+  } catch (err) {
+    console.error("Change password error:", err);
+    res.status(500).json({ error: "Password change failed" });
+  }
+};
+
+// LOGOUT
+exports.logout = async (req, res) => {
+  try {
+    const { userId, deviceId } = req.user;
+
+    // Delete session from Redis and mark MongoDB session as inactive
+    await endSession(userId, deviceId, SESSION_REVOKE_REASONS.LOGOUT);
+
     res.json({ message: "Logged out successfully" });
   } catch (err) {
     console.error("Logout error:", err);
@@ -373,11 +958,7 @@ exports.terminateSession = async (req, res) => {
       });
     }
 
-    await sessionHelpers.deleteSession(userId, deviceId);
-    await Session.updateOne(
-      { userId, deviceId },
-      { isActive: false }
-    );
+    await endSession(userId, deviceId, SESSION_REVOKE_REASONS.USER_TERMINATED);
 
     res.json({ 
       message: "Session terminated successfully",
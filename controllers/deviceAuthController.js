@@ -0,0 +1,370 @@
+const crypto = require("crypto");
+const geoip = require("geoip-lite");
+const User = require("../models/User");
+const Device = require("../models/Device");
+const { redis } = require("../config/redis");
+const deviceTrustScorer = require("../utils/deviceTrustScoring");
+const { generateEnhancedFingerprint } = require("../utils/enhancedFingerprint");
+const { storeLocationHistory } = require("../utils/geoDetection");
+const loginTimeProfile = require("../utils/loginTimeProfile");
+const { hashToken } = require("../utils/tokenService");
+const {
+  SESSION_LIMIT_POLICY,
+  getMaxSessions,
+  getSessionLimitPolicy,
+  getUpgradeOptions,
+  describeOtherSessions,
+  enforceSessionLimit,
+  startSession
+} = require("../utils/sessionManager");
+const { recordAudit, userActor } = require("../utils/auditLog");
+const { getClientIp } = require("../utils/clientIp");
+
+const DEVICE_CODE_TTL = 600; // 10 minutes to approve
+const POLL_INTERVAL = 5; // seconds between token polls
+const MIN_APPROVAL_TRUST = 40; // below this the TV cannot be paired
+const USER_CODE_ALPHABET = "BCDFGHJKLMNPQRSTVWXZ"; // no vowels, no look-alikes
+
+// Generate a short, typeable code like "BCDF-GHJK"
+const generateUserCode = () => {
+  let code = "";
+  for (let i = 0; i < 8; i++) {
+    code += USER_CODE_ALPHABET[crypto.randomInt(USER_CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+};
+
+const normalizeUserCode = (userCode = "") => {
+  const clean = userCode.toUpperCase().replace(/[^A-Z]/g, "");
+  return clean.length === 8 ? `${clean.slice(0, 4)}-${clean.slice(4)}` : null;
+};
+
+const getPendingByUserCode = async (userCode) => {
+  const normalized = normalizeUserCode(userCode);
+  if (!normalized) return null;
+
+  const deviceCodeHash = await redis.get(`device_auth:user_code:${normalized}`);
+  if (!deviceCodeHash) return null;
+
+  const data = await redis.get(`device_auth:${deviceCodeHash}`);
+  return data ? { deviceCodeHash, request: JSON.parse(data) } : null;
+};
+
+// Move a request to its next state only if nobody else changed it since it
+// was read as `raw` (null deletes it). Returns the stored JSON, or null when
+// another poll or approver got there first.
+const swapRequest = async (deviceCodeHash, raw, next) => {
+  const json = next ? JSON.stringify(next) : "";
+  const swapped = await redis.compareAndSwap(`device_auth:${deviceCodeHash}`, raw, json);
+  return swapped === 1 ? json || raw : null;
+};
+
+// Apply `update` to a request that is still pending, retrying when a poll
+// wrote in between. Returns { deviceCodeHash, json, request } (the pending
+// request it was applied to), or null once it is gone or no longer pending.
+const updatePending = async (deviceCodeHash, update) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const raw = await redis.get(`device_auth:${deviceCodeHash}`);
+    const request = raw ? JSON.parse(raw) : null;
+    if (!request || request.status !== "pending") return null;
+
+    const json = await swapRequest(deviceCodeHash, raw, update(request));
+    if (json) return { deviceCodeHash, json, request };
+  }
+  return null;
+};
+
+// REQUEST DEVICE CODE (called by the TV)
+exports.requestDeviceCode = async (req, res) => {
+  const { deviceName, fingerprint } = req.body;
+
+  try {
+    // TVs can't provide canvas/WebGL, so the ID leans on UA, headers and model data
+    const { deviceId, components, metadata } = generateEnhancedFingerprint(req, fingerprint);
+    const ipAddress = getClientIp(req);
+
+    const deviceCode = crypto.randomBytes(32).toString("hex");
+    const deviceCodeHash = hashToken(deviceCode);
+    const userCode = generateUserCode();
+
+    const request = {
+      status: "pending",
+      userCode,
+      deviceId,
+      deviceName: deviceName || metadata.deviceInfo,
+      userAgent: req.headers["user-agent"],
+      ipAddress,
+      timezone: components.timezone,
+      createdAt: Date.now(),
+      lastPoll: 0
+    };
+
+    await redis.setex(`device_auth:${deviceCodeHash}`, DEVICE_CODE_TTL, JSON.stringify(request));
+    await redis.setex(`device_auth:user_code:${userCode}`, DEVICE_CODE_TTL, deviceCodeHash);
+
+    res.json({
+      deviceCode,
+      userCode,
+      verificationUri: `${process.env.APP_URL || "http://localhost:5000"}/activate`,
+      expiresIn: DEVICE_CODE_TTL,
+      interval: POLL_INTERVAL
+    });
+
+  } catch (err) {
+    console.error("Device code error:", err);
+    res.status(500).json({ error: "Failed to create device code" });
+  }
+};
+
+// POLL FOR TOKEN (called by the TV)
+exports.pollDeviceToken = async (req, res) => {
+  const { deviceCode } = req.body;
+
+  try {
+    if (!deviceCode) {
+      return res.status(400).json({ error: "invalid_request", message: "Device code required" });
+    }
+
+    const deviceCodeHash = hashToken(deviceCode);
+    const data = await redis.get(`device_auth:${deviceCodeHash}`);
+    if (!data) {
+      return res.status(400).json({
+        error: "expired_token",
+        message: "The device code has expired. Request a new code."
+      });
+    }
+
+    const request = JSON.parse(data);
+
+    if (request.status === "denied") {
+      await redis.del(`device_auth:${deviceCodeHash}`);
+      return res.status(400).json({ error: "access_denied", message: request.reason });
+    }
+
+    if (request.status !== "approved") {
+      const tooFast = Date.now() - request.lastPoll < POLL_INTERVAL * 1000;
+      // Only a still-pending request records the poll; a write that lost to
+      // an approval in flight is simply dropped
+      if (request.status === "pending") {
+        await swapRequest(deviceCodeHash, data, { ...request, lastPoll: Date.now() });
+      }
+
+      return res.status(400).json({
+        error: tooFast ? "slow_down" : "authorization_pending",
+        interval: POLL_INTERVAL
+      });
+    }
+
+    // Approved - hand the tokens over exactly once
+    if (!(await swapRequest(deviceCodeHash, data, null))) {
+      return res.status(400).json({
+        error: "expired_token",
+        message: "The device code has already been used. Request a new code."
+      });
+    }
+
+    res.json({
+      token: request.tokens.token,
+      refreshToken: request.tokens.refreshToken,
+      expiresIn: request.tokens.expiresIn,
+      deviceId: request.deviceId
+    });
+
+  } catch (err) {
+    console.error("Device token poll error:", err);
+    res.status(500).json({ error: "Failed to poll device token" });
+  }
+};
+
+// LOOK UP PENDING DEVICE (called by the phone before approving)
+exports.lookupDeviceCode = async (req, res) => {
+  try {
+    const pending = await getPendingByUserCode(req.query.userCode);
+    if (!pending || pending.request.status !== "pending") {
+      return res.status(404).json({ error: "Code not found or expired" });
+    }
+
+    const { request } = pending;
+    const geo = geoip.lookup(request.ipAddress);
+
+    res.json({
+      userCode: request.userCode,
+      deviceName: request.deviceName,
+      userAgent: request.userAgent,
+      location: geo ? { country: geo.country, city: geo.city } : null,
+      requestedAt: new Date(request.createdAt)
+    });
+
+  } catch (err) {
+    console.error("Device code lookup error:", err);
+    res.status(500).json({ error: "Failed to look up device code" });
+  }
+};
+
+// APPROVE DEVICE (called by the logged-in phone)
+exports.approveDevice = async (req, res) => {
+  const { userCode, evictDeviceId } = req.body;
+  let claimed = null;
+
+  try {
+    const { userId } = req.user;
+
+    const pending = await getPendingByUserCode(userCode);
+    if (!pending || pending.request.status !== "pending") {
+      return res.status(404).json({ error: "Code not found or expired" });
+    }
+
+    const { deviceCodeHash, request } = pending;
+    const { deviceId, ipAddress } = request;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Same trust scoring a password login goes through
+    const trustScore = await deviceTrustScorer.calculateTrustScore(user._id, deviceId, ipAddress);
+
+    if (trustScore.score < MIN_APPROVAL_TRUST) {
+      const denied = await updatePending(deviceCodeHash, current => ({
+        ...current,
+        status: "denied",
+        reason: "Device trust score too low to pair"
+      }));
+      if (!denied) {
+        return res.status(404).json({ error: "Code not found or expired" });
+      }
+      await redis.del(`device_auth:user_code:${request.userCode}`);
+
+      return res.status(403).json({
+        error: "Device trust too low",
+        message: "This device could not be paired. Sign in with your password on the device instead.",
+        trustScore: trustScore.score,
+        trustLevel: trustScore.level
+      });
+    }
+
+    // At the device cap the approving user picks which session the TV replaces
+    const otherSessions = await describeOtherSessions(user, deviceId);
+    const maxSessions = getMaxSessions(user.plan);
+    if (evictDeviceId && !otherSessions.some(session => session.deviceId === evictDeviceId)) {
+      return res.status(400).json({ error: "Choose one of the active sessions to sign out" });
+    }
+    if (
+      !evictDeviceId &&
+      otherSessions.length >= maxSessions &&
+      getSessionLimitPolicy(user.plan) === SESSION_LIMIT_POLICY.ASK_USER
+    ) {
+      return res.status(409).json({
+        error: "Device limit reached",
+        message: `Your ${user.plan} plan allows ${maxSessions} device(s) at a time. ` +
+          "Approve again with the device to sign out, or upgrade your plan.",
+        deviceLimitReached: true,
+        activeSessions: otherSessions,
+        maxSessions,
+        upgradeOptions: getUpgradeOptions(user.plan)
+      });
+    }
+
+    // Claim the request so a second approver (or a poll) can't act on it
+    claimed = await updatePending(deviceCodeHash, current => ({
+      ...current,
+      status: "approving",
+      userId: user._id.toString()
+    }));
+    if (!claimed) {
+      return res.status(404).json({ error: "Code not found or expired" });
+    }
+
+    // Register the TV as a trusted device
+    await Device.findOneAndUpdate(
+      { userId: user._id, deviceId },
+      {
+        userAgent: request.userAgent,
+        ipAddress,
+        trusted: true,
+        lastLogin: new Date()
+      },
+      { upsert: true }
+    );
+
+    await deviceTrustScorer.incrementLoginCount(deviceId);
+    await deviceTrustScorer.trackDeviceUser(deviceId, user._id);
+    await storeLocationHistory(user._id, ipAddress, deviceId);
+    await loginTimeProfile.recordLogin(user._id, request.timezone);
+
+    // Plan session limits apply before the TV gets its session
+    const { activeSessions, evicted } = await enforceSessionLimit(user, deviceId, { evictDeviceId });
+
+    const tokens = await startSession(user, deviceId, {
+      ipAddress,
+      userAgent: request.userAgent,
+      trustScore: trustScore.score,
+      pairedBy: req.user.deviceId
+    });
+
+    await recordAudit({
+      action: "device.paired",
+      actor: userActor(req.user),
+      target: { userId: user._id, deviceId },
+      details: { deviceName: request.deviceName, approvedFrom: req.user.deviceId },
+      ipAddress
+    });
+
+    // Only this approver can move its claim on, so the swap can't lose
+    await swapRequest(deviceCodeHash, claimed.json, { ...JSON.parse(claimed.json), status: "approved", tokens });
+    claimed = null;
+    await redis.del(`device_auth:user_code:${request.userCode}`);
+
+    res.json({
+      message: "Device approved",
+      deviceName: request.deviceName,
+      trustScore: {
+        score: trustScore.score,
+        level: trustScore.level
+      },
+      activeSessions: activeSessions + 1,
+      maxSessions,
+      evictedDevices: evicted
+    });
+
+  } catch (err) {
+    // Give the request back so the user can approve again
+    if (claimed) {
+      await swapRequest(claimed.deviceCodeHash, claimed.json, claimed.request).catch(() => {});
+    }
+    console.error("Device approval error:", err);
+    res.status(500).json({ error: "Failed to approve device" });
+  }
+};
+
+// DENY DEVICE (called by the logged-in phone)
+exports.denyDevice = async (req, res) => {
+  const { userCode } = req.body;
+
+  try {
+    const pending = await getPendingByUserCode(userCode);
+    if (!pending || pending.request.status !== "pending") {
+      return res.status(404).json({ error: "Code not found or expired" });
+    }
+
+    const { deviceCodeHash, request } = pending;
+    const denied = await updatePending(deviceCodeHash, current => ({
+      ...current,
+      status: "denied",
+      reason: "The request was denied by the account owner"
+    }));
+    if (!denied) {
+      return res.status(404).json({ error: "Code not found or expired" });
+    }
+    await redis.del(`device_auth:user_code:${request.userCode}`);
+
+    res.json({ message: "Device request denied" });
+
+  } catch (err) {
+    console.error("Device deny error:", err);
+    res.status(500).json({ error: "Failed to deny device" });
+  }
+};
+
+module.exports = exports;
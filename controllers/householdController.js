@@ -0,0 +1,114 @@
+const User = require("../models/User");
+const Device = require("../models/Device");
+const householdDetector = require("../utils/householdDetection");
+
+// GET HOUSEHOLD STATUS
+exports.getHousehold = async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const household = await householdDetector.getHousehold(userId);
+
+    res.json({
+      established: household.established,
+      location: household.location || null,
+      householdDevices: household.devices || [],
+      confidence: household.confidence || 0,
+      extraMemberSlots: user.extraMemberSlots,
+      extraMembers: user.extraMembers.map(m => ({
+        deviceId: m.deviceId,
+        name: m.name,
+        addedAt: m.addedAt
+      }))
+    });
+
+  } catch (err) {
+    console.error("Get household error:", err);
+    res.status(500).json({ error: "Failed to fetch household" });
+  }
+};
+
+// ASSIGN EXTRA MEMBER SLOT
+exports.addExtraMember = async (req, res) => {
+  const { deviceId, name } = req.body;
+
+  try {
+    const { userId } = req.user;
+
+    if (!deviceId) {
+      return res.status(400).json({ error: "Device ID required" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const device = await Device.findOne({ userId, deviceId });
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    if (user.extraMembers.some(m => m.deviceId === deviceId)) {
+      return res.status(400).json({ error: "Device already has an extra member slot" });
+    }
+
+    if (user.extraMembers.length >= user.extraMemberSlots) {
+      return res.status(402).json({
+        error: "No extra member slots available",
+        message: "Purchase an extra member slot to keep using this device outside your household.",
+        extraMemberSlots: user.extraMemberSlots
+      });
+    }
+
+    user.extraMembers.push({ deviceId, name });
+    await user.save();
+    await householdDetector.clearAwayHistory(userId, deviceId);
+
+    res.status(201).json({
+      message: "Extra member added",
+      deviceId,
+      slotsUsed: user.extraMembers.length,
+      extraMemberSlots: user.extraMemberSlots
+    });
+
+  } catch (err) {
+    console.error("Add extra member error:", err);
+    res.status(500).json({ error: "Failed to add extra member" });
+  }
+};
+
+// RELEASE EXTRA MEMBER SLOT
+exports.removeExtraMember = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { deviceId } = req.params;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const before = user.extraMembers.length;
+    user.extraMembers = user.extraMembers.filter(m => m.deviceId !== deviceId);
+
+    if (user.extraMembers.length === before) {
+      return res.status(404).json({ error: "Extra member not found" });
+    }
+
+    await user.save();
+
+    res.json({ message: "Extra member removed", deviceId });
+
+  } catch (err) {
+    console.error("Remove extra member error:", err);
+    res.status(500).json({ error: "Failed to remove extra member" });
+  }
+};
+
+module.exports = exports;
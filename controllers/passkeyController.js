@@ -0,0 +1,377 @@
+const User = require("../models/User");
+const Device = require("../models/Device");
+const Passkey = require("../models/Passkey");
+const { redis, sessionHelpers } = require("../config/redis");
+const { checkGeoImpossibility } = require("../utils/geoDetection");
+const deviceTrustScorer = require("../utils/deviceTrustScoring");
+const { generateEnhancedFingerprint } = require("../utils/enhancedFingerprint");
+const { checkUserBlocked } = require("../middleware/rateLimiter");
+const alertRulesEngine = require("../utils/alertRulesEngine");
+const ipIntelligence = require("../utils/ipIntelligence");
+const trustScoringConfig = require("../utils/trustScoringConfig");
+const loginTimeProfile = require("../utils/loginTimeProfile");
+const householdDetector = require("../utils/householdDetection");
+const { completeLogin, buildDeviceLimitResponse } = require("../utils/sessionManager");
+const { startStepUp } = require("../utils/loginChallenge");
+const { recordAudit, userActor, systemActor } = require("../utils/auditLog");
+const { getClientIp } = require("../utils/clientIp");
+const {
+  WebAuthnError,
+  generateRegistrationOptions,
+  generateAuthenticationOptions,
+  verifyRegistration,
+  beginAssertion,
+  verifyAssertion
+} = require("../utils/webauthn");
+
+const MAX_PASSKEY_NAME_LENGTH = 50;
+
+// REGISTRATION OPTIONS (signed in)
+exports.registrationOptions = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const existing = await Passkey.find({ userId: user._id }).select("credentialId");
+    const options = await generateRegistrationOptions(
+      user,
+      existing.map(p => p.credentialId)
+    );
+
+    res.json(options);
+
+  } catch (err) {
+    console.error("Passkey registration options error:", err);
+    res.status(500).json({ error: "Failed to start passkey registration" });
+  }
+};
+
+// REGISTER PASSKEY (signed in)
+exports.register = async (req, res) => {
+  const { credential, name } = req.body;
+
+  try {
+    const { userId, deviceId } = req.user;
+
+    let verified;
+    try {
+      verified = await verifyRegistration(credential, userId);
+    } catch (err) {
+      if (!(err instanceof WebAuthnError)) throw err;
+      return res.status(400).json({ error: "Passkey registration failed", message: err.message });
+    }
+
+    const passkey = await Passkey.create({
+      userId,
+      deviceId,
+      credentialId: verified.credentialId,
+      publicKey: verified.publicKey,
+      algorithm: verified.algorithm,
+      signCount: verified.signCount,
+      transports: Array.isArray(credential.response.transports) ? credential.response.transports : [],
+      backedUp: verified.backedUp,
+      name: typeof name === "string" ? name.trim().substring(0, MAX_PASSKEY_NAME_LENGTH) : undefined
+    });
+
+    await recordAudit({
+      action: "passkey.registered",
+      actor: userActor(req.user),
+      target: { userId, deviceId },
+      details: { credentialId: passkey.credentialId, algorithm: passkey.algorithm },
+      ipAddress: getClientIp(req)
+    });
+
+    res.status(201).json({
+      message: "Passkey registered",
+      credentialId: passkey.credentialId,
+      name: passkey.name
+    });
+
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ error: "Passkey already registered" });
+    }
+    console.error("Passkey registration error:", err);
+    res.status(500).json({ error: "Failed to register passkey" });
+  }
+};
+
+// LIST PASSKEYS (signed in)
+exports.listPasskeys = async (req, res) => {
+  try {
+    const passkeys = await Passkey.find({ userId: req.user.userId }).sort({ createdAt: -1 });
+
+    res.json({
+      passkeys: passkeys.map(p => ({
+        credentialId: p.credentialId,
+        name: p.name,
+        deviceId: p.deviceId,
+        backedUp: p.backedUp,
+        createdAt: p.createdAt,
+        lastUsedAt: p.lastUsedAt
+      }))
+    });
+
+  } catch (err) {
+    console.error("List passkeys error:", err);
+    res.status(500).json({ error: "Failed to fetch passkeys" });
+  }
+};
+
+// DELETE PASSKEY (signed in)
+exports.deletePasskey = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { credentialId } = req.params;
+
+    const result = await Passkey.deleteOne({ userId, credentialId });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: "Passkey not found" });
+    }
+
+    await recordAudit({
+      action: "passkey.deleted",
+      actor: userActor(req.user),
+      target: { userId, deviceId: req.user.deviceId },
+      details: { credentialId },
+      ipAddress: getClientIp(req)
+    });
+
+    res.json({ message: "Passkey deleted", credentialId });
+
+  } catch (err) {
+    console.error("Delete passkey error:", err);
+    res.status(500).json({ error: "Failed to delete passkey" });
+  }
+};
+
+// AUTHENTICATION OPTIONS
+exports.authenticationOptions = async (req, res) => {
+  const { email } = req.body;
+
+  try {
+    // With an email, list that account's credentials; without, the client
+    // uses a discoverable credential. Unknown emails get an empty list.
+    let allowCredentials = [];
+    if (email) {
+      const user = await User.findOne({ email });
+      if (user) {
+        allowCredentials = await Passkey.find({ userId: user._id }).select("credentialId transports");
+      }
+    }
+
+    res.json(await generateAuthenticationOptions(allowCredentials));
+
+  } catch (err) {
+    console.error("Passkey authentication options error:", err);
+    res.status(500).json({ error: "Failed to start passkey login" });
+  }
+};
+
+// LOGIN WITH PASSKEY
+exports.passkeyLogin = async (req, res) => {
+  const { credential, fingerprint, factor } = req.body;
+
+  try {
+    const ipAddress = getClientIp(req);
+
+    // 1. Verify the assertion against the stored credential
+    let passkey;
+    let assertion;
+    try {
+      const { credentialId } = await beginAssertion(credential);
+      passkey = await Passkey.findOne({ credentialId });
+      if (!passkey) throw new WebAuthnError("Unknown passkey");
+
+      assertion = verifyAssertion(credential, passkey);
+    } catch (err) {
+      if (!(err instanceof WebAuthnError)) throw err;
+
+      await recordAudit({
+        action: "auth.login_failed",
+        actor: passkey ? { type: "user", id: passkey.userId } : { type: "user" },
+        target: passkey ? { userId: passkey.userId } : {},
+        details: { method: "passkey", reason: err.message },
+        ipAddress
+      });
+      return res.status(400).json({ error: "Passkey verification failed" });
+    }
+
+    passkey.signCount = assertion.signCount;
+    passkey.lastUsedAt = new Date();
+    await passkey.save();
+
+    const user = await User.findById(passkey.userId);
+    if (!user) {
+      return res.status(400).json({ error: "Passkey verification failed" });
+    }
+
+    if (await checkUserBlocked(user._id)) {
+      return res.status(403).json({
+        error: "Account suspended",
+        message: "Your account has been temporarily suspended due to suspicious activity."
+      });
+    }
+
+    // 2. Device, location and trust - the passkey counts as strong evidence
+    const { deviceId, components, metadata } = generateEnhancedFingerprint(req, fingerprint);
+    const geoCheck = await checkGeoImpossibility(user._id, ipAddress);
+    const trustScore = await deviceTrustScorer.calculateTrustScore(
+      user._id,
+      deviceId,
+      ipAddress,
+      { passkeyVerified: true, timezone: components.timezone }
+    );
+
+    console.log(`🔑 Passkey login for ${user.email}: trust ${trustScore.score}/100 (${trustScore.level})`);
+
+    // A passkey replaces step-up, but not the plan's block threshold
+    if (trustScoringConfig.getDecision(trustScore.score, user.plan) === "block") {
+      await recordAudit({
+        action: "auth.login_blocked",
+        actor: systemActor(),
+        target: { userId: user._id, deviceId },
+        details: {
+          reason: "trust_below_block_threshold",
+          method: "passkey",
+          trustScore: trustScore.score,
+          configVersion: trustScore.configVersion
+        },
+        ipAddress
+      });
+
+      return res.status(403).json({
+        error: "Login blocked",
+        message: "This sign-in was blocked for your security. Try again from a device you usually use.",
+        trustScore: trustScore.score,
+        trustLevel: trustScore.level
+      });
+    }
+
+    const device = await Device.findOne({ userId: user._id, deviceId });
+    const household = await householdDetector.classifyLogin(user, deviceId, ipAddress);
+
+    const alertContext = {
+      userId: user._id,
+      email: user.email,
+      deviceId,
+      ipAddress,
+      geoCheck,
+      trustScore: trustScore.score,
+      location: geoCheck.currentLocation,
+      isNewDevice: !device,
+      deviceUserCount: await redis.scard(`device:${deviceId}:users`),
+      householdStatus: household.classification,
+      homeActiveNow: household.homeActiveNow,
+      authMethod: "passkey",
+      ...(await ipIntelligence.getAlertContext(ipAddress)),
+      ...(await loginTimeProfile.getAlertContext(user._id, components.timezone))
+    };
+
+    // 3. The passkey replaces the password, not the account's device checks:
+    // a reported device, the authenticator-app-on-new-devices setting and an
+    // out-of-household device step up exactly as in a password login
+    const appRequired = !device && Boolean(user.totp && user.totp.enabled && user.totp.requireOnNewDevice);
+    let stepUpReason = null;
+    if (device && !device.trusted) stepUpReason = "reported_device";
+    else if (appRequired) stepUpReason = "new_device_totp_required";
+    else if (household.requiresAction) stepUpReason = "out_of_household";
+
+    if (stepUpReason) {
+      await alertRulesEngine.evaluateRules(alertContext);
+
+      if (stepUpReason === "out_of_household") {
+        await householdDetector.markPendingVerification(user._id, deviceId);
+      }
+      const stepUp = await startStepUp(user, deviceId, ipAddress, stepUpReason, factor, {
+        appOnly: appRequired,
+        pendingLogin: {
+          trustScore,
+          location: geoCheck.currentLocation,
+          household: household.classification,
+          method: "passkey"
+        }
+      });
+
+      return res.status(200).json({
+        message: `This device needs to be verified. ${stepUp.prompt}`,
+        otpRequired: true,
+        loginChallengeId: stepUp.loginChallengeId,
+        factor: stepUp.factor,
+        availableFactors: stepUp.availableFactors,
+        reason: stepUpReason,
+        householdVerificationRequired: stepUpReason === "out_of_household",
+        trustScore: trustScore.score,
+        trustLevel: trustScore.level
+      });
+    }
+
+    // Otherwise the assertion replaces the email OTP step-up, so a new
+    // device is approved directly
+    if (!device) {
+      await Device.create({
+        userId: user._id,
+        deviceId,
+        userAgent: req.headers["user-agent"],
+        ipAddress,
+        trusted: true
+      });
+    }
+
+    // 4. Track device, enforce session limits, issue tokens
+    const session = await completeLogin(user, deviceId, {
+      ipAddress,
+      userAgent: req.headers["user-agent"],
+      trustScore,
+      location: geoCheck.currentLocation,
+      household: household.classification,
+      method: "passkey",
+      timezone: components.timezone
+    });
+
+    if (session.limitReached) {
+      await alertRulesEngine.evaluateRules(alertContext);
+      return res.status(409).json(buildDeviceLimitResponse(user, session));
+    }
+
+    // 5. Evaluate alert rules once the session exists, so a block_session
+    // action ends this session rather than finding nothing to end
+    await alertRulesEngine.evaluateRules(alertContext);
+
+    const current = await sessionHelpers.getSession(user._id, deviceId);
+    if (!current || current.sessionId !== session.sessionId) {
+      return res.status(403).json({
+        error: "Login blocked",
+        message: "This sign-in was blocked for your security."
+      });
+    }
+
+    res.json({
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      message: "Login successful",
+      deviceId,
+      trustScore: {
+        score: trustScore.score,
+        level: trustScore.level
+      },
+      activeSessions: session.activeSessions,
+      maxSessions: session.maxSessions,
+      household: household.classification,
+      metadata: {
+        browser: metadata.browserInfo,
+        os: metadata.osInfo,
+        device: metadata.deviceInfo
+      }
+    });
+
+  } catch (err) {
+    console.error("Passkey login error:", err);
+    res.status(500).json({ error: "Login failed" });
+  }
+};
+
+module.exports = exports;
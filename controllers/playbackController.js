@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const { playbackHelpers, STREAM_TTL_SECONDS } = require("../config/redis");
+
+const getMaxStreams = (plan) => {
+  if (plan === "BASIC") return 1;
+  if (plan === "STANDARD") return 2;
+  if (plan === "PREMIUM") return 4;
+  return 1;
+};
+
+// START PLAYBACK
+exports.startStream = async (req, res) => {
+  const { contentId } = req.body;
+
+  try {
+    const { userId, deviceId } = req.user;
+
+    if (!contentId) {
+      return res.status(400).json({ error: "Content ID required" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Replaces the device's current stream, if any
+    const maxStreams = getMaxStreams(user.plan);
+    const streamId = crypto.randomUUID();
+    const stream = await playbackHelpers.startStream(userId, deviceId, streamId, maxStreams, {
+      contentId
+    });
+
+    if (!stream) {
+      const activeStreams = await playbackHelpers.getActiveStreams(userId);
+      return res.status(409).json({
+        error: "Stream limit reached",
+        message: `Your ${user.plan} plan allows ${maxStreams} concurrent stream(s). Stop playback on another device to continue.`,
+        maxStreams,
+        activeStreams: activeStreams.map(s => ({
+          streamId: s.streamId,
+          deviceId: s.deviceId,
+          contentId: s.contentId,
+          startedAt: new Date(s.startedAt)
+        }))
+      });
+    }
+
+    const activeStreams = await playbackHelpers.getActiveStreams(userId);
+
+    res.status(201).json({
+      message: "Playback started",
+      streamId: stream.streamId,
+      heartbeatInterval: Math.floor(STREAM_TTL_SECONDS / 3),
+      activeStreams: activeStreams.length,
+      maxStreams
+    });
+
+  } catch (err) {
+    console.error("Start stream error:", err);
+    res.status(500).json({ error: "Failed to start playback" });
+  }
+};
+
+// PLAYBACK HEARTBEAT
+exports.heartbeat = async (req, res) => {
+  const { streamId, position } = req.body;
+
+  try {
+    const { userId, deviceId } = req.user;
+
+    if (!streamId) {
+      return res.status(400).json({ error: "Stream ID required" });
+    }
+
+    const stream = await playbackHelpers.getStream(userId, streamId);
+    if (!stream || stream.deviceId !== deviceId) {
+      return res.status(404).json({
+        error: "Stream not found",
+        message: "This stream has expired or was stopped. Start playback again."
+      });
+    }
+
+    const updated = await playbackHelpers.heartbeat(userId, streamId, position);
+    if (!updated) {
+      return res.status(404).json({ error: "Stream not found" });
+    }
+
+    res.json({
+      streamId,
+      lastHeartbeat: updated.lastHeartbeat,
+      expiresIn: STREAM_TTL_SECONDS
+    });
+
+  } catch (err) {
+    console.error("Stream heartbeat error:", err);
+    res.status(500).json({ error: "Heartbeat failed" });
+  }
+};
+
+// STOP PLAYBACK
+exports.stopStream = async (req, res) => {
+  const { streamId } = req.body;
+
+  try {
+    const { userId, deviceId } = req.user;
+
+    if (!streamId) {
+      return res.status(400).json({ error: "Stream ID required" });
+    }
+
+    const stream = await playbackHelpers.getStream(userId, streamId);
+    if (stream && stream.deviceId !== deviceId) {
+      return res.status(403).json({ error: "Stream belongs to another device" });
+    }
+
+    await playbackHelpers.stopStream(userId, streamId);
+
+    res.json({ message: "Playback stopped", streamId });
+
+  } catch (err) {
+    console.error("Stop stream error:", err);
+    res.status(500).json({ error: "Failed to stop playback" });
+  }
+};
+
+// GET ACTIVE STREAMS
+exports.getStreams = async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    const user = await User.findById(userId);
+    const streams = await playbackHelpers.getActiveStreams(userId);
+
+    res.json({
+      streams: streams.map(s => ({
+        streamId: s.streamId,
+        deviceId: s.deviceId,
+        contentId: s.contentId,
+        startedAt: new Date(s.startedAt),
+        lastHeartbeat: new Date(s.lastHeartbeat),
+        isCurrentDevice: s.deviceId === req.user.deviceId
+      })),
+      total: streams.length,
+      maxStreams: getMaxStreams(user?.plan)
+    });
+
+  } catch (err) {
+    console.error("Get streams error:", err);
+    res.status(500).json({ error: "Failed to fetch streams" });
+  }
+};
+
+module.exports = exports;
@@ -0,0 +1,248 @@
+const User = require("../models/User");
+const Device = require("../models/Device");
+const { redis, sessionHelpers, SESSION_REVOKE_REASONS } = require("../config/redis");
+const deviceTrustScorer = require("../utils/deviceTrustScoring");
+const alertRulesEngine = require("../utils/alertRulesEngine");
+const householdDetector = require("../utils/householdDetection");
+const { revokeAllSessions, endSession } = require("../utils/sessionManager");
+const { startPasswordReset } = require("../utils/passwordReset");
+const { recordAudit, userActor } = require("../utils/auditLog");
+const { getClientIp } = require("../utils/clientIp");
+const { getFriendlyName } = require("../utils/deviceName");
+const trustHistory = require("../utils/trustHistory");
+const { CursorError, parseLimit } = require("../utils/pagination");
+
+const MAX_DEVICE_NAME_LENGTH = 50;
+
+// LIST KNOWN DEVICES
+exports.getDevices = async (req, res) => {
+  try {
+    const { userId, deviceId: currentDeviceId } = req.user;
+
+    const [devices, sessions] = await Promise.all([
+      Device.find({ userId }).sort({ lastLogin: -1 }),
+      sessionHelpers.getUserSessions(userId)
+    ]);
+    const activeDeviceIds = new Set(sessions.map(s => s.deviceId));
+
+    res.json({
+      devices: devices.map(device => ({
+        deviceId: device.deviceId,
+        name: getFriendlyName(device),
+        customName: Boolean(device.name),
+        userAgent: device.userAgent,
+        lastIpAddress: device.ipAddress,
+        trusted: device.trusted,
+        signedIn: activeDeviceIds.has(device.deviceId),
+        isCurrent: device.deviceId === currentDeviceId,
+        firstSeen: device.createdAt,
+        lastLogin: device.lastLogin
+      })),
+      total: devices.length
+    });
+
+  } catch (err) {
+    console.error("Get devices error:", err);
+    res.status(500).json({ error: "Failed to fetch devices" });
+  }
+};
+
+// RENAME DEVICE
+exports.renameDevice = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { deviceId } = req.params;
+    const name = typeof req.body.name === "string" ? req.body.name.trim() : "";
+
+    if (!name || name.length > MAX_DEVICE_NAME_LENGTH) {
+      return res.status(400).json({
+        error: "Invalid name",
+        message: `Name must be 1-${MAX_DEVICE_NAME_LENGTH} characters`
+      });
+    }
+
+    const device = await Device.findOneAndUpdate(
+      { userId, deviceId },
+      { name },
+      { new: true }
+    );
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    res.json({ message: "Device renamed", deviceId, name: device.name });
+
+  } catch (err) {
+    console.error("Rename device error:", err);
+    res.status(500).json({ error: "Failed to rename device" });
+  }
+};
+
+// FORGET DEVICE
+exports.forgetDevice = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const { deviceId } = req.params;
+
+    if (deviceId === req.user.deviceId) {
+      return res.status(400).json({
+        error: "Cannot forget current device. Use logout instead."
+      });
+    }
+
+    const device = await Device.findOne({ userId, deviceId });
+    if (!device) {
+      return res.status(404).json({ error: "Device not found" });
+    }
+
+    // Sign it out and drop everything learned about it, so the next login
+    // from this device is treated as a brand new device
+    await endSession(userId, deviceId, SESSION_REVOKE_REASONS.DEVICE_FORGOTTEN);
+    await deviceTrustScorer.resetDeviceTrust(userId, deviceId);
+    await householdDetector.clearAwayHistory(userId, deviceId);
+    await User.updateOne({ _id: userId }, { $pull: { extraMembers: { deviceId } } });
+    await Device.deleteOne({ _id: device._id });
+
+    await recordAudit({
+      action: "device.forgotten",
+      actor: userActor(req.user),
+      target: { userId, deviceId },
+      details: { name: getFriendlyName(device) },
+      ipAddress: getClientIp(req)
+    });
+
+    res.json({ message: "Device forgotten", deviceId });
+
+  } catch (err) {
+    console.error("Forget device error:", err);
+    res.status(500).json({ error: "Failed to forget device" });
+  }
+};
+
+// LOGIN HISTORY
+exports.getLoginHistory = async (req, res) => {
+  try {
+    const { userId } = req.user;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const history = await redis.lrange(`user:${userId}:location_history`, 0, limit - 1);
+    const devices = await Device.find({ userId });
+    const deviceNames = new Map(devices.map(d => [d.deviceId, getFriendlyName(d)]));
+
+    const logins = history.map(entry => {
+      const login = JSON.parse(entry);
+      return {
+        deviceId: login.deviceId,
+        deviceName: deviceNames.get(login.deviceId) || "Removed device",
+        location: { city: login.city, country: login.country },
+        ipAddress: login.ip,
+        timestamp: new Date(login.timestamp),
+        isCurrentDevice: login.deviceId === req.user.deviceId
+      };
+    });
+
+    const alerts = await alertRulesEngine.getUserAlerts(userId.toString(), 10);
+
+    res.json({
+      logins,
+      securityEvents: alerts.map(alert => ({
+        rule: alert.ruleName,
+        severity: alert.severity,
+        deviceId: alert.context.deviceId,
+        timestamp: new Date(alert.timestamp)
+      }))
+    });
+
+  } catch (err) {
+    console.error("Get login history error:", err);
+    res.status(500).json({ error: "Failed to fetch login history" });
+  }
+};
+
+// TRUST HISTORY - "why was I asked for a code?"
+exports.getTrustHistory = async (req, res) => {
+  try {
+    const { userId } = req.user;
+
+    if (req.query.deviceId !== undefined && typeof req.query.deviceId !== "string") {
+      return res.status(400).json({ error: "deviceId must be given once" });
+    }
+
+    const { entries, nextCursor } = await trustHistory.getHistory(userId, {
+      deviceId: req.query.deviceId,
+      cursor: req.query.cursor,
+      limit: parseLimit(req.query.limit)
+    });
+
+    const devices = await Device.find({ userId });
+    const deviceNames = new Map(devices.map(d => [d.deviceId, getFriendlyName(d)]));
+
+    res.json({
+      history: entries.map(entry => ({
+        deviceId: entry.deviceId,
+        deviceName: deviceNames.get(entry.deviceId) || "Removed device",
+        score: entry.score,
+        level: entry.level,
+        factors: entry.factors,
+        verificationRequired: Boolean(entry.stepUpReason),
+        explanation: entry.explanation,
+        timestamp: entry.timestamp
+      })),
+      nextCursor
+    });
+
+  } catch (err) {
+    if (err instanceof CursorError) {
+      return res.status(400).json({ error: err.message });
+    }
+    console.error("Get trust history error:", err);
+    res.status(500).json({ error: "Failed to fetch trust history" });
+  }
+};
+
+// "THIS WASN'T ME"
+exports.reportUnrecognizedLogin = async (req, res) => {
+  const { deviceId } = req.body;
+
+  try {
+    const { userId } = req.user;
+    const ipAddress = getClientIp(req);
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    // Sign out everywhere, including this device - the password may be known
+    const revoked = await revokeAllSessions(userId, {
+      reason: SESSION_REVOKE_REASONS.REPORTED_BY_USER,
+      actor: userActor(req.user)
+    });
+
+    // The reported device has to earn trust from scratch
+    if (deviceId) {
+      await deviceTrustScorer.resetDeviceTrust(userId, deviceId);
+    }
+
+    await recordAudit({
+      action: "security.login_reported",
+      actor: userActor(req.user),
+      target: { userId, deviceId },
+      details: { revokedSessions: revoked.length },
+      ipAddress
+    });
+
+    await startPasswordReset(user, { reason: "not_me", ipAddress });
+
+    res.json({
+      message: "All devices have been signed out. Check your email to set a new password.",
+      revokedSessions: revoked.length
+    });
+
+  } catch (err) {
+    console.error("Report login error:", err);
+    res.status(500).json({ error: "Failed to secure account" });
+  }
+};
+
+module.exports = exports;
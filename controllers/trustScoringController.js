@@ -0,0 +1,191 @@
+const TrustScoringConfig = require("../models/TrustScoringConfig");
+const TrustScoreHistory = require("../models/TrustScoreHistory");
+const User = require("../models/User");
+const deviceTrustScorer = require("../utils/deviceTrustScoring");
+const trustScoringConfig = require("../utils/trustScoringConfig");
+const { recordAudit, adminActor } = require("../utils/auditLog");
+
+const DRY_RUN_DEFAULT_LOGINS = 500;
+const DRY_RUN_MAX_LOGINS = 5000;
+const DRY_RUN_MAX_CHANGES = 100; // changed logins listed in the response
+
+// GET ACTIVE CONFIG
+exports.getConfig = async (req, res) => {
+  try {
+    await trustScoringConfig.ensureFresh();
+    const { version, config } = trustScoringConfig.getConfig();
+    const stored = await TrustScoringConfig.findOne({ version }).select("-config").lean();
+
+    res.json({
+      version,
+      config,
+      note: stored?.note,
+      updatedBy: stored?.updatedBy,
+      updatedAt: stored?.createdAt
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// LIST VERSIONS (newest first)
+exports.listVersions = async (req, res) => {
+  try {
+    const versions = await TrustScoringConfig.find()
+      .sort({ version: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 20, 100))
+      .select("-config")
+      .lean();
+
+    res.json({
+      activeVersion: trustScoringConfig.getConfig().version,
+      versions: versions.map(v => ({
+        version: v.version,
+        note: v.note,
+        updatedBy: v.updatedBy,
+        createdAt: v.createdAt
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// GET VERSION
+exports.getVersion = async (req, res) => {
+  try {
+    const stored = await TrustScoringConfig.findOne({ version: parseInt(req.params.version) }).lean();
+    if (!stored) {
+      return res.status(404).json({ error: "Version not found" });
+    }
+    res.json({ version: stored.version, config: stored.config, note: stored.note, updatedBy: stored.updatedBy });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// UPDATE CONFIG - saved as a new version
+exports.updateConfig = async (req, res) => {
+  try {
+    const { config, note, expectedVersion } = req.body;
+
+    const errors = trustScoringConfig.validateConfig(config);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: "Invalid scoring config", details: errors });
+    }
+
+    const before = trustScoringConfig.getConfig();
+    const saved = await trustScoringConfig.saveConfig(config, {
+      updatedBy: req.admin.email,
+      note,
+      expectedVersion
+    });
+
+    await recordAudit({
+      action: "admin.trust_scoring_updated",
+      actor: adminActor(req.admin),
+      details: { fromVersion: before.version, version: saved.version, note, config }
+    });
+
+    res.json({ version: saved.version, config: saved.config, note: saved.note });
+  } catch (err) {
+    if (err instanceof trustScoringConfig.ConfigVersionConflictError) {
+      return res.status(409).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+};
+
+// DRY RUN - re-score recent logins with a proposed config without saving it
+exports.dryRun = async (req, res) => {
+  try {
+    const { config } = req.body;
+    const limit = Math.min(parseInt(req.body.limit) || DRY_RUN_DEFAULT_LOGINS, DRY_RUN_MAX_LOGINS);
+
+    const errors = trustScoringConfig.validateConfig(config);
+    if (errors.length > 0) {
+      return res.status(400).json({ valid: false, details: errors });
+    }
+
+    await trustScoringConfig.ensureFresh();
+    const active = trustScoringConfig.getConfig();
+
+    const logins = await TrustScoreHistory.find({ signals: { $exists: true } })
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .lean();
+
+    // Thresholds use each user's current plan
+    const users = await User.find({ _id: { $in: [...new Set(logins.map(l => l.userId.toString()))] } })
+      .select("email plan")
+      .lean();
+    const userById = new Map(users.map(u => [u._id.toString(), u]));
+
+    const outcome = (signals, plan, scoringConfig) => {
+      const { score } = deviceTrustScorer.scoreSignals(signals, scoringConfig);
+      return {
+        score,
+        level: trustScoringConfig.getTrustLevel(score, scoringConfig),
+        decision: trustScoringConfig.getDecision(score, plan, scoringConfig)
+      };
+    };
+
+    const emptyDecisions = () => ({ allow: 0, step_up: 0, block: 0 });
+    const summary = {
+      evaluated: logins.length,
+      scoreChanged: 0,
+      levelChanged: 0,
+      decisionChanged: 0,
+      decisions: { current: emptyDecisions(), proposed: emptyDecisions() },
+      averageScore: { current: 0, proposed: 0 }
+    };
+    const changes = [];
+
+    for (const login of logins) {
+      const user = userById.get(login.userId.toString());
+      const plan = user?.plan || "BASIC";
+      const current = outcome(login.signals, plan, active.config);
+      const proposed = outcome(login.signals, plan, config);
+
+      summary.decisions.current[current.decision]++;
+      summary.decisions.proposed[proposed.decision]++;
+      summary.averageScore.current += current.score;
+      summary.averageScore.proposed += proposed.score;
+
+      if (current.score === proposed.score) continue;
+      summary.scoreChanged++;
+      if (current.level !== proposed.level) summary.levelChanged++;
+      if (current.decision !== proposed.decision) summary.decisionChanged++;
+
+      if (changes.length < DRY_RUN_MAX_CHANGES) {
+        changes.push({
+          historyId: login._id,
+          userId: login.userId,
+          email: user?.email,
+          plan,
+          deviceId: login.deviceId,
+          timestamp: login.timestamp,
+          recordedScore: login.score,
+          current,
+          proposed
+        });
+      }
+    }
+
+    if (logins.length > 0) {
+      summary.averageScore.current = Math.round(summary.averageScore.current / logins.length);
+      summary.averageScore.proposed = Math.round(summary.averageScore.proposed / logins.length);
+    }
+
+    res.json({
+      valid: true,
+      baseVersion: active.version,
+      summary,
+      changes
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+};
+
+module.exports = exports;
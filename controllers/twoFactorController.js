@@ -0,0 +1,231 @@
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const {
+  generateSecret,
+  buildProvisioningUri,
+  verifyUserTotp,
+  generateBackupCodes,
+  verifyAppFactor
+} = require("../utils/totp");
+const { recordAudit, userActor } = require("../utils/auditLog");
+const { getClientIp } = require("../utils/clientIp");
+
+// GET TWO-FACTOR STATUS
+exports.getStatus = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json({
+      totpEnabled: Boolean(user.totp && user.totp.enabled),
+      enabledAt: user.totp ? user.totp.enabledAt : null,
+      requireOnNewDevice: Boolean(user.totp && user.totp.requireOnNewDevice),
+      backupCodesRemaining: (user.backupCodes || []).filter(c => !c.usedAt).length
+    });
+
+  } catch (err) {
+    console.error("Get 2FA status error:", err);
+    res.status(500).json({ error: "Failed to fetch two-factor status" });
+  }
+};
+
+// START TOTP ENROLLMENT
+exports.setupTotp = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (user.totp && user.totp.enabled) {
+      return res.status(400).json({ error: "Authenticator app already enabled" });
+    }
+
+    // Not active until the user proves the app is set up
+    const secret = generateSecret();
+    user.totp.pendingSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildProvisioningUri(user.email, secret),
+      message: "Scan the QR code with your authenticator app, then confirm with a code."
+    });
+
+  } catch (err) {
+    console.error("TOTP setup error:", err);
+    res.status(500).json({ error: "Failed to start authenticator setup" });
+  }
+};
+
+// CONFIRM TOTP ENROLLMENT
+exports.confirmTotp = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.totp || !user.totp.pendingSecret) {
+      return res.status(400).json({ error: "No authenticator setup in progress" });
+    }
+
+    const valid = await verifyUserTotp(user._id, user.totp.pendingSecret, code);
+    if (!valid) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    user.totp.secret = user.totp.pendingSecret;
+    user.totp.pendingSecret = undefined;
+    user.totp.enabled = true;
+    user.totp.enabledAt = new Date();
+    user.backupCodes = hashes;
+    await user.save();
+
+    await recordAudit({
+      action: "mfa.totp_enabled",
+      actor: userActor(req.user),
+      target: { userId: user._id, deviceId: req.user.deviceId },
+      ipAddress: getClientIp(req)
+    });
+
+    res.json({
+      message: "Authenticator app enabled. Store these backup codes somewhere safe - they are shown only once.",
+      backupCodes: codes
+    });
+
+  } catch (err) {
+    console.error("TOTP confirm error:", err);
+    res.status(500).json({ error: "Failed to enable authenticator app" });
+  }
+};
+
+// DISABLE TOTP
+exports.disableTotp = async (req, res) => {
+  const { password, code, factor = "totp" } = req.body;
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.totp || !user.totp.enabled) {
+      return res.status(400).json({ error: "Authenticator app is not enabled" });
+    }
+
+    // Both the password and a second factor, so a stolen session alone can't do it
+    const passwordOk = await bcrypt.compare(password || "", user.password);
+    const factorOk = passwordOk && await verifyAppFactor(user, factor, code);
+    if (!factorOk) {
+      return res.status(400).json({ error: "Invalid password or code" });
+    }
+
+    user.totp.secret = undefined;
+    user.totp.enabled = false;
+    user.totp.enabledAt = undefined;
+    user.totp.requireOnNewDevice = false;
+    user.backupCodes = [];
+    await user.save();
+
+    await recordAudit({
+      action: "mfa.totp_disabled",
+      actor: userActor(req.user),
+      target: { userId: user._id, deviceId: req.user.deviceId },
+      details: { factor },
+      ipAddress: getClientIp(req)
+    });
+
+    res.json({ message: "Authenticator app disabled" });
+
+  } catch (err) {
+    console.error("TOTP disable error:", err);
+    res.status(500).json({ error: "Failed to disable authenticator app" });
+  }
+};
+
+// REGENERATE BACKUP CODES
+exports.regenerateBackupCodes = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!(await verifyAppFactor(user, "totp", code))) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+    user.backupCodes = hashes;
+    await user.save();
+
+    await recordAudit({
+      action: "mfa.backup_codes_regenerated",
+      actor: userActor(req.user),
+      target: { userId: user._id, deviceId: req.user.deviceId },
+      ipAddress: getClientIp(req)
+    });
+
+    res.json({
+      message: "New backup codes generated. Previous codes no longer work.",
+      backupCodes: codes
+    });
+
+  } catch (err) {
+    console.error("Backup code regeneration error:", err);
+    res.status(500).json({ error: "Failed to regenerate backup codes" });
+  }
+};
+
+// UPDATE TOTP SETTINGS
+exports.updateSettings = async (req, res) => {
+  const { requireOnNewDevice, code, factor = "totp" } = req.body;
+
+  try {
+    if (typeof requireOnNewDevice !== "boolean") {
+      return res.status(400).json({ error: "requireOnNewDevice must be a boolean" });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    if (!user.totp || !user.totp.enabled) {
+      return res.status(400).json({ error: "Enable the authenticator app first" });
+    }
+
+    // A stolen session alone must not be able to turn the requirement off
+    if (!(await verifyAppFactor(user, factor, code))) {
+      return res.status(400).json({ error: "Invalid code" });
+    }
+
+    user.totp.requireOnNewDevice = requireOnNewDevice;
+    await user.save();
+
+    await recordAudit({
+      action: "mfa.settings_updated",
+      actor: userActor(req.user),
+      target: { userId: user._id, deviceId: req.user.deviceId },
+      details: { requireOnNewDevice, factor },
+      ipAddress: getClientIp(req)
+    });
+
+    res.json({ message: "Two-factor settings updated", requireOnNewDevice });
+
+  } catch (err) {
+    console.error("Update 2FA settings error:", err);
+    res.status(500).json({ error: "Failed to update two-factor settings" });
+  }
+};
+
+module.exports = exports;
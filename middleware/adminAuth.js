@@ -0,0 +1,130 @@
+const jwt = require("jsonwebtoken");
+const Admin = require("../models/Admin");
+
+const ADMIN_TOKEN_AUDIENCE = "ott-admin";
+
+// Per-role permissions ("*" grants everything)
+const ROLE_PERMISSIONS = {
+  viewer: [
+    "dashboard:read",
+    "alerts:read"
+  ],
+  support_agent: [
+    "dashboard:read",
+    "alerts:read",
+    "users:read",
+    "users:manage",
+    "sessions:terminate"
+  ],
+  fraud_analyst: [
+    "dashboard:read",
+    "users:read",
+    "sessions:terminate",
+    "users:block",
+    "reports:read",
+    "audit:read",
+    "rules:read",
+    "rules:manage",
+    "scoring:read",
+    "scoring:manage",
+    "alerts:read",
+    "alerts:manage"
+  ],
+  super_admin: ["*"]
+};
+
+const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes("*") || permissions.includes(permission);
+};
+
+// Admin tokens are signed with their own secret, never the user token one
+const getAdminSecret = () => process.env.ADMIN_JWT_SECRET;
+
+// Called at startup: refuse to run without a separate admin secret
+const ensureAdminSecret = () => {
+  if (!process.env.ADMIN_JWT_SECRET) {
+    throw new Error("ADMIN_JWT_SECRET must be set");
+  }
+  if (process.env.ADMIN_JWT_SECRET === process.env.JWT_SECRET) {
+    throw new Error("ADMIN_JWT_SECRET must differ from JWT_SECRET");
+  }
+};
+
+// Sign an admin token (separate audience so user tokens can't be replayed here)
+const signAdminToken = (admin) => {
+  return jwt.sign(
+    { adminId: admin._id, email: admin.email, role: admin.role },
+    getAdminSecret(),
+    { expiresIn: "8h", audience: ADMIN_TOKEN_AUDIENCE }
+  );
+};
+
+// Verify an admin token and load the (still active) admin account
+const verifyAdminToken = async (token) => {
+  const decoded = jwt.verify(token, getAdminSecret(), {
+    audience: ADMIN_TOKEN_AUDIENCE
+  });
+
+  const admin = await Admin.findById(decoded.adminId).lean();
+  if (!admin || !admin.active) {
+    return null;
+  }
+
+  return {
+    adminId: admin._id.toString(),
+    email: admin.email,
+    role: admin.role
+  };
+};
+
+// Authenticate admin requests
+const adminAuth = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) {
+      return res.status(401).json({ error: "No token provided" });
+    }
+
+    let admin;
+    try {
+      admin = await verifyAdminToken(token);
+    } catch (err) {
+      if (err.name === "TokenExpiredError") {
+        return res.status(401).json({ error: "Token expired" });
+      }
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
+    if (!admin) {
+      return res.status(401).json({ error: "Admin account disabled or removed" });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (err) {
+    console.error("Admin auth error:", err);
+    return res.status(500).json({ error: "Authentication failed" });
+  }
+};
+
+// Authorize a route for roles holding the given permission
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin || !hasPermission(req.admin.role, permission)) {
+    return res.status(403).json({
+      error: "Forbidden",
+      message: `Your role does not have the "${permission}" permission.`
+    });
+  }
+  next();
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  ensureAdminSecret,
+  signAdminToken,
+  verifyAdminToken,
+  adminAuth,
+  requirePermission
+};
@@ -23,7 +23,7 @@ module.exports = async (req, res, next) => {
       if (err.name === "TokenExpiredError") {
         return res.status(401).json({ 
           error: "Token expired",
-          message: "Your session has expired. Please login again." 
+          message: "Your access token has expired. Use your refresh token to get a new one." 
         });
       }
       return res.status(401).json({ error: "Invalid token" });
@@ -1,5 +1,7 @@
 const rateLimit = require("express-rate-limit");
 const { redis } = require("../config/redis");
+const { getClientIp } = require("../utils/clientIp");
+const { getLoginChallenge } = require("../utils/loginChallenge");
 
 // Custom Redis store for rate limiting
 class RedisStore {
@@ -44,7 +46,7 @@ const loginLimiter = rateLimit({
   standardHeaders: true,
   legacyHeaders: false,
   keyGenerator: (req) => {
-    return req.headers["x-forwarded-for"] || req.socket.remoteAddress;
+    return getClientIp(req);
   },
   handler: (req, res) => {
     res.status(429).json({
@@ -64,7 +66,7 @@ const otpRequestLimiter = rateLimit({
     error: "Too many OTP requests. Please try again after 1 hour."
   },
   keyGenerator: (req) => {
-    return req.body.email || req.headers["x-forwarded-for"];
+    return req.body.email || getClientIp(req);
   },
   handler: (req, res) => {
     res.status(429).json({
@@ -75,7 +77,7 @@ const otpRequestLimiter = rateLimit({
   }
 });
 
-// OTP verification rate limiter (5 attempts per OTP)
+// OTP verification rate limiter (5 attempts per 10 minutes per account)
 const otpVerifyLimiter = rateLimit({
   store: new RedisStore({ prefix: "rl:otp_verify:" }),
   windowMs: 10 * 60 * 1000, // 10 minutes
@@ -83,8 +85,11 @@ const otpVerifyLimiter = rateLimit({
   message: {
     error: "Too many OTP verification attempts."
   },
-  keyGenerator: (req) => {
-    return req.body.email || "unknown";
+  keyGenerator: async (req) => {
+    // Keyed on the account behind the challenge, not the challenge ID the
+    // client sends - starting a new login must not buy another round of guesses
+    const challenge = await getLoginChallenge(req.body.loginChallengeId);
+    return challenge?.userId || req.body.email || getClientIp(req);
   },
   handler: (req, res) => {
     res.status(429).json({
@@ -94,6 +99,58 @@ const otpVerifyLimiter = rateLimit({
   }
 });
 
+// Device code rate limiter (10 TV pairing codes per 15 minutes per IP)
+const deviceCodeLimiter = rateLimit({
+  store: new RedisStore({ prefix: "rl:device_code:" }),
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    error: "Too many device code requests."
+  },
+  keyGenerator: (req) => {
+    return getClientIp(req);
+  }
+});
+
+// Device approval rate limiter (10 user-code attempts per 15 minutes per user)
+const deviceApproveLimiter = rateLimit({
+  store: new RedisStore({ prefix: "rl:device_approve:" }),
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10,
+  message: {
+    error: "Too many device approval attempts."
+  },
+  keyGenerator: (req) => {
+    return req.user?.userId || getClientIp(req);
+  }
+});
+
+// Authenticator code rate limiter for signed-in 2FA management (5 attempts per 15 minutes per user)
+const mfaCodeLimiter = rateLimit({
+  store: new RedisStore({ prefix: "rl:mfa_code:" }),
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5,
+  message: {
+    error: "Too many authenticator code attempts."
+  },
+  keyGenerator: (req) => {
+    return req.user?.userId || getClientIp(req);
+  }
+});
+
+// Forgot-password rate limiter (3 reset emails per hour per email)
+const passwordResetLimiter = rateLimit({
+  store: new RedisStore({ prefix: "rl:password_reset:" }),
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3,
+  message: {
+    error: "Too many password reset requests. Please try again after 1 hour."
+  },
+  keyGenerator: (req) => {
+    return req.body.email || getClientIp(req);
+  }
+});
+
 // Signup rate limiter (3 signups per hour per IP)
 const signupLimiter = rateLimit({
   store: new RedisStore({ prefix: "rl:signup:" }),
@@ -103,7 +160,7 @@ const signupLimiter = rateLimit({
     error: "Too many signup attempts from this IP."
   },
   keyGenerator: (req) => {
-    return req.headers["x-forwarded-for"] || req.socket.remoteAddress;
+    return getClientIp(req);
   }
 });
 
@@ -116,7 +173,7 @@ const apiLimiter = rateLimit({
     error: "Too many requests. Please slow down."
   },
   keyGenerator: (req) => {
-    return req.user?.userId || req.headers["x-forwarded-for"];
+    return req.user?.userId || getClientIp(req);
   }
 });
 
@@ -165,6 +222,10 @@ module.exports = {
   otpVerifyLimiter,
   signupLimiter,
   apiLimiter,
+  deviceCodeLimiter,
+  deviceApproveLimiter,
+  passwordResetLimiter,
+  mfaCodeLimiter,
   checkBlockedMiddleware,
   blockUser,
   checkUserBlocked
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const adminSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  password: {
+    type: String,
+    required: true
+  },
+  name: String,
+  role: {
+    type: String,
+    enum: ["viewer", "support_agent", "fraud_analyst", "super_admin"],
+    default: "viewer"
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  lastLogin: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model("Admin", adminSchema);
@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+const alertRuleSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  // JSON condition tree (see utils/ruleDsl.js)
+  condition: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  severity: {
+    type: String,
+    enum: ["CRITICAL", "HIGH", "MEDIUM", "LOW"],
+    required: true
+  },
+  actions: [{
+    type: String,
+    enum: ["email", "slack", "block_session", "temporary_block", "flag", "log"]
+  }],
+  // Message template, e.g. "User {{email}} on {{deviceId|short}}"
+  message: {
+    type: String,
+    required: true
+  },
+  // Overrides the global dedup window for this rule (0 disables dedup)
+  dedupWindowSeconds: Number,
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  updatedBy: String
+}, { timestamps: true });
+
+module.exports = mongoose.model("AlertRule", alertRuleSchema);
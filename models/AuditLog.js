@@ -0,0 +1,67 @@
+const mongoose = require("mongoose");
+
+const auditLogSchema = new mongoose.Schema({
+  seq: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Assigned when the entry is queued, so a retried write can't land twice
+  entryId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  action: {
+    type: String,
+    required: true,
+    index: true
+  },
+  actor: {
+    type: { type: String, enum: ["user", "admin", "system"], required: true },
+    id: String,
+    email: String
+  },
+  target: {
+    userId: String,
+    deviceId: String
+  },
+  details: mongoose.Schema.Types.Mixed,
+  ipAddress: String,
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+auditLogSchema.index({ "target.userId": 1, timestamp: -1 });
+auditLogSchema.index({ "actor.id": 1, timestamp: -1 });
+
+// Append-only: entries can be created but never changed or removed
+const rejectMutation = function (next) {
+  next(new Error("Audit log entries are append-only"));
+};
+
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne",
+   "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectMutation
+);
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries are append-only"));
+  }
+  next();
+});
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -10,6 +10,8 @@ const deviceSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // User-chosen label, e.g. "Living Room TV"
+  name: String,
   userAgent: String,
   ipAddress: String,
   trusted: {
@@ -22,4 +24,7 @@ const deviceSchema = new mongoose.Schema({
   }
 }, { timestamps: true });
 
+deviceSchema.index({ userId: 1, deviceId: 1 });
+deviceSchema.index({ deviceId: 1 });
+
 module.exports = mongoose.model("Device", deviceSchema);
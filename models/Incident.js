@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const incidentSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    index: true
+  },
+  email: String,
+  // What alerts are grouped by: the user, else the IP or device
+  groupKey: String,
+  // Set to groupKey while the incident takes new alerts; unique, so
+  // concurrent alerts can't open two incidents for the same group
+  liveKey: String,
+  status: {
+    type: String,
+    enum: ["open", "acknowledged", "resolved"],
+    default: "open",
+    index: true
+  },
+  severity: {
+    type: String,
+    enum: ["CRITICAL", "HIGH", "MEDIUM", "LOW"],
+    required: true
+  },
+  // Highest severity notifications have already gone out for
+  notifiedSeverity: String,
+  ruleIds: [String],
+  alertIds: [String],
+  alertCount: {
+    type: Number,
+    default: 0
+  },
+  // Suppressed duplicates (same rule+user+device inside the dedup window)
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  firstSeen: {
+    type: Date,
+    default: Date.now
+  },
+  lastSeen: {
+    type: Date,
+    default: Date.now
+  },
+  escalations: [{
+    severity: String,
+    ruleId: String,
+    at: { type: Date, default: Date.now }
+  }],
+  acknowledgedBy: String,
+  acknowledgedAt: Date,
+  resolvedBy: String,
+  resolvedAt: Date,
+  resolutionNote: String
+}, { timestamps: true });
+
+incidentSchema.index({ userId: 1, status: 1, lastSeen: -1 });
+incidentSchema.index({ liveKey: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model("Incident", incidentSchema);
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+// A WebAuthn credential registered by a user on one of their devices
+const passkeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true
+  },
+  // Device (Device.deviceId) the passkey was registered from
+  deviceId: String,
+  credentialId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  publicKey: {
+    type: String,
+    required: true
+  },
+  algorithm: {
+    type: Number,
+    required: true
+  },
+  signCount: {
+    type: Number,
+    default: 0
+  },
+  transports: [String],
+  backedUp: {
+    type: Boolean,
+    default: false
+  },
+  name: String,
+  lastUsedAt: Date
+}, { timestamps: true });
+
+module.exports = mongoose.model("Passkey", passkeySchema);
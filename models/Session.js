@@ -18,10 +18,31 @@ const sessionSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Copied from the login so admins can search sessions without Redis
+  ipAddress: String,
+  userAgent: String,
+  country: String,
+  city: String,
+  trustScore: Number,
+  trustLevel: {
+    type: String,
+    enum: ["HIGH", "MEDIUM", "LOW", "CRITICAL"]
+  },
+  endedAt: Date,
+  endReason: String,
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Admin session search (see controllers/adminSearchController.js)
+sessionSchema.index({ isActive: 1, createdAt: -1, _id: -1 });
+sessionSchema.index({ isActive: 1, trustScore: -1, _id: -1 });
+sessionSchema.index({ userId: 1, isActive: 1 });
+sessionSchema.index({ deviceId: 1, isActive: 1 });
+sessionSchema.index({ ipAddress: 1, isActive: 1 });
+sessionSchema.index({ country: 1, isActive: 1, createdAt: -1 });
+sessionSchema.index({ trustLevel: 1, isActive: 1, createdAt: -1 });
+
 module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+const RETENTION_DAYS = parseInt(process.env.TRUST_HISTORY_RETENTION_DAYS) || 90;
+
+// One entry per trust evaluation of a device, with the factor breakdown
+const trustScoreHistorySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true
+  },
+  // Null when the login was stepped up before a score was calculated
+  score: Number,
+  level: {
+    type: String,
+    enum: ["HIGH", "MEDIUM", "LOW", "CRITICAL"]
+  },
+  factors: [{
+    _id: false,
+    factor: String,
+    score: Number
+  }],
+  ipAddress: String,
+  // Raw inputs to the score, so dry runs can re-score with another config
+  signals: mongoose.Schema.Types.Mixed,
+  configVersion: Number,
+  // Why the login was challenged (geo_impossibility, new_device_low_trust, ...)
+  stepUpReason: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+trustScoreHistorySchema.index({ userId: 1, deviceId: 1, timestamp: -1, _id: -1 });
+trustScoreHistorySchema.index({ userId: 1, timestamp: -1, _id: -1 });
+trustScoreHistorySchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 86400 });
+
+module.exports = mongoose.model("TrustScoreHistory", trustScoreHistorySchema);
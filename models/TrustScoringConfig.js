@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Every saved trust scoring model; the highest version is the active one
+const trustScoringConfigSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  // Weights, buckets, levels and per-plan thresholds (see config/defaultTrustScoring.js)
+  config: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  note: String,
+  updatedBy: String
+}, { timestamps: true });
+
+module.exports = mongoose.model("TrustScoringConfig", trustScoringConfigSchema);
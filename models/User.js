@@ -14,9 +14,59 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ["BASIC", "STANDARD", "PREMIUM"],
     default: "BASIC"
-  },otp: String,
-otpExpiry: Date,
+  },
+  passwordChangedAt: Date,
+  // Device the last change/reset was made from; its own next login is not
+  // treated as a post-change login from elsewhere
+  passwordChangedDeviceId: String,
+  // Mirrors the alert engine's flagged_users set for admin search
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  // Devices signed in right now, kept in step with active Session documents
+  activeSessionCount: {
+    type: Number,
+    default: 0
+  },
+  // Authenticator app second factor
+  totp: {
+    secret: String,
+    pendingSecret: String,
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: Date,
+    requireOnNewDevice: {
+      type: Boolean,
+      default: false
+    }
+  },
+  backupCodes: [{
+    hash: String,
+    usedAt: Date
+  }],
+  // Paid "extra member" slots for devices outside the household
+  extraMemberSlots: {
+    type: Number,
+    default: 0
+  },
+  extraMembers: [{
+    deviceId: String,
+    name: String,
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
 
 }, { timestamps: true });
 
+// Admin user search (see controllers/adminSearchController.js)
+userSchema.index({ plan: 1, createdAt: -1, _id: -1 });
+userSchema.index({ flagged: 1, createdAt: -1, _id: -1 });
+userSchema.index({ activeSessionCount: -1, _id: -1 });
+userSchema.index({ createdAt: -1, _id: -1 });
+
 module.exports = mongoose.model("User", userSchema);
@@ -1,24 +1,124 @@
 const express = require("express");
 const router = express.Router();
 const { getDashboardData } = require("../config/socket");
-const { sessionHelpers, redis } = require("../config/redis");
+const dashboardStats = require("../utils/dashboardStats");
+const { endSession } = require("../utils/sessionManager");
+const { sessionHelpers, redis, SESSION_REVOKE_REASONS } = require("../config/redis");
 const User = require("../models/User");
 const Device = require("../models/Device");
 const Session = require("../models/Session");
+const adminAuthController = require("../controllers/adminAuthController");
+const alertRuleController = require("../controllers/alertRuleController");
+const adminSearchController = require("../controllers/adminSearchController");
+const trustScoringController = require("../controllers/trustScoringController");
+const Incident = require("../models/Incident");
+const incidentManager = require("../utils/incidentManager");
+const { adminAuth, requirePermission } = require("../middleware/adminAuth");
+const { loginLimiter, otpVerifyLimiter } = require("../middleware/rateLimiter");
+const AuditLog = require("../models/AuditLog");
+const { getClientIp } = require("../utils/clientIp");
+const {
+  recordAudit,
+  adminActor,
+  verifyChain,
+  buildAuditFilter,
+  InvalidAuditFilterError
+} = require("../utils/auditLog");
 
-// Simple admin auth middleware (you should replace with proper authentication)
-const adminAuth = (req, res, next) => {
-  const adminKey = req.headers["x-admin-key"];
-  
-  if (adminKey !== process.env.ADMIN_SECRET_KEY) {
-    return res.status(403).json({ error: "Unauthorized" });
+const AUDIT_EXPORT_MAX_ENTRIES = 10000; // per export; continue with ?after=
+const MAX_BLOCK_SECONDS = 30 * 86400;
+
+const isNonEmptyString = (value) => typeof value === "string" && value.length > 0;
+
+// Admin login (password + mandatory email OTP)
+router.post("/auth/login", loginLimiter, adminAuthController.login);
+router.post("/auth/verify-otp", otpVerifyLimiter, adminAuthController.verifyOtp);
+router.get("/auth/me", adminAuth, adminAuthController.me);
+
+// Admin account management
+router.get("/admins", adminAuth, requirePermission("admins:manage"), adminAuthController.listAdmins);
+router.post("/admins", adminAuth, requirePermission("admins:manage"), adminAuthController.createAdmin);
+router.patch("/admins/:adminId", adminAuth, requirePermission("admins:manage"), adminAuthController.updateAdmin);
+
+// Alert rule management (rules are data, hot-reloaded into the engine)
+router.get("/rules", adminAuth, requirePermission("rules:read"), alertRuleController.listRules);
+router.post("/rules/test", adminAuth, requirePermission("rules:read"), alertRuleController.testRule);
+router.get("/rules/:ruleId", adminAuth, requirePermission("rules:read"), alertRuleController.getRule);
+router.post("/rules", adminAuth, requirePermission("rules:manage"), alertRuleController.createRule);
+router.put("/rules/:ruleId", adminAuth, requirePermission("rules:manage"), alertRuleController.updateRule);
+router.delete("/rules/:ruleId", adminAuth, requirePermission("rules:manage"), alertRuleController.deleteRule);
+
+// Trust scoring model (versioned; every update is a new version)
+router.get("/trust-scoring", adminAuth, requirePermission("scoring:read"), trustScoringController.getConfig);
+router.get("/trust-scoring/versions", adminAuth, requirePermission("scoring:read"), trustScoringController.listVersions);
+router.get("/trust-scoring/versions/:version", adminAuth, requirePermission("scoring:read"), trustScoringController.getVersion);
+router.post("/trust-scoring/dry-run", adminAuth, requirePermission("scoring:read"), trustScoringController.dryRun);
+router.put("/trust-scoring", adminAuth, requirePermission("scoring:manage"), trustScoringController.updateConfig);
+
+// List incidents (grouped alerts)
+router.get("/incidents", adminAuth, requirePermission("alerts:read"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.severity) filter.severity = req.query.severity;
+    if (req.query.userId) filter.userId = req.query.userId;
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const incidents = await Incident.find(filter)
+      .sort({ lastSeen: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({ incidents, total: incidents.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Acknowledge an incident
+router.post("/incidents/:incidentId/acknowledge", adminAuth, requirePermission("alerts:manage"), async (req, res) => {
+  try {
+    const incident = await incidentManager.acknowledge(req.params.incidentId, req.admin.email);
+    if (!incident) {
+      return res.status(404).json({ error: "Open incident not found" });
+    }
+
+    await recordAudit({
+      action: "admin.incident_acknowledged",
+      actor: adminActor(req.admin),
+      target: { userId: incident.userId },
+      details: { incidentId: incident._id.toString() }
+    });
+
+    res.json({ incident });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  
-  next();
-};
+});
+
+// Resolve an incident
+router.post("/incidents/:incidentId/resolve", adminAuth, requirePermission("alerts:manage"), async (req, res) => {
+  try {
+    const incident = await incidentManager.resolve(req.params.incidentId, req.admin.email, req.body.note);
+    if (!incident) {
+      return res.status(404).json({ error: "Unresolved incident not found" });
+    }
+
+    await recordAudit({
+      action: "admin.incident_resolved",
+      actor: adminActor(req.admin),
+      target: { userId: incident.userId },
+      details: { incidentId: incident._id.toString(), note: req.body.note }
+    });
+
+    res.json({ incident });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
 // Get dashboard data
-router.get("/dashboard", adminAuth, async (req, res) => {
+router.get("/dashboard", adminAuth, requirePermission("dashboard:read"), async (req, res) => {
   try {
     const data = await getDashboardData();
     res.json(data);
@@ -27,8 +127,12 @@ router.get("/dashboard", adminAuth, async (req, res) => {
   }
 });
 
+// Search users and sessions (filtered, cursor-paginated)
+router.get("/users", adminAuth, requirePermission("users:read"), adminSearchController.searchUsers);
+router.get("/sessions", adminAuth, requirePermission("users:read"), adminSearchController.searchSessions);
+
 // Get user details with all sessions
-router.get("/users/:userId", adminAuth, async (req, res) => {
+router.get("/users/:userId", adminAuth, requirePermission("users:read"), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId);
     if (!user) {
@@ -71,39 +175,73 @@ router.get("/users/:userId", adminAuth, async (req, res) => {
   }
 });
 
+// Trust score history with per-factor explanations
+router.get("/users/:userId/trust-history", adminAuth, requirePermission("users:read"), adminSearchController.getTrustHistory);
+
 // Force terminate user session
-router.post("/sessions/terminate", adminAuth, async (req, res) => {
+router.post("/sessions/terminate", adminAuth, requirePermission("sessions:terminate"), async (req, res) => {
   try {
     const { userId, deviceId } = req.body;
+    if (!isNonEmptyString(userId) || !isNonEmptyString(deviceId)) {
+      return res.status(400).json({ error: "userId and deviceId required" });
+    }
 
-    await sessionHelpers.deleteSession(userId, deviceId);
-    await Session.updateOne(
-      { userId, deviceId },
-      { isActive: false }
-    );
+    const ended = await endSession(userId, deviceId, SESSION_REVOKE_REASONS.ADMIN_TERMINATED);
+    if (!ended) {
+      return res.status(404).json({ error: "Session not found" });
+    }
+
+    console.log(`🛑 Session ${deviceId} of user ${userId} terminated by ${req.admin.email}`);
 
-    res.json({ message: "Session terminated", userId, deviceId });
+    await recordAudit({
+      action: "admin.session_terminated",
+      actor: adminActor(req.admin),
+      target: { userId, deviceId },
+      details: { reason: req.body.reason },
+      ipAddress: getClientIp(req)
+    });
+
+    res.json({ message: "Session terminated", userId, deviceId, terminatedBy: req.admin.email });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
 // Block user temporarily
-router.post("/users/block", adminAuth, async (req, res) => {
+router.post("/users/block", adminAuth, requirePermission("users:block"), async (req, res) => {
   try {
     const { userId, duration = 3600 } = req.body;
+    if (!isNonEmptyString(userId)) {
+      return res.status(400).json({ error: "userId required" });
+    }
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_BLOCK_SECONDS) {
+      return res.status(400).json({
+        error: `duration must be a whole number of seconds between 1 and ${MAX_BLOCK_SECONDS}`
+      });
+    }
 
     await redis.setex(`blocked:${userId}`, duration, "1");
 
     // Terminate all active sessions
     const sessions = await sessionHelpers.getUserSessions(userId);
     for (const session of sessions) {
-      await sessionHelpers.deleteSession(userId, session.deviceId);
+      await endSession(userId, session.deviceId, SESSION_REVOKE_REASONS.ACCOUNT_BLOCKED);
     }
 
+    console.log(`⛔ User ${userId} blocked for ${duration}s by ${req.admin.email}`);
+
+    await recordAudit({
+      action: "admin.user_blocked",
+      actor: adminActor(req.admin),
+      target: { userId },
+      details: { duration, sessionsTerminated: sessions.length, reason: req.body.reason },
+      ipAddress: getClientIp(req)
+    });
+
     res.json({
       message: "User blocked",
       userId,
+      blockedBy: req.admin.email,
       duration,
       expiresAt: Date.now() + duration * 1000
     });
@@ -112,13 +250,47 @@ router.post("/users/block", adminAuth, async (req, res) => {
   }
 });
 
+// Set paid extra member slots for a user
+router.post("/users/:userId/extra-member-slots", adminAuth, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const slots = parseInt(req.body.slots);
+    if (isNaN(slots) || slots < 0) {
+      return res.status(400).json({ error: "slots must be a non-negative number" });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    user.extraMemberSlots = slots;
+    // Drop members that no longer fit in the slot count
+    user.extraMembers = user.extraMembers.slice(0, slots);
+    await user.save();
+
+    await recordAudit({
+      action: "admin.extra_member_slots_updated",
+      actor: adminActor(req.admin),
+      target: { userId: user._id },
+      details: { slots },
+      ipAddress: getClientIp(req)
+    });
+
+    res.json({
+      message: "Extra member slots updated",
+      userId: user._id,
+      extraMemberSlots: user.extraMemberSlots,
+      extraMembers: user.extraMembers.length
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get suspicious activity report
-router.get("/reports/suspicious", adminAuth, async (req, res) => {
+router.get("/reports/suspicious", adminAuth, requirePermission("reports:read"), async (req, res) => {
   try {
-    const data = await getDashboardData();
-    const suspicious = data.sessions.activeSessions.filter(
-      s => s.trustScore < 50
-    );
+    const suspicious = await dashboardStats.getLowTrustSessions(50);
 
     // Group by reason
     const report = {
@@ -140,10 +312,10 @@ router.get("/reports/suspicious", adminAuth, async (req, res) => {
 });
 
 // Get revenue leakage report
-router.get("/reports/revenue-leakage", adminAuth, async (req, res) => {
+router.get("/reports/revenue-leakage", adminAuth, requirePermission("reports:read"), async (req, res) => {
   try {
-    const data = await getDashboardData();
-    
+    const data = await dashboardStats.getAggregates();
+
     res.json({
       totalLeakage: data.stats.revenueLeakage,
       sharedDevices: data.stats.sharedDevices,
@@ -160,7 +332,7 @@ router.get("/reports/revenue-leakage", adminAuth, async (req, res) => {
 });
 
 // Analytics - Sessions over time
-router.get("/analytics/sessions-timeline", adminAuth, async (req, res) => {
+router.get("/analytics/sessions-timeline", adminAuth, requirePermission("dashboard:read"), async (req, res) => {
   try {
     const hours = parseInt(req.query.hours) || 24;
     const timeline = [];
@@ -199,4 +371,95 @@ router.get("/analytics/sessions-timeline", adminAuth, async (req, res) => {
   }
 });
 
+// Query the audit log (filters: userId, actor, action, from, to)
+router.get("/audit", adminAuth, requirePermission("audit:read"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const filter = buildAuditFilter(req.query);
+
+    // Cursor pagination on the sequence number (newest first)
+    if (req.query.before) {
+      filter.seq = { $lt: parseInt(req.query.before) };
+    }
+
+    const entries = await AuditLog.find(filter)
+      .sort({ seq: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      entries,
+      nextCursor: entries.length === limit ? entries[entries.length - 1].seq : null
+    });
+  } catch (err) {
+    if (err instanceof InvalidAuditFilterError) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Export the audit log as JSON or CSV, oldest first, in bounded batches
+router.get("/audit/export", adminAuth, requirePermission("audit:read"), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || AUDIT_EXPORT_MAX_ENTRIES, AUDIT_EXPORT_MAX_ENTRIES);
+    const filter = buildAuditFilter(req.query);
+    if (req.query.after) {
+      filter.seq = { $gt: parseInt(req.query.after) || 0 };
+    }
+
+    const entries = await AuditLog.find(filter).sort({ seq: 1 }).limit(limit).lean();
+    const nextCursor = entries.length === limit ? entries[entries.length - 1].seq : null;
+
+    await recordAudit({
+      action: "admin.audit_exported",
+      actor: adminActor(req.admin),
+      details: { filters: req.query, count: entries.length },
+      ipAddress: getClientIp(req)
+    });
+
+    if (req.query.format === "csv") {
+      const escape = (value) => `"${String(value ?? "").replace(/"/g, '""')}"`;
+      const header = "seq,timestamp,action,actorType,actorId,actorEmail,userId,deviceId,ipAddress,details,prevHash,hash";
+      const rows = entries.map(e => [
+        e.seq,
+        new Date(e.timestamp).toISOString(),
+        e.action,
+        e.actor?.type,
+        e.actor?.id,
+        e.actor?.email,
+        e.target?.userId,
+        e.target?.deviceId,
+        e.ipAddress,
+        JSON.stringify(e.details || {}),
+        e.prevHash,
+        e.hash
+      ].map(escape).join(","));
+
+      res.setHeader("Content-Type", "text/csv");
+      if (nextCursor) res.setHeader("X-Next-Cursor", String(nextCursor));
+      res.setHeader("Content-Disposition", `attachment; filename="audit-${Date.now()}.csv"`);
+      return res.send([header, ...rows].join("\n"));
+    }
+
+    res.setHeader("Content-Disposition", `attachment; filename="audit-${Date.now()}.json"`);
+    res.json({ exportedAt: new Date(), count: entries.length, nextCursor, entries });
+  } catch (err) {
+    if (err instanceof InvalidAuditFilterError) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Verify the audit log hash chain
+router.get("/audit/verify", adminAuth, requirePermission("audit:read"), async (req, res) => {
+  try {
+    const result = await verifyChain();
+    res.status(result.valid ? 200 : 409).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,249 @@
+const express = require("express");
+const router = express.Router();
+const alertController = require("../controllers/alertController");
+const { adminAuth, requirePermission } = require("../middleware/adminAuth");
+
+router.use(adminAuth);
+
+/**
+ * @swagger
+ * /api/admin/alerts:
+ *   get:
+ *     tags: [Alerts]
+ *     summary: List security alerts
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: query
+ *         name: severity
+ *         schema:
+ *           type: string
+ *           enum: [CRITICAL, HIGH, MEDIUM, LOW]
+ *       - in: query
+ *         name: ruleId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged, resolved]
+ *       - in: query
+ *         name: assignee
+ *         schema:
+ *           type: string
+ *         description: Admin email or ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: number
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: number
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Matching alerts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: number
+ *                 alerts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Alert'
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", requirePermission("alerts:read"), alertController.listAlerts);
+
+/**
+ * @swagger
+ * /api/admin/alerts/stats:
+ *   get:
+ *     tags: [Alerts]
+ *     summary: Alert and disposition statistics
+ *     description: Counts by severity and rule, plus true/false positive precision per rule for tuning
+ *     security:
+ *       - AdminBearer: []
+ *     responses:
+ *       200:
+ *         description: Alert statistics
+ */
+router.get("/stats", requirePermission("alerts:read"), alertController.getStats);
+
+/**
+ * @swagger
+ * /api/admin/alerts/{alertId}:
+ *   get:
+ *     tags: [Alerts]
+ *     summary: Alert details
+ *     description: The alert with its comments, incident and the user's review flag
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert details
+ *       404:
+ *         description: Alert not found
+ */
+router.get("/:alertId", requirePermission("alerts:read"), alertController.getAlert);
+
+/**
+ * @swagger
+ * /api/admin/alerts/{alertId}/acknowledge:
+ *   post:
+ *     tags: [Alerts]
+ *     summary: Acknowledge an alert
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged
+ *       400:
+ *         description: Alert already resolved
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/:alertId/acknowledge", requirePermission("alerts:manage"), alertController.acknowledgeAlert);
+
+/**
+ * @swagger
+ * /api/admin/alerts/{alertId}/assign:
+ *   post:
+ *     tags: [Alerts]
+ *     summary: Assign an alert to an analyst
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assignee
+ *             properties:
+ *               assignee:
+ *                 type: string
+ *                 format: email
+ *                 example: analyst@ottplatform.com
+ *     responses:
+ *       200:
+ *         description: Alert assigned
+ *       400:
+ *         description: Assignee is not an analyst
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/:alertId/assign", requirePermission("alerts:manage"), alertController.assignAlert);
+
+/**
+ * @swagger
+ * /api/admin/alerts/{alertId}/comments:
+ *   post:
+ *     tags: [Alerts]
+ *     summary: Comment on an alert
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Comment added
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/:alertId/comments", requirePermission("alerts:manage"), alertController.commentOnAlert);
+
+/**
+ * @swagger
+ * /api/admin/alerts/{alertId}/resolve:
+ *   post:
+ *     tags: [Alerts]
+ *     summary: Resolve an alert with a disposition
+ *     security:
+ *       - AdminBearer: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - disposition
+ *             properties:
+ *               disposition:
+ *                 type: string
+ *                 enum: [true_positive, false_positive]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Alert resolved
+ *       400:
+ *         description: Invalid disposition or already resolved
+ *       404:
+ *         description: Alert not found
+ */
+router.post("/:alertId/resolve", requirePermission("alerts:manage"), alertController.resolveAlert);
+
+module.exports = router;
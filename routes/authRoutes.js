@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController");
+const deviceAuthController = require("../controllers/deviceAuthController");
+const passkeyController = require("../controllers/passkeyController");
 const authMiddleware = require("../middleware/authMiddleware");
 
 // Rate limiters
@@ -9,6 +11,9 @@ const {
   loginLimiter,
   otpRequestLimiter,
   otpVerifyLimiter,
+  deviceCodeLimiter,
+  deviceApproveLimiter,
+  passwordResetLimiter,
   checkBlockedMiddleware
 } = require("../middleware/rateLimiter");
 
@@ -111,6 +116,10 @@ router.post("/signup", signupLimiter, authController.signup);
  *                     type: object
  *                   fonts:
  *                     type: string
+ *               factor:
+ *                 type: string
+ *                 enum: [email, totp, backup_code]
+ *                 description: Preferred step-up factor if verification is needed (defaults to the authenticator app when enabled)
  *     responses:
  *       200:
  *         description: Login successful or OTP required
@@ -123,6 +132,12 @@ router.post("/signup", signupLimiter, authController.signup);
  *                     token:
  *                       type: string
  *                       example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Single-use token for /api/auth/refresh
+ *                     expiresIn:
+ *                       type: string
+ *                       example: 15m
  *                     message:
  *                       type: string
  *                       example: Login successful
@@ -144,6 +159,16 @@ router.post("/signup", signupLimiter, authController.signup);
  *                     otpRequired:
  *                       type: boolean
  *                       example: true
+ *                     loginChallengeId:
+ *                       type: string
+ *                       description: Pass to /api/auth/verify-otp to finish this login (valid 5 minutes)
+ *                     factor:
+ *                       type: string
+ *                       example: email
+ *                     availableFactors:
+ *                       type: array
+ *                       items:
+ *                         type: string
  *                     trustScore:
  *                       type: number
  *                       example: 45
@@ -151,6 +176,10 @@ router.post("/signup", signupLimiter, authController.signup);
  *         description: Invalid credentials
  *       403:
  *         description: Suspicious activity detected
+ *       409:
+ *         description: |
+ *           Device limit reached. Lists the active sessions and upgrade options with a
+ *           loginChallengeId for /api/auth/device-limit/resolve.
  *       429:
  *         description: Rate limit exceeded (5 attempts per 15 minutes)
  */
@@ -161,13 +190,87 @@ router.post(
   authController.login
 );
 
+/**
+ * @swagger
+ * /api/auth/passkey/options:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Start passkey login
+ *     description: |
+ *       Returns PublicKeyCredentialRequestOptions for navigator.credentials.get().
+ *       Pass an email to restrict to that account's passkeys, or omit it to use
+ *       a discoverable credential.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Request options with a single-use challenge (valid 5 minutes)
+ */
+router.post("/passkey/options", loginLimiter, passkeyController.authenticationOptions);
+
+/**
+ * @swagger
+ * /api/auth/passkey/login:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Login with a passkey
+ *     description: |
+ *       Verifies a WebAuthn assertion made with user verification (PIN or
+ *       biometric). A valid passkey counts as strong evidence in the device trust
+ *       score and replaces the low-trust step-up. A reported device, a new device
+ *       on an account that requires the authenticator app, or an out-of-household
+ *       device still gets otpRequired with a loginChallengeId for /verify-otp.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 type: object
+ *                 description: PublicKeyCredential JSON (id, response.clientDataJSON, authenticatorData, signature, base64url)
+ *               fingerprint:
+ *                 type: object
+ *               factor:
+ *                 type: string
+ *                 enum: [email, totp, backup_code]
+ *                 description: Preferred step-up factor, if one is needed
+ *     responses:
+ *       200:
+ *         description: Login successful, or otpRequired with a loginChallengeId
+ *       400:
+ *         description: Passkey verification failed
+ *       403:
+ *         description: Account suspended, or login blocked
+ *       409:
+ *         description: Device limit reached
+ */
+router.post("/passkey/login", loginLimiter, passkeyController.passkeyLogin);
+
 /**
  * @swagger
  * /api/auth/verify-otp:
  *   post:
  *     tags: [Authentication]
- *     summary: Verify OTP for new device
- *     description: Verify OTP sent to email when logging in from a new device
+ *     summary: Verify OTP and finish login
+ *     description: |
+ *       Finishes the pending login identified by loginChallengeId with the step-up
+ *       code: the OTP sent to email, an authenticator app code, or a single-use
+ *       backup code. On success the device is trusted and tokens are issued exactly
+ *       as for a direct login, including session limit enforcement. The challenge
+ *       must be completed from the same device and network that started it.
+ *       Emailed OTPs are single-use, only valid from the device and network that
+ *       requested them, and are invalidated after 5 wrong attempts.
  *     requestBody:
  *       required: true
  *       content:
@@ -175,42 +278,409 @@ router.post(
  *           schema:
  *             type: object
  *             required:
- *               - email
+ *               - loginChallengeId
  *               - otp
  *             properties:
- *               email:
+ *               loginChallengeId:
  *                 type: string
- *                 format: email
- *                 example: user@example.com
  *               otp:
  *                 type: string
  *                 example: "123456"
+ *               factor:
+ *                 type: string
+ *                 enum: [email, totp, backup_code]
+ *                 default: email
  *               fingerprint:
  *                 type: object
  *                 description: Browser fingerprint data
  *     responses:
  *       200:
- *         description: OTP verified successfully
+ *         description: Login successful (same body as /api/auth/login)
+ *       400:
+ *         description: Invalid or expired OTP, or login challenge expired
+ *       403:
+ *         description: Account suspended
+ *       409:
+ *         description: Device limit reached (see /api/auth/device-limit/resolve)
+ *       429:
+ *         description: Too many verification attempts for the account (5 per 10 minutes)
+ */
+router.post(
+  "/verify-otp",
+  otpVerifyLimiter,
+  checkBlockedMiddleware,
+  authController.verifyOtp
+);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Refresh access token
+ *     description: |
+ *       Exchange a refresh token for a new access token and a new refresh token.
+ *       Refresh tokens are single-use: presenting one that was already rotated
+ *       revokes the whole device session and raises a token-theft alert.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens rotated
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
+ *                 token:
  *                   type: string
- *                   example: OTP verified. Device approved. Please login again.
- *                 deviceId:
+ *                 refreshToken:
  *                   type: string
+ *                 expiresIn:
+ *                   type: string
+ *                   example: 15m
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ *       403:
+ *         description: Account suspended
+ */
+router.post("/refresh", authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/device-limit/resolve:
+ *   post:
+ *     tags: [Sessions]
+ *     summary: Finish a login that hit the device limit
+ *     description: |
+ *       When a login returns 409 "Device limit reached", either sign out one of the
+ *       listed sessions (it is notified in real time) and finish the login, or cancel.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - loginChallengeId
+ *               - action
+ *             properties:
+ *               loginChallengeId:
+ *                 type: string
+ *               action:
+ *                 type: string
+ *                 enum: [sign_out, cancel]
+ *               deviceId:
+ *                 type: string
+ *                 description: Session to sign out (required for sign_out)
+ *               fingerprint:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Login successful, or login cancelled
+ *       400:
+ *         description: Invalid action, unknown session or expired challenge
+ */
+router.post("/device-limit/resolve", loginLimiter, authController.resolveDeviceLimit);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Set a new password with a reset token
+ *     description: |
+ *       Redeems the single-use token from the password reset email (valid 30 minutes).
+ *       By default every session on the account is signed out and the user is
+ *       notified by email.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - newPassword
+ *             properties:
+ *               token:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *               revokeOtherSessions:
+ *                 type: boolean
+ *                 default: true
+ *               fingerprint:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Password updated
+ *       400:
+ *         description: Invalid or expired token, or password too short
+ */
+router.post("/reset-password", authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Request a password reset email
+ *     description: |
+ *       Emails a single-use reset link valid for 30 minutes. The response is the
+ *       same whether or not the account exists.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       429:
+ *         description: Too many reset requests
+ */
+router.post("/forgot-password", passwordResetLimiter, authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Change password
+ *     description: |
+ *       Requires the current password. Other devices are signed out unless
+ *       revokeOtherSessions is false, and the user is notified by email.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 minLength: 8
+ *               revokeOtherSessions:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Password changed
  *       400:
- *         description: Invalid or expired OTP
+ *         description: Current password incorrect or new password too short
+ *       401:
+ *         description: Unauthorized
+ */
+router.post("/change-password", authMiddleware, authController.changePassword);
+
+/**
+ * @swagger
+ * /api/auth/device/code:
+ *   post:
+ *     tags: [Device Pairing]
+ *     summary: Request a TV pairing code
+ *     description: |
+ *       Start the device authorization grant on a TV or streaming stick.
+ *       Show the returned userCode on screen and poll /api/auth/device/token
+ *       every `interval` seconds until the user approves it from a signed-in phone.
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deviceName:
+ *                 type: string
+ *                 example: "Living Room TV"
+ *               fingerprint:
+ *                 type: object
+ *                 description: Any device characteristics the TV can report (model, screenResolution, timezone)
+ *     responses:
+ *       200:
+ *         description: Pairing code issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deviceCode:
+ *                   type: string
+ *                 userCode:
+ *                   type: string
+ *                   example: BCDF-GHJK
+ *                 verificationUri:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: number
+ *                   example: 600
+ *                 interval:
+ *                   type: number
+ *                   example: 5
  *       429:
- *         description: Too many verification attempts
+ *         description: Too many pairing codes requested
+ */
+router.post("/device/code", deviceCodeLimiter, deviceAuthController.requestDeviceCode);
+
+/**
+ * @swagger
+ * /api/auth/device/token:
+ *   post:
+ *     tags: [Device Pairing]
+ *     summary: Poll for TV tokens
+ *     description: |
+ *       Returns `authorization_pending` until the code is approved, `slow_down`
+ *       when polled faster than the interval, `access_denied` when rejected and
+ *       `expired_token` once the code times out. After approval the tokens are
+ *       returned exactly once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceCode
+ *             properties:
+ *               deviceCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Device approved - tokens issued
+ *       400:
+ *         description: Pending, slow_down, denied or expired
+ */
+router.post("/device/token", deviceAuthController.pollDeviceToken);
+
+/**
+ * @swagger
+ * /api/auth/device/lookup:
+ *   get:
+ *     tags: [Device Pairing]
+ *     summary: Show a pending TV before approving it
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: userCode
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pending device details
+ *       404:
+ *         description: Code not found or expired
+ */
+router.get(
+  "/device/lookup",
+  authMiddleware,
+  deviceApproveLimiter,
+  deviceAuthController.lookupDeviceCode
+);
+
+/**
+ * @swagger
+ * /api/auth/device/approve:
+ *   post:
+ *     tags: [Device Pairing]
+ *     summary: Approve a TV from a signed-in phone
+ *     description: |
+ *       Runs device trust scoring and plan session limits for the TV before
+ *       creating its session. At the plan cap the response is 409 with the active
+ *       sessions; approve again with evictDeviceId to sign one out (plans using the
+ *       auto_evict policy sign out the oldest session instead).
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userCode
+ *             properties:
+ *               userCode:
+ *                 type: string
+ *                 example: BCDF-GHJK
+ *               evictDeviceId:
+ *                 type: string
+ *                 description: Session to sign out when the plan's device limit is reached
+ *     responses:
+ *       200:
+ *         description: Device approved
+ *       403:
+ *         description: Device trust score too low to pair
+ *       409:
+ *         description: Device limit reached - choose a session to sign out
+ *       404:
+ *         description: Code not found or expired
  */
 router.post(
-  "/verify-otp",
-  otpVerifyLimiter,
-  checkBlockedMiddleware,
-  authController.verifyOtp
+  "/device/approve",
+  authMiddleware,
+  deviceApproveLimiter,
+  deviceAuthController.approveDevice
+);
+
+/**
+ * @swagger
+ * /api/auth/device/deny:
+ *   post:
+ *     tags: [Device Pairing]
+ *     summary: Reject a TV pairing request
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userCode
+ *             properties:
+ *               userCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Request denied
+ *       404:
+ *         description: Code not found or expired
+ */
+router.post(
+  "/device/deny",
+  authMiddleware,
+  deviceApproveLimiter,
+  deviceAuthController.denyDevice
 );
 
 /**
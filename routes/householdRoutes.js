@@ -0,0 +1,86 @@
+const express = require("express");
+const router = express.Router();
+const householdController = require("../controllers/householdController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/household:
+ *   get:
+ *     tags: [Household]
+ *     summary: Get household status
+ *     description: |
+ *       Returns the learned home location (from IP prefix, geo and login times),
+ *       the devices seen on the home network and extra member slot usage.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Household status
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/", authMiddleware, householdController.getHousehold);
+
+/**
+ * @swagger
+ * /api/household/extra-members:
+ *   post:
+ *     tags: [Household]
+ *     summary: Assign an extra member slot
+ *     description: Let a known device keep streaming from outside the household using a paid slot
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - deviceId
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *                 example: "Grandma's TV"
+ *     responses:
+ *       201:
+ *         description: Extra member added
+ *       400:
+ *         description: Device ID missing or already assigned
+ *       402:
+ *         description: No extra member slots available
+ *       404:
+ *         description: Device not found
+ */
+router.post("/extra-members", authMiddleware, householdController.addExtraMember);
+
+/**
+ * @swagger
+ * /api/household/extra-members/{deviceId}:
+ *   delete:
+ *     tags: [Household]
+ *     summary: Release an extra member slot
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Extra member removed
+ *       404:
+ *         description: Extra member not found
+ */
+router.delete(
+  "/extra-members/:deviceId",
+  authMiddleware,
+  householdController.removeExtraMember
+);
+
+module.exports = router;
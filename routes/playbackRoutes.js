@@ -0,0 +1,138 @@
+const express = require("express");
+const router = express.Router();
+const playbackController = require("../controllers/playbackController");
+const authMiddleware = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/playback/start:
+ *   post:
+ *     tags: [Playback]
+ *     summary: Start a playback stream
+ *     description: |
+ *       Register a concurrent stream for the current device. Streams are capped
+ *       per plan (BASIC 1, STANDARD 2, PREMIUM 4) independently of login sessions.
+ *       Starting a stream on a device that is already playing replaces it.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - contentId
+ *             properties:
+ *               contentId:
+ *                 type: string
+ *                 example: "movie-42"
+ *     responses:
+ *       201:
+ *         description: Playback started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 streamId:
+ *                   type: string
+ *                 heartbeatInterval:
+ *                   type: number
+ *                   description: Seconds between heartbeats
+ *                   example: 30
+ *                 activeStreams:
+ *                   type: number
+ *                   example: 1
+ *                 maxStreams:
+ *                   type: number
+ *                   example: 2
+ *       400:
+ *         description: Content ID missing
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Concurrent stream limit reached
+ */
+router.post("/start", authMiddleware, playbackController.startStream);
+
+/**
+ * @swagger
+ * /api/playback/heartbeat:
+ *   post:
+ *     tags: [Playback]
+ *     summary: Keep a stream alive
+ *     description: Streams that miss heartbeats for 90 seconds expire and free their slot
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - streamId
+ *             properties:
+ *               streamId:
+ *                 type: string
+ *               position:
+ *                 type: number
+ *                 description: Current playback position in seconds
+ *     responses:
+ *       200:
+ *         description: Heartbeat recorded
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Stream expired or stopped
+ */
+router.post("/heartbeat", authMiddleware, playbackController.heartbeat);
+
+/**
+ * @swagger
+ * /api/playback/stop:
+ *   post:
+ *     tags: [Playback]
+ *     summary: Stop a playback stream
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - streamId
+ *             properties:
+ *               streamId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Playback stopped
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Stream belongs to another device
+ */
+router.post("/stop", authMiddleware, playbackController.stopStream);
+
+/**
+ * @swagger
+ * /api/playback/streams:
+ *   get:
+ *     tags: [Playback]
+ *     summary: List active streams
+ *     description: Retrieve all live streams on the account
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of active streams
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/streams", authMiddleware, playbackController.getStreams);
+
+module.exports = router;
@@ -0,0 +1,409 @@
+const express = require("express");
+const router = express.Router();
+const securityController = require("../controllers/securityController");
+const twoFactorController = require("../controllers/twoFactorController");
+const passkeyController = require("../controllers/passkeyController");
+const authMiddleware = require("../middleware/authMiddleware");
+const { mfaCodeLimiter } = require("../middleware/rateLimiter");
+
+/**
+ * @swagger
+ * /api/security/devices:
+ *   get:
+ *     tags: [Security]
+ *     summary: List known devices
+ *     description: Every device that has signed in to the account, with a friendly name and sign-in state
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Known devices
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/devices", authMiddleware, securityController.getDevices);
+
+/**
+ * @swagger
+ * /api/security/devices/{deviceId}:
+ *   patch:
+ *     tags: [Security]
+ *     summary: Rename a device
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Living Room TV
+ *     responses:
+ *       200:
+ *         description: Device renamed
+ *       400:
+ *         description: Invalid name
+ *       404:
+ *         description: Device not found
+ *   delete:
+ *     tags: [Security]
+ *     summary: Forget a device
+ *     description: |
+ *       Signs the device out and removes it along with its learned trust, so its
+ *       next login is treated as a new device. The current device cannot be forgotten.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deviceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device forgotten
+ *       400:
+ *         description: Cannot forget current device
+ *       404:
+ *         description: Device not found
+ */
+router.patch("/devices/:deviceId", authMiddleware, securityController.renameDevice);
+router.delete("/devices/:deviceId", authMiddleware, securityController.forgetDevice);
+
+/**
+ * @swagger
+ * /api/security/login-history:
+ *   get:
+ *     tags: [Security]
+ *     summary: Recent login history
+ *     description: Recent logins with approximate location, plus security alerts raised on the account
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Login history
+ */
+router.get("/login-history", authMiddleware, securityController.getLoginHistory);
+
+/**
+ * @swagger
+ * /api/security/trust-history:
+ *   get:
+ *     tags: [Security]
+ *     summary: Trust score history
+ *     description: |
+ *       How each device's trust score was calculated at every sign-in, newest first,
+ *       with the factors that lowered it and why extra verification was required.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: deviceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor from the previous page
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 25
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Trust history with explanations
+ *       400:
+ *         description: Invalid cursor
+ */
+router.get("/trust-history", authMiddleware, securityController.getTrustHistory);
+
+/**
+ * @swagger
+ * /api/security/not-me:
+ *   post:
+ *     tags: [Security]
+ *     summary: Report a login that wasn't me
+ *     description: |
+ *       Signs out every session on the account (including this one), resets trust
+ *       for the reported device and emails a password reset link.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deviceId:
+ *                 type: string
+ *                 description: Device from the login history that wasn't recognised
+ *     responses:
+ *       200:
+ *         description: Account secured, reset email sent
+ */
+router.post("/not-me", authMiddleware, securityController.reportUnrecognizedLogin);
+
+/**
+ * @swagger
+ * /api/security/2fa:
+ *   get:
+ *     tags: [Security]
+ *     summary: Two-factor status
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Authenticator app status and remaining backup codes
+ */
+router.get("/2fa", authMiddleware, twoFactorController.getStatus);
+
+/**
+ * @swagger
+ * /api/security/2fa/totp/setup:
+ *   post:
+ *     tags: [Security]
+ *     summary: Start authenticator app enrollment
+ *     description: Returns a new secret and otpauth:// URI. Nothing changes until it is confirmed.
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       400:
+ *         description: Already enabled
+ */
+router.post("/2fa/totp/setup", authMiddleware, twoFactorController.setupTotp);
+
+/**
+ * @swagger
+ * /api/security/2fa/totp/confirm:
+ *   post:
+ *     tags: [Security]
+ *     summary: Confirm authenticator app enrollment
+ *     description: Enables TOTP and returns 10 single-use backup codes (shown only once)
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Enabled, backup codes returned
+ *       400:
+ *         description: Invalid code or no setup in progress
+ */
+router.post("/2fa/totp/confirm", authMiddleware, mfaCodeLimiter, twoFactorController.confirmTotp);
+
+/**
+ * @swagger
+ * /api/security/2fa/totp/disable:
+ *   post:
+ *     tags: [Security]
+ *     summary: Disable authenticator app
+ *     description: Requires the account password and an authenticator or backup code
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               factor:
+ *                 type: string
+ *                 enum: [totp, backup_code]
+ *                 default: totp
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       400:
+ *         description: Invalid password or code
+ */
+router.post("/2fa/totp/disable", authMiddleware, mfaCodeLimiter, twoFactorController.disableTotp);
+
+/**
+ * @swagger
+ * /api/security/2fa/backup-codes:
+ *   post:
+ *     tags: [Security]
+ *     summary: Regenerate backup codes
+ *     description: Replaces all backup codes. Requires a current authenticator code.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backup codes
+ *       400:
+ *         description: Invalid code
+ */
+router.post("/2fa/backup-codes", authMiddleware, mfaCodeLimiter, twoFactorController.regenerateBackupCodes);
+
+/**
+ * @swagger
+ * /api/security/2fa/settings:
+ *   patch:
+ *     tags: [Security]
+ *     summary: Update two-factor settings
+ *     description: Requires an authenticator or backup code
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireOnNewDevice
+ *               - code
+ *             properties:
+ *               requireOnNewDevice:
+ *                 type: boolean
+ *                 description: Always ask for the authenticator app on new devices, whatever the trust score
+ *               code:
+ *                 type: string
+ *               factor:
+ *                 type: string
+ *                 enum: [totp, backup_code]
+ *                 default: totp
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Authenticator app not enabled, or invalid code
+ */
+router.patch("/2fa/settings", authMiddleware, mfaCodeLimiter, twoFactorController.updateSettings);
+
+/**
+ * @swagger
+ * /api/security/passkeys:
+ *   get:
+ *     tags: [Security]
+ *     summary: List registered passkeys
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Passkeys on the account
+ */
+router.get("/passkeys", authMiddleware, passkeyController.listPasskeys);
+
+/**
+ * @swagger
+ * /api/security/passkeys/register/options:
+ *   post:
+ *     tags: [Security]
+ *     summary: Start passkey registration
+ *     description: Returns PublicKeyCredentialCreationOptions (binary fields base64url encoded) for navigator.credentials.create()
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Creation options with a single-use challenge (valid 5 minutes)
+ */
+router.post("/passkeys/register/options", authMiddleware, passkeyController.registrationOptions);
+
+/**
+ * @swagger
+ * /api/security/passkeys/register:
+ *   post:
+ *     tags: [Security]
+ *     summary: Finish passkey registration
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - credential
+ *             properties:
+ *               credential:
+ *                 type: object
+ *                 description: PublicKeyCredential JSON (id, response.clientDataJSON, response.attestationObject, base64url)
+ *               name:
+ *                 type: string
+ *                 example: MacBook Touch ID
+ *     responses:
+ *       201:
+ *         description: Passkey registered
+ *       400:
+ *         description: Attestation could not be verified
+ */
+router.post("/passkeys/register", authMiddleware, passkeyController.register);
+
+/**
+ * @swagger
+ * /api/security/passkeys/{credentialId}:
+ *   delete:
+ *     tags: [Security]
+ *     summary: Delete a passkey
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: credentialId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Passkey deleted
+ *       404:
+ *         description: Passkey not found
+ */
+router.delete("/passkeys/:credentialId", authMiddleware, passkeyController.deletePasskey);
+
+module.exports = router;
@@ -0,0 +1,89 @@
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const axios = require("axios");
+const OfflineIpProvider = require("../utils/offlineIpProvider");
+
+/**
+ * Download the lists behind the built-in IP reputation provider
+ * (utils/offlineIpProvider.js) into data/ip-intel, or IP_INTEL_DIR.
+ *
+ *   npm run update-ip-lists
+ *
+ * A list whose sources can't be fetched keeps its previous contents. Run it
+ * on a schedule and call ipIntelligence.reload() (or restart) afterwards.
+ */
+
+const TIMEOUT_MS = 30000;
+
+const fetchData = async (url) => (await axios.get(url, { timeout: TIMEOUT_MS })).data;
+
+const lines = (text) => text.split("\n").map(line => line.trim()).filter(line => line && !line.startsWith("#"));
+
+const LISTS = {
+  "datacenter.txt": {
+    title: "Hosting / cloud provider ranges - logins from here are usually proxied.",
+    sources: {
+      "https://ip-ranges.amazonaws.com/ip-ranges.json": ({ prefixes, ipv6_prefixes }) => [
+        ...prefixes.map(p => `${p.ip_prefix} AWS ${p.region}`),
+        ...ipv6_prefixes.map(p => `${p.ipv6_prefix} AWS ${p.region}`)
+      ],
+      "https://www.gstatic.com/ipranges/cloud.json": ({ prefixes }) =>
+        prefixes.map(p => `${p.ipv4Prefix || p.ipv6Prefix} Google Cloud ${p.scope}`)
+    }
+  },
+  "tor-exits.txt": {
+    title: "Tor exit nodes.",
+    sources: {
+      "https://check.torproject.org/torbulkexitlist": lines
+    }
+  },
+  "vpn.txt": {
+    title: "Commercial VPN and open proxy ranges.",
+    sources: {
+      "https://raw.githubusercontent.com/X4BNet/lists_vpn/main/output/vpn/ipv4.txt": lines
+    }
+  }
+};
+
+async function updateList(dir, file, { title, sources }) {
+  const entries = [];
+  for (const [url, parse] of Object.entries(sources)) {
+    entries.push(...parse(await fetchData(url)));
+  }
+  if (entries.length === 0) throw new Error("sources returned no entries");
+
+  const header = [
+    `# ${title}`,
+    `# Generated by npm run update-ip-lists at ${new Date().toISOString()} from:`,
+    ...Object.keys(sources).map(url => `#   ${url}`)
+  ];
+
+  // Write beside the old list and swap, so a reload never reads half a file
+  const target = path.join(dir, file);
+  fs.writeFileSync(`${target}.tmp`, [...header, ...entries, ""].join("\n"));
+  fs.renameSync(`${target}.tmp`, target);
+  return entries.length;
+}
+
+async function main() {
+  const { dir } = new OfflineIpProvider();
+  fs.mkdirSync(dir, { recursive: true });
+
+  let failed = 0;
+  for (const [file, list] of Object.entries(LISTS)) {
+    try {
+      const count = await updateList(dir, file, list);
+      console.log(`✅ ${file}: ${count} entries`);
+    } catch (err) {
+      failed++;
+      console.error(`❌ ${file} not updated, keeping the previous list:`, err.message);
+    }
+  }
+
+  // Parse the result the same way the server will
+  new OfflineIpProvider(dir).reload();
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+main();
@@ -6,13 +6,27 @@ const swaggerUi = require("swagger-ui-express");
 const swaggerDocs = require("./config/swagger");
 
 const connectDB = require("./config/db");
+const { seedSuperAdmin } = require("./controllers/adminAuthController");
+const { ensureAdminSecret } = require("./middleware/adminAuth");
+const { ensureOtpSecret } = require("./utils/otpChallenge");
+const { ensureAuditSecret, flushPendingAudit } = require("./utils/auditLog");
+const alertRulesEngine = require("./utils/alertRulesEngine");
+const trustScoringConfig = require("./utils/trustScoringConfig");
+const ipIntelligence = require("./utils/ipIntelligence");
 const { redis } = require("./config/redis");
 const { initializeSocket } = require("./config/socket");
+const dashboardStats = require("./utils/dashboardStats");
+const sessionSweeper = require("./utils/sessionSweeper");
 
 const authRoutes = require("./routes/authRoutes");
 const protectedRoutes = require("./routes/protectedRoutes");
 const adminRoutes = require("./routes/adminRoutes");
+const alertRoutes = require("./routes/alertRoutes");
+const playbackRoutes = require("./routes/playbackRoutes");
+const householdRoutes = require("./routes/householdRoutes");
+const securityRoutes = require("./routes/securityRoutes");
 const { apiLimiter } = require("./middleware/rateLimiter");
+const { isTrustedProxy } = require("./utils/clientIp");
 
 const app = express();
 const server = http.createServer(app);
@@ -20,6 +34,10 @@ const server = http.createServer(app);
 // Initialize Socket.IO
 const io = initializeSocket(server);
 
+// Same trusted proxies as getClientIp, so Express (req.ip) and the rate
+// limiter agree about which X-Forwarded-For hops to believe
+app.set("trust proxy", isTrustedProxy);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -36,7 +54,11 @@ app.use("/api", apiLimiter);
 
 // Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/playback", playbackRoutes);
+app.use("/api/household", householdRoutes);
+app.use("/api/security", securityRoutes);
 app.use("/api", protectedRoutes);
+app.use("/api/admin/alerts", alertRoutes);
 app.use("/api/admin", adminRoutes);
 
 // Health check endpoint
@@ -78,9 +100,21 @@ const PORT = process.env.PORT || 5000;
 
 async function startServer() {
   try {
+    ensureAdminSecret();
+    ensureOtpSecret();
+    ensureAuditSecret();
     await connectDB();
+    await seedSuperAdmin();
+    await alertRulesEngine.initialize();
+    await trustScoringConfig.initialize();
+    ipIntelligence.reload();
     await redis.ping();
     console.log("✅ Redis connection verified");
+    // Audit entries left queued by an instance that stopped mid-write
+    await flushPendingAudit();
+    await sessionSweeper.ensureSessionIndexes();
+    await dashboardStats.ensureAggregates();
+    sessionSweeper.startSessionSweeper();
     
     server.listen(PORT, () => {
       console.log(`
@@ -102,6 +136,7 @@ async function startServer() {
 
 process.on("SIGTERM", async () => {
   console.log("SIGTERM received, shutting down gracefully...");
+  sessionSweeper.stopSessionSweeper();
   await redis.quit();
   server.close(() => {
     console.log("Server closed");
@@ -111,6 +146,7 @@ process.on("SIGTERM", async () => {
 
 process.on("SIGINT", async () => {
   console.log("SIGINT received, shutting down gracefully...");
+  sessionSweeper.stopSessionSweeper();
   await redis.quit();
   server.close(() => {
     console.log("Server closed");
@@ -0,0 +1,87 @@
+process.env.AUDIT_HMAC_SECRET = "test-audit-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const Admin = require("../models/Admin");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const { sessionHelpers } = require("../config/redis");
+const adminAuthController = require("../controllers/adminAuthController");
+const adminRoutes = require("../routes/adminRoutes");
+
+const admin = { adminId: "admin1", email: "ops@example.com", role: "super_admin" };
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+  mock.method(console, "log", () => {});
+  mock.method(AuditLog, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(AuditLog, "create", async (entry) => entry);
+  mock.method(Session, "updateMany", async () => ({ modifiedCount: 0 }));
+  mock.method(User, "updateOne", async () => ({}));
+});
+
+const call = async (handler, body) => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; return res; };
+  await handler({ body, params: {}, query: {}, admin, headers: {}, socket: { remoteAddress: "127.0.0.1" } }, res);
+  return res;
+};
+
+// The route's own handler, after its auth middleware
+const routeHandler = (path) => {
+  const layer = adminRoutes.stack.find(l => l.route && l.route.path === path);
+  return layer.route.stack[layer.route.stack.length - 1].handle;
+};
+
+test("admin sign-in rejects non-string fields before querying", async () => {
+  mock.method(Admin, "findOne", async () => { throw new Error("queried"); });
+
+  for (const body of [
+    { email: { $ne: null }, password: "x" },
+    { email: "ops@example.com", password: { $gt: "" } },
+    {}
+  ]) {
+    const res = await call(adminAuthController.login, body);
+    assert.equal(res.statusCode, 400);
+  }
+
+  const res = await call(adminAuthController.verifyOtp, { email: { $ne: null }, otp: "123456" });
+  assert.equal(res.statusCode, 400);
+  assert.equal(Admin.findOne.mock.callCount(), 0);
+});
+
+test("terminating a session validates input and reports a missing session", async () => {
+  const terminate = routeHandler("/sessions/terminate");
+
+  assert.equal((await call(terminate, { userId: "user1" })).statusCode, 400);
+  assert.equal((await call(terminate, { userId: { $ne: null }, deviceId: "tv" })).statusCode, 400);
+
+  const missing = await call(terminate, { userId: "user1", deviceId: "tv" });
+  assert.equal(missing.statusCode, 404);
+  assert.equal(AuditLog.create.mock.callCount(), 0);
+
+  await sessionHelpers.createSession("user1", "tv", "token", { ipAddress: "203.0.113.9" });
+  const ended = await call(terminate, { userId: "user1", deviceId: "tv" });
+  assert.equal(ended.statusCode, 200);
+  assert.equal(await sessionHelpers.getSession("user1", "tv"), null);
+  assert.equal(AuditLog.create.mock.calls[0].arguments[0].action, "admin.session_terminated");
+});
+
+test("blocking a user needs a positive, bounded whole-second duration", async () => {
+  const block = routeHandler("/users/block");
+
+  for (const duration of [-5, 0, 1.5, "3600", 365 * 86400]) {
+    const res = await call(block, { userId: "user1", duration });
+    assert.equal(res.statusCode, 400, `duration ${JSON.stringify(duration)}`);
+  }
+  assert.equal(await redis.get("blocked:user1"), null);
+
+  const res = await call(block, { userId: "user1", duration: 600 });
+  assert.equal(res.statusCode, 200);
+  assert.ok(await redis.ttl("blocked:user1") > 590);
+  assert.ok(res.body.expiresAt > Date.now() + 590 * 1000);
+});
@@ -0,0 +1,95 @@
+process.env.AUDIT_HMAC_SECRET = "test-audit-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const Admin = require("../models/Admin");
+const AuditLog = require("../models/AuditLog");
+const alertController = require("../controllers/alertController");
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.method(AuditLog, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(AuditLog, "create", async (entry) => entry);
+});
+
+const admin = { adminId: "admin1", email: "analyst@example.com", role: "fraud_analyst" };
+
+const call = async (handler, { params = {}, body = {}, query = {} } = {}) => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (payload) => { res.body = payload; return res; };
+  await handler({ params, body, query, admin, headers: {} }, res);
+  return res;
+};
+
+const storeAlert = (alertId) => redis.setex(`alerts:${alertId}`, 3600, JSON.stringify({
+  alertId,
+  ruleId: "vpn_detected",
+  severity: "MEDIUM",
+  status: "open",
+  context: { userId: "user1" }
+}));
+
+test("concurrent resolves count the disposition once", async () => {
+  await storeAlert("a1");
+
+  const results = await Promise.all([1, 2, 3].map(() =>
+    call(alertController.resolveAlert, { params: { alertId: "a1" }, body: { disposition: "true_positive" } })
+  ));
+
+  assert.equal(results.filter(r => r.statusCode === 200).length, 1);
+  assert.ok(results.filter(r => r.statusCode !== 200).every(r => r.body.error === "Alert already resolved"));
+  assert.equal(await redis.hget("alerts:dispositions:vpn_detected", "true_positive"), "1");
+});
+
+test("a comment and a resolve that overlap both land", async () => {
+  await storeAlert("a1");
+
+  await Promise.all([
+    call(alertController.commentOnAlert, { params: { alertId: "a1" }, body: { text: "looks like a VPN" } }),
+    call(alertController.resolveAlert, {
+      params: { alertId: "a1" },
+      body: { disposition: "false_positive", note: "known office VPN" }
+    })
+  ]);
+
+  const stored = JSON.parse(await redis.get("alerts:a1"));
+  assert.equal(stored.status, "resolved");
+  assert.deepEqual(stored.comments.map(c => c.text).sort(), ["known office VPN", "looks like a VPN"]);
+});
+
+test("a resolve note must be text and is capped like comments", async () => {
+  await storeAlert("a1");
+
+  const rejected = await call(alertController.resolveAlert, {
+    params: { alertId: "a1" },
+    body: { disposition: "true_positive", note: { text: "x" } }
+  });
+  assert.equal(rejected.statusCode, 400);
+
+  const res = await call(alertController.resolveAlert, {
+    params: { alertId: "a1" },
+    body: { disposition: "true_positive", note: "x".repeat(5000) }
+  });
+  assert.equal(res.body.alert.comments[0].text.length, 2000);
+});
+
+test("unparseable date filters are a bad request", async () => {
+  const res = await call(alertController.listAlerts, { query: { from: "last tuesday" } });
+  assert.equal(res.statusCode, 400);
+});
+
+test("an assignee that isn't a plain email is rejected before any lookup", async () => {
+  await storeAlert("a1");
+  mock.method(Admin, "findOne", () => { throw new Error("queried"); });
+
+  const res = await call(alertController.assignAlert, {
+    params: { alertId: "a1" },
+    body: { assignee: { $ne: null } }
+  });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(Admin.findOne.mock.callCount(), 0);
+  mock.restoreAll();
+});
@@ -0,0 +1,186 @@
+process.env.AUDIT_HMAC_SECRET = "test-audit-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { redis, resetRedis } = require("./helpers/redis");
+const AuditLog = require("../models/AuditLog");
+const {
+  recordAudit,
+  flushPendingAudit,
+  verifyChain,
+  buildAuditFilter,
+  InvalidAuditFilterError,
+  systemActor
+} = require("../utils/auditLog");
+
+// In-memory stand-in for the AuditLog collection
+let stored;
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+  stored = [];
+
+  mock.method(AuditLog, "findOne", () => ({
+    sort: () => ({ lean: async () => stored[stored.length - 1] || null })
+  }));
+  mock.method(AuditLog, "create", async (entry) => {
+    if (stored.some(e => e.entryId === entry.entryId)) {
+      throw Object.assign(new Error("duplicate entryId"), { code: 11000, keyPattern: { entryId: 1 } });
+    }
+    if (stored.some(e => e.seq === entry.seq)) {
+      throw Object.assign(new Error("duplicate seq"), { code: 11000, keyPattern: { seq: 1 } });
+    }
+    const saved = JSON.parse(JSON.stringify(entry));
+    stored.push(saved);
+    return saved;
+  });
+  mock.method(AuditLog, "find", () => ({
+    sort: () => ({ lean: () => ({ cursor: () => [...stored].sort((a, b) => a.seq - b.seq) }) })
+  }));
+});
+
+const writeEntries = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await recordAudit({
+      action: "auth.login",
+      actor: systemActor(),
+      target: { userId: `user${i}` },
+      details: { n: i }
+    });
+  }
+};
+
+test("an untouched chain verifies", async () => {
+  await writeEntries(3);
+  assert.deepEqual(await verifyChain(), { valid: true, checked: 3, anchored: true });
+});
+
+test("edited entry contents are detected", async () => {
+  await writeEntries(3);
+  stored[1].details = { n: 99 };
+
+  const result = await verifyChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt, 2);
+  assert.equal(result.reason, "Entry contents altered");
+});
+
+test("a chain recomputed without the secret does not verify", async () => {
+  await writeEntries(2);
+  stored[1].details = { n: 99 };
+  stored[1].hash = crypto.createHash("sha256").update("forged").digest("hex");
+
+  assert.equal((await verifyChain()).valid, false);
+});
+
+test("entries cut off the end are detected", async () => {
+  await writeEntries(4);
+  stored.splice(2);
+
+  const result = await verifyChain();
+  assert.equal(result.valid, false);
+  assert.equal(result.reason, "Entries missing from the end");
+});
+
+test("concurrent writes all land in order", async () => {
+  await Promise.all([0, 1, 2, 3, 4, 5, 6, 7].map(i =>
+    recordAudit({ action: "auth.login", actor: systemActor(), details: { n: i } })
+  ));
+
+  assert.deepEqual(stored.map(e => e.seq), [1, 2, 3, 4, 5, 6, 7, 8]);
+  assert.equal((await verifyChain()).valid, true);
+});
+
+test("sequence contention from another writer delays the entry but never drops it", async () => {
+  await writeEntries(1);
+  let collisions = 0;
+  AuditLog.create.mock.mockImplementation(async (entry) => {
+    if (collisions++ < 8) throw Object.assign(new Error("duplicate seq"), { code: 11000 });
+    stored.push(JSON.parse(JSON.stringify(entry)));
+    return entry;
+  });
+
+  const saved = await recordAudit({ action: "auth.logout", actor: systemActor() });
+  assert.equal(saved.seq, 2);
+  assert.equal(stored.length, 2);
+});
+
+test("endless sequence contention gives up and keeps the entry queued", async () => {
+  mock.method(console, "error", () => {});
+  const create = AuditLog.create.mock;
+  create.mockImplementation(async () => {
+    throw Object.assign(new Error("duplicate seq"), { code: 11000, keyPattern: { seq: 1 } });
+  });
+
+  assert.equal(await recordAudit({ action: "auth.logout", actor: systemActor() }), null);
+  assert.equal(create.callCount(), 20);
+  assert.equal(await redis.llen("audit:pending"), 1);
+  assert.match(console.error.mock.calls[0].arguments[0], /1 entries kept queued/);
+});
+
+test("entries survive a MongoDB outage and are written in order afterwards", async () => {
+  mock.method(console, "error", () => {});
+  let down = true;
+  AuditLog.create.mock.mockImplementation(async (entry) => {
+    if (down) throw new Error("connection refused");
+    const saved = JSON.parse(JSON.stringify(entry));
+    stored.push(saved);
+    return saved;
+  });
+
+  assert.equal(await recordAudit({ action: "auth.login", actor: systemActor(), details: { n: 1 } }), null);
+  assert.equal(await recordAudit({ action: "auth.login", actor: systemActor(), details: { n: 2 } }), null);
+  assert.equal(stored.length, 0);
+  assert.equal(await redis.llen("audit:pending"), 2);
+
+  down = false;
+  await flushPendingAudit();
+  assert.deepEqual(stored.map(e => e.details.n), [1, 2]);
+  assert.equal(await redis.llen("audit:pending"), 0);
+  assert.equal((await verifyChain()).valid, true);
+});
+
+test("an entry written but not dequeued is not written twice", async () => {
+  await writeEntries(1);
+  const [entry] = stored;
+
+  // A writer stopped between the insert and removing the queued copy
+  await redis.rpush("audit:pending", JSON.stringify({
+    entryId: entry.entryId,
+    action: entry.action,
+    actor: entry.actor,
+    target: entry.target,
+    details: entry.details,
+    timestamp: entry.timestamp
+  }));
+  AuditLog.findOne.mock.mockImplementation((filter) => filter
+    ? { lean: async () => stored.find(e => e.entryId === filter.entryId) }
+    : { sort: () => ({ lean: async () => stored[stored.length - 1] || null }) });
+
+  await flushPendingAudit();
+  assert.equal(stored.length, 1);
+  assert.equal(await redis.llen("audit:pending"), 0);
+});
+
+test("only the writer lock holder appends, on any instance", async () => {
+  await redis.set("audit:writer_lock", "other-instance");
+
+  assert.equal(await recordAudit({ action: "auth.login", actor: systemActor() }), null);
+  assert.equal(stored.length, 0);
+  assert.equal(await redis.get("audit:writer_lock"), "other-instance");
+
+  await redis.del("audit:writer_lock");
+  await flushPendingAudit();
+  assert.equal(stored.length, 1);
+});
+
+test("invalid filters are rejected", () => {
+  assert.throws(() => buildAuditFilter({ from: "yesterday-ish" }), InvalidAuditFilterError);
+  assert.throws(() => buildAuditFilter({ action: ["a", "b"] }), InvalidAuditFilterError);
+
+  const filter = buildAuditFilter({ action: "session.*", from: "2026-01-01" });
+  assert.deepEqual(filter.action, { $regex: "^session\\." });
+  assert.equal(filter.timestamp.$gte.toISOString(), "2026-01-01T00:00:00.000Z");
+});
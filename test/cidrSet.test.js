@@ -0,0 +1,100 @@
+const { test, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { parseIp, normalizeIp, parseCidr, CidrSet } = require("../utils/cidrSet");
+const OfflineIpProvider = require("../utils/offlineIpProvider");
+
+test("IPv4-mapped IPv6 addresses parse as IPv4", () => {
+  assert.deepEqual(parseIp("::ffff:192.0.2.1"), parseIp("192.0.2.1"));
+  assert.equal(normalizeIp("[::FFFF:192.0.2.1]"), "192.0.2.1");
+  assert.equal(normalizeIp("2001:DB8::1%eth0"), "2001:db8::1");
+  assert.equal(parseIp("999.1.1.1"), null);
+});
+
+test("CIDRs cover exactly their prefix", () => {
+  const range = parseCidr("192.0.2.77/24");
+  assert.equal(range.family, 4);
+  assert.equal(range.start, parseIp("192.0.2.0").value);
+  assert.equal(range.end, parseIp("192.0.2.255").value);
+
+  assert.equal(parseCidr("::ffff:192.0.2.0/120").end, parseIp("192.0.2.255").value);
+  assert.equal(parseCidr("192.0.2.0/33"), null);
+  assert.equal(parseCidr("2001:db8::/129"), null);
+});
+
+test("adjacent ranges keep their own labels", () => {
+  const set = new CidrSet();
+  set.add("192.0.2.0/25", "Hosting A");
+  set.add("192.0.2.128/25", "Hosting B");
+
+  assert.equal(set.match("192.0.2.127"), "Hosting A");
+  assert.equal(set.match("192.0.2.128"), "Hosting B");
+  assert.equal(set.compile(4).length, 2);
+});
+
+test("adjacent and overlapping ranges with the same label are merged", () => {
+  const set = new CidrSet();
+  set.add("192.0.2.0/25", "Hosting");
+  set.add("192.0.2.128/25", "Hosting");
+  set.add("192.0.2.0/24", "Hosting");
+
+  assert.equal(set.compile(4).length, 1);
+  assert.equal(set.match("192.0.2.200"), "Hosting");
+});
+
+test("the most specific of nested ranges wins", () => {
+  const set = new CidrSet();
+  set.add("10.0.0.0/8", "Carrier");
+  set.add("10.1.0.0/16", "Hosting");
+  set.add("10.1.2.3", "Exit");
+
+  assert.equal(set.match("10.0.0.1"), "Carrier");
+  assert.equal(set.match("10.1.0.1"), "Hosting");
+  assert.equal(set.match("10.1.2.3"), "Exit");
+  assert.equal(set.match("10.1.2.4"), "Hosting");
+  assert.equal(set.match("10.200.0.1"), "Carrier");
+  assert.equal(set.match("11.0.0.0"), null);
+});
+
+test("ranges added after a lookup are matched too", () => {
+  const set = new CidrSet(["2001:db8::/32"]);
+  assert.equal(set.match("2001:db8:ffff::1"), true);
+  assert.equal(set.has("2001:db9::1"), false);
+
+  set.add("2001:db8:1::/48", "VPN");
+  set.add("2001:db9::/32");
+  assert.equal(set.match("2001:db8:1::1"), "VPN");
+  assert.equal(set.match("2001:db8:2::1"), true);
+  assert.equal(set.has("2001:db9::1"), true);
+  assert.equal(set.has("192.0.2.1"), false);
+});
+
+test("the offline provider warns about empty lists and matches the rest", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ip-intel-"));
+  mock.method(console, "log", () => {});
+  const warn = mock.method(console, "warn", () => {});
+  try {
+    fs.writeFileSync(path.join(dir, "datacenter.txt"), "# comments only\n");
+    const empty = new OfflineIpProvider(dir);
+    assert.deepEqual(await empty.lookup("198.51.100.7"), []);
+    assert.match(warn.mock.calls.at(-1).arguments[0], /datacenter, tor, vpn checks will never match/);
+
+    fs.writeFileSync(path.join(dir, "datacenter.txt"), "203.0.113.0/24 AS64500 Example Hosting\n");
+    fs.writeFileSync(path.join(dir, "tor-exits.txt"), "198.51.100.7\n");
+    fs.writeFileSync(path.join(dir, "vpn.txt"), "198.51.100.0/24 ExampleVPN # shared exit\n");
+    const provider = new OfflineIpProvider(dir);
+
+    assert.deepEqual(await provider.lookup("198.51.100.7"), [
+      { category: "tor", label: null },
+      { category: "vpn", label: "ExampleVPN" }
+    ]);
+    assert.deepEqual(await provider.lookup("203.0.113.9"), [
+      { category: "datacenter", label: "AS64500 Example Hosting" }
+    ]);
+  } finally {
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
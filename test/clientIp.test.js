@@ -0,0 +1,75 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  getClientIp,
+  resolveClientIp,
+  setTrustedProxies,
+  setForwardedHeader
+} = require("../utils/clientIp");
+
+const request = (remoteAddress, headers = {}) => ({ socket: { remoteAddress }, headers });
+
+afterEach(() => {
+  setTrustedProxies("loopback");
+  setForwardedHeader("x-forwarded-for");
+});
+
+test("forwarding headers from an untrusted peer are ignored", () => {
+  const req = request("::ffff:203.0.113.5", { "x-forwarded-for": "198.51.100.1" });
+  assert.equal(resolveClientIp(req), "203.0.113.5");
+});
+
+test("X-Forwarded-For is walked from the right past trusted proxies only", () => {
+  setTrustedProxies("loopback, 10.0.0.0/8");
+
+  // The client prepended a fake address; the proxies appended the real one
+  const req = request("127.0.0.1", { "x-forwarded-for": "192.0.2.1, 203.0.113.7, 10.0.0.2" });
+  assert.equal(resolveClientIp(req), "203.0.113.7");
+
+  const allProxies = request("127.0.0.1", { "x-forwarded-for": "10.0.0.3, 10.0.0.2" });
+  assert.equal(resolveClientIp(allProxies), "10.0.0.3");
+});
+
+test("a Forwarded header is ignored when the proxy appends X-Forwarded-For", () => {
+  const req = request("127.0.0.1", {
+    forwarded: "for=192.0.2.1",
+    "x-forwarded-for": "203.0.113.7"
+  });
+  assert.equal(resolveClientIp(req), "203.0.113.7");
+
+  const forwardedOnly = request("127.0.0.1", { forwarded: "for=192.0.2.1" });
+  assert.equal(resolveClientIp(forwardedOnly), "127.0.0.1");
+});
+
+test("with FORWARDED_HEADER=forwarded only the Forwarded header is read", () => {
+  setForwardedHeader("Forwarded");
+
+  const req = request("127.0.0.1", {
+    forwarded: "for=192.0.2.1;proto=https, for=\"[2001:db8::17]:443\"",
+    "x-forwarded-for": "198.51.100.9"
+  });
+  assert.equal(resolveClientIp(req), "2001:db8::17");
+
+  const xffOnly = request("127.0.0.1", { "x-forwarded-for": "198.51.100.9" });
+  assert.equal(resolveClientIp(xffOnly), "127.0.0.1");
+});
+
+test("an obfuscated hop stops the walk at the proxy", () => {
+  setForwardedHeader("forwarded");
+  const req = request("127.0.0.1", { forwarded: "for=192.0.2.1, for=unknown" });
+  assert.equal(resolveClientIp(req), "127.0.0.1");
+});
+
+test("unknown forwarding headers are rejected", () => {
+  assert.throws(() => setForwardedHeader("x-real-ip"), /Invalid FORWARDED_HEADER/);
+  assert.throws(() => setTrustedProxies("not-a-cidr"), /Invalid TRUSTED_PROXIES/);
+});
+
+test("the client IP is resolved once per request", () => {
+  const req = request("127.0.0.1", { "x-forwarded-for": "203.0.113.7" });
+  assert.equal(getClientIp(req), "203.0.113.7");
+
+  req.headers["x-forwarded-for"] = "198.51.100.1";
+  assert.equal(getClientIp(req), "203.0.113.7");
+  assert.equal(getClientIp(request(undefined)), null);
+});
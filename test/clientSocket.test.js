@@ -0,0 +1,80 @@
+process.env.JWT_SECRET = "test-jwt-secret";
+
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+const { Server } = require("socket.io");
+const { io: connect } = require("socket.io-client");
+const { resetRedis } = require("./helpers/redis");
+const { sessionHelpers, SESSION_REVOKE_REASONS } = require("../config/redis");
+const { CLIENT_NAMESPACE, initializeClientSocket } = require("../config/clientSocket");
+
+let server;
+let url;
+const clients = [];
+
+before(async () => {
+  server = http.createServer();
+  initializeClientSocket(new Server(server));
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  url = `http://127.0.0.1:${server.address().port}${CLIENT_NAMESPACE}`;
+});
+
+after(async () => {
+  clients.forEach(client => client.close());
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(async () => {
+  clients.splice(0).forEach(client => client.close());
+  await resetRedis();
+});
+
+// Sign a device in and connect its app to the client namespace
+async function connectDevice(userId, deviceId) {
+  const token = jwt.sign({ userId, deviceId }, process.env.JWT_SECRET);
+  await sessionHelpers.createSession(userId, deviceId, token, { ipAddress: "203.0.113.9" });
+
+  const client = connect(url, { auth: { token }, transports: ["websocket"], reconnection: false });
+  clients.push(client);
+  client.events = [];
+  client.on("session_revoked", event => client.events.push(event));
+
+  await new Promise((resolve, reject) => {
+    client.once("connect", resolve);
+    client.once("connect_error", reject);
+  });
+  return client;
+}
+
+const waitFor = (client, event) => new Promise(resolve => client.once(event, resolve));
+
+test("a revoked session is pushed to that device only, which is then disconnected", async () => {
+  const tv = await connectDevice("user1", "tv");
+  const phone = await connectDevice("user1", "phone");
+  const otherAccount = await connectDevice("user2", "tv");
+
+  const disconnected = waitFor(tv, "disconnect");
+  await sessionHelpers.deleteSession("user1", "tv", SESSION_REVOKE_REASONS.ADMIN_TERMINATED);
+  await disconnected;
+
+  assert.equal(tv.events.length, 1);
+  assert.equal(tv.events[0].reason, SESSION_REVOKE_REASONS.ADMIN_TERMINATED);
+  assert.equal(tv.events[0].deviceId, "tv");
+  assert.equal(tv.events[0].message, "This session was ended by support.");
+
+  assert.deepEqual(phone.events, []);
+  assert.deepEqual(otherAccount.events, []);
+  assert.equal(phone.connected, true);
+  assert.equal(otherAccount.connected, true);
+});
+
+test("a device without a live session can't subscribe", async () => {
+  const token = jwt.sign({ userId: "user1", deviceId: "tv" }, process.env.JWT_SECRET);
+  const client = connect(url, { auth: { token }, transports: ["websocket"], reconnection: false });
+  clients.push(client);
+
+  const err = await waitFor(client, "connect_error");
+  assert.equal(err.message, "Session expired");
+});
@@ -0,0 +1,101 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const dashboardStats = require("../utils/dashboardStats");
+
+const user = { _id: "user1", email: "owner@example.com", plan: "PREMIUM" };
+
+const startSession = (trustScore) =>
+  dashboardStats.sessionStarted(user, "device1", { ipAddress: "203.0.113.9", trustScore, maxSessions: 4 });
+
+const counters = async () => {
+  const raw = await redis.hgetall("dashboard:counters");
+  return Object.fromEntries(Object.entries(raw).map(([k, v]) => [k, parseFloat(v)]));
+};
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+});
+
+test("a trust update moves the session between levels and counters", async () => {
+  await startSession(85);
+  await dashboardStats.trustUpdated("user1", "device1", 30);
+
+  const after = await counters();
+  assert.equal(after.trustSum, 30);
+  assert.equal(after["trust:HIGH"], 0);
+  assert.equal(after["trust:CRITICAL"], 1);
+  assert.equal(after.suspicious, 1);
+  assert.equal(after.leakage, 399.5);
+  assert.equal(await redis.zscore("dashboard:trust", "user1:device1"), "30");
+});
+
+test("ending the session returns every counter to zero", async () => {
+  await startSession(85);
+  await dashboardStats.trustUpdated("user1", "device1", 30);
+  await dashboardStats.sessionEnded("user1", "device1", "logout");
+
+  for (const [name, value] of Object.entries(await counters())) {
+    assert.equal(value, 0, name);
+  }
+  assert.equal(await redis.hlen("dashboard:sessions"), 0);
+  assert.equal(await redis.zcard("dashboard:trust"), 0);
+});
+
+test("a trust update racing a sign-out does not bring the session back", async () => {
+  await startSession(85);
+
+  // The sign-out lands between the update's read and its write
+  const hget = redis.hget.bind(redis);
+  mock.method(redis, "hget", async (...args) => {
+    const raw = await hget(...args);
+    await dashboardStats.sessionEnded("user1", "device1", "logout");
+    return raw;
+  });
+
+  await dashboardStats.trustUpdated("user1", "device1", 30);
+  mock.restoreAll();
+
+  assert.equal(await redis.hlen("dashboard:sessions"), 0);
+  assert.equal(await redis.zcard("dashboard:trust"), 0);
+  for (const [name, value] of Object.entries(await counters())) {
+    assert.equal(value, 0, name);
+  }
+});
+
+test("concurrent trust updates leave the counters matching the stored summary", async () => {
+  await startSession(85);
+
+  await Promise.all([45, 30, 70, 90].map(score => dashboardStats.trustUpdated("user1", "device1", score)));
+
+  const summary = JSON.parse(await redis.hget("dashboard:sessions", "user1:device1"));
+  const after = await counters();
+  assert.equal(after.trustSum, summary.trustScore);
+  assert.equal(after[`trust:${summary.trustLevel}`], 1);
+  assert.equal(
+    ["HIGH", "MEDIUM", "LOW", "CRITICAL"].reduce((sum, level) => sum + (after[`trust:${level}`] || 0), 0),
+    1
+  );
+});
+
+test("a rebuild that outlived its lock leaves the next holder's lock in place", async () => {
+  const { sessionHelpers } = require("../config/redis");
+  mock.method(console, "log", () => {});
+  mock.method(sessionHelpers, "getRecentlyActiveSessions", async () => {
+    // The lock expired mid-rebuild and another instance took it
+    await redis.set("dashboard:rebuild_lock", "other-instance");
+    return [];
+  });
+
+  assert.equal(await dashboardStats.rebuildAggregates(), true);
+  assert.equal(await redis.get("dashboard:rebuild_lock"), "other-instance");
+  assert.equal(await dashboardStats.rebuildAggregates(), false);
+});
+
+test("a finished rebuild releases its own lock", async () => {
+  mock.method(console, "log", () => {});
+
+  assert.equal(await dashboardStats.rebuildAggregates(), true);
+  assert.equal(await redis.get("dashboard:rebuild_lock"), null);
+});
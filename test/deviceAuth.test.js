@@ -0,0 +1,57 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const deviceAuthController = require("../controllers/deviceAuthController");
+const { hashToken } = require("../utils/tokenService");
+
+beforeEach(resetRedis);
+
+const mockRes = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const poll = async (deviceCode) => {
+  const res = mockRes();
+  await deviceAuthController.pollDeviceToken({ body: { deviceCode } }, res);
+  return res;
+};
+
+test("compareAndSwap only replaces the value the caller read", async () => {
+  await redis.setex("k", 60, "old");
+
+  assert.equal(await redis.compareAndSwap("k", "stale", "new"), 0);
+  assert.equal(await redis.get("k"), "old");
+
+  assert.equal(await redis.compareAndSwap("k", "old", "new"), 1);
+  assert.equal(await redis.get("k"), "new");
+  assert.ok((await redis.ttl("k")) > 0);
+
+  assert.equal(await redis.compareAndSwap("k", "new", ""), 1);
+  assert.equal(await redis.exists("k"), 0);
+});
+
+test("approved tokens are handed to exactly one poll", async () => {
+  await redis.setex(`device_auth:${hashToken("tv-code")}`, 600, JSON.stringify({
+    status: "approved",
+    deviceId: "tv1",
+    tokens: { token: "access", refreshToken: "refresh", expiresIn: "15m" }
+  }));
+
+  const results = await Promise.all([poll("tv-code"), poll("tv-code"), poll("tv-code")]);
+
+  assert.equal(results.filter(r => r.statusCode === 200).length, 1);
+  assert.equal(results.find(r => r.statusCode === 200).body.refreshToken, "refresh");
+});
+
+test("a poll during approval leaves the approval alone", async () => {
+  const key = `device_auth:${hashToken("tv-code")}`;
+  await redis.setex(key, 600, JSON.stringify({ status: "approving", deviceId: "tv1", lastPoll: 0 }));
+
+  const res = await poll("tv-code");
+
+  assert.equal(res.body.error, "authorization_pending");
+  assert.equal(JSON.parse(await redis.get(key)).status, "approving");
+});
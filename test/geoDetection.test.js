@@ -0,0 +1,20 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+require("./helpers/redis");
+const { getIpPrefix } = require("../utils/geoDetection");
+
+test("every spelling of an IPv6 /48 gives the same household prefix", () => {
+  const prefixes = ["2001:db8::1", "2001:db8:0:1::5", "2001:DB8:0000:ffff::"].map(getIpPrefix);
+  assert.deepEqual(prefixes, ["2001:db8:0::/48", "2001:db8:0::/48", "2001:db8:0::/48"]);
+  assert.notEqual(getIpPrefix("2001:db8:1::1"), getIpPrefix("2001:db8::1"));
+});
+
+test("IPv4 addresses, mapped or not, share a /24 prefix", () => {
+  assert.equal(getIpPrefix("192.0.2.200"), "192.0.2.0/24");
+  assert.equal(getIpPrefix("::ffff:192.0.2.7"), "192.0.2.0/24");
+});
+
+test("non-addresses have no prefix", () => {
+  assert.equal(getIpPrefix("not-an-ip"), null);
+  assert.equal(getIpPrefix(undefined), null);
+});
@@ -0,0 +1,18 @@
+// Tests run against an in-memory Redis: require this before anything that
+// loads config/redis.js.
+const RedisMock = require("ioredis-mock");
+
+const ioredisPath = require.resolve("ioredis");
+require.cache[ioredisPath] = {
+  id: ioredisPath,
+  filename: ioredisPath,
+  loaded: true,
+  exports: RedisMock
+};
+
+const { redis } = require("../../config/redis");
+
+module.exports = {
+  redis,
+  resetRedis: () => redis.flushall()
+};
@@ -0,0 +1,169 @@
+process.env.AUDIT_HMAC_SECRET = "test-audit-secret";
+process.env.SLACK_WEBHOOK_URL = "https://hooks.example.com/alerts";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const axios = require("axios");
+const { resetRedis } = require("./helpers/redis");
+const Incident = require("../models/Incident");
+const alertRulesEngine = require("../utils/alertRulesEngine");
+const incidentManager = require("../utils/incidentManager");
+
+// In-memory stand-in for the Incident collection, covering the filters and
+// update operators the incident manager uses
+let incidents;
+let nextId;
+
+const same = (a, b) => (a == null && b == null) || String(a) === String(b);
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === "$or") return condition.some(branch => matches(doc, branch));
+    const value = doc[field];
+    if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+      if ("$in" in condition) return condition.$in.some(option => same(value, option));
+      if ("$lt" in condition) return value < condition.$lt;
+      if ("$ne" in condition) return !same(value, condition.$ne);
+    }
+    return same(value, condition);
+  });
+}
+
+function applyUpdate(doc, update, inserting) {
+  const ops = Object.keys(update).some(key => key.startsWith("$")) ? update : { $set: update };
+  Object.assign(doc, ops.$set);
+  if (inserting) Object.assign(doc, ops.$setOnInsert);
+  for (const field of Object.keys(ops.$unset || {})) delete doc[field];
+  for (const [field, value] of Object.entries(ops.$push || {})) doc[field] = [...(doc[field] || []), value];
+  for (const [field, value] of Object.entries(ops.$inc || {})) doc[field] = (doc[field] || 0) + value;
+  for (const [field, value] of Object.entries(ops.$addToSet || {})) {
+    doc[field] = (doc[field] || []).includes(value) ? doc[field] : [...(doc[field] || []), value];
+  }
+  for (const [field, value] of Object.entries(ops.$max || {})) {
+    if (doc[field] === undefined || value > doc[field]) doc[field] = value;
+  }
+  for (const [field, condition] of Object.entries(ops.$pull || {})) {
+    doc[field] = (doc[field] || []).filter(item => !matches(item, condition));
+  }
+}
+
+const copy = (doc) => (doc ? structuredClone(doc) : null);
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+  incidents = [];
+  nextId = 1;
+
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(Incident, "updateOne", async (filter, update) => {
+    const doc = incidents.find(d => matches(d, filter));
+    if (doc) applyUpdate(doc, update, false);
+    return { modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Incident, "findOneAndUpdate", async (filter, update, options = {}) => {
+    let doc = incidents.find(d => matches(d, filter));
+    const before = copy(doc);
+    if (!doc && options.upsert) {
+      doc = { _id: `incident${nextId++}`, duplicateCount: 0, ...filter };
+      incidents.push(doc);
+      applyUpdate(doc, update, true);
+    } else if (doc) {
+      applyUpdate(doc, update, false);
+    }
+    return options.new ? copy(doc) : before;
+  });
+  mock.method(Incident, "findById", async (id) => copy(incidents.find(d => same(d._id, id))));
+
+  mock.method(axios, "post", async () => ({ status: 200 }));
+  alertRulesEngine.rules = [];
+});
+
+const useRules = (...definitions) => {
+  alertRulesEngine.rules = definitions.map(definition => alertRulesEngine.compileRule({
+    name: definition.ruleId,
+    message: "{{email}} tripped {{ruleId}}",
+    condition: { field: "trip", op: "eq", value: true },
+    actions: ["slack"],
+    ...definition
+  }));
+};
+
+const login = (overrides = {}) => alertRulesEngine.evaluateRules({
+  userId: "user1",
+  email: "viewer@example.com",
+  deviceId: "tv",
+  ipAddress: "203.0.113.9",
+  trip: true,
+  ...overrides
+});
+
+test("a repeat of the same alert inside the dedup window is counted, not re-sent", async () => {
+  useRules({ ruleId: "vpn_detected", severity: "MEDIUM" });
+
+  assert.equal((await login()).length, 1);
+  assert.equal((await login()).length, 0);
+  assert.equal((await login()).length, 0);
+
+  assert.equal(incidents.length, 1);
+  assert.equal(incidents[0].alertCount, 1);
+  assert.equal(incidents[0].duplicateCount, 2);
+  assert.equal(axios.post.mock.callCount(), 1);
+
+  // Another device is a different alert, grouped into the same incident
+  assert.equal((await login({ deviceId: "phone" })).length, 1);
+  assert.equal(incidents[0].alertCount, 2);
+  assert.equal(axios.post.mock.callCount(), 1);
+});
+
+test("an incident notifies again only when its severity escalates", async () => {
+  useRules(
+    { ruleId: "new_country", severity: "LOW", dedupWindowSeconds: 0 },
+    { ruleId: "vpn_detected", severity: "LOW", dedupWindowSeconds: 0 }
+  );
+  await login();
+  assert.equal(incidents.length, 1);
+  assert.equal(axios.post.mock.callCount(), 1);
+  await incidentManager.acknowledge(incidents[0]._id, "analyst@example.com");
+
+  useRules({ ruleId: "impossible_travel", severity: "HIGH", dedupWindowSeconds: 0 });
+  await login();
+  await login();
+
+  const [incident] = incidents;
+  assert.equal(incident.severity, "HIGH");
+  assert.equal(incident.status, "open");
+  assert.equal(incident.alertCount, 4);
+  assert.deepEqual(incident.ruleIds, ["new_country", "vpn_detected", "impossible_travel"]);
+  assert.deepEqual(incident.escalations.map(e => e.severity), ["LOW", "HIGH"]);
+  assert.equal(axios.post.mock.callCount(), 2);
+});
+
+test("an escalation whose notification failed is retried by the next alert", async () => {
+  useRules({ ruleId: "impossible_travel", severity: "HIGH", dedupWindowSeconds: 0 });
+  mock.method(console, "error", () => {});
+  axios.post.mock.mockImplementationOnce(async () => { throw new Error("webhook down"); });
+
+  await login();
+  assert.equal(incidents[0].notifiedSeverity, null);
+  assert.deepEqual(incidents[0].escalations, []);
+
+  await login();
+  assert.equal(axios.post.mock.callCount(), 2);
+  assert.equal(incidents[0].notifiedSeverity, "HIGH");
+  assert.equal(incidents[0].escalations.length, 1);
+});
+
+test("alerts after the grouping window open a new incident", async () => {
+  useRules({ ruleId: "vpn_detected", severity: "MEDIUM", dedupWindowSeconds: 0 });
+  await login();
+
+  incidents[0].lastSeen = new Date(Date.now() - incidentManager.groupingWindowMs - 1000);
+  await login();
+
+  assert.equal(incidents.length, 2);
+  assert.equal(incidents[0].liveKey, undefined);
+  assert.equal(incidents[1].liveKey, "user:user1");
+  assert.equal(axios.post.mock.callCount(), 2);
+});
@@ -0,0 +1,97 @@
+process.env.AUDIT_HMAC_SECRET = "test-audit-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const { resetRedis } = require("./helpers/redis");
+const User = require("../models/User");
+const Device = require("../models/Device");
+const Session = require("../models/Session");
+const AuditLog = require("../models/AuditLog");
+const TrustScoreHistory = require("../models/TrustScoreHistory");
+const alertRulesEngine = require("../utils/alertRulesEngine");
+const authController = require("../controllers/authController");
+const { evaluateCondition } = require("../utils/ruleDsl");
+const defaultAlertRules = require("../config/defaultAlertRules");
+const { generateEnhancedFingerprint } = require("../utils/enhancedFingerprint");
+
+const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36";
+const FINGERPRINT = { canvas: "c", webgl: "w", fonts: "f", platform: "Win32", timezone: "Europe/London" };
+
+const takeoverRule = defaultAlertRules.find(r => r.ruleId === "account_takeover_attempt");
+
+const loginRequest = () => ({
+  body: { email: "owner@example.com", password: "correct horse", fingerprint: FINGERPRINT },
+  headers: { "user-agent": USER_AGENT, "accept-language": "en-GB" },
+  clientIp: "203.0.113.9"
+});
+
+const login = async () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  await authController.login(loginRequest(), res);
+  return res;
+};
+
+const resettingDeviceId = generateEnhancedFingerprint(loginRequest(), FINGERPRINT).deviceId;
+
+let user;
+let contexts;
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+  // Login progress logs can corrupt the test runner's report stream
+  mock.method(console, "log", () => {});
+  contexts = [];
+
+  // Reset an hour ago; the account requires the app on new devices so the
+  // login stops at step-up
+  user = {
+    _id: "64b000000000000000000002",
+    email: "owner@example.com",
+    password: bcrypt.hashSync("correct horse", 4),
+    plan: "PREMIUM",
+    passwordChangedAt: new Date(Date.now() - 3600000),
+    totp: { enabled: true, requireOnNewDevice: true }
+  };
+
+  mock.method(User, "findOne", async () => user);
+  mock.method(Device, "findOne", async () => null);
+  mock.method(Session, "updateMany", async () => ({}));
+  mock.method(TrustScoreHistory, "create", async () => ({ _id: "history1" }));
+  mock.method(TrustScoreHistory, "updateOne", async () => ({}));
+  mock.method(AuditLog, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(AuditLog, "create", async (entry) => entry);
+  mock.method(alertRulesEngine, "evaluateRules", async (context) => {
+    contexts.push({ ...context });
+    return [];
+  });
+});
+
+test("the device that completed the reset does not trip the takeover rule", async () => {
+  user.passwordChangedDeviceId = resettingDeviceId;
+
+  const res = await login();
+
+  assert.equal(res.body.otpRequired, true);
+  assert.equal(contexts.length, 1);
+  assert.equal(contexts[0].passwordChanged, false);
+  assert.ok(contexts[0].trustScore < 60);
+  assert.equal(evaluateCondition(takeoverRule.condition, contexts[0]), false);
+});
+
+test("a low-trust device other than the resetting one still trips the takeover rule", async () => {
+  user.passwordChangedDeviceId = "some-other-device";
+
+  await login();
+
+  assert.equal(contexts[0].passwordChanged, true);
+  assert.equal(evaluateCondition(takeoverRule.condition, contexts[0]), true);
+});
+
+test("score rules don't match before the trust score is calculated", () => {
+  const context = { passwordChanged: true, trustScore: null };
+  assert.equal(evaluateCondition(takeoverRule.condition, context), false);
+});
@@ -0,0 +1,65 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const {
+  createLoginChallenge,
+  getLoginChallenge,
+  recordChallengeFailure,
+  consumeLoginChallenge
+} = require("../utils/loginChallenge");
+const { OTP_MAX_ATTEMPTS } = require("../utils/otpChallenge");
+const { otpVerifyLimiter } = require("../middleware/rateLimiter");
+
+const pendingLogin = (userId) => ({ userId, deviceId: "d1", ipAddress: "203.0.113.9", availableFactors: ["email"] });
+
+beforeEach(() => resetRedis());
+
+test("concurrent failures are all counted", async () => {
+  const id = await createLoginChallenge(pendingLogin("user1"));
+
+  const remaining = await Promise.all(
+    Array.from({ length: OTP_MAX_ATTEMPTS - 1 }, () => recordChallengeFailure(id))
+  );
+
+  assert.deepEqual(remaining.sort(), Array.from({ length: OTP_MAX_ATTEMPTS - 1 }, (_, i) => i + 1));
+  assert.ok(await getLoginChallenge(id));
+
+  assert.equal(await recordChallengeFailure(id), 0);
+  assert.equal(await getLoginChallenge(id), null);
+  assert.deepEqual(await redis.keys("login_challenge:*"), []);
+});
+
+test("consuming a challenge clears its failure count", async () => {
+  const id = await createLoginChallenge(pendingLogin("user1"));
+  await recordChallengeFailure(id);
+
+  assert.equal(await consumeLoginChallenge(id), true);
+  assert.equal(await consumeLoginChallenge(id), false);
+  assert.deepEqual(await redis.keys("login_challenge:*"), []);
+});
+
+test("OTP verification is limited per account, across fresh challenges", async () => {
+  const attempt = async (loginChallengeId, ip) => {
+    const req = { body: { loginChallengeId }, headers: {}, clientIp: ip, ip, app: { get: () => false } };
+    const res = { statusCode: 200, headersSent: false };
+    res.status = (code) => { res.statusCode = code; return res; };
+    res.json = () => res;
+    res.setHeader = () => {};
+    res.set = () => res;
+    res.on = () => {};
+    let passed = false;
+    await otpVerifyLimiter(req, res, () => { passed = true; });
+    return passed;
+  };
+
+  // A new challenge (and a new IP) for every guess
+  for (let i = 0; i < 5; i++) {
+    const id = await createLoginChallenge(pendingLogin("user1"));
+    assert.equal(await attempt(id, `203.0.113.${i}`), true);
+  }
+  const id = await createLoginChallenge(pendingLogin("user1"));
+  assert.equal(await attempt(id, "198.51.100.1"), false);
+
+  // Other accounts are unaffected
+  assert.equal(await attempt(await createLoginChallenge(pendingLogin("user2")), "198.51.100.1"), true);
+});
@@ -0,0 +1,116 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const loginTimeProfile = require("../utils/loginTimeProfile");
+const deviceTrustScorer = require("../utils/deviceTrustScoring");
+const defaultTrustScoring = require("../config/defaultTrustScoring");
+
+const HOURS_PER_WEEK = 168;
+
+// 2026-01-05 is a Monday
+const utc = (day, hour, minute = 0) => new Date(Date.UTC(2026, 0, 5 + day, hour, minute));
+
+// A night-shift worker in Tokyo: 23:00 local (14:00 UTC) Monday to Friday,
+// for two weeks
+async function recordNightShifts(userId) {
+  for (const week of [0, 7]) {
+    for (let day = 0; day < 5; day++) {
+      await loginTimeProfile.recordLogin(userId, "Asia/Tokyo", utc(week + day, 14));
+    }
+  }
+}
+
+beforeEach(resetRedis);
+
+test("local time is taken in the login's timezone, across DST", () => {
+  assert.deepEqual(loginTimeProfile.getLocalTime(utc(0, 2, 30), "Asia/Tokyo"), {
+    hourOfWeek: 24 + 11, weekday: "Mon", hour: 11, time: "Mon 11:30"
+  });
+  assert.deepEqual(loginTimeProfile.getLocalTime(utc(0, 2, 30), "America/Los_Angeles"), {
+    hourOfWeek: 18, weekday: "Sun", hour: 18, time: "Sun 18:30"
+  });
+  // New York is UTC-5 in January and UTC-4 in July
+  assert.equal(loginTimeProfile.getLocalTime(utc(0, 3), "America/New_York").time, "Sun 22:00");
+  assert.equal(loginTimeProfile.getLocalTime(new Date(Date.UTC(2026, 6, 6, 3)), "America/New_York").time, "Sun 23:00");
+});
+
+test("the anomaly falls off with distance from the usual hour", () => {
+  const histogram = new Array(HOURS_PER_WEEK).fill(0);
+  assert.equal(loginTimeProfile.computeAnomaly(histogram, 35), null);
+
+  histogram[35] = 10; // Monday 11:00
+  assert.equal(loginTimeProfile.computeAnomaly(histogram, 35), 0);
+  assert.equal(loginTimeProfile.computeAnomaly(histogram, 36), 0.5); // an hour later
+  assert.equal(loginTimeProfile.computeAnomaly(histogram, 35 + 24), 0.75); // same hour, Tuesday
+  assert.equal(loginTimeProfile.computeAnomaly(histogram, 35 + 24 * 6 + 1), 1);
+
+  // Saturday 23:00 is next to Sunday 00:00
+  const sunday = new Array(HOURS_PER_WEEK).fill(0);
+  sunday[0] = 10;
+  assert.equal(loginTimeProfile.computeAnomaly(sunday, HOURS_PER_WEEK - 1), 0.5);
+});
+
+test("there is no anomaly until the baseline has enough logins", async () => {
+  for (let i = 1; i < loginTimeProfile.MIN_BASELINE_LOGINS; i++) {
+    await loginTimeProfile.recordLogin("user1", "UTC", utc(i % 7, 9));
+  }
+
+  const early = await loginTimeProfile.getLoginTimeAnomaly("user1", "UTC", utc(3, 3));
+  assert.equal(early.anomaly, null);
+  assert.equal(early.sampleSize, loginTimeProfile.MIN_BASELINE_LOGINS - 1);
+
+  await loginTimeProfile.recordLogin("user1", "UTC", utc(0, 9));
+  const ready = await loginTimeProfile.getLoginTimeAnomaly("user1", "UTC", utc(3, 3));
+  assert.equal(ready.anomaly, 1);
+  assert.equal(ready.sampleSize, loginTimeProfile.MIN_BASELINE_LOGINS);
+});
+
+test("a night-shift worker is measured against their own hours and timezone", async () => {
+  await recordNightShifts("user1");
+
+  // Wednesday 23:00 in Tokyo is their usual time
+  const usual = await loginTimeProfile.getLoginTimeAnomaly("user1", "Asia/Tokyo", utc(2, 14));
+  assert.equal(usual.anomaly, 0);
+  assert.equal(usual.localTime, "Wed 23:00");
+
+  // Wednesday midday in Tokyo they have never signed in
+  const midday = await loginTimeProfile.getLoginTimeAnomaly("user1", "Asia/Tokyo", utc(2, 3));
+  assert.equal(midday.anomaly, 1);
+
+  // A weekend login at their usual hour is only partly unusual
+  const saturday = await loginTimeProfile.getLoginTimeAnomaly("user1", "Asia/Tokyo", utc(5, 14));
+  assert.ok(saturday.anomaly > 0 && saturday.anomaly < 1, String(saturday.anomaly));
+
+  // The same instant read as UTC lands on an hour they never use
+  const asUtc = await loginTimeProfile.getLoginTimeAnomaly("user1", "UTC", utc(2, 14));
+  assert.equal(asUtc.localTime, "Wed 14:00");
+  assert.equal(asUtc.anomaly, 1);
+});
+
+test("a missing or invalid timezone falls back to the user's last one", async () => {
+  await recordNightShifts("user1");
+  assert.equal(await redis.hget("user:user1:login_hours", "timezone"), "Asia/Tokyo");
+
+  for (const timezone of [undefined, "Mars/Olympus_Mons", 42]) {
+    const result = await loginTimeProfile.getLoginTimeAnomaly("user1", timezone, utc(2, 14));
+    assert.equal(result.timezone, "Asia/Tokyo");
+    assert.equal(result.anomaly, 0);
+  }
+
+  const stranger = await loginTimeProfile.getLoginTimeAnomaly("user2", "Mars/Olympus_Mons", utc(2, 14));
+  assert.equal(stranger.timezone, "UTC");
+});
+
+test("an unusual hour costs trust points only with a baseline", async () => {
+  const score = (loginTimeAnomaly) => deviceTrustScorer.scoreSignals({ loginTimeAnomaly }, defaultTrustScoring)
+    .factors.find(f => f.factor === "Login Hours").score;
+
+  await recordNightShifts("user1");
+  const { anomaly } = await loginTimeProfile.getLoginTimeAnomaly("user1", "Asia/Tokyo", utc(2, 3));
+  assert.equal(score(anomaly), -10);
+  assert.equal(score(0.75), -5);
+  assert.equal(score(0), 0);
+
+  const { anomaly: none } = await loginTimeProfile.getLoginTimeAnomaly("user2", "Asia/Tokyo", utc(2, 3));
+  assert.equal(score(none), 0);
+});
@@ -0,0 +1,70 @@
+process.env.OTP_SECRET = "test-otp-secret";
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const { OTP_PURPOSES, OTP_MAX_ATTEMPTS, issueOTP, verifyOTP } = require("../utils/otpChallenge");
+
+beforeEach(resetRedis);
+
+const login = { purpose: OTP_PURPOSES.LOGIN, subjectId: "user1", deviceId: "tv", ipAddress: "203.0.113.9" };
+
+// A six-digit code that isn't `code`
+const wrong = (code) => String((parseInt(code) + 1) % 1000000).padStart(6, "0");
+
+test("only a keyed hash of the code is stored", async () => {
+  const code = await issueOTP({ ...login, metadata: { method: "password" } });
+  const stored = await redis.get("otp:login:user1");
+
+  assert.match(code, /^\d{6}$/);
+  assert.ok(!stored.includes(code));
+  assert.match(JSON.parse(stored).hash, /^[0-9a-f]{64}$/);
+  assert.ok(await redis.ttl("otp:login:user1") > 0);
+});
+
+test("a code verifies once, for its own purpose, device and network", async () => {
+  const code = await issueOTP({ ...login, metadata: { method: "password" } });
+
+  assert.equal((await verifyOTP({ ...login, ipAddress: "198.51.100.1", code })).status, "invalid");
+  assert.equal((await verifyOTP({ ...login, deviceId: "phone", code })).status, "invalid");
+  assert.equal((await verifyOTP({ ...login, purpose: OTP_PURPOSES.ADMIN_LOGIN, code })).status, "expired");
+
+  assert.deepEqual(await verifyOTP({ ...login, code }), { status: "valid", metadata: { method: "password" } });
+  assert.equal((await verifyOTP({ ...login, code })).status, "expired");
+});
+
+test("the challenge is destroyed after too many wrong codes", async () => {
+  const code = await issueOTP(login);
+
+  for (let i = 1; i < OTP_MAX_ATTEMPTS; i++) {
+    assert.deepEqual(await verifyOTP({ ...login, code: wrong(code) }), {
+      status: "invalid",
+      attemptsRemaining: OTP_MAX_ATTEMPTS - i
+    });
+  }
+  assert.equal((await verifyOTP({ ...login, code: wrong(code) })).status, "locked");
+
+  // Even the right code is useless now
+  assert.equal((await verifyOTP({ ...login, code })).status, "expired");
+});
+
+test("parallel wrong guesses can't exceed the attempt limit", async () => {
+  const code = await issueOTP(login);
+
+  const results = await Promise.all(
+    Array.from({ length: OTP_MAX_ATTEMPTS * 2 }, () => verifyOTP({ ...login, code: wrong(code) }))
+  );
+
+  assert.ok(results.filter(r => r.status === "invalid").length < OTP_MAX_ATTEMPTS);
+  assert.equal((await verifyOTP({ ...login, code })).status, "expired");
+});
+
+test("a new code replaces the old one and resets the attempt count", async () => {
+  const first = await issueOTP(login);
+  await verifyOTP({ ...login, code: wrong(first) });
+  const second = await issueOTP(login);
+
+  assert.equal((await verifyOTP({ ...login, code: first === second ? wrong(second) : first })).attemptsRemaining,
+    OTP_MAX_ATTEMPTS - 1);
+  assert.equal((await verifyOTP({ ...login, code: second })).status, "valid");
+});
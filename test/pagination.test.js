@@ -0,0 +1,115 @@
+const { test, mock, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+require("./helpers/redis");
+const { CursorError, paginate } = require("../utils/pagination");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const adminSearchController = require("../controllers/adminSearchController");
+
+const docs = [30, 20, 20, 10].map(score => ({ _id: new mongoose.Types.ObjectId(), trustScore: score }));
+
+// Stands in for a Mongoose model: records the query and returns `docs`
+function fakeModel() {
+  const model = { queries: [] };
+  model.find = (query) => {
+    const call = { query };
+    model.queries.push(call);
+    const chain = {
+      sort: (sort) => { call.sort = sort; return chain; },
+      limit: (limit) => { call.limit = limit; return chain; },
+      select: () => chain,
+      populate: () => chain,
+      lean: async () => docs.slice(0, call.limit)
+    };
+    return chain;
+  };
+  return model;
+}
+
+const respond = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+beforeEach(() => mock.restoreAll());
+
+test("the next page starts after the last item, ties broken by _id", async () => {
+  const model = fakeModel();
+  const first = await paginate(model, {}, { field: "trustScore", direction: -1, limit: 2 });
+
+  assert.equal(first.items.length, 2);
+  assert.ok(first.nextCursor);
+
+  await paginate(model, { isActive: true }, { field: "trustScore", direction: -1, cursor: first.nextCursor, limit: 2 });
+  const { query, sort } = model.queries[1];
+  assert.deepEqual(sort, { trustScore: -1, _id: -1 });
+  assert.deepEqual(query.$and[0], { isActive: true });
+  assert.deepEqual(query.$and[1].$or, [
+    { trustScore: { $lt: 20 } },
+    { trustScore: 20, _id: { $lt: docs[1]._id } }
+  ]);
+});
+
+test("a cursor is rejected under a different sort field or direction", async () => {
+  const model = fakeModel();
+  const { nextCursor } = await paginate(model, {}, { field: "trustScore", direction: -1, limit: 2 });
+
+  await assert.rejects(
+    paginate(model, {}, { field: "createdAt", direction: -1, cursor: nextCursor, limit: 2 }),
+    CursorError
+  );
+  await assert.rejects(
+    paginate(model, {}, { field: "trustScore", direction: 1, cursor: nextCursor, limit: 2 }),
+    CursorError
+  );
+});
+
+test("malformed cursors are CursorErrors", async () => {
+  const model = fakeModel();
+  const forged = Buffer.from(JSON.stringify({ f: "trustScore", d: -1, v: 1, id: "nope" })).toString("base64url");
+
+  for (const cursor of ["not-a-cursor", forged, ["a", "b"]]) {
+    await assert.rejects(
+      paginate(model, {}, { field: "trustScore", direction: -1, cursor, limit: 2 }),
+      CursorError
+    );
+  }
+});
+
+test("the last page has no cursor", async () => {
+  const { items, nextCursor } = await paginate(fakeModel(), {}, { field: "trustScore", direction: -1, limit: 10 });
+  assert.equal(items.length, docs.length);
+  assert.equal(nextCursor, null);
+});
+
+test("repeated query parameters are a 400, not a 500", async () => {
+  mock.method(Session, "aggregate", async () => []);
+
+  for (const query of [{ email: ["a", "b"] }, { country: ["GB", "US"] }, { cursor: ["x", "y"] }, { order: ["asc", "desc"] }]) {
+    const res = respond();
+    await adminSearchController.searchUsers({ query }, res);
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+  }
+
+  for (const query of [{ country: ["GB", "US"] }, { deviceId: ["a", "b"] }, { from: ["2024-01-01", "2024-02-01"] }]) {
+    const res = respond();
+    await adminSearchController.searchSessions({ query }, res);
+    assert.equal(res.statusCode, 400, JSON.stringify(query));
+  }
+});
+
+test("a session filter matching too many users asks for a narrower search", async () => {
+  mock.method(Session, "aggregate", async (pipeline) =>
+    Array.from({ length: pipeline[2].$limit }, () => ({ _id: new mongoose.Types.ObjectId() }))
+  );
+  mock.method(User, "find", () => { throw new Error("should not query users"); });
+
+  const res = respond();
+  await adminSearchController.searchUsers({ query: { trustLevel: "LOW" } }, res);
+
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body.error, /more than/);
+});
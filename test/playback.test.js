@@ -0,0 +1,71 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const { playbackHelpers } = require("../config/redis");
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+});
+
+test("parallel stream starts never exceed the plan cap", async () => {
+  const starts = await Promise.all(
+    ["tv", "phone", "laptop", "tablet", "console"].map((deviceId, i) =>
+      playbackHelpers.startStream("user1", deviceId, `stream-${i}`, 2, { contentId: "movie" })
+    )
+  );
+
+  assert.equal(starts.filter(Boolean).length, 2);
+  assert.equal((await playbackHelpers.getActiveStreams("user1")).length, 2);
+});
+
+test("a stopped stream frees its slot", async () => {
+  const first = await playbackHelpers.startStream("user1", "tv", "s1", 1);
+  assert.ok(first);
+  assert.equal(await playbackHelpers.startStream("user1", "phone", "s2", 1), null);
+
+  await playbackHelpers.stopStream("user1", "s1");
+  assert.ok(await playbackHelpers.startStream("user1", "phone", "s2", 1));
+});
+
+test("switching titles on a device replaces its stream, even at the cap", async () => {
+  await playbackHelpers.startStream("user1", "tv", "s1", 1);
+  assert.ok(await playbackHelpers.startStream("user1", "tv", "s2", 1));
+
+  const active = await playbackHelpers.getActiveStreams("user1");
+  assert.deepEqual(active.map(s => s.streamId), ["s2"]);
+  assert.equal(await playbackHelpers.getStream("user1", "s1"), null);
+});
+
+test("a replacing start racing another device's start leaves one stream", async () => {
+  await playbackHelpers.startStream("user1", "tv", "s1", 1);
+
+  const [tv, phone] = await Promise.all([
+    playbackHelpers.startStream("user1", "tv", "s2", 1),
+    playbackHelpers.startStream("user1", "phone", "s3", 1)
+  ]);
+
+  assert.equal([tv, phone].filter(Boolean).length, 1);
+  assert.equal((await playbackHelpers.getActiveStreams("user1")).length, 1);
+});
+
+test("a heartbeat keeps a live stream and never revives a stopped one", async () => {
+  await playbackHelpers.startStream("user1", "tv", "s1", 1);
+  const beat = await playbackHelpers.heartbeat("user1", "s1", 120);
+  assert.equal(beat.position, 120);
+  assert.equal((await playbackHelpers.getStream("user1", "s1")).position, 120);
+
+  // The stream is stopped between the heartbeat's read and its write
+  const get = redis.get.bind(redis);
+  mock.method(redis, "get", async (key) => {
+    const raw = await get(key);
+    await playbackHelpers.stopStream("user1", "s1");
+    return raw;
+  });
+
+  assert.equal(await playbackHelpers.heartbeat("user1", "s1", 130), null);
+  mock.restoreAll();
+  assert.equal(await playbackHelpers.getStream("user1", "s1"), null);
+  assert.deepEqual(await playbackHelpers.getActiveStreams("user1"), []);
+  assert.ok(await playbackHelpers.startStream("user1", "phone", "s2", 1));
+});
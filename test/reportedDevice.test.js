@@ -0,0 +1,73 @@
+process.env.AUDIT_HMAC_SECRET = "test-audit-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const { resetRedis } = require("./helpers/redis");
+const User = require("../models/User");
+const Device = require("../models/Device");
+const Session = require("../models/Session");
+const AuditLog = require("../models/AuditLog");
+const TrustScoreHistory = require("../models/TrustScoreHistory");
+const authController = require("../controllers/authController");
+const { generateEnhancedFingerprint } = require("../utils/enhancedFingerprint");
+
+const USER_AGENT = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0 Safari/537.36";
+const FINGERPRINT = { canvas: "c", webgl: "w", fonts: "f", platform: "Win32", timezone: "Europe/London" };
+
+const user = {
+  _id: "64b000000000000000000001",
+  email: "owner@example.com",
+  password: bcrypt.hashSync("correct horse", 4),
+  plan: "PREMIUM",
+  totp: { enabled: true, requireOnNewDevice: false }
+};
+
+const loginRequest = () => ({
+  body: { email: user.email, password: "correct horse", fingerprint: FINGERPRINT },
+  headers: { "user-agent": USER_AGENT, "accept-language": "en-GB" },
+  clientIp: "203.0.113.9"
+});
+
+const login = async () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  await authController.login(loginRequest(), res);
+  return res;
+};
+
+let device;
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+  // Login progress logs can corrupt the test runner's report stream
+  mock.method(console, "log", () => {});
+
+  const { deviceId } = generateEnhancedFingerprint(loginRequest(), FINGERPRINT);
+  device = { userId: user._id, deviceId, trusted: true, createdAt: new Date(Date.now() - 200 * 86400000) };
+
+  mock.method(User, "findOne", async () => user);
+  mock.method(Device, "findOne", async () => device);
+  mock.method(Device, "updateOne", async (filter, update) => Object.assign(device, update));
+  mock.method(Session, "updateMany", async () => ({}));
+  mock.method(TrustScoreHistory, "create", async () => ({ _id: "history1" }));
+  mock.method(TrustScoreHistory, "updateOne", async () => ({}));
+  mock.method(AuditLog, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(AuditLog, "create", async (entry) => entry);
+});
+
+test("a device reported with \"this wasn't me\" is challenged on its next login", async () => {
+  const deviceTrustScorer = require("../utils/deviceTrustScoring");
+  await deviceTrustScorer.resetDeviceTrust(user._id, device.deviceId);
+  assert.equal(device.trusted, false);
+
+  const res = await login();
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.otpRequired, true);
+  assert.ok(res.body.loginChallengeId);
+  assert.equal(res.body.token, undefined);
+  assert.equal(TrustScoreHistory.updateOne.mock.calls[0].arguments[1].stepUpReason, "reported_device");
+});
@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateCondition, evaluateCondition, renderMessage } = require("../utils/ruleDsl");
+const defaultAlertRules = require("../config/defaultAlertRules");
+
+test("comparisons, groups and negation evaluate against the context", () => {
+  const condition = {
+    all: [
+      { field: "geoCheck.isImpossible", op: "eq", value: true },
+      { any: [
+        { field: "trustScore", op: "lt", value: 40 },
+        { field: "activeSessions", op: "gt", valueFrom: "maxSessions" }
+      ] },
+      { not: { field: "country", op: "in", value: ["GB", "IE"] } }
+    ]
+  };
+  assert.deepEqual(validateCondition(condition), []);
+
+  const context = { geoCheck: { isImpossible: true }, trustScore: 70, activeSessions: 3, maxSessions: 2, country: "US" };
+  assert.equal(evaluateCondition(condition, context), true);
+  assert.equal(evaluateCondition(condition, { ...context, maxSessions: 4 }), false);
+  assert.equal(evaluateCondition(condition, { ...context, country: "GB" }), false);
+});
+
+test("numeric operators never match non-numbers", () => {
+  const condition = { field: "loginTimeAnomaly", op: "gte", value: 0.9 };
+  assert.equal(evaluateCondition(condition, { loginTimeAnomaly: 0.95 }), true);
+  assert.equal(evaluateCondition(condition, { loginTimeAnomaly: null }), false);
+  assert.equal(evaluateCondition(condition, { loginTimeAnomaly: "1" }), false);
+  assert.equal(evaluateCondition({ field: "hour", op: "between", value: [2, 5] }, { hour: 5 }), true);
+});
+
+test("exists checks presence, and false inverts it", () => {
+  assert.equal(evaluateCondition({ field: "a.b", op: "exists" }, { a: { b: 0 } }), true);
+  assert.equal(evaluateCondition({ field: "a.b", op: "exists", value: false }, { a: {} }), true);
+});
+
+test("fields only resolve own properties", () => {
+  const condition = { field: "toString", op: "exists" };
+  assert.equal(evaluateCondition(condition, {}), false);
+  assert.ok(validateCondition({ field: "a.__proto__.x", op: "eq", value: 1 }).length > 0);
+  assert.ok(validateCondition({ field: "a[0]", op: "eq", value: 1 }).length > 0);
+});
+
+test("malformed conditions are rejected with a path", () => {
+  assert.match(validateCondition({ field: "x", op: "matches", value: 1 })[0], /condition\.op: unknown operator/);
+  assert.match(validateCondition({ all: [] })[0], /condition\.all: must be a non-empty array/);
+  assert.match(validateCondition({ all: [{ field: "x", op: "eq" }] })[0], /condition\.all\[0\]: value or valueFrom required/);
+  assert.match(validateCondition({ all: [{ field: "x", op: "eq", value: 1 }], any: [] })[0], /only one of all\/any\/not/);
+  assert.match(validateCondition({ field: "x", op: "between", value: [1] })[0], /between needs \[min, max\]/);
+});
+
+test("deep or oversized conditions are rejected", () => {
+  let deep = { field: "x", op: "eq", value: 1 };
+  for (let i = 0; i < 10; i++) deep = { not: deep };
+  assert.ok(validateCondition(deep).some(e => e.includes("nesting deeper")));
+
+  const wide = { any: Array.from({ length: 60 }, () => ({ field: "x", op: "eq", value: 1 })) };
+  assert.ok(validateCondition(wide).some(e => e.includes("exceeds")));
+});
+
+test("message templates fill fields and apply filters", () => {
+  const context = { email: "Ann@Example.com", deviceId: "abcdef0123456789", location: { country: "US" } };
+  assert.equal(
+    renderMessage("{{email|lower}} on {{deviceId|short}} from {{location.country}}{{missing}}", context),
+    "ann@example.com on abcdef01 from US"
+  );
+  assert.equal(renderMessage("{{constructor}}", context), "");
+});
+
+test("every default rule is valid", () => {
+  for (const rule of defaultAlertRules) {
+    assert.deepEqual(validateCondition(rule.condition), [], rule.ruleId);
+  }
+});
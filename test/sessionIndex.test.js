@@ -0,0 +1,144 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const { sessionHelpers } = require("../config/redis");
+const { sweepExpiredSessions } = require("../utils/sessionSweeper");
+
+const london = { ipAddress: "203.0.113.9", location: { country: "GB" } };
+const paris = { ipAddress: "198.51.100.7", location: { country: "FR" } };
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+});
+
+test("a session is indexed by activity, device, IP and country", async () => {
+  await sessionHelpers.createSession("user1", "device1", "token", london);
+
+  assert.ok(await redis.get("session:user1:device1"));
+  assert.deepEqual(await redis.smembers("user:user1:sessions"), ["device1"]);
+  assert.deepEqual(await redis.smembers("sessions:device:device1"), ["user1"]);
+  assert.deepEqual(await redis.smembers("sessions:ip:203.0.113.9"), ["user1:device1"]);
+  assert.deepEqual(await sessionHelpers.getCountryCounts(), { GB: 1 });
+  assert.equal(await sessionHelpers.countActiveSessions(), 1);
+});
+
+test("re-creating a session moves its IP and country entries", async () => {
+  await sessionHelpers.createSession("user1", "device1", "token", london);
+  await sessionHelpers.createSession("user1", "device1", "token2", paris);
+
+  assert.deepEqual(await redis.smembers("sessions:ip:203.0.113.9"), []);
+  assert.deepEqual(await redis.smembers("sessions:ip:198.51.100.7"), ["user1:device1"]);
+  assert.deepEqual(await sessionHelpers.getCountryCounts(), { FR: 1 });
+});
+
+test("deleting a session removes every index entry", async () => {
+  await sessionHelpers.createSession("user1", "device1", "token", london);
+  await sessionHelpers.deleteSession("user1", "device1");
+
+  assert.equal(await redis.get("session:user1:device1"), null);
+  assert.deepEqual(await redis.smembers("user:user1:sessions"), []);
+  assert.deepEqual(await redis.smembers("sessions:device:device1"), []);
+  assert.deepEqual(await redis.smembers("sessions:ip:203.0.113.9"), []);
+  assert.deepEqual(await sessionHelpers.getCountryCounts(), {});
+  assert.equal(await redis.hlen("sessions:index"), 0);
+});
+
+test("an index entry changed after it was read is re-read, not clobbered", async () => {
+  await sessionHelpers.createSession("user1", "device1", "token", london);
+
+  // A concurrent re-login moves the session to Paris right after our read
+  const hget = redis.hget.bind(redis);
+  let raced = false;
+  mock.method(redis, "hget", async (...args) => {
+    const raw = await hget(...args);
+    if (!raced && args[0] === "sessions:index") {
+      raced = true;
+      mock.restoreAll();
+      await sessionHelpers.createSession("user1", "device1", "token2", paris);
+    }
+    return raw;
+  });
+
+  await sessionHelpers.deleteSession("user1", "device1");
+
+  assert.equal(raced, true);
+  assert.deepEqual(await redis.smembers("sessions:ip:198.51.100.7"), []);
+  assert.deepEqual(await redis.smembers("sessions:ip:203.0.113.9"), []);
+  assert.deepEqual(await sessionHelpers.getCountryCounts(), {});
+});
+
+test("activity racing a sign-out doesn't bring the session back", async () => {
+  await sessionHelpers.createSession("user1", "device1", "token", london);
+
+  // The device signs out right after the activity update read the session
+  const get = redis.get.bind(redis);
+  mock.method(redis, "get", async (...args) => {
+    const raw = await get(...args);
+    mock.restoreAll();
+    await sessionHelpers.deleteSession("user1", "device1");
+    return raw;
+  });
+
+  await sessionHelpers.updateActivity("user1", "device1");
+
+  assert.equal(await redis.get("session:user1:device1"), null);
+  assert.equal(await sessionHelpers.countActiveSessions(), 0);
+  assert.equal(await sessionHelpers.rotateTokens("user1", "device1", "token2", "hash"), null);
+});
+
+test("a session changed after it was read is re-read before sliding", async () => {
+  await sessionHelpers.createSession("user1", "device1", "token", london);
+
+  // A refresh rotates the tokens right after the activity update's read
+  const get = redis.get.bind(redis);
+  mock.method(redis, "get", async (...args) => {
+    const raw = await get(...args);
+    mock.restoreAll();
+    await sessionHelpers.rotateTokens("user1", "device1", "token2", "hash");
+    return raw;
+  });
+
+  await sessionHelpers.updateActivity("user1", "device1");
+
+  const session = await sessionHelpers.getSession("user1", "device1");
+  assert.equal(session.token, "token2");
+  assert.equal(session.refreshTokenHash, "hash");
+  assert.equal(
+    await redis.zscore("sessions:by_activity", "user1:device1"),
+    String(session.lastActivity)
+  );
+});
+
+test("the expired-session cleanup leaves a live session alone", async () => {
+  await sessionHelpers.createSession("user1", "device1", "token", london);
+
+  assert.equal(await sessionHelpers.removeExpiredSession("user1", "device1"), false);
+  assert.ok(await redis.get("session:user1:device1"));
+  assert.deepEqual(await sessionHelpers.getCountryCounts(), { GB: 1 });
+
+  await redis.del("session:user1:device1");
+  assert.equal(await sessionHelpers.removeExpiredSession("user1", "device1"), true);
+  assert.deepEqual(await sessionHelpers.getCountryCounts(), {});
+});
+
+test("the sweeper only releases its own lock", async () => {
+  await redis.set("sessions:sweeper_lock", "other-instance");
+  assert.equal(await sweepExpiredSessions(), 0);
+  assert.equal(await redis.get("sessions:sweeper_lock"), "other-instance");
+
+  // Our lock lapses mid-sweep and another instance takes it over
+  await redis.del("sessions:sweeper_lock");
+  mock.method(redis, "zrangebyscore", async () => {
+    await redis.set("sessions:sweeper_lock", "other-instance");
+    return [];
+  });
+  await sweepExpiredSessions();
+  assert.equal(await redis.get("sessions:sweeper_lock"), "other-instance");
+
+  // Normally the lock is released at the end of the sweep
+  mock.restoreAll();
+  await redis.del("sessions:sweeper_lock");
+  await sweepExpiredSessions();
+  assert.equal(await redis.get("sessions:sweeper_lock"), null);
+});
@@ -0,0 +1,106 @@
+process.env.JWT_SECRET = "test-jwt-secret";
+
+const { test, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetRedis } = require("./helpers/redis");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const sessionManager = require("../utils/sessionManager");
+
+const { SESSION_LIMIT_POLICY, getSessionLimitPolicy, closeSessionRecords } = sessionManager;
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+});
+
+afterEach(() => {
+  delete process.env.SESSION_LIMIT_POLICY_PREMIUM;
+});
+
+test("plans evict the oldest session unless they opt in to asking the user", () => {
+  for (const plan of ["BASIC", "STANDARD", "PREMIUM"]) {
+    assert.equal(getSessionLimitPolicy(plan), SESSION_LIMIT_POLICY.AUTO_EVICT);
+  }
+
+  process.env.SESSION_LIMIT_POLICY_PREMIUM = "ask_user";
+  assert.equal(getSessionLimitPolicy("PREMIUM"), SESSION_LIMIT_POLICY.ASK_USER);
+  assert.equal(getSessionLimitPolicy("BASIC"), SESSION_LIMIT_POLICY.AUTO_EVICT);
+
+  process.env.SESSION_LIMIT_POLICY_PREMIUM = "something_else";
+  assert.equal(getSessionLimitPolicy("PREMIUM"), SESSION_LIMIT_POLICY.AUTO_EVICT);
+});
+
+// Evaluate the aggregation expressions an update pipeline may use
+function evaluate(expr, doc) {
+  if (typeof expr === "string" && expr.startsWith("$")) return doc[expr.slice(1)];
+  if (Array.isArray(expr) || expr === null || typeof expr !== "object") return expr;
+
+  const [[op, args]] = Object.entries(expr);
+  const values = (Array.isArray(args) ? args : [args]).map(arg => evaluate(arg, doc));
+  switch (op) {
+    case "$add": return values.reduce((sum, value) => sum + value, 0);
+    case "$max": return Math.max(...values);
+    case "$min": return Math.min(...values);
+    case "$ifNull": return values[0] ?? values[1];
+    default: throw new Error(`unsupported expression ${op}`);
+  }
+}
+
+// One user document and its Session records, updated the way MongoDB would
+function useStore() {
+  const user = { _id: "user1", plan: "PREMIUM", email: "viewer@example.com" };
+  const records = [];
+
+  mock.method(User, "updateOne", async (filter, update) => {
+    const stages = Array.isArray(update) ? update : [];
+    for (const stage of stages) {
+      for (const [field, expr] of Object.entries(stage.$set)) user[field] = evaluate(expr, user);
+    }
+    for (const [field, delta] of Object.entries((!Array.isArray(update) && update.$inc) || {})) {
+      user[field] = (user[field] || 0) + delta;
+    }
+    return { modifiedCount: 1 };
+  });
+  mock.method(Session, "updateMany", async (filter, update) => {
+    const active = records.filter(r => r.deviceId === filter.deviceId && r.isActive);
+    active.forEach(r => Object.assign(r, update));
+    return { modifiedCount: active.length };
+  });
+  mock.method(Session, "create", async (record) => {
+    records.push({ isActive: true, ...record });
+    return record;
+  });
+
+  return user;
+}
+
+test("the stored device count follows sign-ins and sign-outs", async () => {
+  const user = useStore();
+  const { startSession, endSession } = sessionManager;
+
+  await startSession(user, "tv", { ipAddress: "203.0.113.9" });
+  await startSession(user, "phone", { ipAddress: "203.0.113.9" });
+  assert.equal(user.activeSessionCount, 2);
+
+  // Signing in again on the same device replaces its session
+  await startSession(user, "tv", { ipAddress: "203.0.113.9" });
+  assert.equal(user.activeSessionCount, 2);
+
+  await endSession(user._id, "tv", "logout");
+  assert.equal(user.activeSessionCount, 1);
+
+  // Signing out a device that is already signed out changes nothing
+  await endSession(user._id, "tv", "logout");
+  assert.equal(user.activeSessionCount, 1);
+});
+
+test("the stored device count never goes below zero", async () => {
+  const user = useStore();
+
+  // Records left active from before the count was tracked
+  await Session.create({ userId: "user1", deviceId: "tv" });
+  await closeSessionRecords("user1", "tv", "logout");
+
+  assert.equal(user.activeSessionCount, 0);
+});
@@ -0,0 +1,59 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const { sessionHelpers } = require("../config/redis");
+const { issueRefreshToken, consumeRefreshToken, hashToken } = require("../utils/tokenService");
+
+beforeEach(resetRedis);
+
+test("a refresh token can be claimed once, then reads as reused", async () => {
+  const { refreshToken } = await issueRefreshToken("user1", "device1", "login-a");
+
+  const first = await consumeRefreshToken(refreshToken);
+  assert.equal(first.status, "valid");
+  assert.equal(first.userId, "user1");
+  assert.equal(first.deviceId, "device1");
+  assert.equal(first.sessionId, "login-a");
+
+  const second = await consumeRefreshToken(refreshToken);
+  assert.equal(second.status, "reused");
+  assert.equal(second.sessionId, "login-a");
+});
+
+test("parallel claims of the same token let exactly one through", async () => {
+  const { refreshToken } = await issueRefreshToken("user1", "device1", "login-a");
+
+  const claims = await Promise.all([1, 2, 3, 4].map(() => consumeRefreshToken(refreshToken)));
+
+  assert.equal(claims.filter(c => c.status === "valid").length, 1);
+  assert.equal(claims.filter(c => c.status === "reused").length, 3);
+});
+
+test("unknown or malformed tokens are invalid", async () => {
+  assert.equal((await consumeRefreshToken("nope")).status, "invalid");
+  assert.equal((await consumeRefreshToken(undefined)).status, "invalid");
+  assert.equal((await consumeRefreshToken({ token: "x" })).status, "invalid");
+});
+
+test("a rotated token keeps the lineage of the login it came from", async () => {
+  const original = await issueRefreshToken("user1", "device1", "login-a");
+  const claim = await consumeRefreshToken(original.refreshToken);
+  const rotated = await issueRefreshToken(claim.userId, claim.deviceId, claim.sessionId);
+
+  assert.equal((await consumeRefreshToken(rotated.refreshToken)).sessionId, "login-a");
+});
+
+test("ending a session deletes its refresh token", async () => {
+  const { refreshToken, refreshTokenHash } = await issueRefreshToken("user1", "device1", "login-a");
+  await redis.set("session:user1:device1", JSON.stringify({
+    userId: "user1",
+    deviceId: "device1",
+    sessionId: "login-a",
+    refreshTokenHash
+  }));
+
+  await sessionHelpers.deleteSession("user1", "device1");
+
+  assert.equal(await redis.exists(`refresh:${hashToken(refreshToken)}`), 0);
+  assert.equal((await consumeRefreshToken(refreshToken)).status, "invalid");
+});
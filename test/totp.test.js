@@ -0,0 +1,93 @@
+process.env.AUDIT_HMAC_SECRET = "test-audit-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { resetRedis } = require("./helpers/redis");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const totp = require("../utils/totp");
+const twoFactorController = require("../controllers/twoFactorController");
+
+// RFC 6238 appendix B secret ("12345678901234567890"), base32
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+const respond = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+});
+
+test("codes match the RFC 6238 SHA-1 test vectors", () => {
+  assert.equal(totp.generateTotp(RFC_SECRET, 59 * 1000), "287082");
+  assert.equal(totp.generateTotp(RFC_SECRET, 1111111109 * 1000), "081804");
+  assert.equal(totp.generateTotp(RFC_SECRET, 1234567890 * 1000), "005924");
+});
+
+test("a code is accepted once and replays are rejected", async () => {
+  const code = totp.generateTotp(RFC_SECRET);
+
+  assert.equal(await totp.verifyUserTotp("user1", RFC_SECRET, code), true);
+  assert.equal(await totp.verifyUserTotp("user1", RFC_SECRET, code), false);
+  // Replay protection is per user
+  assert.equal(await totp.verifyUserTotp("user2", RFC_SECRET, code), true);
+});
+
+test("only one of two concurrent requests with the same code succeeds", async () => {
+  const code = totp.generateTotp(RFC_SECRET);
+
+  const results = await Promise.all([
+    totp.verifyUserTotp("user1", RFC_SECRET, code),
+    totp.verifyUserTotp("user1", RFC_SECRET, code)
+  ]);
+
+  assert.deepEqual(results.sort(), [false, true]);
+});
+
+test("wrong and malformed codes are rejected", async () => {
+  const code = totp.generateTotp(RFC_SECRET);
+  const wrong = String((parseInt(code) + 1) % 1000000).padStart(6, "0");
+
+  assert.equal(await totp.verifyUserTotp("user1", RFC_SECRET, wrong), false);
+  assert.equal(await totp.verifyUserTotp("user1", RFC_SECRET, "12345"), false);
+  assert.equal(await totp.verifyUserTotp("user1", RFC_SECRET, 123456), false);
+});
+
+test("backup codes work once", () => {
+  const { codes, hashes } = totp.generateBackupCodes();
+  const user = { backupCodes: hashes };
+
+  assert.equal(totp.consumeBackupCode(user, codes[0].toUpperCase()), true);
+  assert.equal(totp.consumeBackupCode(user, codes[0]), false);
+  assert.equal(totp.consumeBackupCode(user, "00000-00000"), false);
+});
+
+test("turning off requireOnNewDevice needs an authenticator code", async () => {
+  const user = {
+    _id: "64b000000000000000000003",
+    totp: { enabled: true, secret: RFC_SECRET, requireOnNewDevice: true },
+    save: mock.fn(async () => {})
+  };
+  mock.method(User, "findById", async () => user);
+  mock.method(AuditLog, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(AuditLog, "create", async (entry) => entry);
+  const req = (body) => ({ body, user: { userId: user._id, deviceId: "d1" }, headers: {}, clientIp: "203.0.113.9" });
+
+  let res = respond();
+  await twoFactorController.updateSettings(req({ requireOnNewDevice: false }), res);
+  assert.equal(res.statusCode, 400);
+  assert.equal(user.totp.requireOnNewDevice, true);
+  assert.equal(user.save.mock.callCount(), 0);
+
+  res = respond();
+  await twoFactorController.updateSettings(
+    req({ requireOnNewDevice: false, code: totp.generateTotp(RFC_SECRET) }), res
+  );
+  assert.equal(res.statusCode, 200);
+  assert.equal(user.totp.requireOnNewDevice, false);
+});
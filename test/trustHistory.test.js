@@ -0,0 +1,205 @@
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+require("./helpers/redis");
+const TrustScoreHistory = require("../models/TrustScoreHistory");
+const Device = require("../models/Device");
+const trustHistory = require("../utils/trustHistory");
+const securityController = require("../controllers/securityController");
+
+// In-memory stand-in for the history collection, covering the filters,
+// sort and limit getHistory and paginate use
+let entries;
+
+const comparable = (value) =>
+  value instanceof Date ? value.getTime() : value instanceof mongoose.Types.ObjectId ? value.toHexString() : value;
+
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === "$and") return condition.every(branch => matches(doc, branch));
+    if (field === "$or") return condition.some(branch => matches(doc, branch));
+    const value = comparable(doc[field]);
+    if (condition && typeof condition === "object" && !(condition instanceof Date) &&
+        !(condition instanceof mongoose.Types.ObjectId)) {
+      return Object.entries(condition).every(([op, bound]) => ({
+        $lt: value < comparable(bound),
+        $gt: value > comparable(bound),
+        $lte: value <= comparable(bound),
+        $gte: value >= comparable(bound)
+      })[op]);
+    }
+    return value === comparable(condition);
+  });
+}
+
+function find(filter) {
+  let sort = {};
+  let limit = Infinity;
+  const chain = {
+    sort: (s) => { sort = s; return chain; },
+    limit: (l) => { limit = l; return chain; },
+    lean: async () => entries
+      .filter(doc => matches(doc, filter))
+      .sort((a, b) => {
+        for (const [field, direction] of Object.entries(sort)) {
+          const [x, y] = [comparable(a[field]), comparable(b[field])];
+          if (x !== y) return (x < y ? -1 : 1) * direction;
+        }
+        return 0;
+      })
+      .slice(0, limit)
+      .map(doc => ({ ...doc }))
+  };
+  return chain;
+}
+
+const userId = new mongoose.Types.ObjectId().toString();
+
+const factors = (overrides) => [
+  { factor: "Device Age", score: 15 },
+  { factor: "Login Frequency", score: 10 },
+  { factor: "Geo Consistency", score: 0 },
+  { factor: "Failed Attempts", score: 0 },
+  { factor: "Login Hours", score: 0 },
+  { factor: "Device Sharing", score: 0 },
+  { factor: "IP Reputation", score: 0 },
+  ...overrides
+];
+
+const respond = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+beforeEach(() => {
+  mock.restoreAll();
+  entries = [];
+
+  mock.method(TrustScoreHistory, "create", async (doc) => {
+    const entry = { _id: new mongoose.Types.ObjectId(), timestamp: new Date(), ...doc };
+    entries.push(entry);
+    return entry;
+  });
+  mock.method(TrustScoreHistory, "updateOne", async (filter, update) => {
+    const entry = entries.find(doc => matches(doc, filter));
+    if (entry) Object.assign(entry, update);
+    return { modifiedCount: entry ? 1 : 0 };
+  });
+  mock.method(TrustScoreHistory, "find", find);
+});
+
+test("the biggest negative factors explain an entry, worst first", () => {
+  const { summary, stepUp, reasons } = trustHistory.explainEntry({
+    factors: [
+      { factor: "Device Age", score: 15 },
+      { factor: "Login Frequency", score: 10 },
+      { factor: "Login Hours", score: -5 },
+      { factor: "IP Reputation", score: -20 },
+      { factor: "Failed Attempts", score: -10 },
+      { factor: "Device Sharing", score: -2 }
+    ]
+  });
+
+  assert.equal(stepUp, null);
+  assert.deepEqual(reasons.map(r => [r.factor, r.contribution]), [
+    ["IP Reputation", -20],
+    ["Failed Attempts", -10],
+    ["Login Hours", -5]
+  ]);
+  assert.equal(summary, reasons[0].explanation);
+  assert.match(summary, /VPN, proxy, Tor or hosting network/);
+});
+
+test("a new device is explained by the trust it hasn't earned yet", () => {
+  const { summary, reasons } = trustHistory.explainEntry({
+    factors: factors([]).map(f => ({ ...f, score: 0 }))
+  });
+
+  assert.deepEqual(reasons.map(r => r.factor), ["Device Age"]);
+  assert.match(summary, /new to your account/);
+});
+
+test("a clean entry says nothing lowered the score", () => {
+  const { summary, reasons } = trustHistory.explainEntry({ factors: factors([]) });
+
+  assert.deepEqual(reasons, []);
+  assert.equal(summary, "Nothing lowered the trust score for this sign-in.");
+});
+
+test("a step-up attached to an evaluation leads its explanation", async () => {
+  const historyId = await trustHistory.recordScore(userId, "device1", {
+    score: 41.6,
+    level: "LOW",
+    factors: factors([{ factor: "Geo Consistency", score: -15 }]),
+    ipAddress: "203.0.113.9"
+  });
+  await trustHistory.recordStepUp(userId, "device1", "geo_impossibility", { historyId });
+  // A challenge issued before any score was calculated gets its own entry
+  await trustHistory.recordStepUp(userId, "device2", "some_future_reason", { ipAddress: "198.51.100.7" });
+
+  const { entries: [unscored, scored] } = await trustHistory.getHistory(userId, { limit: 10 });
+
+  assert.equal(scored.score, 42);
+  assert.equal(scored.stepUpReason, "geo_impossibility");
+  assert.match(scored.explanation.summary, /^Extra verification was required\. The sign-in location was too far/);
+  assert.equal(scored.explanation.reasons[0].factor, "Geo Consistency");
+
+  assert.equal(unscored.score, null);
+  assert.equal(unscored.level, null);
+  assert.equal(unscored.explanation.stepUp, "The sign-in needed extra verification.");
+});
+
+test("paging walks every entry newest first, including same-time ties", async () => {
+  const at = (minutes) => new Date(Date.UTC(2026, 0, 1, 12, minutes));
+  for (const [deviceId, minutes] of [["device1", 1], ["device2", 2], ["device1", 2], ["device1", 2], ["device2", 3]]) {
+    entries.push({ _id: new mongoose.Types.ObjectId(), userId, deviceId, score: 80, factors: [], timestamp: at(minutes) });
+  }
+  entries.push({ _id: new mongoose.Types.ObjectId(), userId: "someone-else", deviceId: "device1", timestamp: at(4) });
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await trustHistory.getHistory(userId, { cursor, limit: 2 });
+    assert.ok(page.entries.length <= 2);
+    seen.push(...page.entries);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  const expected = entries
+    .filter(e => e.userId === userId)
+    .sort((a, b) => b.timestamp - a.timestamp || (b._id.toHexString() > a._id.toHexString() ? 1 : -1));
+  assert.deepEqual(seen.map(e => e.id.toString()), expected.map(e => e._id.toString()));
+
+  const device1 = await trustHistory.getHistory(userId, {
+    deviceId: "device1", from: at(2), to: at(2), limit: 10
+  });
+  assert.equal(device1.entries.length, 2);
+  assert.ok(device1.entries.every(e => e.deviceId === "device1" && e.timestamp.getTime() === at(2).getTime()));
+  assert.equal(device1.nextCursor, null);
+});
+
+test("the owner's trust history names devices and rejects a bad cursor", async () => {
+  await trustHistory.recordScore(userId, "device1", { score: 90, level: "HIGH", factors: factors([]) });
+  await trustHistory.recordScore(userId, "gone", { score: 60, level: "MEDIUM", factors: factors([]) });
+  mock.method(Device, "find", async () => [{ deviceId: "device1", name: "Living room TV" }]);
+
+  const res = respond();
+  await securityController.getTrustHistory({ user: { userId }, query: { limit: "1" } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.history.length, 1);
+  assert.ok(res.body.nextCursor);
+
+  const next = respond();
+  await securityController.getTrustHistory({ user: { userId }, query: { cursor: res.body.nextCursor } }, next);
+  assert.deepEqual(
+    [...res.body.history, ...next.body.history].map(e => [e.deviceId, e.deviceName]).sort(),
+    [["device1", "Living room TV"], ["gone", "Removed device"]]
+  );
+
+  const bad = respond();
+  await securityController.getTrustHistory({ user: { userId }, query: { cursor: "not-a-cursor" } }, bad);
+  assert.equal(bad.statusCode, 400);
+  assert.equal(bad.body.error, "Invalid cursor");
+});
@@ -0,0 +1,226 @@
+process.env.AUDIT_HMAC_SECRET = "test-audit-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { redis, resetRedis } = require("./helpers/redis");
+const TrustScoringConfig = require("../models/TrustScoringConfig");
+const TrustScoreHistory = require("../models/TrustScoreHistory");
+const User = require("../models/User");
+const AuditLog = require("../models/AuditLog");
+const defaultTrustScoring = require("../config/defaultTrustScoring");
+const trustScoringConfig = require("../utils/trustScoringConfig");
+const dashboardStats = require("../utils/dashboardStats");
+const trustScoringController = require("../controllers/trustScoringController");
+
+// In-memory stand-in for the versions collection
+let versions;
+
+function findVersions(filter = {}) {
+  let sort = 0;
+  const chain = {
+    sort: (s) => { sort = s.version; return chain; },
+    select: () => chain,
+    limit: () => chain,
+    lean: async () => {
+      const found = versions
+        .filter(v => filter.version === undefined || v.version === filter.version)
+        .sort((a, b) => (a.version - b.version) * sort);
+      return found.length > 0 ? structuredClone(found[0]) : null;
+    }
+  };
+  return chain;
+}
+
+const proposed = (change) => {
+  const config = structuredClone(defaultTrustScoring);
+  change(config);
+  return config;
+};
+
+const admin = { adminId: "admin1", email: "ops@example.com", role: "super_admin" };
+
+const respond = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+  versions = [];
+
+  mock.method(console, "log", () => {});
+  mock.method(console, "error", () => {});
+  mock.method(TrustScoringConfig, "findOne", findVersions);
+  mock.method(TrustScoringConfig, "updateOne", async ({ version }, { $setOnInsert }) => {
+    if (!versions.some(v => v.version === version)) versions.push({ version, ...structuredClone($setOnInsert) });
+  });
+  mock.method(TrustScoringConfig, "create", async (doc) => {
+    if (versions.some(v => v.version === doc.version)) {
+      throw Object.assign(new Error("E11000 duplicate key"), { code: 11000 });
+    }
+    versions.push(structuredClone(doc));
+    return doc;
+  });
+  mock.method(AuditLog, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(AuditLog, "create", async (entry) => entry);
+
+  await trustScoringConfig.initialize();
+});
+
+test("the defaults are valid and broken configs list every problem", () => {
+  assert.deepEqual(trustScoringConfig.validateConfig(defaultTrustScoring), []);
+  assert.deepEqual(trustScoringConfig.validateConfig(null), ["config: object required"]);
+
+  const errors = trustScoringConfig.validateConfig(proposed(config => {
+    config.baseScore = 120;
+    config.factors.loginFrequency.buckets[1].min = 80;
+    delete config.factors.ipReputation.tor;
+    config.levels.MEDIUM = 90;
+    config.thresholds.PREMIUM = { stepUp: 40, block: 50 };
+  }));
+  assert.deepEqual(errors, [
+    "baseScore: number between 0 and 100",
+    "factors.loginFrequency.buckets[1]: min must be lower than the previous bucket's",
+    "factors.ipReputation.tor: number required",
+    "levels: numeric HIGH > MEDIUM > LOW required",
+    "thresholds.PREMIUM: block cannot be above stepUp"
+  ]);
+});
+
+test("saving bumps the version and rolling back re-saves an old one", async () => {
+  assert.equal(trustScoringConfig.getConfig().version, 1);
+
+  const stricter = proposed(config => { config.thresholds.BASIC.stepUp = 70; });
+  await trustScoringConfig.saveConfig(stricter, { updatedBy: "ops@example.com", expectedVersion: 1 });
+  assert.equal(trustScoringConfig.getConfig().version, 2);
+  assert.equal(await redis.get("trust_scoring:version"), "2");
+  assert.equal(trustScoringConfig.getDecision(65, "BASIC"), "step_up");
+
+  // Rolling back is saving version 1's config again, as version 3
+  const res = respond();
+  await trustScoringController.getVersion({ params: { version: "1" } }, res);
+  const rollback = respond();
+  await trustScoringController.updateConfig({
+    admin,
+    body: { config: res.body.config, note: "Roll back to v1", expectedVersion: 2 }
+  }, rollback);
+
+  assert.equal(rollback.statusCode, 200);
+  assert.equal(rollback.body.version, 3);
+  assert.deepEqual(trustScoringConfig.getConfig(), { version: 3, config: defaultTrustScoring });
+  assert.equal(trustScoringConfig.getDecision(65, "BASIC"), "allow");
+  assert.equal(AuditLog.create.mock.calls[0].arguments[0].details.fromVersion, 2);
+});
+
+test("a save based on an old version, or racing another, is a conflict", async () => {
+  await trustScoringConfig.saveConfig(defaultTrustScoring, { expectedVersion: 1 });
+
+  const stale = respond();
+  await trustScoringController.updateConfig({
+    admin,
+    body: { config: defaultTrustScoring, expectedVersion: 1 }
+  }, stale);
+  assert.equal(stale.statusCode, 409);
+  assert.match(stale.body.error, /changed since version 1 \(now 2\)/);
+
+  // Another instance wrote version 3 between our read and our insert
+  mock.method(TrustScoringConfig, "findOne", (filter) => {
+    const chain = findVersions(filter);
+    const lean = chain.lean;
+    chain.lean = async () => {
+      const found = await lean();
+      versions.push({ version: 3, config: defaultTrustScoring });
+      TrustScoringConfig.findOne.mock.restore();
+      return found;
+    };
+    return chain;
+  });
+
+  await assert.rejects(
+    trustScoringConfig.saveConfig(defaultTrustScoring, {}),
+    trustScoringConfig.ConfigVersionConflictError
+  );
+});
+
+test("an invalid stored version is not loaded and other instances pick up saves", async () => {
+  versions.push({ version: 2, config: proposed(config => { config.levels = {}; }) });
+  await trustScoringConfig.reload();
+  assert.equal(trustScoringConfig.getConfig().version, 1);
+
+  // Saved by another instance
+  versions.push({ version: 3, config: proposed(config => { config.levels.HIGH = 95; }) });
+  await redis.set("trust_scoring:version", 3);
+  await trustScoringConfig.ensureFresh();
+  assert.equal(trustScoringConfig.getConfig().version, 3);
+  assert.equal(trustScoringConfig.getTrustLevel(90), "MEDIUM");
+});
+
+test("the dashboard sorts sessions with the active config's levels", async () => {
+  await trustScoringConfig.saveConfig(proposed(config => { config.levels.HIGH = 90; }));
+
+  await dashboardStats.sessionStarted(
+    { _id: "user1", email: "owner@example.com", plan: "PREMIUM" },
+    "device1",
+    { ipAddress: "203.0.113.9", trustScore: 85, maxSessions: 4 }
+  );
+
+  const summary = JSON.parse(await redis.hget("dashboard:sessions", "user1:device1"));
+  assert.equal(summary.trustLevel, "MEDIUM");
+  assert.equal(await redis.hget("dashboard:counters", "trust:MEDIUM"), "1");
+});
+
+test("a dry run re-scores recorded logins without saving the config", async () => {
+  const history = [
+    {
+      _id: "h1", userId: "user1", deviceId: "tv", score: 93, timestamp: new Date(),
+      signals: { loginCount: 20, deviceAgeDays: 40, countriesSeen: 1, knownCountry: true }
+    },
+    {
+      _id: "h2", userId: "user1", deviceId: "laptop", score: 45, timestamp: new Date(),
+      signals: { loginCount: 0, deviceAgeDays: null, countriesSeen: 0, isVPN: true }
+    }
+  ];
+  mock.method(TrustScoreHistory, "find", (filter) => {
+    assert.deepEqual(filter, { signals: { $exists: true } });
+    const chain = { sort: () => chain, limit: () => chain, lean: async () => history };
+    return chain;
+  });
+  mock.method(User, "find", () => ({
+    select: () => ({ lean: async () => [{ _id: "user1", email: "owner@example.com", plan: "BASIC" }] })
+  }));
+
+  const config = proposed(c => {
+    c.factors.ipReputation.vpn = -5;
+    c.levels.MEDIUM = 50;
+    c.thresholds.BASIC.stepUp = 50;
+  });
+  const res = respond();
+  await trustScoringController.dryRun({ body: { config } }, res);
+
+  assert.equal(res.body.valid, true);
+  assert.equal(res.body.baseVersion, 1);
+  assert.deepEqual(res.body.summary, {
+    evaluated: 2,
+    scoreChanged: 1,
+    levelChanged: 1,
+    decisionChanged: 1,
+    decisions: {
+      current: { allow: 1, step_up: 1, block: 0 },
+      proposed: { allow: 2, step_up: 0, block: 0 }
+    },
+    averageScore: { current: 69, proposed: 74 }
+  });
+  assert.deepEqual(res.body.changes.map(c => [c.historyId, c.current, c.proposed]), [
+    ["h2", { score: 45, level: "LOW", decision: "step_up" }, { score: 55, level: "MEDIUM", decision: "allow" }]
+  ]);
+  assert.equal(versions.length, 1);
+  assert.equal(trustScoringConfig.getConfig().version, 1);
+
+  const invalid = respond();
+  await trustScoringController.dryRun({ body: { config: proposed(c => { c.baseScore = -1; }) } }, invalid);
+  assert.equal(invalid.statusCode, 400);
+  assert.deepEqual(invalid.body, { valid: false, details: ["baseScore: number between 0 and 100"] });
+});
@@ -0,0 +1,298 @@
+process.env.AUDIT_HMAC_SECRET = "test-audit-secret";
+
+const { test, beforeEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { redis, resetRedis } = require("./helpers/redis");
+const User = require("../models/User");
+const Device = require("../models/Device");
+const Passkey = require("../models/Passkey");
+const Session = require("../models/Session");
+const AuditLog = require("../models/AuditLog");
+const TrustScoreHistory = require("../models/TrustScoreHistory");
+const householdDetector = require("../utils/householdDetection");
+const alertRulesEngine = require("../utils/alertRulesEngine");
+const webauthn = require("../utils/webauthn");
+const passkeyController = require("../controllers/passkeyController");
+
+const ORIGIN = "http://localhost:5000";
+const RP_ID_HASH = crypto.createHash("sha256").update("localhost").digest();
+const FLAGS = { UP: 0x01, UV: 0x04, AT: 0x40 };
+
+// Just enough CBOR encoding for attestation objects and COSE keys
+function encodeCbor(value) {
+  const head = (major, length) => {
+    if (length < 24) return Buffer.from([(major << 5) | length]);
+    if (length < 256) return Buffer.from([(major << 5) | 24, length]);
+    const buffer = Buffer.alloc(3);
+    buffer[0] = (major << 5) | 25;
+    buffer.writeUInt16BE(length, 1);
+    return buffer;
+  };
+
+  if (typeof value === "number") return value >= 0 ? head(0, value) : head(1, -1 - value);
+  if (Buffer.isBuffer(value)) return Buffer.concat([head(2, value.length), value]);
+  if (typeof value === "string") return Buffer.concat([head(3, Buffer.byteLength(value)), Buffer.from(value)]);
+  const entries = value instanceof Map ? [...value] : Object.entries(value);
+  return Buffer.concat([head(5, entries.length), ...entries.flatMap(([k, v]) => [encodeCbor(k), encodeCbor(v)])]);
+}
+
+function createAuthenticator() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ec", { namedCurve: "P-256" });
+  const jwk = publicKey.export({ format: "jwk" });
+  return {
+    credentialId: crypto.randomBytes(16),
+    privateKey,
+    publicKeyPem: publicKey.export({ type: "spki", format: "pem" }),
+    coseKey: new Map([
+      [1, 2], [3, -7], [-1, 1],
+      [-2, Buffer.from(jwk.x, "base64url")],
+      [-3, Buffer.from(jwk.y, "base64url")]
+    ])
+  };
+}
+
+function authenticatorData(flags, signCount, attested) {
+  const header = Buffer.alloc(37);
+  RP_ID_HASH.copy(header);
+  header[32] = flags;
+  header.writeUInt32BE(signCount, 33);
+  if (!attested) return header;
+
+  const idLength = Buffer.alloc(2);
+  idLength.writeUInt16BE(attested.credentialId.length);
+  return Buffer.concat([header, Buffer.alloc(16), idLength, attested.credentialId, encodeCbor(attested.coseKey)]);
+}
+
+const clientDataJSON = (type, challenge) =>
+  Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN })).toString("base64url");
+
+async function registrationCredential(authenticator, userId, { flags = FLAGS.UP | FLAGS.UV | FLAGS.AT } = {}) {
+  const { challenge } = await webauthn.generateRegistrationOptions({ _id: userId, email: "owner@example.com" });
+  return {
+    id: authenticator.credentialId.toString("base64url"),
+    response: {
+      clientDataJSON: clientDataJSON("webauthn.create", challenge),
+      attestationObject: encodeCbor(new Map([
+        ["fmt", "none"],
+        ["attStmt", new Map()],
+        ["authData", authenticatorData(flags, 0, authenticator)]
+      ])).toString("base64url")
+    }
+  };
+}
+
+async function assertionCredential(authenticator, { flags = FLAGS.UP | FLAGS.UV, signCount = 1 } = {}) {
+  const { challenge } = await webauthn.generateAuthenticationOptions();
+  const authData = authenticatorData(flags, signCount);
+  const clientData = clientDataJSON("webauthn.get", challenge);
+  const signed = Buffer.concat([authData, crypto.createHash("sha256").update(Buffer.from(clientData, "base64url")).digest()]);
+
+  return {
+    id: authenticator.credentialId.toString("base64url"),
+    response: {
+      clientDataJSON: clientData,
+      authenticatorData: authData.toString("base64url"),
+      signature: crypto.sign("sha256", signed, authenticator.privateKey).toString("base64url")
+    }
+  };
+}
+
+beforeEach(async () => {
+  await resetRedis();
+  mock.restoreAll();
+  mock.method(console, "log", () => {});
+  mock.method(AuditLog, "findOne", () => ({ sort: () => ({ lean: async () => null }) }));
+  mock.method(AuditLog, "create", async (entry) => entry);
+});
+
+test("CBOR decodes nested maps, byte strings and negative integers", () => {
+  const encoded = encodeCbor(new Map([[1, 2], [-2, Buffer.from("abc")], ["k", new Map([["n", -300]])]]));
+  const { value, offset } = webauthn.decodeCbor(encoded);
+
+  assert.equal(offset, encoded.length);
+  assert.equal(value.get(1), 2);
+  assert.deepEqual(value.get(-2), Buffer.from("abc"));
+  assert.equal(value.get("k").get("n"), -300);
+});
+
+test("truncated or oversized CBOR is a WebAuthnError, not a RangeError", () => {
+  const malformed = [
+    [],
+    [0x19, 0x01], // uint16 missing a byte
+    [0x42, 0x01], // 2-byte string with 1 byte
+    [0x7b, 0, 0, 0, 1, 0, 0, 0, 0], // 4 GB text string
+    [0x9a, 0xff, 0xff, 0xff, 0xff], // 4 billion element array
+    [0xa1, 0x01], // map missing its value
+    [0x81, 0x81, 0x81, 0x81, 0x81, 0x81, 0x81, 0x81, 0x81, 0x81, 0x01], // nested too deep
+    [0x1c] // reserved length
+  ];
+
+  for (const bytes of malformed) {
+    assert.throws(() => webauthn.decodeCbor(Buffer.from(bytes)), webauthn.WebAuthnError, `bytes ${bytes}`);
+  }
+});
+
+test("a registration with user verification is accepted", async () => {
+  const authenticator = createAuthenticator();
+  const credential = await registrationCredential(authenticator, "user1");
+
+  const verified = await webauthn.verifyRegistration(credential, "user1");
+
+  assert.equal(verified.credentialId, credential.id);
+  assert.equal(verified.algorithm, -7);
+  assert.equal(verified.userVerified, true);
+});
+
+test("registrations with malformed attestation objects are rejected cleanly", async () => {
+  const authenticator = createAuthenticator();
+  const cases = [
+    (c) => { c.response.attestationObject = encodeCbor(5).toString("base64url"); },
+    (c) => { c.response.attestationObject = encodeCbor(new Map([["authData", "text"]])).toString("base64url"); },
+    (c) => { c.response.attestationObject = encodeCbor(new Map([["authData", authenticatorData(0x45, 0).subarray(0, 40)]])).toString("base64url"); },
+    (c) => { c.response.attestationObject = 42; },
+    (c) => { c.response.clientDataJSON = { type: "webauthn.create" }; }
+  ];
+
+  for (const corrupt of cases) {
+    const credential = await registrationCredential(authenticator, "user1");
+    corrupt(credential);
+    await assert.rejects(webauthn.verifyRegistration(credential, "user1"), webauthn.WebAuthnError);
+  }
+});
+
+test("registration and login require user verification", async () => {
+  const authenticator = createAuthenticator();
+  const options = await webauthn.generateAuthenticationOptions();
+  assert.equal(options.userVerification, "required");
+
+  const registration = await registrationCredential(authenticator, "user1", { flags: FLAGS.UP | FLAGS.AT });
+  await assert.rejects(webauthn.verifyRegistration(registration, "user1"), /User verification required/);
+
+  const stored = { publicKey: authenticator.publicKeyPem, algorithm: -7, signCount: 0 };
+  const assertion = await assertionCredential(authenticator, { flags: FLAGS.UP });
+  assert.throws(() => webauthn.verifyAssertion(assertion, stored), /User verification required/);
+});
+
+test("assertions verify the signature and the sign counter", async () => {
+  const authenticator = createAuthenticator();
+  const stored = { publicKey: authenticator.publicKeyPem, algorithm: -7, signCount: 4 };
+
+  const valid = await assertionCredential(authenticator, { signCount: 5 });
+  assert.deepEqual(webauthn.verifyAssertion(valid, stored), { signCount: 5, userVerified: true });
+
+  const replayed = await assertionCredential(authenticator, { signCount: 4 });
+  assert.throws(() => webauthn.verifyAssertion(replayed, stored), /cloned authenticator/);
+
+  const garbled = await assertionCredential(authenticator, { signCount: 6 });
+  garbled.response.signature = "AAAA";
+  assert.throws(() => webauthn.verifyAssertion(garbled, stored), /Invalid signature/);
+
+  const missing = await assertionCredential(authenticator, { signCount: 6 });
+  missing.response.authenticatorData = 7;
+  assert.throws(() => webauthn.verifyAssertion(missing, stored), webauthn.WebAuthnError);
+});
+
+// Passkey login
+
+const respond = () => {
+  const res = { statusCode: 200 };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const loginRequest = (credential) => ({
+  body: { credential, fingerprint: { canvas: "c", webgl: "w", fonts: "f", platform: "Win32", timezone: "Europe/London" } },
+  headers: { "user-agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) Chrome/126.0", "accept-language": "en-GB" },
+  clientIp: "203.0.113.9"
+});
+
+function mockPasskeyLogin({ user, device, household = {} }) {
+  const authenticator = createAuthenticator();
+  const passkey = {
+    userId: user._id,
+    credentialId: authenticator.credentialId.toString("base64url"),
+    publicKey: authenticator.publicKeyPem,
+    algorithm: -7,
+    signCount: 0,
+    save: async () => {}
+  };
+
+  mock.method(Passkey, "findOne", async () => passkey);
+  mock.method(User, "findById", async () => user);
+  mock.method(Device, "findOne", async () => device);
+  mock.method(Device, "create", async (doc) => doc);
+  mock.method(Device, "updateOne", async () => ({}));
+  mock.method(Session, "updateMany", async () => ({}));
+  mock.method(TrustScoreHistory, "create", async () => ({ _id: "history1" }));
+  mock.method(TrustScoreHistory, "updateOne", async () => ({}));
+  mock.method(householdDetector, "classifyLogin", async () => ({
+    classification: "in_household",
+    requiresAction: false,
+    ...household
+  }));
+  mock.method(alertRulesEngine, "evaluateRules", async () => []);
+
+  return authenticator;
+}
+
+const owner = (totp = { enabled: true, requireOnNewDevice: false }) => ({
+  _id: "64b000000000000000000004",
+  email: "owner@example.com",
+  plan: "PREMIUM",
+  totp
+});
+
+test("a malformed passkey assertion is a 400, not a 500", async () => {
+  for (const credential of [
+    { id: "abc", response: { clientDataJSON: 5 } },
+    { id: "abc", response: { clientDataJSON: Buffer.from("[1,").toString("base64url") } },
+    { id: 12, response: {} }
+  ]) {
+    const res = respond();
+    await passkeyController.passkeyLogin(loginRequest(credential), res);
+    assert.equal(res.statusCode, 400);
+  }
+});
+
+test("a passkey login from a reported device steps up", async () => {
+  const user = owner();
+  const authenticator = mockPasskeyLogin({ user, device: { deviceId: "d", trusted: false } });
+
+  const res = respond();
+  await passkeyController.passkeyLogin(loginRequest(await assertionCredential(authenticator)), res);
+
+  assert.equal(res.body.otpRequired, true);
+  assert.equal(res.body.reason, "reported_device");
+  assert.equal(res.body.token, undefined);
+});
+
+test("a passkey login from a new device honours requireOnNewDevice", async () => {
+  const user = owner({ enabled: true, requireOnNewDevice: true });
+  const authenticator = mockPasskeyLogin({ user, device: null });
+
+  const res = respond();
+  await passkeyController.passkeyLogin(loginRequest(await assertionCredential(authenticator)), res);
+
+  assert.equal(res.body.reason, "new_device_totp_required");
+  assert.deepEqual(res.body.availableFactors, ["totp", "backup_code"]);
+  assert.equal(Device.create.mock.callCount(), 0);
+});
+
+test("an out-of-household passkey login waits for verification", async () => {
+  const user = owner();
+  const authenticator = mockPasskeyLogin({
+    user,
+    device: { deviceId: "d", trusted: true },
+    household: { classification: "out_of_household", requiresAction: true }
+  });
+
+  const res = respond();
+  await passkeyController.passkeyLogin(loginRequest(await assertionCredential(authenticator)), res);
+
+  assert.equal(res.body.reason, "out_of_household");
+  assert.equal(res.body.householdVerificationRequired, true);
+  const pending = await redis.keys(`household:${user._id}:pending:*`);
+  assert.equal(pending.length, 1);
+});
@@ -1,121 +1,157 @@
+const crypto = require("crypto");
 const { redis } = require("../config/redis");
 const sendEmailAlert = require("./sendEmailAlert");
 const sendSlackAlert = require("./sendSlackAlert");
 const { blockUser } = require("../middleware/rateLimiter");
+const { recordAudit, systemActor } = require("./auditLog");
+const AlertRule = require("../models/AlertRule");
+const User = require("../models/User");
+const defaultAlertRules = require("../config/defaultAlertRules");
+const { validateCondition, evaluateCondition, renderMessage } = require("./ruleDsl");
+const incidentManager = require("./incidentManager");
+const dashboardStats = require("./dashboardStats");
+
+// Actions that change account state and must be audited
+const AUDITED_ACTIONS = ["block_session", "temporary_block", "flag"];
+
+// Actions that notify humans - these are deduplicated, grouped and rate limited
+const NOTIFICATION_ACTIONS = ["email", "slack"];
+
+const RULES_VERSION_KEY = "alert_rules:version";
+const SEVERITIES = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+const ACTIONS = ["email", "slack", "block_session", "temporary_block", "flag", "log"];
+
+// Thrown from an updateAlert change when the alert's state doesn't allow it
+class AlertStateError extends Error {}
+
+const ALERT_UPDATE_ATTEMPTS = 10;
 
 class AlertRulesEngine {
   constructor() {
-    // Configurable alert rules
-    this.rules = [
-      {
-        id: "geo_impossibility",
-        name: "Geographic Impossibility Detected",
-        condition: (context) => context.geoCheck?.isImpossible === true,
-        severity: "CRITICAL",
-        actions: ["email", "slack", "block_session"],
-        message: (context) => 
-          `User ${context.email} attempted login from impossible location: ${context.geoCheck.reason}`
-      },
-      {
-        id: "trust_score_critical",
-        name: "Critical Trust Score",
-        condition: (context) => context.trustScore < 40,
-        severity: "HIGH",
-        actions: ["email", "slack"],
-        message: (context) => 
-          `User ${context.email} has critical trust score: ${context.trustScore}/100`
-      },
-      {
-        id: "device_sharing",
-        name: "Device Sharing Detected",
-        condition: (context) => context.deviceUserCount > 2,
-        severity: "MEDIUM",
-        actions: ["email", "flag"],
-        message: (context) => 
-          `Device ${context.deviceId.substring(0, 8)} is being used by ${context.deviceUserCount} accounts`
-      },
-      {
-        id: "multiple_failed_logins",
-        name: "Multiple Failed Login Attempts",
-        condition: (context) => context.failedAttempts >= 5,
-        severity: "HIGH",
-        actions: ["email", "temporary_block"],
-        message: (context) => 
-          `User ${context.email} has ${context.failedAttempts} failed login attempts`
-      },
-      {
-        id: "session_limit_exceeded",
-        name: "Session Limit Exceeded",
-        condition: (context) => context.activeSessions > context.maxSessions,
-        severity: "MEDIUM",
-        actions: ["email"],
-        message: (context) => 
-          `User ${context.email} exceeded session limit: ${context.activeSessions}/${context.maxSessions}`
-      },
-      {
-        id: "unusual_login_hours",
-        name: "Login During Unusual Hours",
-        condition: (context) => {
-          const hour = new Date().getHours();
-          return hour >= 2 && hour <= 5; // 2 AM - 5 AM
+    this.AlertStateError = AlertStateError;
+
+    // Rules are data (MongoDB); defaults keep the engine working until they load
+    this.rules = defaultAlertRules.map(rule => this.compileRule(rule));
+    this.loadedVersion = null;
+
+    // Notification throttling
+    this.throttle = {
+      dedupWindowSeconds: parseInt(process.env.ALERT_DEDUP_WINDOW_SECONDS) || 900,
+      channelLimits: {
+        email: {
+          max: parseInt(process.env.ALERT_EMAIL_LIMIT_PER_HOUR) || 30,
+          windowSeconds: 3600
         },
-        severity: "LOW",
-        actions: ["log"],
-        message: (context) => 
-          `User ${context.email} logged in at unusual hour: ${new Date().toLocaleTimeString()}`
-      },
-      {
-        id: "vpn_detected",
-        name: "VPN/Proxy Usage Detected",
-        condition: (context) => context.isVPN === true,
-        severity: "MEDIUM",
-        actions: ["email", "flag"],
-        message: (context) => 
-          `User ${context.email} is using VPN/Proxy from ${context.location?.country}`
-      },
-      {
-        id: "rapid_location_changes",
-        name: "Rapid Location Changes",
-        condition: (context) => context.locationChangeCount > 3,
-        severity: "HIGH",
-        actions: ["email", "slack", "flag"],
-        message: (context) => 
-          `User ${context.email} changed locations ${context.locationChangeCount} times in 24h`
-      },
-      {
-        id: "new_device_high_risk",
-        name: "New Device from High-Risk Location",
-        condition: (context) => context.isNewDevice && context.trustScore < 50,
-        severity: "MEDIUM",
-        actions: ["email"],
-        message: (context) => 
-          `New device detected for ${context.email} with low trust score: ${context.trustScore}/100`
-      },
-      {
-        id: "account_takeover_attempt",
-        name: "Potential Account Takeover",
-        condition: (context) => 
-          context.passwordChanged && context.trustScore < 60,
-        severity: "CRITICAL",
-        actions: ["email", "slack", "temporary_block"],
-        message: (context) => 
-          `Potential account takeover for ${context.email} - password changed with low trust score`
+        slack: {
+          max: parseInt(process.env.ALERT_SLACK_LIMIT_PER_HOUR) || 60,
+          windowSeconds: 3600
+        }
       }
-    ];
+    };
+  }
+
+  // Turn a stored rule definition into condition/message functions
+  compileRule(definition) {
+    return {
+      id: definition.ruleId,
+      name: definition.name,
+      condition: (context) => evaluateCondition(definition.condition, context),
+      severity: definition.severity,
+      actions: definition.actions,
+      dedupWindowSeconds: definition.dedupWindowSeconds,
+      message: (context) => renderMessage(definition.message, context)
+    };
+  }
+
+  // Validate a rule definition; returns a list of errors
+  validateRule(definition) {
+    const errors = [];
+
+    if (!definition.ruleId || !/^[a-z0-9_]+$/.test(definition.ruleId)) {
+      errors.push("ruleId: lowercase letters, digits and underscores only");
+    }
+    if (!definition.name) {
+      errors.push("name: required");
+    }
+    if (!SEVERITIES.includes(definition.severity)) {
+      errors.push(`severity: one of ${SEVERITIES.join(", ")}`);
+    }
+    if (!Array.isArray(definition.actions) ||
+        definition.actions.some(action => !ACTIONS.includes(action))) {
+      errors.push(`actions: array of ${ACTIONS.join(", ")}`);
+    }
+    if (!definition.message || typeof definition.message !== "string") {
+      errors.push("message: template string required");
+    }
+    if (definition.dedupWindowSeconds !== undefined && definition.dedupWindowSeconds !== null &&
+        !(Number.isInteger(definition.dedupWindowSeconds) && definition.dedupWindowSeconds >= 0)) {
+      errors.push("dedupWindowSeconds: non-negative integer");
+    }
+
+    errors.push(...validateCondition(definition.condition));
+    return errors;
+  }
+
+  // Seed default rules (missing ones only) and load the rule set
+  async initialize() {
+    for (const rule of defaultAlertRules) {
+      await AlertRule.updateOne(
+        { ruleId: rule.ruleId },
+        { $setOnInsert: { ...rule, isDefault: true } },
+        { upsert: true }
+      );
+    }
+
+    await this.reloadRules();
+  }
+
+  // Load enabled rules from MongoDB
+  async reloadRules() {
+    const version = await redis.get(RULES_VERSION_KEY);
+    const definitions = await AlertRule.find({ enabled: true }).lean();
+
+    this.rules = definitions
+      .filter(definition => this.validateRule(definition).length === 0)
+      .map(definition => this.compileRule(definition));
+    this.loadedVersion = version;
+
+    console.log(`📋 Loaded ${this.rules.length} alert rules`);
+  }
+
+  // Signal every instance to reload (called after CRUD changes)
+  async publishRulesChange() {
+    await redis.incr(RULES_VERSION_KEY);
+    await this.reloadRules();
+  }
+
+  // Hot-reload when another instance changed the rules
+  async ensureFresh() {
+    try {
+      const version = await redis.get(RULES_VERSION_KEY);
+      if (version !== this.loadedVersion) {
+        await this.reloadRules();
+      }
+    } catch (err) {
+      console.error("Alert rule reload failed, using cached rules:", err.message);
+    }
   }
 
   // Evaluate all rules against context
   async evaluateRules(context) {
     const triggeredAlerts = [];
 
+    await this.ensureFresh();
+
     for (const rule of this.rules) {
       try {
         if (rule.condition(context)) {
           const alert = {
+            alertId: `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`,
             ruleId: rule.id,
             ruleName: rule.name,
             severity: rule.severity,
             message: rule.message(context),
+            status: "open",
             timestamp: Date.now(),
             context: {
               userId: context.userId,
@@ -126,15 +162,38 @@ class AlertRulesEngine {
             }
           };
 
-          // Execute actions
-          await this.executeActions(rule.actions, alert, context);
+          const enforcementActions = rule.actions.filter(a => !NOTIFICATION_ACTIONS.includes(a));
+          const notificationActions = rule.actions.filter(a => NOTIFICATION_ACTIONS.includes(a));
+
+          // Enforcement always runs - repeating an attack must not dodge the block
+          await this.executeActions(enforcementActions, alert, context);
+
+          // Same rule+user+device inside the window: count it, don't re-alert
+          const windowSeconds = rule.dedupWindowSeconds ?? this.throttle.dedupWindowSeconds;
+          if (await this.isDuplicate(alert, windowSeconds)) {
+            await incidentManager.recordDuplicate(alert);
+            console.log(`🔕 Duplicate alert suppressed: ${rule.name} for ${context.email}`);
+            continue;
+          }
+
+          // Group into an incident; notify only when the incident escalates
+          const { incident, escalated, previousSeverity } = await incidentManager.attachAlert(alert);
+          alert.incidentId = incident._id.toString();
 
           // Store alert in Redis
           await this.storeAlert(alert);
 
+          if (escalated && notificationActions.length > 0) {
+            const sent = await this.executeActions(notificationActions, alert, context);
+            // Nothing went out: leave the escalation for the next alert to retry
+            if (sent === 0) {
+              await incidentManager.releaseEscalation(incident._id, alert, previousSeverity);
+            }
+          }
+
           triggeredAlerts.push(alert);
 
-          console.log(`🚨 Alert triggered: ${rule.name} for ${context.email}`);
+          console.log(`🚨 Alert triggered: ${rule.name} for ${context.email} (incident ${alert.incidentId})`);
         }
       } catch (err) {
         console.error(`Error evaluating rule ${rule.id}:`, err);
@@ -144,23 +203,57 @@ class AlertRulesEngine {
     return triggeredAlerts;
   }
 
-  // Execute actions based on rule configuration
+  // Claim the dedup slot for rule+user+device; true if already claimed
+  async isDuplicate(alert, windowSeconds) {
+    if (!windowSeconds) return false;
+
+    const { userId, deviceId } = alert.context;
+    const key = `alert_dedup:${alert.ruleId}:${userId}:${deviceId || "none"}`;
+    const claimed = await redis.set(key, alert.alertId, "EX", windowSeconds, "NX");
+    return claimed === null;
+  }
+
+  // Per-channel rate limit; true if the notification may go out
+  async allowNotification(channel) {
+    const limit = this.throttle.channelLimits[channel];
+    if (!limit) return true;
+
+    const window = Math.floor(Date.now() / (limit.windowSeconds * 1000));
+    const key = `alert_rate:${channel}:${window}`;
+    const count = await redis.incr(key);
+    if (count === 1) {
+      await redis.expire(key, limit.windowSeconds);
+    }
+
+    return count <= limit.max;
+  }
+
+  // Execute actions based on rule configuration; returns how many
+  // notifications were actually sent
   async executeActions(actions, alert, context) {
+    let sent = 0;
+
     for (const action of actions) {
       try {
+        if (NOTIFICATION_ACTIONS.includes(action) && !(await this.allowNotification(action))) {
+          console.warn(`⏳ ${action} rate limit reached, skipping notification for ${alert.ruleId}`);
+          continue;
+        }
+
         switch (action) {
           case "email":
-            await sendEmailAlert(alert, context);
+            if (await sendEmailAlert(alert, context)) sent++;
             break;
 
           case "slack":
-            await sendSlackAlert(alert, context);
+            if (await sendSlackAlert(alert, context)) sent++;
             break;
 
           case "block_session":
             // Terminate current session
-            const { sessionHelpers } = require("../config/redis");
-            await sessionHelpers.deleteSession(context.userId, context.deviceId);
+            const { SESSION_REVOKE_REASONS } = require("../config/redis");
+            const { endSession } = require("./sessionManager");
+            await endSession(context.userId, context.deviceId, SESSION_REVOKE_REASONS.SECURITY_BLOCK);
             break;
 
           case "temporary_block":
@@ -181,22 +274,36 @@ class AlertRulesEngine {
           default:
             console.warn(`Unknown action: ${action}`);
         }
+
+        if (AUDITED_ACTIONS.includes(action)) {
+          await recordAudit({
+            action: `rule.${action}`,
+            actor: systemActor("alert_rules_engine"),
+            target: { userId: context.userId, deviceId: context.deviceId },
+            details: { ruleId: alert.ruleId, severity: alert.severity, message: alert.message },
+            ipAddress: context.ipAddress
+          });
+        }
       } catch (err) {
         console.error(`Error executing action ${action}:`, err);
       }
     }
+
+    return sent;
   }
 
   // Store alert in Redis for dashboard display
   async storeAlert(alert) {
-    const key = `alerts:${Date.now()}`;
+    const key = `alerts:${alert.alertId}`;
     await redis.setex(key, 86400 * 7, JSON.stringify(alert)); // 7 days retention
 
     // Add to sorted set for easy retrieval
-    await redis.zadd("alerts:sorted", Date.now(), key);
+    await redis.zadd("alerts:sorted", alert.timestamp, key);
 
     // Keep only last 1000 alerts
     await redis.zremrangebyrank("alerts:sorted", 0, -1001);
+
+    await dashboardStats.alertRaised(alert);
   }
 
   // Flag user for manual review
@@ -212,6 +319,7 @@ class AlertRulesEngine {
 
     // Add to flagged users set
     await redis.sadd("flagged_users", userId.toString());
+    await User.updateOne({ _id: userId }, { flagged: true });
   }
 
   // Get recent alerts
@@ -243,6 +351,90 @@ class AlertRulesEngine {
       .slice(0, limit);
   }
 
+  // Get a single alert
+  async getAlert(alertId) {
+    const data = await redis.get(`alerts:${alertId}`);
+    return data ? JSON.parse(data) : null;
+  }
+
+  // Query alerts by time range, then severity/rule/user/status/assignee
+  // `from`/`to` are Dates
+  async queryAlerts({ severity, ruleId, userId, status, assignee, from, to, limit = 50, offset = 0 } = {}) {
+    const keys = await redis.zrevrangebyscore(
+      "alerts:sorted",
+      to ? to.getTime() : "+inf",
+      from ? from.getTime() : "-inf"
+    );
+
+    const values = keys.length > 0 ? await redis.mget(keys) : [];
+    const alerts = values
+      .filter(Boolean)
+      .map(value => JSON.parse(value))
+      .filter(alert =>
+        (!severity || alert.severity === severity) &&
+        (!ruleId || alert.ruleId === ruleId) &&
+        (!userId || String(alert.context?.userId) === userId) &&
+        (!status || (alert.status || "open") === status) &&
+        (!assignee || alert.assignedTo?.email === assignee || alert.assignedTo?.adminId === assignee)
+      );
+
+    return {
+      total: alerts.length,
+      alerts: alerts.slice(offset, offset + limit)
+    };
+  }
+
+  // Apply a change to a stored alert, keeping its retention TTL. The write
+  // only lands if the alert is unchanged since it was read; otherwise
+  // `mutate` runs again on the fresh copy, so it can throw AlertStateError to
+  // refuse a change the new state no longer allows.
+  async updateAlert(alertId, mutate) {
+    const key = `alerts:${alertId}`;
+
+    for (let attempt = 0; attempt < ALERT_UPDATE_ATTEMPTS; attempt++) {
+      const raw = await redis.get(key);
+      if (!raw) return null;
+
+      const alert = JSON.parse(raw);
+      mutate(alert);
+      alert.updatedAt = Date.now();
+
+      if (await redis.compareAndSwap(key, raw, JSON.stringify(alert))) {
+        return alert;
+      }
+    }
+
+    throw new Error("Alert is being changed by someone else, try again");
+  }
+
+  // Record a resolution disposition for rule tuning (kept beyond alert retention)
+  async recordDisposition(ruleId, disposition) {
+    await redis.hincrby(`alerts:dispositions:${ruleId}`, disposition, 1);
+    await redis.sadd("alerts:dispositions:rules", ruleId);
+  }
+
+  // True/false positive counts and precision per rule
+  async getDispositionStats() {
+    const ruleIds = await redis.smembers("alerts:dispositions:rules");
+    const stats = {};
+
+    for (const ruleId of ruleIds) {
+      const counts = await redis.hgetall(`alerts:dispositions:${ruleId}`);
+      const truePositive = parseInt(counts.true_positive || 0);
+      const falsePositive = parseInt(counts.false_positive || 0);
+      const total = truePositive + falsePositive;
+
+      stats[ruleId] = {
+        truePositive,
+        falsePositive,
+        total,
+        precision: total > 0 ? Math.round((truePositive / total) * 100) / 100 : null
+      };
+    }
+
+    return stats;
+  }
+
   // Check if user is flagged
   async isUserFlagged(userId) {
     const isFlagged = await redis.sismember("flagged_users", userId.toString());
@@ -260,6 +452,7 @@ class AlertRulesEngine {
   async clearUserFlag(userId) {
     await redis.srem("flagged_users", userId.toString());
     await redis.del(`user:${userId}:flagged`);
+    await User.updateOne({ _id: userId }, { flagged: false });
   }
 
   // Get alert statistics
@@ -0,0 +1,293 @@
+const crypto = require("crypto");
+const AuditLog = require("../models/AuditLog");
+const { redis } = require("../config/redis");
+
+const GENESIS_HASH = "0".repeat(64);
+
+// Entries are keyed with a secret kept out of the database, so write access
+// to MongoDB alone can't rewrite the chain. The newest { seq, hash } is also
+// anchored in Redis, so dropping entries off the end is detected too.
+const AUDIT_SECRET = process.env.AUDIT_HMAC_SECRET;
+const HEAD_KEY = "audit:head";
+
+// Entries are queued in Redis before they are written, and only the holder
+// of the writer lock appends to the chain - across every instance. An entry
+// that can't be written stays queued and is retried in the background.
+const PENDING_KEY = "audit:pending";
+const WRITER_LOCK_KEY = "audit:writer_lock";
+const WRITER_LOCK_TTL_MS = 30 * 1000;
+const SEQ_CONFLICT_ATTEMPTS = 20; // another writer took the sequence number
+const WRITE_ERROR_ATTEMPTS = 3; // MongoDB errors, before leaving it queued
+const RETRY_MIN_MS = 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+// Raised for filters that can't be turned into a query (bad dates, arrays)
+class InvalidAuditFilterError extends Error {}
+
+// Called at startup: an unkeyed chain can be recomputed by anyone
+const ensureAuditSecret = () => {
+  if (!AUDIT_SECRET) {
+    throw new Error("AUDIT_HMAC_SECRET must be set");
+  }
+};
+
+// HMAC the fields that make up an entry, in a fixed order, chained to the previous hash
+function computeHash(entry) {
+  const payload = JSON.stringify([
+    entry.seq,
+    entry.action,
+    [entry.actor.type, entry.actor.id ?? null, entry.actor.email ?? null],
+    [entry.target?.userId ?? null, entry.target?.deviceId ?? null],
+    entry.details ?? null,
+    entry.ipAddress ?? null,
+    new Date(entry.timestamp).toISOString(),
+    entry.prevHash
+  ]);
+
+  return crypto.createHmac("sha256", AUDIT_SECRET).update(payload).digest("hex");
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Raised when an entry still can't be written after its attempts
+class AuditWriteError extends Error {}
+
+// Append one queued entry to the chain. Returns the saved entry.
+async function appendEntry(pending) {
+  let conflicts = 0;
+  let errors = 0;
+
+  for (;;) {
+    const last = await AuditLog.findOne().sort({ seq: -1 }).lean();
+
+    const entry = {
+      seq: last ? last.seq + 1 : 1,
+      entryId: pending.entryId,
+      action: pending.action,
+      actor: pending.actor,
+      target: pending.target,
+      details: pending.details,
+      ipAddress: pending.ipAddress,
+      timestamp: new Date(pending.timestamp),
+      prevHash: last ? last.hash : GENESIS_HASH
+    };
+    entry.hash = computeHash(entry);
+
+    try {
+      const saved = await AuditLog.create(entry);
+      await redis.auditHeadAdvance(HEAD_KEY, saved.seq, saved.hash);
+      return saved;
+    } catch (err) {
+      if (err.code === 11000 && err.keyPattern && err.keyPattern.entryId) {
+        // Written before, by a writer that stopped before dequeuing it
+        return AuditLog.findOne({ entryId: pending.entryId }).lean();
+      }
+      if (err.code === 11000) {
+        // A writer whose lock lapsed took this sequence number
+        if (++conflicts >= SEQ_CONFLICT_ATTEMPTS) {
+          throw new AuditWriteError(`sequence still contended after ${conflicts} attempts`);
+        }
+        await sleep(Math.min(5 * conflicts, 100) + crypto.randomInt(10));
+        continue;
+      }
+      if (++errors >= WRITE_ERROR_ATTEMPTS) {
+        throw new AuditWriteError(`${err.message} (after ${errors} attempts)`);
+      }
+      await sleep(50 * 2 ** errors);
+    }
+  }
+}
+
+let retryTimer = null;
+let retryDelay = RETRY_MIN_MS;
+
+function scheduleRetry() {
+  if (retryTimer) return;
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushPendingAudit().catch(err => console.error("Audit log retry failed:", err.message));
+  }, retryDelay);
+  retryTimer.unref();
+  retryDelay = Math.min(retryDelay * 2, RETRY_MAX_MS);
+}
+
+/**
+ * Write queued entries to the chain, oldest first, while holding the writer
+ * lock. Returns a Map of entryId -> saved entry for what this call wrote.
+ * If another writer holds the lock it will pick up the queue instead.
+ */
+async function flushPendingAudit() {
+  const written = new Map();
+
+  do {
+    const token = crypto.randomBytes(16).toString("hex");
+    if (await redis.set(WRITER_LOCK_KEY, token, "PX", WRITER_LOCK_TTL_MS, "NX") !== "OK") {
+      return written;
+    }
+
+    try {
+      for (;;) {
+        const raw = await redis.lindex(PENDING_KEY, 0);
+        if (!raw) break;
+
+        const pending = JSON.parse(raw);
+        written.set(pending.entryId, await appendEntry(pending));
+        await redis.lrem(PENDING_KEY, 1, raw);
+      }
+      retryDelay = RETRY_MIN_MS;
+    } catch (err) {
+      const queued = await redis.llen(PENDING_KEY);
+      console.error(`Audit log write failed, ${queued} entries kept queued for retry: ${err.message}`);
+      scheduleRetry();
+      return written;
+    } finally {
+      await redis.compareAndSwap(WRITER_LOCK_KEY, token, "");
+    }
+
+    // Entries queued while we were releasing the lock
+  } while (await redis.llen(PENDING_KEY) > 0);
+
+  return written;
+}
+
+/**
+ * Append an entry to the hash-chained audit log. Resolves with the saved
+ * entry, or null if it is still queued (another writer has it, or MongoDB
+ * is failing and it will be retried). Never throws - auditing must not
+ * break the request that triggered it.
+ *
+ * actor:  { type: "user" | "admin" | "system", id, email }
+ * target: { userId, deviceId }
+ */
+async function recordAudit({ action, actor, target = {}, details = {}, ipAddress }) {
+  const pending = {
+    entryId: crypto.randomUUID(),
+    action,
+    actor: {
+      type: actor.type,
+      id: actor.id ? actor.id.toString() : undefined,
+      email: actor.email
+    },
+    target: {
+      userId: target.userId ? target.userId.toString() : undefined,
+      deviceId: target.deviceId
+    },
+    details,
+    ipAddress,
+    timestamp: new Date().toISOString()
+  };
+  // Round-trip so the hashed form matches what MongoDB hands back
+  const raw = JSON.stringify(pending);
+
+  try {
+    await redis.rpush(PENDING_KEY, raw);
+  } catch (err) {
+    // Nowhere durable to keep it - at least leave it in the server log
+    console.error(`Audit log queue unavailable (${action}): ${err.message}`, raw);
+    return null;
+  }
+
+  try {
+    const written = await flushPendingAudit();
+    return written.get(pending.entryId) || null;
+  } catch (err) {
+    console.error(`Audit log flush failed (${action}), entry kept queued: ${err.message}`);
+    scheduleRetry();
+    return null;
+  }
+}
+
+// Walk the chain and report the first entry whose hash or link doesn't
+// match, then check the chain still reaches the anchored head
+async function verifyChain() {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  const head = await redis.hgetall(HEAD_KEY);
+  const headSeq = head.seq ? parseInt(head.seq) : null;
+  let hashAtHead = null;
+
+  const cursor = AuditLog.find().sort({ seq: 1 }).lean().cursor();
+
+  for await (const entry of cursor) {
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked, brokenAt: expectedSeq, reason: "Missing entry" };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: "Chain link mismatch" };
+    }
+    if (computeHash(entry) !== entry.hash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: "Entry contents altered" };
+    }
+    if (entry.seq === headSeq) hashAtHead = entry.hash;
+
+    prevHash = entry.hash;
+    expectedSeq++;
+    checked++;
+  }
+
+  if (headSeq !== null) {
+    if (checked < headSeq) {
+      return { valid: false, checked, brokenAt: checked + 1, reason: "Entries missing from the end" };
+    }
+    if (hashAtHead !== head.hash) {
+      return { valid: false, checked, brokenAt: headSeq, reason: "Head hash mismatch" };
+    }
+  }
+
+  return { valid: true, checked, anchored: headSeq !== null };
+}
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (typeof value !== "string" || Number.isNaN(date.getTime())) {
+    throw new InvalidAuditFilterError(`${name} must be a date`);
+  }
+  return date;
+};
+
+// Build a MongoDB filter from query-string style filters
+function buildAuditFilter({ userId, actor, action, from, to } = {}) {
+  const filter = {};
+
+  for (const [name, value] of Object.entries({ userId, actor, action })) {
+    if (value !== undefined && typeof value !== "string") {
+      throw new InvalidAuditFilterError(`${name} must be a single value`);
+    }
+  }
+
+  if (userId) filter["target.userId"] = userId;
+  if (actor) filter.$or = [{ "actor.id": actor }, { "actor.email": actor }];
+  if (action) {
+    // "session.*" matches every session action
+    filter.action = action.endsWith(".*")
+      ? { $regex: `^${action.slice(0, -2).replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\.` }
+      : action;
+  }
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = parseDate(from, "from");
+    if (to) filter.timestamp.$lte = parseDate(to, "to");
+  }
+
+  return filter;
+}
+
+// Shorthand actors
+const systemActor = (name = "system") => ({ type: "system", id: name });
+const userActor = (user) => ({ type: "user", id: user._id || user.userId, email: user.email });
+const adminActor = (admin) => ({ type: "admin", id: admin.adminId, email: admin.email });
+
+module.exports = {
+  InvalidAuditFilterError,
+  ensureAuditSecret,
+  computeHash,
+  recordAudit,
+  flushPendingAudit,
+  verifyChain,
+  buildAuditFilter,
+  systemActor,
+  userActor,
+  adminActor
+};
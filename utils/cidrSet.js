@@ -0,0 +1,191 @@
+const net = require("net");
+
+/**
+ * IPv4 / IPv6 address parsing and CIDR range matching.
+ * Ranges are compiled into sorted, non-overlapping segments per address
+ * family, so a lookup is a binary search regardless of how many ranges are
+ * loaded. Where ranges nest, the most specific one's label wins.
+ */
+
+const IPV4_MAPPED_PREFIX = 0xffffn << 32n; // ::ffff:0:0/96
+
+function ipv4ToBigInt(ip) {
+  return ip.split(".").reduce((value, octet) => (value << 8n) | BigInt(parseInt(octet, 10)), 0n);
+}
+
+function ipv6ToBigInt(ip) {
+  let address = ip;
+
+  // Embedded IPv4 tail, e.g. ::ffff:192.0.2.1
+  const lastColon = address.lastIndexOf(":");
+  if (address.includes(".", lastColon)) {
+    const v4 = ipv4ToBigInt(address.slice(lastColon + 1));
+    address = `${address.slice(0, lastColon + 1)}${(v4 >> 16n).toString(16)}:${(v4 & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = address.split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  const groups = address.includes("::")
+    ? [...headGroups, ...Array(missing).fill("0"), ...tailGroups]
+    : headGroups;
+
+  return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Parse an address into { family: 4 | 6, value: BigInt }, or null.
+ * IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) come back as IPv4.
+ */
+function parseIp(input) {
+  if (typeof input !== "string") return null;
+  const ip = input.trim().replace(/^\[|\]$/g, "").split("%")[0];
+
+  const family = net.isIP(ip);
+  if (family === 4) return { family: 4, value: ipv4ToBigInt(ip) };
+  if (family !== 6) return null;
+
+  const value = ipv6ToBigInt(ip);
+  if (value >> 32n === IPV4_MAPPED_PREFIX >> 32n) {
+    return { family: 4, value: value & 0xffffffffn };
+  }
+  return { family: 6, value };
+}
+
+function formatIpv4(value) {
+  return [24n, 16n, 8n, 0n].map(shift => ((value >> shift) & 255n).toString()).join(".");
+}
+
+/**
+ * Canonical text form: IPv4-mapped addresses unwrapped, zone IDs and
+ * brackets dropped. Returns null for anything that isn't an address.
+ */
+function normalizeIp(input) {
+  const parsed = parseIp(input);
+  if (!parsed) return null;
+  if (parsed.family === 4) return formatIpv4(parsed.value);
+  return input.trim().replace(/^\[|\]$/g, "").split("%")[0].toLowerCase();
+}
+
+// "a.b.c.d/n", "x::/n" or a bare address -> { family, start, end }
+function parseCidr(cidr) {
+  const [address, prefixText] = cidr.trim().split("/");
+  const parsed = parseIp(address);
+  if (!parsed) return null;
+
+  const bits = parsed.family === 4 ? 32 : 128;
+  // A mapped IPv6 prefix (::ffff:0:0/104) counts its bits against IPv6
+  const mappedOffset = parsed.family === 4 && net.isIP(address.split("%")[0]) === 6 ? 96 : 0;
+  const prefix = prefixText === undefined ? bits : parseInt(prefixText, 10) - mappedOffset;
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > bits) return null;
+
+  const hostBits = BigInt(bits - prefix);
+  const start = (parsed.value >> hostBits) << hostBits;
+  return { family: parsed.family, start, end: start + (1n << hostBits) - 1n };
+}
+
+// Sort order for compile(): by start, enclosing ranges before the ranges
+// they contain
+const byStartThenWidest = (a, b) => {
+  if (a.start !== b.start) return a.start < b.start ? -1 : 1;
+  if (a.end !== b.end) return a.end > b.end ? -1 : 1;
+  return 0;
+};
+
+class CidrSet {
+  constructor(entries = []) {
+    this.entries = { 4: [], 6: [] };
+    this.ranges = { 4: [], 6: [] };
+    this.dirty = { 4: false, 6: false };
+    this.size = 0;
+    for (const entry of entries) this.add(entry);
+  }
+
+  /**
+   * Add a CIDR (or single address) with an optional label returned by match().
+   * Returns false for unparseable input.
+   */
+  add(cidr, label = null) {
+    const range = parseCidr(cidr);
+    if (!range) return false;
+
+    this.entries[range.family].push({ ...range, label });
+    this.dirty[range.family] = true;
+    this.size++;
+    return true;
+  }
+
+  /**
+   * Rebuild the lookup segments lazily, after a batch of add() calls.
+   * CIDRs either nest or are disjoint, so a sweep with a stack of the ranges
+   * enclosing the current address splits every range around the more
+   * specific ones inside it. Touching segments are merged only when their
+   * labels agree.
+   */
+  compile(family) {
+    if (!this.dirty[family]) return this.ranges[family];
+
+    const segments = [];
+    const emit = (start, end, label) => {
+      if (start > end) return;
+      const last = segments[segments.length - 1];
+      if (last && last.label === label && start <= last.end + 1n) {
+        if (end > last.end) last.end = end;
+      } else {
+        segments.push({ start, end, label });
+      }
+    };
+
+    const open = [];
+    let next = 0n; // first address not yet emitted
+    const close = () => {
+      const range = open.pop();
+      emit(next, range.end, range.label);
+      if (range.end + 1n > next) next = range.end + 1n;
+    };
+
+    for (const range of [...this.entries[family]].sort(byStartThenWidest)) {
+      while (open.length > 0 && open[open.length - 1].end < range.start) close();
+      if (open.length > 0) emit(next, range.start - 1n, open[open.length - 1].label);
+      next = range.start;
+      open.push(range);
+    }
+    while (open.length > 0) close();
+
+    this.dirty[family] = false;
+    this.ranges[family] = segments;
+    return segments;
+  }
+
+  /**
+   * The matching range's label (true if unlabelled), or null
+   */
+  match(ip) {
+    const parsed = typeof ip === "string" ? parseIp(ip) : ip;
+    if (!parsed) return null;
+
+    const ranges = this.compile(parsed.family);
+    let low = 0;
+    let high = ranges.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      const range = ranges[mid];
+      if (parsed.value < range.start) high = mid - 1;
+      else if (parsed.value > range.end) low = mid + 1;
+      else return range.label === null ? true : range.label;
+    }
+    return null;
+  }
+
+  has(ip) {
+    return this.match(ip) !== null;
+  }
+}
+
+module.exports = {
+  parseIp,
+  normalizeIp,
+  parseCidr,
+  CidrSet
+};
@@ -0,0 +1,132 @@
+const { CidrSet, normalizeIp } = require("./cidrSet");
+
+/**
+ * Client IP resolution behind reverse proxies.
+ *
+ * Forwarding headers are only believed when they were added by a proxy we
+ * trust. The chain is walked from the socket peer towards the client and
+ * the first address that is not a trusted proxy is the client. Anything a
+ * client writes further left in the header is ignored.
+ *
+ * TRUSTED_PROXIES is a comma separated list of CIDRs or addresses; the
+ * names "loopback", "linklocal" and "uniquelocal" expand to those ranges.
+ *
+ * FORWARDED_HEADER names the one header the deployment's proxies append
+ * to: "x-forwarded-for" (default) or "forwarded" (RFC 7239). The other is
+ * never read - a proxy passes it through untouched, so its content is
+ * whatever the client sent.
+ */
+
+const PROXY_ALIASES = {
+  loopback: ["127.0.0.0/8", "::1/128"],
+  linklocal: ["169.254.0.0/16", "fe80::/10"],
+  uniquelocal: ["10.0.0.0/8", "172.16.0.0/12", "192.168.0.0/16", "fc00::/7"]
+};
+
+function buildTrustedProxies(value) {
+  const set = new CidrSet();
+  const entries = value.split(",").map(entry => entry.trim()).filter(Boolean);
+
+  for (const entry of entries) {
+    for (const cidr of PROXY_ALIASES[entry] || [entry]) {
+      if (!set.add(cidr)) {
+        throw new Error(`Invalid TRUSTED_PROXIES entry: ${entry}`);
+      }
+    }
+  }
+  return set;
+}
+
+const FORWARDED_HEADERS = ["x-forwarded-for", "forwarded"];
+
+function checkForwardedHeader(value) {
+  const name = value.trim().toLowerCase();
+  if (!FORWARDED_HEADERS.includes(name)) {
+    throw new Error(`Invalid FORWARDED_HEADER: ${value} (expected ${FORWARDED_HEADERS.join(" or ")})`);
+  }
+  return name;
+}
+
+let trustedProxies = buildTrustedProxies(process.env.TRUSTED_PROXIES || "loopback");
+let forwardedHeader = checkForwardedHeader(process.env.FORWARDED_HEADER || "x-forwarded-for");
+
+// Replace the trusted proxy list, e.g. "loopback, 10.2.0.0/16"
+function setTrustedProxies(value) {
+  trustedProxies = buildTrustedProxies(Array.isArray(value) ? value.join(",") : value);
+}
+
+// Switch the header forwarded addresses are read from
+function setForwardedHeader(value) {
+  forwardedHeader = checkForwardedHeader(value);
+}
+
+function isTrustedProxy(address) {
+  return trustedProxies.has(address);
+}
+
+// "192.0.2.1:8080", "[2001:db8::1]:443", "\"[2001:db8::1]\"" -> bare address
+function stripPort(node) {
+  const value = node.trim().replace(/^"|"$/g, "");
+  const bracketed = value.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) return bracketed[1];
+
+  const v4WithPort = value.match(/^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/);
+  return v4WithPort ? v4WithPort[1] : value;
+}
+
+// RFC 7239: Forwarded: for=192.0.2.60;proto=http, for="[2001:db8::17]"
+function parseForwarded(header) {
+  return header.split(",").map(element => {
+    const pair = element.split(";")
+      .map(part => part.trim())
+      .find(part => part.toLowerCase().startsWith("for="));
+    return pair ? stripPort(pair.slice(4)) : "";
+  });
+}
+
+// Addresses from the configured header in header order (client first), or []
+function getForwardedChain(req) {
+  const value = req.headers[forwardedHeader];
+  if (!value) return [];
+
+  const header = Array.isArray(value) ? value.join(",") : value;
+  if (forwardedHeader === "forwarded") return parseForwarded(header);
+  return header.split(",").map(stripPort);
+}
+
+/**
+ * Resolve the client address of a request, normalized (IPv4-mapped IPv6
+ * unwrapped). Returns null only when the socket address is unavailable.
+ */
+function resolveClientIp(req) {
+  let client = normalizeIp(req.socket?.remoteAddress || "");
+  if (!client) return null;
+
+  const chain = getForwardedChain(req);
+  for (let i = chain.length - 1; i >= 0 && isTrustedProxy(client); i--) {
+    const hop = normalizeIp(chain[i]);
+    // Obfuscated or malformed hop ("unknown", "_hidden"): stop at the proxy
+    if (!hop) break;
+    client = hop;
+  }
+
+  return client;
+}
+
+/**
+ * Client IP for a request, resolved once and cached on req.clientIp
+ */
+function getClientIp(req) {
+  if (req.clientIp === undefined) {
+    req.clientIp = resolveClientIp(req);
+  }
+  return req.clientIp;
+}
+
+module.exports = {
+  getClientIp,
+  resolveClientIp,
+  isTrustedProxy,
+  setTrustedProxies,
+  setForwardedHeader
+};
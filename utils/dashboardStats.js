@@ -0,0 +1,467 @@
+const crypto = require("crypto");
+const geoip = require("geoip-lite");
+const { redis, sessionHelpers } = require("../config/redis");
+const trustScoringConfig = require("./trustScoringConfig");
+
+/**
+ * Admin dashboard aggregates, kept in Redis as sessions, trust scores and
+ * alerts change instead of being recomputed from every user on a timer.
+ *
+ * Every change is published on DASHBOARD_EVENTS_CHANNEL; config/socket.js
+ * batches those into one `dashboardDelta` broadcast. Full snapshots are
+ * only built when a dashboard connects.
+ */
+
+const DASHBOARD_EVENTS_CHANNEL = "dashboard_events";
+
+const KEYS = {
+  sessions: "dashboard:sessions", // hash  userId:deviceId -> session summary
+  live: "dashboard:live", // zset  userId:deviceId by session start
+  trust: "dashboard:trust", // zset  userId:deviceId by trust score
+  counters: "dashboard:counters", // hash  totals, per plan / trust level, leakage
+  userSessions: "dashboard:user_sessions", // hash  userId -> sessions
+  deviceUsers: "dashboard:device_users", // hash  deviceId -> accounts signed in
+  recent: "dashboard:recent", // list  latest activity entries
+  rebuildLock: "dashboard:rebuild_lock"
+};
+
+const PLANS = ["BASIC", "STANDARD", "PREMIUM"];
+const TRUST_LEVELS = ["HIGH", "MEDIUM", "LOW", "CRITICAL"];
+const PLAN_PRICES = { BASIC: 199, STANDARD: 499, PREMIUM: 799 };
+
+const SUSPICIOUS_SCORE = 40; // counted as suspicious activity
+const LEAKAGE_SCORE = 50; // counted towards revenue leakage
+const RECENT_ACTIVITY_LIMIT = 20;
+const SNAPSHOT_SESSION_LIMIT = 50;
+const TRUST_UPDATE_ATTEMPTS = 5; // retries when a concurrent write changes the summary
+
+const sessionField = (userId, deviceId) => `${userId}:${deviceId}`;
+
+// Same cut-offs as the login flow, from the active trust scoring version
+function getTrustLevel(score) {
+  return trustScoringConfig.getTrustLevel(score);
+}
+
+function lookupLocation(ipAddress) {
+  const geo = ipAddress ? geoip.lookup(ipAddress) : null;
+  if (!geo) return null;
+
+  return {
+    country: geo.country,
+    city: geo.city,
+    lat: geo.ll[0],
+    lon: geo.ll[1]
+  };
+}
+
+// Each extra session over the plan cap, and each low-trust session, is
+// treated as a potential lost subscription
+const trustLeakage = (summary) =>
+  summary.trustScore < LEAKAGE_SCORE ? PLAN_PRICES[summary.plan] * 0.5 : 0;
+
+const activityEntry = (summary, action, timestamp = Date.now()) => ({
+  email: summary.email,
+  action,
+  deviceId: summary.deviceId.substring(0, 8),
+  timestamp,
+  trustScore: summary.trustScore
+});
+
+async function publish(event) {
+  await redis.publish(DASHBOARD_EVENTS_CHANNEL, JSON.stringify(event));
+}
+
+// Apply a session summary to every counter, with sign +1 (added) or -1 (removed)
+async function applySummary(summary, sign) {
+  const userCount = await redis.hincrby(KEYS.userSessions, summary.userId, sign);
+  const deviceUsers = await redis.hincrby(KEYS.deviceUsers, summary.deviceId, sign);
+
+  // Count before the change decides whether this session was over the cap
+  const countOverCap = sign > 0 ? userCount : userCount + 1;
+  const leakage = (countOverCap > summary.maxSessions ? PLAN_PRICES[summary.plan] : 0) +
+    trustLeakage(summary);
+
+  const multi = redis.multi()
+    .hincrby(KEYS.counters, "totalSessions", sign)
+    .hincrby(KEYS.counters, `plan:${summary.plan}`, sign)
+    .hincrby(KEYS.counters, `trust:${summary.trustLevel}`, sign)
+    .hincrby(KEYS.counters, "trustSum", sign * summary.trustScore);
+
+  if (summary.trustScore < SUSPICIOUS_SCORE) {
+    multi.hincrby(KEYS.counters, "suspicious", sign);
+  }
+  if (leakage > 0) {
+    multi.hincrbyfloat(KEYS.counters, "leakage", sign * leakage);
+  }
+  if ((sign > 0 && deviceUsers === 2) || (sign < 0 && deviceUsers === 1)) {
+    multi.hincrby(KEYS.counters, "sharedDevices", sign);
+  }
+  if (sign < 0 && userCount <= 0) multi.hdel(KEYS.userSessions, summary.userId);
+  if (sign < 0 && deviceUsers <= 0) multi.hdel(KEYS.deviceUsers, summary.deviceId);
+
+  await multi.exec();
+}
+
+async function addSummary(summary) {
+  const field = sessionField(summary.userId, summary.deviceId);
+
+  const added = await redis.hsetnx(KEYS.sessions, field, JSON.stringify(summary));
+  if (!added) return false;
+
+  await redis.multi()
+    .zadd(KEYS.live, summary.createdAt, field)
+    .zadd(KEYS.trust, summary.trustScore, field)
+    .exec();
+  await applySummary(summary, 1);
+  return true;
+}
+
+async function removeSummary(userId, deviceId) {
+  const field = sessionField(userId, deviceId);
+
+  // Taking the summary atomically decides which caller owns the removal, and
+  // the counters drop by exactly the summary that was stored
+  const raw = await redis.hashTake(KEYS.sessions, field);
+  if (!raw) return null;
+
+  const summary = JSON.parse(raw);
+  await redis.multi()
+    .zrem(KEYS.live, field)
+    .zrem(KEYS.trust, field)
+    .exec();
+  await applySummary(summary, -1);
+  return summary;
+}
+
+async function pushActivity(entry) {
+  await redis.multi()
+    .lpush(KEYS.recent, JSON.stringify(entry))
+    .ltrim(KEYS.recent, 0, RECENT_ACTIVITY_LIMIT - 1)
+    .exec();
+}
+
+function buildSummary(user, deviceId, { ipAddress, userAgent, trustScore, maxSessions, createdAt }) {
+  const score = Math.round(trustScore || 0);
+
+  return {
+    userId: user._id.toString(),
+    email: user.email,
+    plan: PLANS.includes(user.plan) ? user.plan : "BASIC",
+    maxSessions,
+    deviceId,
+    trustScore: score,
+    trustLevel: getTrustLevel(score),
+    location: lookupLocation(ipAddress),
+    ipAddress,
+    userAgent,
+    createdAt: createdAt || Date.now()
+  };
+}
+
+/**
+ * A session was opened (or replaced on the same device)
+ */
+async function sessionStarted(user, deviceId, details) {
+  const summary = buildSummary(user, deviceId, details);
+
+  await removeSummary(summary.userId, deviceId);
+  await addSummary(summary);
+
+  const activity = activityEntry(summary, "Signed in", summary.createdAt);
+  await pushActivity(activity);
+  await publish({ type: "session_started", session: summary, activity });
+}
+
+/**
+ * A session was deleted (logout, eviction, revocation) or found expired
+ */
+async function sessionEnded(userId, deviceId, reason) {
+  const summary = await removeSummary(userId.toString(), deviceId);
+  if (!summary) return;
+
+  const activity = activityEntry(summary, `Signed out (${reason})`);
+  await pushActivity(activity);
+  await publish({
+    type: "session_ended",
+    userId: summary.userId,
+    deviceId,
+    reason,
+    activity
+  });
+}
+
+// Counter changes for a summary going from `previous` to `next`, as
+// dashboardTrustUpdate triples
+function trustCounterChanges(previous, next) {
+  const changes = ["HINCRBY", "trustSum", next.trustScore - previous.trustScore];
+
+  if (next.trustLevel !== previous.trustLevel) {
+    changes.push("HINCRBY", `trust:${previous.trustLevel}`, -1);
+    changes.push("HINCRBY", `trust:${next.trustLevel}`, 1);
+  }
+
+  const suspiciousDelta = (next.trustScore < SUSPICIOUS_SCORE) - (previous.trustScore < SUSPICIOUS_SCORE);
+  if (suspiciousDelta !== 0) changes.push("HINCRBY", "suspicious", suspiciousDelta);
+
+  const leakageDelta = trustLeakage(next) - trustLeakage(previous);
+  if (leakageDelta !== 0) changes.push("HINCRBYFLOAT", "leakage", leakageDelta);
+
+  return changes;
+}
+
+/**
+ * A device's trust score was recalculated while it has a session
+ */
+async function trustUpdated(userId, deviceId, score) {
+  const field = sessionField(userId, deviceId);
+  let next;
+
+  // The summary and its counters change together, and only if no sign-out
+  // or other update got in since it was read
+  for (let attempt = 0; ; attempt++) {
+    const raw = await redis.hget(KEYS.sessions, field);
+    if (!raw) return;
+
+    const previous = JSON.parse(raw);
+    next = { ...previous, trustScore: Math.round(score) };
+    next.trustLevel = getTrustLevel(next.trustScore);
+    if (next.trustScore === previous.trustScore) return;
+
+    const updated = await redis.dashboardTrustUpdate(
+      KEYS.sessions, KEYS.trust, KEYS.counters,
+      field, raw, JSON.stringify(next), next.trustScore,
+      ...trustCounterChanges(previous, next)
+    );
+    if (updated === 1) break;
+    if (attempt + 1 >= TRUST_UPDATE_ATTEMPTS) {
+      console.warn(`Dashboard trust update for ${field} kept conflicting, skipped`);
+      return;
+    }
+  }
+
+  await publish({
+    type: "trust_updated",
+    userId: next.userId,
+    deviceId,
+    trustScore: next.trustScore,
+    trustLevel: next.trustLevel
+  });
+}
+
+/**
+ * An alert rule fired
+ */
+async function alertRaised(alert) {
+  const activity = {
+    email: alert.context.email,
+    action: `Alert: ${alert.ruleName} (${alert.severity})`,
+    deviceId: (alert.context.deviceId || "").substring(0, 8),
+    timestamp: alert.timestamp,
+    trustScore: null
+  };
+
+  await pushActivity(activity);
+  await publish({
+    type: "alert",
+    alert: {
+      alertId: alert.alertId,
+      ruleId: alert.ruleId,
+      ruleName: alert.ruleName,
+      severity: alert.severity,
+      message: alert.message,
+      timestamp: alert.timestamp
+    },
+    activity
+  });
+}
+
+/**
+ * Current counters: session breakdowns plus the stats that change with them
+ */
+async function getAggregates() {
+  // Country counts come from the global session index (config/redis.js)
+  const [counters, geoDistribution, activeUsers] = await Promise.all([
+    redis.hgetall(KEYS.counters),
+    sessionHelpers.getCountryCounts(),
+    redis.hlen(KEYS.userSessions)
+  ]);
+  const count = (name) => parseInt(counters[name]) || 0;
+
+  const totalSessions = count("totalSessions");
+
+  return {
+    sessions: {
+      totalSessions,
+      byPlan: Object.fromEntries(PLANS.map(plan => [plan, count(`plan:${plan}`)])),
+      byTrustLevel: Object.fromEntries(TRUST_LEVELS.map(level => [level, count(`trust:${level}`)])),
+      geoDistribution
+    },
+    stats: {
+      activeUsers,
+      totalSessions,
+      avgTrustScore: totalSessions > 0 ? Math.round(count("trustSum") / totalSessions) : 0,
+      suspiciousCount: count("suspicious"),
+      sharedDevices: count("sharedDevices"),
+      revenueLeakage: Math.round(parseFloat(counters.leakage) || 0)
+    }
+  };
+}
+
+// Summaries for the given fields, with lastActivity read from the live
+// session; sessions that have expired since are dropped from the aggregates
+async function loadSessions(fields) {
+  if (fields.length === 0) return [];
+
+  const summaries = (await redis.hmget(KEYS.sessions, ...fields))
+    .filter(Boolean)
+    .map(raw => JSON.parse(raw));
+  if (summaries.length === 0) return [];
+
+  const live = await redis.mget(...summaries.map(s => `session:${s.userId}:${s.deviceId}`));
+  const sessions = [];
+
+  for (let i = 0; i < summaries.length; i++) {
+    if (!live[i]) {
+      await sessionEnded(summaries[i].userId, summaries[i].deviceId, "expired");
+      continue;
+    }
+    sessions.push({ ...summaries[i], lastActivity: JSON.parse(live[i]).lastActivity });
+  }
+
+  return sessions;
+}
+
+/**
+ * Sessions with a trust score below `maxScore`, lowest first
+ */
+async function getLowTrustSessions(maxScore, limit = 500) {
+  const fields = await redis.zrangebyscore(KEYS.trust, "-inf", `(${maxScore}`, "LIMIT", 0, limit);
+  return loadSessions(fields);
+}
+
+/**
+ * Full dashboard state for a newly connected dashboard (or GET /admin/dashboard)
+ */
+async function getSnapshot({ limit = SNAPSHOT_SESSION_LIMIT } = {}) {
+  // Required here: models are only needed for the snapshot
+  const User = require("../models/User");
+  const Device = require("../models/Device");
+
+  const fields = await redis.zrevrange(KEYS.live, 0, limit - 1);
+  const activeSessions = await loadSessions(fields);
+  const { sessions, stats } = await getAggregates();
+
+  const devices = activeSessions.length > 0
+    ? await Device.find({
+      $or: activeSessions.map(s => ({ userId: s.userId, deviceId: s.deviceId }))
+    }).lean()
+    : [];
+  const deviceByField = new Map(devices.map(d => [sessionField(d.userId, d.deviceId), d]));
+
+  for (const session of activeSessions) {
+    const device = deviceByField.get(sessionField(session.userId, session.deviceId));
+    session.deviceInfo = device ? { trusted: device.trusted, firstSeen: device.createdAt } : null;
+  }
+
+  const [recent, totalUsers, planDistribution] = await Promise.all([
+    redis.lrange(KEYS.recent, 0, RECENT_ACTIVITY_LIMIT - 1),
+    User.estimatedDocumentCount(),
+    User.aggregate([{ $group: { _id: "$plan", count: { $sum: 1 } } }])
+  ]);
+
+  return {
+    sessions: {
+      ...sessions,
+      activeSessions,
+      recentActivity: recent.map(entry => JSON.parse(entry))
+    },
+    stats: {
+      ...stats,
+      totalUsers,
+      planDistribution
+    },
+    timestamp: Date.now()
+  };
+}
+
+/**
+ * Rebuild every aggregate from the session index in Redis. Runs at startup
+ * when no aggregates exist yet (first deploy, flushed Redis); a lock keeps
+ * concurrent instances from counting twice.
+ */
+async function rebuildAggregates() {
+  const User = require("../models/User");
+  const { getMaxSessions } = require("./sessionManager");
+
+  // The token makes sure a rebuild that outlived the lock doesn't release
+  // another instance's
+  const token = crypto.randomBytes(16).toString("hex");
+  const locked = await redis.set(KEYS.rebuildLock, token, "EX", 600, "NX");
+  if (!locked) return false;
+
+  try {
+    await redis.del(
+      KEYS.sessions, KEYS.live, KEYS.trust, KEYS.counters,
+      KEYS.userSessions, KEYS.deviceUsers
+    );
+
+    const batchSize = 500;
+    let offset = 0;
+    let rebuilt = 0;
+    let batch;
+
+    do {
+      batch = await sessionHelpers.getRecentlyActiveSessions(batchSize, offset);
+      offset += batch.length;
+      if (batch.length === 0) continue;
+
+      const sessions = (await redis.mget(...batch.map(s => `session:${s.userId}:${s.deviceId}`)))
+        .filter(Boolean)
+        .map(raw => JSON.parse(raw));
+      const users = await User.find({
+        _id: { $in: [...new Set(sessions.map(s => s.userId.toString()))] }
+      }).select("email plan").lean();
+      const userById = new Map(users.map(u => [u._id.toString(), u]));
+
+      for (const session of sessions) {
+        const user = userById.get(session.userId.toString());
+        if (!user) continue;
+
+        const added = await addSummary(buildSummary(user, session.deviceId, {
+          ipAddress: session.ipAddress,
+          userAgent: session.userAgent,
+          trustScore: session.trustScore,
+          maxSessions: getMaxSessions(user.plan),
+          createdAt: session.createdAt
+        }));
+        if (added) rebuilt++;
+      }
+    } while (batch.length === batchSize);
+
+    await redis.hset(KEYS.counters, "rebuiltAt", Date.now());
+    console.log(`📊 Dashboard aggregates rebuilt from ${rebuilt} sessions`);
+    return true;
+  } finally {
+    await redis.compareAndSwap(KEYS.rebuildLock, token, "");
+  }
+}
+
+async function ensureAggregates() {
+  if (!(await redis.exists(KEYS.counters))) {
+    await rebuildAggregates();
+  }
+}
+
+module.exports = {
+  DASHBOARD_EVENTS_CHANNEL,
+  getTrustLevel,
+  sessionStarted,
+  sessionEnded,
+  trustUpdated,
+  alertRaised,
+  getAggregates,
+  getLowTrustSessions,
+  getSnapshot,
+  rebuildAggregates,
+  ensureAggregates
+};
@@ -0,0 +1,16 @@
+const UAParser = require("ua-parser-js");
+
+// "Chrome on Windows" when the user hasn't named the device
+const getFriendlyName = (device) => {
+  if (device.name) return device.name;
+
+  const ua = new UAParser(device.userAgent || "").getResult();
+  const browser = ua.browser.name;
+  const os = ua.os.name;
+  const model = ua.device.model;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return model || browser || os || "Unknown device";
+};
+
+module.exports = { getFriendlyName };
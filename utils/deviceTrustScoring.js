@@ -1,179 +1,164 @@
 const { redis } = require("../config/redis");
 const Device = require("../models/Device");
+const Session = require("../models/Session");
+const dashboardStats = require("./dashboardStats");
+const ipIntelligence = require("./ipIntelligence");
+const trustHistory = require("./trustHistory");
+const trustScoringConfig = require("./trustScoringConfig");
+const loginTimeProfile = require("./loginTimeProfile");
+
+// First bucket whose `min` the value reaches, else the fallback
+const bucketPoints = (rule, value) => {
+  if (value === null || value === undefined) return rule.fallback;
+  const bucket = rule.buckets.find(b => value >= b.min);
+  return bucket ? bucket.points : rule.fallback;
+};
 
 class DeviceTrustScorer {
-  constructor() {
-    this.weights = {
-      loginFrequency: 20,
-      deviceAge: 15,
-      geoConsistency: 25,
-      failedAttempts: -30,
-      suspiciousHours: -10,
-      deviceSharing: -25,
-      vpnUsage: -15
-    };
-  }
+  // `evidence` carries what this login presented, e.g. { passkeyVerified: true, timezone }
+  async calculateTrustScore(userId, deviceId, ipAddress, evidence = {}) {
+    await trustScoringConfig.ensureFresh();
+    const { version, config } = trustScoringConfig.getConfig();
 
-  async calculateTrustScore(userId, deviceId, ipAddress) {
-    let score = 50; // Base score
-    const factors = [];
-
-    // 1. Login Frequency Score (0-20 points)
-    const frequencyScore = await this.getLoginFrequencyScore(userId, deviceId);
-    score += frequencyScore;
-    factors.push({ factor: "Login Frequency", score: frequencyScore });
-
-    // 2. Device Age Score (0-15 points)
-    const ageScore = await this.getDeviceAgeScore(userId, deviceId);
-    score += ageScore;
-    factors.push({ factor: "Device Age", score: ageScore });
-
-    // 3. Geographic Consistency (0-25 points)
-    const geoScore = await this.getGeoConsistencyScore(userId, deviceId, ipAddress);
-    score += geoScore;
-    factors.push({ factor: "Geo Consistency", score: geoScore });
-
-    // 4. Failed Login Attempts (-30 to 0 points)
-    const failedScore = await this.getFailedAttemptsScore(userId, deviceId);
-    score += failedScore;
-    factors.push({ factor: "Failed Attempts", score: failedScore });
-
-    // 5. Suspicious Login Hours (-10 to 0 points)
-    const hoursScore = this.getSuspiciousHoursScore();
-    score += hoursScore;
-    factors.push({ factor: "Login Hours", score: hoursScore });
-
-    // 6. Device Sharing Detection (-25 to 0 points)
-    const sharingScore = await this.getDeviceSharingScore(deviceId);
-    score += sharingScore;
-    factors.push({ factor: "Device Sharing", score: sharingScore });
-
-    // 7. VPN/Proxy Detection (-15 to 0 points)
-    const vpnScore = this.getVPNScore(ipAddress);
-    score += vpnScore;
-    factors.push({ factor: "VPN Usage", score: vpnScore });
+    const signals = await this.collectSignals(userId, deviceId, ipAddress, evidence);
+    const { score, factors } = this.scoreSignals(signals, config);
 
-    // Clamp score between 0-100
-    score = Math.max(0, Math.min(100, score));
-
-    // Store score in Redis
-    await this.storeTrustScore(userId, deviceId, score, factors);
+    // Store score in Redis and the history
+    const historyId = await this.storeTrustScore(userId, deviceId, score, factors, {
+      ipAddress,
+      signals,
+      configVersion: version
+    });
 
     return {
-      score: Math.round(score),
-      level: this.getTrustLevel(score),
+      score,
+      level: this.getTrustLevel(score, config),
       factors,
+      configVersion: version,
+      historyId,
       timestamp: Date.now()
     };
   }
 
-  // Calculate login frequency score
-  async getLoginFrequencyScore(userId, deviceId) {
-    const key = `device:${deviceId}:login_count`;
-    const count = await redis.get(key) || 0;
-
-    // More logins = higher trust
-    if (count >= 50) return 20;
-    if (count >= 30) return 15;
-    if (count >= 15) return 10;
-    if (count >= 5) return 5;
-    return 0;
+  /**
+   * Everything the score depends on, measured now. Kept with the history
+   * so a different config can re-score past logins.
+   */
+  async collectSignals(userId, deviceId, ipAddress, evidence) {
+    const [loginCount, deviceAgeDays, geo, failedAttempts, loginTime, deviceUsers, reputation] = await Promise.all([
+      redis.get(`device:${deviceId}:login_count`),
+      this.getDeviceAgeDays(userId, deviceId),
+      this.getGeoSignal(deviceId, ipAddress),
+      redis.get(`device:${deviceId}:failed_attempts`),
+      loginTimeProfile.getLoginTimeAnomaly(userId, evidence.timezone),
+      redis.scard(`device:${deviceId}:users`),
+      ipIntelligence.lookup(ipAddress)
+    ]);
+
+    return {
+      loginCount: parseInt(loginCount) || 0,
+      deviceAgeDays,
+      countriesSeen: geo ? geo.countriesSeen : null,
+      knownCountry: geo ? geo.knownCountry : null,
+      failedAttempts: parseInt(failedAttempts) || 0,
+      loginTimeAnomaly: loginTime.anomaly,
+      loginTimeSamples: loginTime.sampleSize,
+      localTime: loginTime.localTime,
+      timezone: loginTime.timezone,
+      deviceUsers,
+      isTor: reputation.isTor,
+      isVPN: reputation.isVPN,
+      isDatacenter: reputation.isDatacenter,
+      passkeyVerified: Boolean(evidence.passkeyVerified)
+    };
   }
 
-  // Calculate device age score
-  async getDeviceAgeScore(userId, deviceId) {
-    try {
-      const device = await Device.findOne({ userId, deviceId });
-      if (!device) return 0;
+  /**
+   * Score signals with a scoring config. No I/O, so dry runs can replay
+   * recorded signals against a proposed config.
+   */
+  scoreSignals(signals, config) {
+    const rules = config.factors;
+    const factors = [
+      // 1. Login Frequency
+      { factor: "Login Frequency", score: bucketPoints(rules.loginFrequency, signals.loginCount) },
+      // 2. Device Age
+      { factor: "Device Age", score: bucketPoints(rules.deviceAge, signals.deviceAgeDays) },
+      // 3. Geographic Consistency
+      { factor: "Geo Consistency", score: this.getGeoConsistencyScore(signals, rules.geoConsistency) },
+      // 4. Failed Login Attempts
+      { factor: "Failed Attempts", score: bucketPoints(rules.failedAttempts, signals.failedAttempts) },
+      // 5. Login Time - against the user's own hour-of-week baseline
+      { factor: "Login Hours", score: bucketPoints(rules.loginTime, signals.loginTimeAnomaly) },
+      // 6. Device Sharing Detection
+      { factor: "Device Sharing", score: bucketPoints(rules.deviceSharing, signals.deviceUsers) },
+      // 7. IP Reputation - VPN, Tor, hosting ranges
+      { factor: "IP Reputation", score: this.getIpReputationScore(signals, rules.ipReputation) },
+      // 8. Passkey Assertion - cryptographic proof of a registered authenticator
+      { factor: "Passkey", score: signals.passkeyVerified ? rules.passkey.points : 0 }
+    ];
 
-      const ageInDays = (Date.now() - device.createdAt) / (1000 * 60 * 60 * 24);
+    const total = factors.reduce((sum, f) => sum + f.score, config.baseScore);
 
-      // Older devices = higher trust
-      if (ageInDays >= 180) return 15;
-      if (ageInDays >= 90) return 12;
-      if (ageInDays >= 30) return 8;
-      if (ageInDays >= 7) return 4;
-      return 0;
+    // Clamp score between 0-100
+    return { score: Math.round(Math.max(0, Math.min(100, total))), factors };
+  }
+
+  // Days since the device was first seen on the account, or null if it wasn't
+  async getDeviceAgeDays(userId, deviceId) {
+    try {
+      const device = await Device.findOne({ userId, deviceId });
+      if (!device) return null;
+      return Math.floor((Date.now() - device.createdAt) / (1000 * 60 * 60 * 24));
     } catch (err) {
-      return 0;
+      return null;
     }
   }
 
-  // Calculate geographic consistency score
-  async getGeoConsistencyScore(userId, deviceId, ipAddress) {
+  // Countries this device used before now, and whether this one is among them.
+  // Records the current country.
+  async getGeoSignal(deviceId, ipAddress) {
     const geoip = require("geoip-lite");
     const geo = geoip.lookup(ipAddress);
-    if (!geo) return 0;
+    if (!geo) return null;
 
     const key = `device:${deviceId}:countries`;
     const countries = await redis.smembers(key);
+    const knownCountry = countries.includes(geo.country);
 
-    if (countries.length === 0) {
-      // First login from this device
+    if (!knownCountry) {
       await redis.sadd(key, geo.country);
-      await redis.expire(key, 86400 * 30); // 30 days
-      return 10;
-    }
-
-    // Consistent country = higher trust
-    if (countries.includes(geo.country)) {
-      if (countries.length === 1) return 25; // Always same country
-      if (countries.length === 2) return 15; // 2 countries (travel/VPN)
-      return 5; // Multiple countries
+      if (countries.length === 0) {
+        await redis.expire(key, 86400 * 30); // 30 days
+      }
     }
 
-    // New country
-    await redis.sadd(key, geo.country);
-    return countries.length > 3 ? -10 : 0;
-  }
-
-  // Calculate failed attempts penalty
-  async getFailedAttemptsScore(userId, deviceId) {
-    const key = `device:${deviceId}:failed_attempts`;
-    const failures = parseInt(await redis.get(key) || 0);
-
-    if (failures === 0) return 0;
-    if (failures <= 2) return -5;
-    if (failures <= 5) return -15;
-    return -30; // High failure rate
+    return { countriesSeen: countries.length, knownCountry };
   }
 
-  // Detect suspicious login hours
-  getSuspiciousHoursScore() {
-    const hour = new Date().getHours();
-    
-    // Login at odd hours (2 AM - 6 AM) is slightly suspicious
-    if (hour >= 2 && hour <= 6) return -10;
-    return 0;
-  }
-
-  // Detect if device is shared across multiple accounts
-  async getDeviceSharingScore(deviceId) {
-    const key = `device:${deviceId}:users`;
-    const users = await redis.smembers(key);
+  getGeoConsistencyScore(signals, rule) {
+    if (signals.countriesSeen === null) return 0; // location unknown
+    if (signals.countriesSeen === 0) return rule.firstLogin;
 
-    if (users.length <= 1) return 0;
-    if (users.length === 2) return -10;
-    return -25; // Device used by 3+ accounts = high risk
+    return signals.knownCountry
+      ? bucketPoints(rule.knownCountry, signals.countriesSeen)
+      : bucketPoints(rule.newCountry, signals.countriesSeen);
   }
 
-  // Simple VPN detection (basic)
-  getVPNScore(ipAddress) {
-    // Common VPN/datacenter IP ranges (simplified)
-    const suspiciousRanges = [
-      "10.", "172.16.", "192.168.", // Private ranges
-    ];
-
-    for (const range of suspiciousRanges) {
-      if (ipAddress.startsWith(range)) return -15;
-    }
+  // Anonymizing networks hide the real location; the worst match counts
+  getIpReputationScore(signals, rule) {
+    const matched = [];
+    if (signals.isTor) matched.push(rule.tor);
+    if (signals.isVPN) matched.push(rule.vpn);
+    if (signals.isDatacenter) matched.push(rule.datacenter);
 
-    return 0;
+    return matched.length > 0 ? Math.min(...matched) : 0;
   }
 
-  // Store trust score
-  async storeTrustScore(userId, deviceId, score, factors) {
+  // Store trust score; returns the history entry id
+  async storeTrustScore(userId, deviceId, score, factors, { ipAddress, signals, configVersion } = {}) {
     const key = `trust:${userId}:${deviceId}`;
+    const level = this.getTrustLevel(score);
     const data = {
       score,
       factors,
@@ -181,14 +166,27 @@ class DeviceTrustScorer {
     };
     
     await redis.setex(key, 86400, JSON.stringify(data)); // 24h cache
+
+    // Keep the searchable session record in step
+    await Session.updateMany(
+      { userId, deviceId, isActive: true },
+      { trustScore: Math.round(score), trustLevel: level }
+    );
+    await dashboardStats.trustUpdated(userId, deviceId, score);
+
+    return trustHistory.recordScore(userId, deviceId, {
+      score,
+      level,
+      factors,
+      ipAddress,
+      signals,
+      configVersion
+    });
   }
 
   // Get trust level label
-  getTrustLevel(score) {
-    if (score >= 80) return "HIGH";
-    if (score >= 60) return "MEDIUM";
-    if (score >= 40) return "LOW";
-    return "CRITICAL";
+  getTrustLevel(score, config) {
+    return trustScoringConfig.getTrustLevel(score, config);
   }
 
   // Increment login counter
@@ -205,6 +203,16 @@ class DeviceTrustScorer {
     await redis.expire(key, 3600); // Reset after 1 hour
   }
 
+  // Wipe learned trust for a device (e.g. user reported "this wasn't me")
+  async resetDeviceTrust(userId, deviceId) {
+    await redis.del(
+      `trust:${userId}:${deviceId}`,
+      `device:${deviceId}:login_count`,
+      `device:${deviceId}:countries`
+    );
+    await Device.updateOne({ userId, deviceId }, { trusted: false });
+  }
+
   // Track device-user mapping
   async trackDeviceUser(deviceId, userId) {
     const key = `device:${deviceId}:users`;
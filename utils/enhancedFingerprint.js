@@ -1,5 +1,6 @@
 const crypto = require("crypto");
 const UAParser = require("ua-parser-js");
+const { getClientIp } = require("./clientIp");
 
 /**
  * Generate enhanced device fingerprint
@@ -13,7 +14,7 @@ function generateEnhancedFingerprint(req, clientFingerprint = {}) {
   const components = {
     // Basic identifiers
     userAgent: req.headers["user-agent"] || "",
-    ip: req.headers["x-forwarded-for"] || req.socket.remoteAddress || "",
+    ip: getClientIp(req) || "",
     
     // Browser details
     browser: ua.browser.name || "",
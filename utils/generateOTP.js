@@ -1,3 +1,6 @@
+const crypto = require("crypto");
+
+// 6-digit code from a CSPRNG
 module.exports = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(0, 1000000).toString().padStart(6, "0");
 };
@@ -1,5 +1,6 @@
 const geoip = require("geoip-lite");
 const { redis } = require("../config/redis");
+const { parseIp } = require("./cidrSet");
 
 // Calculate distance between two coordinates (Haversine formula)
 function calculateDistance(lat1, lon1, lat2, lon2) {
@@ -116,6 +117,23 @@ async function checkGeoImpossibility(userId, ipAddress) {
   };
 }
 
+// Network prefix used to recognise a home connection (/24 for IPv4, /48 for
+// IPv6). Masked numerically so every spelling of an address gives one key.
+function getIpPrefix(ipAddress) {
+  const parsed = parseIp(ipAddress);
+  if (!parsed) return null;
+
+  if (parsed.family === 6) {
+    const network = parsed.value >> 80n;
+    const groups = [32n, 16n, 0n].map(shift => ((network >> shift) & 0xffffn).toString(16));
+    return `${groups.join(":")}::/48`;
+  }
+
+  const network = parsed.value >> 8n;
+  const octets = [16n, 8n, 0n].map(shift => ((network >> shift) & 255n).toString());
+  return `${octets.join(".")}.0/24`;
+}
+
 // Store location history for analytics
 async function storeLocationHistory(userId, ipAddress, deviceId) {
   const geo = geoip.lookup(ipAddress);
@@ -126,7 +144,10 @@ async function storeLocationHistory(userId, ipAddress, deviceId) {
     deviceId,
     country: geo.country,
     city: geo.city,
+    lat: geo.ll[0],
+    lon: geo.ll[1],
     ip: ipAddress,
+    ipPrefix: getIpPrefix(ipAddress),
     timestamp: Date.now()
   };
 
@@ -139,5 +160,6 @@ async function storeLocationHistory(userId, ipAddress, deviceId) {
 module.exports = {
   checkGeoImpossibility,
   storeLocationHistory,
-  calculateDistance
+  calculateDistance,
+  getIpPrefix
 };
\ No newline at end of file
@@ -0,0 +1,173 @@
+const geoip = require("geoip-lite");
+const { redis, sessionHelpers } = require("../config/redis");
+const { calculateDistance, getIpPrefix } = require("./geoDetection");
+
+const CLASSIFICATION = {
+  IN_HOUSEHOLD: "IN_HOUSEHOLD",
+  TRAVELING: "TRAVELING",
+  OUT_OF_HOUSEHOLD: "OUT_OF_HOUSEHOLD"
+};
+
+class HouseholdDetector {
+  constructor() {
+    this.CLASSIFICATION = CLASSIFICATION;
+    this.config = {
+      minHomeLogins: 3,          // logins needed before a home network is trusted
+      minHomeShare: 0.4,         // share of history the home prefix must hold
+      persistentAwayDays: 3,     // distinct away days before action is required
+      awayWindowDays: 30,        // window for counting away days
+      travelPassDays: 14         // how long an OTP-verified device is allowed away
+    };
+  }
+
+  // Learn the primary home from location history
+  async getHousehold(userId) {
+    const history = (await redis.lrange(`user:${userId}:location_history`, 0, -1))
+      .map(entry => JSON.parse(entry));
+
+    const prefixCounts = {};
+    for (const entry of history) {
+      const prefix = getIpPrefix(entry.ip);
+      if (prefix) {
+        prefixCounts[prefix] = (prefixCounts[prefix] || 0) + 1;
+      }
+    }
+
+    const [homePrefix, homeCount] = Object.entries(prefixCounts)
+      .sort(([, a], [, b]) => b - a)[0] || [null, 0];
+
+    if (!homePrefix ||
+        homeCount < this.config.minHomeLogins ||
+        homeCount / history.length < this.config.minHomeShare) {
+      return { established: false, loginsRecorded: history.length };
+    }
+
+    const homeEntries = history.filter(
+      entry => getIpPrefix(entry.ip) === homePrefix
+    );
+
+    const latest = homeEntries[0];
+
+    return {
+      established: true,
+      homePrefix,
+      location: {
+        country: latest.country,
+        city: latest.city,
+        lat: latest.lat,
+        lon: latest.lon
+      },
+      devices: [...new Set(homeEntries.map(entry => entry.deviceId))],
+      confidence: Math.round((homeCount / history.length) * 100)
+    };
+  }
+
+  // Classify a login as in-household, traveling or out-of-household
+  async classifyLogin(user, deviceId, ipAddress) {
+    const userId = user._id;
+    const household = await this.getHousehold(userId);
+
+    // Still learning - nothing to compare against yet
+    if (!household.established) {
+      return {
+        classification: CLASSIFICATION.IN_HOUSEHOLD,
+        learning: true,
+        requiresAction: false
+      };
+    }
+
+    const prefix = getIpPrefix(ipAddress);
+    if (prefix === household.homePrefix) {
+      return {
+        classification: CLASSIFICATION.IN_HOUSEHOLD,
+        learning: false,
+        requiresAction: false
+      };
+    }
+
+    let distanceFromHome = null;
+    const geo = geoip.lookup(ipAddress);
+    if (geo && household.location.lat !== undefined) {
+      distanceFromHome = Math.round(calculateDistance(
+        household.location.lat,
+        household.location.lon,
+        geo.ll[0],
+        geo.ll[1]
+      ));
+    }
+
+    // Household devices seen away from home are members on the move
+    if (household.devices.includes(deviceId)) {
+      return {
+        classification: CLASSIFICATION.TRAVELING,
+        learning: false,
+        requiresAction: false,
+        distanceFromHome
+      };
+    }
+
+    // Someone streaming at home right now while this device logs in elsewhere
+    const sessions = await sessionHelpers.getUserSessions(userId);
+    const homeActiveNow = sessions.some(
+      session => getIpPrefix(session.ipAddress) === household.homePrefix
+    );
+
+    const isExtraMember = (user.extraMembers || []).some(
+      member => member.deviceId === deviceId
+    );
+    const hasTravelPass = await redis.exists(
+      `household:${userId}:verified:${deviceId}`
+    );
+
+    const awayDays = await this.recordAwayLogin(userId, deviceId);
+    const isPersistent = awayDays >= this.config.persistentAwayDays;
+
+    return {
+      classification: CLASSIFICATION.OUT_OF_HOUSEHOLD,
+      learning: false,
+      requiresAction: isPersistent && !isExtraMember && !hasTravelPass,
+      isExtraMember,
+      hasTravelPass: hasTravelPass === 1,
+      awayDays,
+      homeActiveNow,
+      distanceFromHome
+    };
+  }
+
+  // Track distinct days a device logged in away from home; returns the count
+  async recordAwayLogin(userId, deviceId) {
+    const key = `household:${userId}:away:${deviceId}`;
+    const day = new Date().toISOString().slice(0, 10);
+
+    await redis.sadd(key, day);
+    await redis.expire(key, 86400 * this.config.awayWindowDays);
+    return redis.scard(key);
+  }
+
+  // Mark a device as waiting for household verification (OTP)
+  async markPendingVerification(userId, deviceId) {
+    await redis.setex(`household:${userId}:pending:${deviceId}`, 600, "1");
+  }
+
+  // Grant a temporary travel pass once the pending device passes OTP
+  async completeVerification(userId, deviceId) {
+    const pendingKey = `household:${userId}:pending:${deviceId}`;
+    const pending = await redis.get(pendingKey);
+    if (!pending) return false;
+
+    await redis.del(pendingKey);
+    await redis.setex(
+      `household:${userId}:verified:${deviceId}`,
+      86400 * this.config.travelPassDays,
+      Date.now().toString()
+    );
+    return true;
+  }
+
+  // Forget away history for a device (e.g. once it takes an extra member slot)
+  async clearAwayHistory(userId, deviceId) {
+    await redis.del(`household:${userId}:away:${deviceId}`);
+  }
+}
+
+module.exports = new HouseholdDetector();
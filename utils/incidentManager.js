@@ -0,0 +1,145 @@
+const Incident = require("../models/Incident");
+
+const SEVERITY_RANK = { LOW: 1, MEDIUM: 2, HIGH: 3, CRITICAL: 4 };
+
+const SEVERITIES = Object.keys(SEVERITY_RANK);
+const lowerThan = (severity) => SEVERITIES.filter(s => SEVERITY_RANK[s] < SEVERITY_RANK[severity]);
+
+// Alerts group per user; alerts without one group by IP, then device, then rule
+function groupKeyFor(alert) {
+  const { userId, ipAddress, deviceId } = alert.context;
+  if (userId) return `user:${userId}`;
+  if (ipAddress) return `ip:${ipAddress}`;
+  if (deviceId) return `device:${deviceId}`;
+  return `rule:${alert.ruleId}`;
+}
+
+class IncidentManager {
+  constructor() {
+    // Alerts for the same user within this window join the same incident
+    this.groupingWindowMs = (parseInt(process.env.INCIDENT_WINDOW_MINUTES) || 60) * 60 * 1000;
+  }
+
+  // Find the live incident for the alert's group (or start one) and attach
+  // the alert. Returns { incident, escalated, previousSeverity } - escalated
+  // means this caller claimed the notification for the alert's severity
+  // (see releaseEscalation).
+  async attachAlert(alert) {
+    const groupKey = groupKeyFor(alert);
+    const since = new Date(Date.now() - this.groupingWindowMs);
+
+    // An incident quiet for longer than the window stops taking alerts
+    await Incident.updateOne(
+      { liveKey: groupKey, lastSeen: { $lt: since } },
+      { $unset: { liveKey: 1 } }
+    );
+
+    const incident = await this.upsertLive(groupKey, alert);
+
+    // Raise the severity; never lowers it
+    await Incident.updateOne(
+      { _id: incident._id, severity: { $in: lowerThan(alert.severity) } },
+      { $set: { severity: alert.severity } }
+    );
+
+    // Notify once per escalation: first alert, or a higher severity than
+    // already notified. The filter makes the claim atomic.
+    const beforeClaim = await Incident.findOneAndUpdate(
+      {
+        _id: incident._id,
+        $or: [
+          { notifiedSeverity: null },
+          { notifiedSeverity: { $in: lowerThan(alert.severity) } }
+        ]
+      },
+      {
+        $set: { notifiedSeverity: alert.severity },
+        $push: { escalations: { severity: alert.severity, ruleId: alert.ruleId } }
+      }
+    );
+
+    if (beforeClaim) {
+      // New evidence re-opens an acknowledged incident
+      await Incident.updateOne(
+        { _id: incident._id, status: "acknowledged" },
+        { $set: { status: "open" } }
+      );
+    }
+
+    return {
+      incident: await Incident.findById(incident._id),
+      escalated: Boolean(beforeClaim),
+      previousSeverity: beforeClaim ? beforeClaim.notifiedSeverity || null : null
+    };
+  }
+
+  // Add the alert to the group's live incident in one atomic update,
+  // creating the incident if there is none
+  async upsertLive(groupKey, alert) {
+    const update = {
+      $push: { alertIds: alert.alertId },
+      $inc: { alertCount: 1 },
+      $addToSet: { ruleIds: alert.ruleId },
+      $max: { lastSeen: new Date() },
+      $setOnInsert: {
+        groupKey,
+        userId: alert.context.userId ? alert.context.userId.toString() : null,
+        email: alert.context.email,
+        severity: alert.severity,
+        status: "open",
+        firstSeen: new Date()
+      }
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await Incident.findOneAndUpdate({ liveKey: groupKey }, update, { upsert: true, new: true });
+      } catch (err) {
+        // Two first alerts raced to insert; the loser joins the winner
+        if (err.code === 11000 && attempt < 2) continue;
+        throw err;
+      }
+    }
+  }
+
+  // Hand an unsent escalation back (every notification was rate limited or
+  // failed), so the next alert of that severity notifies instead
+  async releaseEscalation(incidentId, alert, previousSeverity) {
+    await Incident.updateOne(
+      { _id: incidentId, notifiedSeverity: alert.severity },
+      {
+        $set: { notifiedSeverity: previousSeverity },
+        $pull: { escalations: { severity: alert.severity, ruleId: alert.ruleId } }
+      }
+    );
+  }
+
+  // Count a suppressed duplicate against the group's live incident
+  async recordDuplicate(alert) {
+    await Incident.updateOne(
+      { liveKey: groupKeyFor(alert) },
+      { $inc: { duplicateCount: 1 }, $max: { lastSeen: new Date() } }
+    );
+  }
+
+  async acknowledge(incidentId, adminEmail) {
+    return Incident.findOneAndUpdate(
+      { _id: incidentId, status: "open" },
+      { status: "acknowledged", acknowledgedBy: adminEmail, acknowledgedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  async resolve(incidentId, adminEmail, note) {
+    return Incident.findOneAndUpdate(
+      { _id: incidentId, status: { $ne: "resolved" } },
+      {
+        $set: { status: "resolved", resolvedBy: adminEmail, resolvedAt: new Date(), resolutionNote: note },
+        $unset: { liveKey: 1 }
+      },
+      { new: true }
+    );
+  }
+}
+
+module.exports = new IncidentManager();
@@ -0,0 +1,117 @@
+const { normalizeIp } = require("./cidrSet");
+const OfflineIpProvider = require("./offlineIpProvider");
+
+/**
+ * IP reputation lookups behind a provider interface.
+ *
+ * A provider is any object with
+ *   name: string
+ *   lookup(ip): Promise<[{ category, label }]>
+ * where category is one of CATEGORIES. Results from every registered
+ * provider are combined; a provider that throws is skipped (fail open).
+ */
+
+const CATEGORIES = ["vpn", "tor", "datacenter", "proxy"];
+
+const CACHE_TTL_MS = parseInt(process.env.IP_INTEL_CACHE_TTL_MS) || 10 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 10000;
+
+let providers = [new OfflineIpProvider()];
+const cache = new Map();
+
+function registerProvider(provider) {
+  if (!provider || typeof provider.lookup !== "function") {
+    throw new Error("IP reputation providers must implement lookup(ip)");
+  }
+  providers.push(provider);
+  cache.clear();
+}
+
+// Replace the provider chain (e.g. to drop the built-in lists)
+function setProviders(list) {
+  providers = [];
+  list.forEach(registerProvider);
+}
+
+async function queryProviders(ip) {
+  const sources = [];
+
+  for (const provider of providers) {
+    try {
+      const matches = await provider.lookup(ip);
+      for (const match of matches || []) {
+        if (CATEGORIES.includes(match.category)) {
+          sources.push({ provider: provider.name, category: match.category, label: match.label || null });
+        }
+      }
+    } catch (err) {
+      console.error(`IP reputation provider "${provider.name}" error:`, err.message);
+    }
+  }
+
+  const has = (category) => sources.some(s => s.category === category);
+  return {
+    ip,
+    isVPN: has("vpn") || has("proxy"),
+    isTor: has("tor"),
+    isDatacenter: has("datacenter"),
+    sources
+  };
+}
+
+/**
+ * Reputation of an address: { ip, isVPN, isTor, isDatacenter, sources }.
+ * Results are cached in memory for CACHE_TTL_MS.
+ */
+async function lookup(ipAddress) {
+  const ip = normalizeIp(ipAddress || "");
+  if (!ip) {
+    return { ip: null, isVPN: false, isTor: false, isDatacenter: false, sources: [] };
+  }
+
+  const cached = cache.get(ip);
+  if (cached && cached.expiresAt > Date.now()) return cached.result;
+
+  const result = await queryProviders(ip);
+
+  cache.delete(ip);
+  cache.set(ip, { result, expiresAt: Date.now() + CACHE_TTL_MS });
+  if (cache.size > CACHE_MAX_ENTRIES) {
+    cache.delete(cache.keys().next().value); // oldest insertion
+  }
+
+  return result;
+}
+
+/**
+ * Alert rule context fields for an address. `isVPN` covers anything that
+ * hides where the user really is (VPN, proxy, Tor, hosting ranges), which
+ * is what the vpn_detected rule means.
+ */
+async function getAlertContext(ipAddress) {
+  const reputation = await lookup(ipAddress);
+
+  return {
+    isVPN: reputation.isVPN || reputation.isTor || reputation.isDatacenter,
+    isTor: reputation.isTor,
+    isDatacenter: reputation.isDatacenter,
+    ipReputation: reputation.sources
+  };
+}
+
+// Drop cached results and re-read provider data
+function reload() {
+  cache.clear();
+  for (const provider of providers) {
+    if (typeof provider.reload === "function") provider.reload();
+  }
+}
+
+module.exports = {
+  CATEGORIES,
+  registerProvider,
+  setProviders,
+  lookup,
+  getAlertContext,
+  reload
+};
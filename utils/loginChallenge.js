@@ -0,0 +1,136 @@
+const crypto = require("crypto");
+const { redis } = require("../config/redis");
+const { hashToken } = require("./tokenService");
+const { OTP_TTL, OTP_MAX_ATTEMPTS, OTP_PURPOSES, issueOTP } = require("./otpChallenge");
+const sendOTPEmail = require("./sendOTPEmail");
+const trustHistory = require("./trustHistory");
+const { recordAudit, systemActor } = require("./auditLog");
+
+/**
+ * Pending logins waiting on a step-up factor
+ *
+ * `login` stores everything it already worked out (device, trust score,
+ * household) under a short-lived challenge ID, and `verifyOtp` finishes that
+ * exact login instead of making the user enter their password again.
+ */
+
+const STEP_UP_PROMPTS = {
+  email: "OTP sent to email.",
+  totp: "Enter the code from your authenticator app.",
+  backup_code: "Enter one of your backup codes."
+};
+
+const challengeKey = (loginChallengeId) => `login_challenge:${hashToken(loginChallengeId)}`;
+
+async function createLoginChallenge(pendingLogin) {
+  const loginChallengeId = crypto.randomBytes(32).toString("hex");
+
+  await redis.setex(
+    challengeKey(loginChallengeId),
+    OTP_TTL,
+    JSON.stringify({ ...pendingLogin, createdAt: Date.now() })
+  );
+
+  return loginChallengeId;
+}
+
+async function getLoginChallenge(loginChallengeId) {
+  if (typeof loginChallengeId !== "string" || !loginChallengeId) return null;
+
+  const data = await redis.get(challengeKey(loginChallengeId));
+  return data ? JSON.parse(data) : null;
+}
+
+// Count a failed factor check; the pending login is dropped after OTP_MAX_ATTEMPTS.
+// The counter is its own key so concurrent failures can't overwrite each other.
+async function recordChallengeFailure(loginChallengeId) {
+  const key = challengeKey(loginChallengeId);
+  const attempts = await redis.incr(`${key}:attempts`);
+
+  if (attempts >= OTP_MAX_ATTEMPTS) {
+    await redis.del(key, `${key}:attempts`);
+    return 0;
+  }
+
+  await redis.expire(`${key}:attempts`, OTP_TTL);
+  return OTP_MAX_ATTEMPTS - attempts;
+}
+
+// Issue a login OTP (bound to this device and IP), email it and record it in the audit log
+async function sendLoginOTP(user, deviceId, ipAddress, reason) {
+  const otp = await issueOTP({
+    purpose: OTP_PURPOSES.LOGIN,
+    subjectId: user._id.toString(),
+    deviceId,
+    ipAddress,
+    metadata: { reason }
+  });
+
+  await sendOTPEmail(user.email, otp);
+
+  await recordAudit({
+    action: "otp.issued",
+    actor: systemActor(),
+    target: { userId: user._id, deviceId },
+    details: { reason },
+    ipAddress
+  });
+}
+
+// Pick the step-up factor for a login and park the login until it is verified.
+// Accounts with an authenticator app default to it; the emailed OTP is only
+// sent when it is the chosen factor. Shared by the password and passkey logins.
+async function startStepUp(user, deviceId, ipAddress, reason, preferredFactor, {
+  appOnly = false,
+  pendingLogin = {}
+} = {}) {
+  const totpEnabled = Boolean(user.totp && user.totp.enabled);
+  const availableFactors = totpEnabled ? ["totp", "backup_code"] : [];
+  if (!appOnly) availableFactors.push("email");
+
+  const factor = availableFactors.includes(preferredFactor)
+    ? preferredFactor
+    : availableFactors[0];
+
+  if (factor === "email") {
+    await sendLoginOTP(user, deviceId, ipAddress, reason);
+  }
+
+  // Lets support answer "why was I asked for a code?" later
+  await trustHistory.recordStepUp(user._id, deviceId, reason, {
+    historyId: pendingLogin.trustScore?.historyId,
+    ipAddress
+  });
+
+  const loginChallengeId = await createLoginChallenge({
+    userId: user._id.toString(),
+    deviceId,
+    ipAddress,
+    reason,
+    availableFactors,
+    ...pendingLogin
+  });
+
+  return {
+    factor,
+    availableFactors,
+    prompt: STEP_UP_PROMPTS[factor],
+    loginChallengeId
+  };
+}
+
+// Single use - only the request that deletes the challenge may finish the login
+async function consumeLoginChallenge(loginChallengeId) {
+  const key = challengeKey(loginChallengeId);
+  const consumed = (await redis.del(key)) === 1;
+  await redis.del(`${key}:attempts`);
+  return consumed;
+}
+
+module.exports = {
+  createLoginChallenge,
+  getLoginChallenge,
+  recordChallengeFailure,
+  consumeLoginChallenge,
+  startStepUp
+};
@@ -0,0 +1,159 @@
+const { redis } = require("../config/redis");
+
+/**
+ * Per-user login time baseline: an hour-of-week histogram of successful
+ * logins in the user's own timezone. The anomaly of a login time is how far
+ * it falls from the user's usual times - 0 at their busiest hour, 1 when
+ * they have never signed in anywhere near it - so night-shift and
+ * out-of-country users are measured against themselves.
+ */
+
+const HOURS_PER_DAY = 24;
+const HOURS_PER_WEEK = 7 * HOURS_PER_DAY;
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const MIN_BASELINE_LOGINS = parseInt(process.env.LOGIN_BASELINE_MIN_LOGINS) || 10;
+const PROFILE_TTL_SECONDS = 86400 * 365; // forgotten after a year without logins
+
+// Nearby logins still count towards a slot, with less weight
+const SAME_SLOT_WEIGHT = 1;
+const ADJACENT_HOUR_WEIGHT = 0.5;
+const SAME_HOUR_OTHER_DAY_WEIGHT = 0.25;
+
+const profileKey = (userId) => `user:${userId}:login_hours`;
+
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== "string") return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Local weekday/hour of `date` in `timezone`:
+ * { hourOfWeek (0 = Sunday 00:00), weekday, hour, time }
+ */
+function getLocalTime(date, timezone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timezone,
+    weekday: "short",
+    hour: "numeric",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(date);
+  const part = (type) => parts.find(p => p.type === type).value;
+
+  const weekday = part("weekday");
+  const hour = parseInt(part("hour")) % HOURS_PER_DAY;
+  return {
+    hourOfWeek: WEEKDAYS.indexOf(weekday) * HOURS_PER_DAY + hour,
+    weekday,
+    hour,
+    time: `${weekday} ${String(hour).padStart(2, "0")}:${part("minute")}`
+  };
+}
+
+// Weighted count of logins at and around a slot
+function slotDensity(histogram, slot) {
+  const at = (s) => histogram[(s + HOURS_PER_WEEK) % HOURS_PER_WEEK];
+
+  let density = SAME_SLOT_WEIGHT * at(slot) +
+    ADJACENT_HOUR_WEIGHT * (at(slot - 1) + at(slot + 1));
+  for (let day = 1; day < 7; day++) {
+    density += SAME_HOUR_OTHER_DAY_WEIGHT * at(slot + day * HOURS_PER_DAY);
+  }
+  return density;
+}
+
+/**
+ * 0 (the user's most typical time) to 1 (never seen near this time)
+ */
+function computeAnomaly(histogram, slot) {
+  let peak = 0;
+  for (let s = 0; s < HOURS_PER_WEEK; s++) {
+    peak = Math.max(peak, slotDensity(histogram, s));
+  }
+  if (peak === 0) return null;
+
+  return Math.round((1 - slotDensity(histogram, slot) / peak) * 100) / 100;
+}
+
+async function loadProfile(userId) {
+  const stored = await redis.hgetall(profileKey(userId));
+  const histogram = new Array(HOURS_PER_WEEK).fill(0);
+  for (const [field, value] of Object.entries(stored)) {
+    const slot = parseInt(field);
+    if (slot >= 0 && slot < HOURS_PER_WEEK) histogram[slot] = parseInt(value) || 0;
+  }
+
+  return {
+    histogram,
+    total: parseInt(stored.total) || 0,
+    timezone: stored.timezone || null
+  };
+}
+
+// The login's reported timezone, else the one the user last logged in from
+const pickTimezone = (timezone, profile) =>
+  isValidTimezone(timezone) ? timezone : profile.timezone || "UTC";
+
+/**
+ * How unusual `date` is for this user. `anomaly` is null until the user
+ * has MIN_BASELINE_LOGINS logins - no baseline, no judgement.
+ */
+async function getLoginTimeAnomaly(userId, timezone, date = new Date()) {
+  const profile = await loadProfile(userId);
+  const zone = pickTimezone(timezone, profile);
+  const local = getLocalTime(date, zone);
+
+  return {
+    anomaly: profile.total >= MIN_BASELINE_LOGINS ? computeAnomaly(profile.histogram, local.hourOfWeek) : null,
+    sampleSize: profile.total,
+    timezone: zone,
+    localHour: local.hour,
+    localTime: local.time
+  };
+}
+
+/**
+ * Add a successful login to the user's baseline
+ */
+async function recordLogin(userId, timezone, date = new Date()) {
+  const key = profileKey(userId);
+  const zone = pickTimezone(timezone, { timezone: await redis.hget(key, "timezone") });
+  const { hourOfWeek } = getLocalTime(date, zone);
+
+  await redis.multi()
+    .hincrby(key, String(hourOfWeek), 1)
+    .hincrby(key, "total", 1)
+    .hset(key, "timezone", zone)
+    .expire(key, PROFILE_TTL_SECONDS)
+    .exec();
+}
+
+/**
+ * Alert rule context fields: loginHour / loginTime in the user's timezone
+ * and loginTimeAnomaly (null without a baseline)
+ */
+async function getAlertContext(userId, timezone) {
+  const result = await getLoginTimeAnomaly(userId, timezone);
+
+  return {
+    loginHour: result.localHour,
+    loginTime: result.localTime,
+    timezone: result.timezone,
+    loginTimeAnomaly: result.anomaly
+  };
+}
+
+module.exports = {
+  MIN_BASELINE_LOGINS,
+  getLocalTime,
+  computeAnomaly,
+  getLoginTimeAnomaly,
+  recordLogin,
+  getAlertContext
+};
@@ -0,0 +1,91 @@
+const fs = require("fs");
+const path = require("path");
+const { CidrSet } = require("./cidrSet");
+
+/**
+ * Built-in IP reputation provider backed by local list files.
+ *
+ * Each file holds one address or CIDR per line, optionally followed by a
+ * label (e.g. "203.0.113.0/24 AS64500 Example Hosting"); "#" starts a
+ * comment. Missing files are treated as empty lists.
+ *
+ * The files are filled by `npm run update-ip-lists` (scripts/updateIpLists.js).
+ * An empty list is logged as a warning and simply never matches.
+ */
+
+const DEFAULT_DIR = path.join(__dirname, "..", "data", "ip-intel");
+
+const LISTS = {
+  datacenter: "datacenter.txt", // hosting / cloud ASN ranges
+  tor: "tor-exits.txt", // Tor exit nodes
+  vpn: "vpn.txt" // commercial VPN and proxy ranges
+};
+
+function loadList(file) {
+  const set = new CidrSet();
+  let content;
+  try {
+    content = fs.readFileSync(file, "utf8");
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+    console.warn(`⚠️ IP list not found, treating as empty: ${file}`);
+    return set;
+  }
+
+  let skipped = 0;
+  for (const line of content.split("\n")) {
+    const entry = line.split("#")[0].trim();
+    if (!entry) continue;
+
+    const [cidr, ...label] = entry.split(/\s+/);
+    if (!set.add(cidr, label.length > 0 ? label.join(" ") : null)) skipped++;
+  }
+
+  if (skipped > 0) {
+    console.warn(`⚠️ Skipped ${skipped} invalid entries in ${file}`);
+  }
+  return set;
+}
+
+class OfflineIpProvider {
+  constructor(dir = process.env.IP_INTEL_DIR || DEFAULT_DIR) {
+    this.name = "offline";
+    this.dir = dir;
+    this.lists = null;
+  }
+
+  // Re-read the list files (e.g. after a scheduled download)
+  reload() {
+    const lists = {};
+    for (const [category, file] of Object.entries(LISTS)) {
+      lists[category] = loadList(path.join(this.dir, file));
+    }
+    this.lists = lists;
+
+    const sizes = Object.entries(lists).map(([category, set]) => `${category}=${set.size}`);
+    console.log(`🛰️ Offline IP lists loaded (${sizes.join(", ")})`);
+
+    const empty = Object.keys(lists).filter(category => lists[category].size === 0);
+    if (empty.length > 0) {
+      console.warn(
+        `⚠️ IP lists are empty, ${empty.join(", ")} checks will never match - ` +
+        "run npm run update-ip-lists"
+      );
+    }
+  }
+
+  async lookup(ip) {
+    if (!this.lists) this.reload();
+
+    const matches = [];
+    for (const [category, set] of Object.entries(this.lists)) {
+      const label = set.match(ip);
+      if (label !== null) {
+        matches.push({ category, label: label === true ? null : label });
+      }
+    }
+    return matches;
+  }
+}
+
+module.exports = OfflineIpProvider;
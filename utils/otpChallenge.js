@@ -0,0 +1,98 @@
+const crypto = require("crypto");
+const { redis } = require("../config/redis");
+const generateOTP = require("./generateOTP");
+
+/**
+ * Single-use OTP challenges
+ *
+ * Only an HMAC of the code is stored, keyed per purpose and subject. The HMAC
+ * also covers the purpose, subject, device and IP the code was issued for, so a
+ * code only verifies for the same purpose from the same device and network.
+ */
+
+const OTP_PURPOSES = {
+  LOGIN: "login",
+  ADMIN_LOGIN: "admin_login"
+};
+
+const OTP_TTL = 300; // 5 minutes
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET;
+
+// Called at startup: an empty key would leave the stored HMACs unkeyed
+const ensureOtpSecret = () => {
+  if (!OTP_SECRET) {
+    throw new Error("OTP_SECRET (or JWT_SECRET) must be set");
+  }
+};
+
+const challengeKey = (purpose, subjectId) => `otp:${purpose}:${subjectId}`;
+
+const hashOTP = (code, { purpose, subjectId, deviceId, ipAddress }) =>
+  crypto
+    .createHmac("sha256", OTP_SECRET)
+    .update([purpose, subjectId, deviceId || "", ipAddress || "", code].join("|"))
+    .digest();
+
+/**
+ * Issue a new challenge (replacing any outstanding one for the same
+ * purpose/subject) and return the plaintext code for delivery.
+ */
+async function issueOTP({ purpose, subjectId, deviceId, ipAddress, metadata = {} }) {
+  const code = generateOTP();
+  const key = challengeKey(purpose, subjectId);
+
+  await redis
+    .multi()
+    .setex(key, OTP_TTL, JSON.stringify({
+      hash: hashOTP(code, { purpose, subjectId, deviceId, ipAddress }).toString("hex"),
+      metadata,
+      createdAt: Date.now()
+    }))
+    .del(`${key}:attempts`)
+    .exec();
+
+  return code;
+}
+
+/**
+ * Check a code. Returns { status: "valid" | "invalid" | "expired" | "locked",
+ * attemptsRemaining, metadata }. A valid code is consumed; the challenge is
+ * destroyed after OTP_MAX_ATTEMPTS failures.
+ */
+async function verifyOTP({ purpose, subjectId, deviceId, ipAddress, code }) {
+  const key = challengeKey(purpose, subjectId);
+  const data = await redis.get(key);
+  if (!data) return { status: "expired" };
+
+  const challenge = JSON.parse(data);
+  const expected = Buffer.from(challenge.hash, "hex");
+  const actual = hashOTP(String(code || ""), { purpose, subjectId, deviceId, ipAddress });
+
+  if (crypto.timingSafeEqual(expected, actual)) {
+    // Whoever deletes the challenge first wins - no double use
+    const deleted = await redis.del(key);
+    await redis.del(`${key}:attempts`);
+    return deleted === 1
+      ? { status: "valid", metadata: challenge.metadata }
+      : { status: "expired" };
+  }
+
+  const attempts = await redis.incr(`${key}:attempts`);
+  if (attempts >= OTP_MAX_ATTEMPTS) {
+    await redis.del(key, `${key}:attempts`);
+    return { status: "locked", attemptsRemaining: 0 };
+  }
+
+  await redis.expire(`${key}:attempts`, OTP_TTL);
+  return { status: "invalid", attemptsRemaining: OTP_MAX_ATTEMPTS - attempts };
+}
+
+module.exports = {
+  OTP_PURPOSES,
+  OTP_TTL,
+  OTP_MAX_ATTEMPTS,
+  ensureOtpSecret,
+  issueOTP,
+  verifyOTP
+};
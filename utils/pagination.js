@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+/**
+ * Keyset (cursor) pagination for MongoDB lists sorted on one field with
+ * _id as the tie-breaker. Cursors are opaque base64url strings holding the
+ * last item's sort value and _id, so pages stay stable while documents are
+ * inserted, and every page is an index range scan instead of a skip.
+ * A cursor also records the sort it was issued for and is rejected under
+ * any other, since its value means nothing on a different field or order.
+ */
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+class CursorError extends Error {}
+
+function parseLimit(value) {
+  const limit = parseInt(value) || DEFAULT_PAGE_SIZE;
+  return Math.max(1, Math.min(limit, MAX_PAGE_SIZE));
+}
+
+function encodeCursor(doc, field, direction) {
+  const value = doc[field] instanceof Date ? { date: doc[field].toISOString() } : doc[field];
+  return Buffer.from(JSON.stringify({ f: field, d: direction, v: value, id: doc._id.toString() }))
+    .toString("base64url");
+}
+
+function decodeCursor(cursor, field, direction) {
+  let decoded;
+  try {
+    if (typeof cursor !== "string") throw new Error("not a string");
+    const { f, d, v, id } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!mongoose.isValidObjectId(id)) throw new Error("bad id");
+
+    decoded = {
+      field: f,
+      direction: d,
+      value: v && typeof v === "object" && v.date ? new Date(v.date) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (err) {
+    throw new CursorError("Invalid cursor");
+  }
+
+  if (decoded.field !== field || decoded.direction !== direction) {
+    throw new CursorError("Cursor was issued for a different sort; start again without it");
+  }
+  return decoded;
+}
+
+/**
+ * Filter selecting the documents after `cursor` for a sort on `field`
+ * (direction 1 or -1, _id breaking ties the same way)
+ */
+function cursorFilter(cursor, field, direction) {
+  const { value, id } = decodeCursor(cursor, field, direction);
+  const op = direction === 1 ? "$gt" : "$lt";
+
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: id } }
+    ]
+  };
+}
+
+/**
+ * Run one page of `Model.find(filter)` sorted on `field`.
+ * Returns { items, nextCursor } - nextCursor is null on the last page.
+ */
+async function paginate(Model, filter, { field, direction, cursor, limit, select, populate }) {
+  const query = cursor
+    ? { $and: [filter, cursorFilter(cursor, field, direction)] }
+    : filter;
+
+  let find = Model.find(query)
+    .sort({ [field]: direction, _id: direction })
+    .limit(limit + 1);
+  if (select) find = find.select(select);
+  if (populate) find = find.populate(populate);
+
+  const docs = await find.lean();
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field, direction) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  CursorError,
+  parseLimit,
+  paginate
+};
@@ -0,0 +1,59 @@
+const crypto = require("crypto");
+const { redis } = require("../config/redis");
+const { hashToken } = require("./tokenService");
+const sendPasswordResetEmail = require("./sendPasswordResetEmail");
+const { recordAudit, systemActor } = require("./auditLog");
+
+const RESET_TOKEN_TTL = 1800; // 30 minutes
+
+/**
+ * Issue a single-use password reset token and email it to the user.
+ * Any earlier outstanding token for the user is invalidated.
+ */
+async function startPasswordReset(user, { reason = "forgot_password", ipAddress } = {}) {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+  const tokenHash = hashToken(resetToken);
+
+  const previous = await redis.get(`password_reset:user:${user._id}`);
+  if (previous) {
+    await redis.del(`password_reset:${previous}`);
+  }
+
+  await redis.setex(`password_reset:${tokenHash}`, RESET_TOKEN_TTL, user._id.toString());
+  await redis.setex(`password_reset:user:${user._id}`, RESET_TOKEN_TTL, tokenHash);
+
+  await sendPasswordResetEmail(user.email, resetToken, reason);
+
+  await recordAudit({
+    action: "password.reset_requested",
+    actor: systemActor(),
+    target: { userId: user._id },
+    details: { reason },
+    ipAddress
+  });
+}
+
+/**
+ * Redeem a reset token. Returns the userId, or null if the token is
+ * unknown, expired or already used.
+ */
+async function consumeResetToken(resetToken) {
+  if (!resetToken || typeof resetToken !== "string") return null;
+
+  const key = `password_reset:${hashToken(resetToken)}`;
+  const userId = await redis.get(key);
+  if (!userId) return null;
+
+  // Only the request that actually deletes the key wins
+  const deleted = await redis.del(key);
+  if (deleted === 0) return null;
+
+  await redis.del(`password_reset:user:${userId}`);
+  return userId;
+}
+
+module.exports = {
+  RESET_TOKEN_TTL,
+  startPasswordReset,
+  consumeResetToken
+};
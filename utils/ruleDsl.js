@@ -0,0 +1,156 @@
+/**
+ * Safe JSON condition DSL for alert rules
+ *
+ * A condition is either a group or a comparison:
+ *   { "all": [cond, ...] }   every condition matches
+ *   { "any": [cond, ...] }   at least one matches
+ *   { "not": cond }          negation
+ *   { "field": "geoCheck.isImpossible", "op": "eq", "value": true }
+ *   { "field": "activeSessions", "op": "gt", "valueFrom": "maxSessions" }
+ *
+ * Nothing is ever eval'd - fields are plain dotted paths into the alert context.
+ */
+
+const OPERATORS = {
+  eq: (a, b) => a === b,
+  neq: (a, b) => a !== b,
+  gt: (a, b) => typeof a === "number" && typeof b === "number" && a > b,
+  gte: (a, b) => typeof a === "number" && typeof b === "number" && a >= b,
+  lt: (a, b) => typeof a === "number" && typeof b === "number" && a < b,
+  lte: (a, b) => typeof a === "number" && typeof b === "number" && a <= b,
+  between: (a, b) => typeof a === "number" && Array.isArray(b) && a >= b[0] && a <= b[1],
+  in: (a, b) => Array.isArray(b) && b.includes(a),
+  nin: (a, b) => Array.isArray(b) && !b.includes(a),
+  contains: (a, b) => (typeof a === "string" || Array.isArray(a)) && a.includes(b),
+  exists: (a, b) => (a !== undefined && a !== null) === (b !== false)
+};
+
+const MAX_DEPTH = 8;
+const MAX_NODES = 50;
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*$/;
+const FORBIDDEN_SEGMENTS = ["__proto__", "prototype", "constructor"];
+
+// Resolve a dotted path against the context (own properties only)
+function getPath(obj, path) {
+  return path.split(".").reduce((value, key) => {
+    if (value === null || value === undefined) return undefined;
+    return Object.prototype.hasOwnProperty.call(value, key) ? value[key] : undefined;
+  }, obj);
+}
+
+function isValidField(field) {
+  return typeof field === "string" &&
+    FIELD_PATTERN.test(field) &&
+    !field.split(".").some(segment => FORBIDDEN_SEGMENTS.includes(segment));
+}
+
+/**
+ * Validate a condition tree; returns a list of errors (empty when valid)
+ */
+function validateCondition(condition) {
+  const errors = [];
+  let nodes = 0;
+
+  const walk = (node, path, depth) => {
+    nodes++;
+    if (nodes > MAX_NODES) {
+      errors.push(`Condition exceeds ${MAX_NODES} nodes`);
+      return;
+    }
+    if (depth > MAX_DEPTH) {
+      errors.push(`${path}: nesting deeper than ${MAX_DEPTH} levels`);
+      return;
+    }
+    if (!node || typeof node !== "object" || Array.isArray(node)) {
+      errors.push(`${path}: must be an object`);
+      return;
+    }
+
+    const groupKeys = ["all", "any", "not"].filter(key => key in node);
+    if (groupKeys.length > 1) {
+      errors.push(`${path}: only one of all/any/not allowed per node`);
+      return;
+    }
+
+    if (groupKeys[0] === "all" || groupKeys[0] === "any") {
+      const list = node[groupKeys[0]];
+      if (!Array.isArray(list) || list.length === 0) {
+        errors.push(`${path}.${groupKeys[0]}: must be a non-empty array`);
+        return;
+      }
+      list.forEach((child, i) => walk(child, `${path}.${groupKeys[0]}[${i}]`, depth + 1));
+      return;
+    }
+
+    if (groupKeys[0] === "not") {
+      walk(node.not, `${path}.not`, depth + 1);
+      return;
+    }
+
+    if (!isValidField(node.field)) {
+      errors.push(`${path}.field: must be a dotted context path`);
+    }
+    if (!OPERATORS[node.op]) {
+      errors.push(`${path}.op: unknown operator "${node.op}" (allowed: ${Object.keys(OPERATORS).join(", ")})`);
+    }
+    if ("valueFrom" in node) {
+      if (!isValidField(node.valueFrom)) {
+        errors.push(`${path}.valueFrom: must be a dotted context path`);
+      }
+    } else if (!("value" in node) && node.op !== "exists") {
+      errors.push(`${path}: value or valueFrom required`);
+    }
+    if (node.op === "between" &&
+        !(Array.isArray(node.value) && node.value.length === 2 && node.value.every(v => typeof v === "number"))) {
+      errors.push(`${path}.value: between needs [min, max]`);
+    }
+    if ((node.op === "in" || node.op === "nin") && !Array.isArray(node.value)) {
+      errors.push(`${path}.value: ${node.op} needs an array`);
+    }
+  };
+
+  walk(condition, "condition", 0);
+  return errors;
+}
+
+/**
+ * Evaluate a (validated) condition tree against a context
+ */
+function evaluateCondition(condition, context) {
+  if (condition.all) return condition.all.every(child => evaluateCondition(child, context));
+  if (condition.any) return condition.any.some(child => evaluateCondition(child, context));
+  if (condition.not) return !evaluateCondition(condition.not, context);
+
+  const actual = getPath(context, condition.field);
+  const expected = "valueFrom" in condition
+    ? getPath(context, condition.valueFrom)
+    : condition.value;
+
+  return OPERATORS[condition.op](actual, expected);
+}
+
+/**
+ * Render a message template: "User {{email}} on {{deviceId|short}}"
+ * Filters: short (first 8 chars), upper, lower
+ */
+function renderMessage(template, context) {
+  return String(template || "").replace(/\{\{\s*([\w.]+)(?:\|(\w+))?\s*\}\}/g, (match, field, filter) => {
+    if (!isValidField(field)) return "";
+
+    let value = getPath(context, field);
+    if (value === undefined || value === null) return "";
+    value = String(value);
+
+    if (filter === "short") return value.substring(0, 8);
+    if (filter === "upper") return value.toUpperCase();
+    if (filter === "lower") return value.toLowerCase();
+    return value;
+  });
+}
+
+module.exports = {
+  OPERATORS,
+  validateCondition,
+  evaluateCondition,
+  renderMessage
+};
@@ -193,7 +193,7 @@ function getRecommendation(severity) {
   return recommendations[severity] || "Review this alert in your dashboard.";
 }
 
-// Send email alert
+// Send email alert; true if it went out
 async function sendEmailAlert(alert, context) {
   try {
     // Get admin email from environment or use default
@@ -201,7 +201,7 @@ async function sendEmailAlert(alert, context) {
 
     if (!adminEmail) {
       console.warn("⚠️ Admin email not configured, skipping email alert");
-      return;
+      return false;
     }
 
     const template = getEmailTemplate(alert, context);
@@ -214,8 +214,10 @@ async function sendEmailAlert(alert, context) {
     });
 
     console.log(`✅ Email alert sent for: ${alert.ruleName}`);
+    return true;
   } catch (err) {
     console.error("❌ Failed to send email alert:", err.message);
+    return false;
   }
 }
 
@@ -0,0 +1,25 @@
+const nodemailer = require("nodemailer");
+
+const transporter = nodemailer.createTransport({
+  service: "gmail",
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+});
+
+const sendPasswordChangedEmail = async (email, { ipAddress, location, revokedSessions }) => {
+  const where = location ? `${location.city || "Unknown city"}, ${location.country}` : "an unknown location";
+  const signedOut = revokedSessions > 0
+    ? `\n${revokedSessions} other device(s) were signed out.`
+    : "";
+
+  await transporter.sendMail({
+    from: `"OTT Security" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: "Your password was changed",
+    text: `The password for your account was changed at ${new Date().toUTCString()} from ${where} (IP ${ipAddress}).${signedOut}\n\nIf this wasn't you, reset your password immediately and review your devices in the security center.`
+  });
+};
+
+module.exports = sendPasswordChangedEmail;
@@ -0,0 +1,25 @@
+const nodemailer = require("nodemailer");
+
+const transporter = nodemailer.createTransport({
+  service: "gmail",
+  auth: {
+    user: process.env.EMAIL_USER,
+    pass: process.env.EMAIL_PASS
+  }
+});
+
+const sendPasswordResetEmail = async (email, resetToken, reason) => {
+  const resetUrl = `${process.env.APP_URL || "http://localhost:5000"}/reset-password?token=${resetToken}`;
+  const intro = reason === "not_me"
+    ? "You reported a sign-in you didn't recognise. We signed out all your devices."
+    : "We received a request to reset your password.";
+
+  await transporter.sendMail({
+    from: `"OTT Security" <${process.env.EMAIL_USER}>`,
+    to: email,
+    subject: "Reset your password",
+    text: `${intro}\n\nReset your password here (valid for 30 minutes, single use):\n${resetUrl}\n\nIf you didn't request this, you can ignore this email.`
+  });
+};
+
+module.exports = sendPasswordResetEmail;
@@ -15,13 +15,13 @@ const SEVERITY_EMOJIS = {
   LOW: "ℹ️"
 };
 
-// Send alert to Slack
+// Send alert to Slack; true if it went out
 async function sendSlackAlert(alert, context) {
   const webhookUrl = process.env.SLACK_WEBHOOK_URL;
 
   if (!webhookUrl) {
     console.warn("⚠️ Slack webhook URL not configured");
-    return;
+    return false;
   }
 
   try {
@@ -32,8 +32,10 @@ async function sendSlackAlert(alert, context) {
     });
 
     console.log(`✅ Slack alert sent: ${alert.ruleName}`);
+    return true;
   } catch (err) {
     console.error("❌ Failed to send Slack alert:", err.message);
+    return false;
   }
 }
 
@@ -0,0 +1,344 @@
+const crypto = require("crypto");
+const Session = require("../models/Session");
+const Device = require("../models/Device");
+const User = require("../models/User");
+const { sessionHelpers, playbackHelpers, SESSION_REVOKE_REASONS } = require("../config/redis");
+const { recordAudit, systemActor, userActor } = require("./auditLog");
+const deviceTrustScorer = require("./deviceTrustScoring");
+const { storeLocationHistory } = require("./geoDetection");
+const { createLoginChallenge } = require("./loginChallenge");
+const { getFriendlyName } = require("./deviceName");
+const dashboardStats = require("./dashboardStats");
+const loginTimeProfile = require("./loginTimeProfile");
+const {
+  ACCESS_TOKEN_TTL,
+  signAccessToken,
+  issueRefreshToken
+} = require("./tokenService");
+
+const PLANS = ["BASIC", "STANDARD", "PREMIUM"];
+
+const getMaxSessions = (plan) => {
+  if (plan === "BASIC") return 1;
+  if (plan === "STANDARD") return 2;
+  if (plan === "PREMIUM") return 4;
+  return 1;
+};
+
+// What happens when a login would go over the plan's device cap
+const SESSION_LIMIT_POLICY = {
+  ASK_USER: "ask_user", // return the active sessions and let the user choose
+  AUTO_EVICT: "auto_evict" // sign out the oldest session
+};
+
+// AUTO_EVICT unless a plan opts in, e.g. SESSION_LIMIT_POLICY_PREMIUM=ask_user -
+// only clients that handle the 409 device-limit response can take ASK_USER
+const getSessionLimitPolicy = (plan) => {
+  const configured = process.env[`SESSION_LIMIT_POLICY_${plan}`];
+  return Object.values(SESSION_LIMIT_POLICY).includes(configured)
+    ? configured
+    : SESSION_LIMIT_POLICY.AUTO_EVICT;
+};
+
+// Plans that would fit one more device
+const getUpgradeOptions = (plan) =>
+  PLANS.slice(PLANS.indexOf(plan) + 1).map(name => ({
+    plan: name,
+    maxSessions: getMaxSessions(name)
+  }));
+
+/**
+ * Active sessions other than `deviceId`, described for a "device limit
+ * reached" prompt
+ */
+async function describeOtherSessions(user, deviceId) {
+  const sessions = (await sessionHelpers.getUserSessions(user._id))
+    .filter(session => session.deviceId !== deviceId);
+  const devices = await Device.find({
+    userId: user._id,
+    deviceId: { $in: sessions.map(s => s.deviceId) }
+  });
+  const byId = new Map(devices.map(d => [d.deviceId, d]));
+
+  return sessions.map(session => ({
+    deviceId: session.deviceId,
+    name: getFriendlyName(byId.get(session.deviceId) || { userAgent: session.userAgent }),
+    location: session.location || null,
+    createdAt: new Date(session.createdAt),
+    lastActivity: new Date(session.lastActivity)
+  }));
+}
+
+// Move the user's stored active device count by `delta`, never below 0.
+// Callers only pass a change they observed in the Session collection
+// (a device's first active record, or records actually closed).
+async function adjustActiveSessionCount(userId, delta) {
+  await User.updateOne({ _id: userId }, [{
+    $set: {
+      activeSessionCount: { $max: [0, { $add: [{ $ifNull: ["$activeSessionCount", 0] }, delta] }] }
+    }
+  }]);
+}
+
+/**
+ * Sign a device out: drop the Redis session (which notifies the device),
+ * stop its streams and close its MongoDB session records.
+ * `reason` is one of SESSION_REVOKE_REASONS. Returns false if the device
+ * had no session to end.
+ */
+async function endSession(userId, deviceId, reason) {
+  const deleted = await sessionHelpers.deleteSession(userId, deviceId, reason);
+  await playbackHelpers.stopDeviceStreams(userId, deviceId);
+  const closed = await closeSessionRecords(userId, deviceId, reason);
+  return deleted || closed;
+}
+
+// Mark a device's MongoDB session records as ended. Returns true if any
+// were still active.
+async function closeSessionRecords(userId, deviceId, reason) {
+  const { modifiedCount } = await Session.updateMany(
+    { userId, deviceId, isActive: true },
+    { isActive: false, endedAt: new Date(), endReason: reason }
+  );
+  if (modifiedCount > 0) {
+    await adjustActiveSessionCount(userId, -1);
+  }
+  return modifiedCount > 0;
+}
+
+/**
+ * Make room for a device session under the plan cap.
+ * `evictDeviceId` (the user's pick) goes first, then the oldest sessions are
+ * force-logged-out; a device re-logging in does not count against itself.
+ */
+async function enforceSessionLimit(user, deviceId, { evictDeviceId } = {}) {
+  const sessions = (await sessionHelpers.getUserSessions(user._id))
+    .filter(session => session.deviceId !== deviceId);
+  const maxSessions = getMaxSessions(user.plan);
+  const evicted = [];
+
+  const chosen = sessions.findIndex(session => session.deviceId === evictDeviceId);
+  if (chosen > 0) {
+    sessions.unshift(...sessions.splice(chosen, 1));
+  }
+
+  while (sessions.length >= maxSessions) {
+    // Force logout oldest (or chosen) session
+    const oldestSession = sessions.shift();
+    console.log(`🚨 Force logging out session: ${oldestSession.deviceId}`);
+
+    await endSession(user._id, oldestSession.deviceId, SESSION_REVOKE_REASONS.DEVICE_LIMIT);
+
+    await recordAudit({
+      action: "session.evicted",
+      actor: systemActor("session_limit"),
+      target: { userId: user._id, deviceId: oldestSession.deviceId },
+      details: {
+        plan: user.plan,
+        maxSessions,
+        newDeviceId: deviceId,
+        chosenByUser: oldestSession.deviceId === evictDeviceId
+      }
+    });
+
+    evicted.push(oldestSession.deviceId);
+  }
+
+  return {
+    activeSessions: sessions.length,
+    maxSessions,
+    evicted
+  };
+}
+
+/**
+ * Issue an access/refresh token pair and persist the device session
+ * in Redis (source of truth) and MongoDB (analytics/backup).
+ */
+async function startSession(user, deviceId, metadata = {}) {
+  const sessionId = crypto.randomUUID();
+  const token = signAccessToken(user, deviceId);
+  const { refreshToken, refreshTokenHash } = await issueRefreshToken(user._id, deviceId, sessionId);
+
+  await sessionHelpers.createSession(user._id, deviceId, token, {
+    sessionId,
+    refreshTokenHash,
+    ...metadata
+  });
+
+  // A re-login replaces the device's previous session record
+  const { modifiedCount: replaced } = await Session.updateMany(
+    { userId: user._id, deviceId, isActive: true },
+    { isActive: false, endedAt: new Date(), endReason: "replaced" }
+  );
+
+  const trustScore = Math.round(metadata.trustScore || 0);
+  await Session.create({
+    userId: user._id,
+    deviceId,
+    token,
+    ipAddress: metadata.ipAddress,
+    userAgent: metadata.userAgent,
+    country: metadata.location ? metadata.location.country : undefined,
+    city: metadata.location ? metadata.location.city : undefined,
+    trustScore,
+    trustLevel: deviceTrustScorer.getTrustLevel(trustScore)
+  });
+  if (replaced === 0) {
+    await adjustActiveSessionCount(user._id, 1);
+  }
+
+  await dashboardStats.sessionStarted(user, deviceId, {
+    ipAddress: metadata.ipAddress,
+    userAgent: metadata.userAgent,
+    trustScore: metadata.trustScore,
+    maxSessions: getMaxSessions(user.plan)
+  });
+
+  return {
+    token,
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    sessionId
+  };
+}
+
+/**
+ * Final steps shared by every successful login (password, passkey):
+ * record device usage, make room under the plan cap and open the session.
+ *
+ * Under the ASK_USER policy a full account gets { limitReached: true, ... }
+ * back instead, with a login challenge the user resolves by picking a session
+ * to sign out (see authController.resolveDeviceLimit).
+ */
+async function completeLogin(user, deviceId, {
+  ipAddress,
+  userAgent,
+  trustScore,
+  location,
+  household,
+  method = "password",
+  timezone,
+  evictDeviceId
+}) {
+  if (!evictDeviceId && getSessionLimitPolicy(user.plan) === SESSION_LIMIT_POLICY.ASK_USER) {
+    const maxSessions = getMaxSessions(user.plan);
+    const otherSessions = await describeOtherSessions(user, deviceId);
+
+    if (otherSessions.length >= maxSessions) {
+      const loginChallengeId = await createLoginChallenge({
+        userId: user._id.toString(),
+        deviceId,
+        ipAddress,
+        reason: "device_limit",
+        availableFactors: [],
+        userAgent,
+        trustScore,
+        location,
+        household,
+        method
+      });
+
+      return {
+        limitReached: true,
+        loginChallengeId,
+        activeSessions: otherSessions,
+        maxSessions,
+        upgradeOptions: getUpgradeOptions(user.plan)
+      };
+    }
+  }
+
+  // Update device last login
+  await Device.updateOne({ userId: user._id, deviceId }, { lastLogin: new Date() });
+
+  // Track device usage
+  await deviceTrustScorer.incrementLoginCount(deviceId);
+  await deviceTrustScorer.trackDeviceUser(deviceId, user._id);
+  await storeLocationHistory(user._id, ipAddress, deviceId);
+  await loginTimeProfile.recordLogin(user._id, timezone);
+
+  // Check active sessions and enforce limits
+  const { activeSessions, maxSessions, evicted } = await enforceSessionLimit(user, deviceId, {
+    evictDeviceId
+  });
+
+  // Issue tokens and create session (Redis + MongoDB)
+  const tokens = await startSession(user, deviceId, {
+    ipAddress,
+    userAgent,
+    trustScore: trustScore.score,
+    location
+  });
+
+  await recordAudit({
+    action: "auth.login",
+    actor: userActor(user),
+    target: { userId: user._id, deviceId },
+    details: { method, trustScore: trustScore.score, household },
+    ipAddress
+  });
+
+  return {
+    ...tokens,
+    activeSessions: activeSessions + 1,
+    maxSessions,
+    evicted
+  };
+}
+
+// 409 body for a login parked by the ASK_USER policy
+const buildDeviceLimitResponse = (user, result) => ({
+  error: "Device limit reached",
+  message: `Your ${user.plan} plan allows ${result.maxSessions} device(s) at a time. ` +
+    "Choose a device to sign out, cancel, or upgrade your plan.",
+  deviceLimitReached: true,
+  loginChallengeId: result.loginChallengeId,
+  activeSessions: result.activeSessions,
+  maxSessions: result.maxSessions,
+  upgradeOptions: result.upgradeOptions
+});
+
+/**
+ * Sign out every session on the account (optionally keeping one device).
+ * `reason` is one of SESSION_REVOKE_REASONS. Returns the device IDs that
+ * were signed out.
+ */
+async function revokeAllSessions(userId, { exceptDeviceId, reason, actor } = {}) {
+  const sessions = await sessionHelpers.getUserSessions(userId);
+  const revoked = [];
+
+  for (const session of sessions) {
+    if (session.deviceId === exceptDeviceId) continue;
+
+    await endSession(userId, session.deviceId, reason);
+    revoked.push(session.deviceId);
+  }
+
+  if (revoked.length > 0) {
+    await recordAudit({
+      action: "session.revoked_all",
+      actor: actor || systemActor(),
+      target: { userId },
+      details: { reason, devices: revoked, kept: exceptDeviceId }
+    });
+  }
+
+  return revoked;
+}
+
+module.exports = {
+  SESSION_LIMIT_POLICY,
+  getMaxSessions,
+  getSessionLimitPolicy,
+  getUpgradeOptions,
+  describeOtherSessions,
+  endSession,
+  closeSessionRecords,
+  adjustActiveSessionCount,
+  enforceSessionLimit,
+  startSession,
+  completeLogin,
+  buildDeviceLimitResponse,
+  revokeAllSessions
+};
@@ -0,0 +1,110 @@
+const crypto = require("crypto");
+const {
+  redis,
+  sessionHelpers,
+  splitSessionMember,
+  SESSION_INDEX_KEYS,
+  SESSION_TTL_SECONDS
+} = require("../config/redis");
+const { closeSessionRecords } = require("./sessionManager");
+const dashboardStats = require("./dashboardStats");
+
+/**
+ * Session keys expire by TTL with nobody told. Every write slides the TTL
+ * and the activity index together, so anything in sessions:by_activity
+ * older than the TTL has expired; the sweeper unindexes those and closes
+ * their MongoDB records. One instance sweeps at a time.
+ */
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.SESSION_SWEEP_INTERVAL_MS) || 60 * 1000;
+const SWEEP_BATCH = 500;
+const SWEEP_LOCK_KEY = "sessions:sweeper_lock";
+// Well past any normal sweep; only matters if the holder dies mid-sweep
+const SWEEP_LOCK_TTL_MS = parseInt(process.env.SESSION_SWEEP_LOCK_TTL_MS) || 10 * 60 * 1000;
+const INDEX_VERSION_KEY = "sessions:index_version";
+const INDEX_VERSION = "1";
+
+let sweepTimer = null;
+
+async function sweepExpiredSessions() {
+  // The token makes sure only the holder releases the lock, not an instance
+  // whose sweep outlived it
+  const token = crypto.randomBytes(16).toString("hex");
+  const locked = await redis.set(SWEEP_LOCK_KEY, token, "PX", SWEEP_LOCK_TTL_MS, "NX");
+  if (!locked) return 0;
+
+  let swept = 0;
+  try {
+    const cutoff = Date.now() - SESSION_TTL_SECONDS * 1000;
+    let members;
+
+    do {
+      members = await redis.zrangebyscore(
+        SESSION_INDEX_KEYS.byActivity, "-inf", cutoff, "LIMIT", 0, SWEEP_BATCH
+      );
+
+      for (const member of members) {
+        const [userId, deviceId] = splitSessionMember(member);
+        if (!(await sessionHelpers.removeExpiredSession(userId, deviceId))) continue;
+
+        await closeSessionRecords(userId, deviceId, "expired");
+        await dashboardStats.sessionEnded(userId, deviceId, "expired");
+        swept++;
+      }
+    } while (members.length === SWEEP_BATCH);
+
+    if (swept > 0) {
+      console.log(`🧹 Swept ${swept} expired session(s)`);
+    }
+  } catch (err) {
+    console.error("Session sweep error:", err);
+  } finally {
+    await redis.compareAndSwap(SWEEP_LOCK_KEY, token, "");
+  }
+
+  return swept;
+}
+
+/**
+ * One-time backfill: index session keys created before the indexes existed.
+ * This is the only place session keys are scanned.
+ */
+async function ensureSessionIndexes() {
+  if ((await redis.get(INDEX_VERSION_KEY)) === INDEX_VERSION) return;
+
+  let cursor = "0";
+  let indexed = 0;
+  do {
+    const [next, keys] = await redis.scan(cursor, "MATCH", "session:*", "COUNT", 500);
+    cursor = next;
+    if (keys.length === 0) continue;
+
+    const sessions = await redis.mget(...keys);
+    for (const raw of sessions) {
+      if (!raw) continue;
+      await sessionHelpers.indexExistingSession(JSON.parse(raw));
+      indexed++;
+    }
+  } while (cursor !== "0");
+
+  await redis.set(INDEX_VERSION_KEY, INDEX_VERSION);
+  console.log(`🗂️ Indexed ${indexed} existing session(s)`);
+}
+
+function startSessionSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepExpiredSessions, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+function stopSessionSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  sweepExpiredSessions,
+  ensureSessionIndexes,
+  startSessionSweeper,
+  stopSessionSweeper
+};
@@ -0,0 +1,94 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { redis, SESSION_TTL_SECONDS } = require("../config/redis");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+/**
+ * Hash an opaque token before it touches Redis
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Sign a short-lived access token for a device session
+ */
+function signAccessToken(user, deviceId) {
+  return jwt.sign(
+    { userId: user._id, deviceId, email: user.email },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Issue a new refresh token bound to session:{userId}:{deviceId}
+ * Only the hash is stored; the raw token goes to the client once.
+ * `sessionId` names the login the token descends from, so a replayed
+ * token can be traced back to the session it was rotated out of.
+ */
+async function issueRefreshToken(userId, deviceId, sessionId) {
+  const refreshToken = crypto.randomBytes(48).toString("hex");
+  const refreshTokenHash = hashToken(refreshToken);
+
+  await redis.setex(
+    `refresh:${refreshTokenHash}`,
+    SESSION_TTL_SECONDS,
+    JSON.stringify({
+      userId: userId.toString(),
+      deviceId,
+      sessionId,
+      issuedAt: Date.now()
+    })
+  );
+
+  return { refreshToken, refreshTokenHash };
+}
+
+/**
+ * Claim a refresh token for rotation.
+ * Each token can be claimed exactly once; a second claim means the token
+ * was copied and replayed after it had already been rotated.
+ *
+ * Returns { status: "valid" | "reused" | "invalid", userId, deviceId, sessionId, refreshTokenHash }
+ */
+async function consumeRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== "string") {
+    return { status: "invalid" };
+  }
+
+  const refreshTokenHash = hashToken(refreshToken);
+  const data = await redis.get(`refresh:${refreshTokenHash}`);
+  if (!data) {
+    return { status: "invalid" };
+  }
+
+  const { userId, deviceId, sessionId } = JSON.parse(data);
+
+  // Atomic claim so two concurrent refreshes cannot both succeed
+  const ttl = await redis.ttl(`refresh:${refreshTokenHash}`);
+  const claimed = await redis.set(
+    `refresh:${refreshTokenHash}:used`,
+    Date.now().toString(),
+    "EX",
+    ttl > 0 ? ttl : SESSION_TTL_SECONDS,
+    "NX"
+  );
+
+  return {
+    status: claimed ? "valid" : "reused",
+    userId,
+    deviceId,
+    sessionId,
+    refreshTokenHash
+  };
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  consumeRefreshToken
+};
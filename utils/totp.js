@@ -0,0 +1,178 @@
+const crypto = require("crypto");
+const { redis } = require("../config/redis");
+const { hashToken } = require("./tokenService");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "OTT Platform";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+const TOTP_WINDOW = 1; // accept one step of clock drift either way
+const BACKUP_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * 160-bit secret, base32 encoded as authenticator apps expect
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * otpauth:// URI for QR codes (Google Authenticator key URI format)
+ */
+function buildProvisioningUri(email, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// RFC 4226 HOTP with dynamic truncation
+function generateHotp(secret, counter) {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * RFC 6238 code for a point in time
+ */
+function generateTotp(secret, time = Date.now()) {
+  return generateHotp(secret, Math.floor(time / 1000 / TOTP_PERIOD));
+}
+
+/**
+ * Check a code against the current step +/- TOTP_WINDOW.
+ * Returns the matching time step, or null.
+ */
+function matchTotp(secret, code, time = Date.now()) {
+  if (typeof code !== "string" || !/^\d{6}$/.test(code)) return null;
+
+  const currentStep = Math.floor(time / 1000 / TOTP_PERIOD);
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const expected = generateHotp(secret, currentStep + drift);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return currentStep + drift;
+    }
+  }
+  return null;
+}
+
+/**
+ * Verify a user's TOTP code, rejecting replays of an already-used time step.
+ * The step is claimed with SET NX, so of two concurrent requests carrying
+ * the same code only one succeeds.
+ */
+async function verifyUserTotp(userId, secret, code) {
+  const step = matchTotp(secret, code);
+  if (step === null) return false;
+
+  // Kept until the step falls out of the drift window
+  const claimed = await redis.set(
+    `totp:${userId}:used:${step}`, 1, "EX", TOTP_PERIOD * (2 * TOTP_WINDOW + 1), "NX"
+  );
+  return claimed === "OK";
+}
+
+/**
+ * Fresh set of backup codes: raw codes go to the user once, hashes are stored
+ */
+function generateBackupCodes() {
+  const codes = [];
+  for (let i = 0; i < BACKUP_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(code => ({ hash: hashToken(code) }))
+  };
+}
+
+/**
+ * Mark a backup code as used on the user document (caller saves).
+ * Returns false if the code is unknown or already used.
+ */
+function consumeBackupCode(user, code) {
+  if (typeof code !== "string") return false;
+
+  const hash = hashToken(code.trim().toLowerCase());
+  const entry = (user.backupCodes || []).find(c => c.hash === hash && !c.usedAt);
+  if (!entry) return false;
+
+  entry.usedAt = new Date();
+  return true;
+}
+
+/**
+ * Check an authenticator-app factor ("totp" or "backup_code") for a user
+ * with TOTP enabled. A consumed backup code is only persisted once the
+ * caller saves the user.
+ */
+async function verifyAppFactor(user, factor, code) {
+  if (!user.totp || !user.totp.enabled) return false;
+
+  if (factor === "totp") return verifyUserTotp(user._id, user.totp.secret, code);
+  if (factor === "backup_code") return consumeBackupCode(user, code);
+  return false;
+}
+
+module.exports = {
+  TOTP_PERIOD,
+  generateSecret,
+  buildProvisioningUri,
+  generateTotp,
+  verifyUserTotp,
+  generateBackupCodes,
+  consumeBackupCode,
+  verifyAppFactor
+};
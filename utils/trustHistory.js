@@ -0,0 +1,136 @@
+const TrustScoreHistory = require("../models/TrustScoreHistory");
+const { paginate } = require("./pagination");
+
+/**
+ * Trust score time series per device, and plain-language explanations of
+ * each evaluation for analysts and for the account owner.
+ */
+
+// Shown when a factor pulled the score down
+const FACTOR_EXPLANATIONS = {
+  "Geo Consistency": "This device has signed in from many different countries.",
+  "Failed Attempts": "There were recent failed sign-in attempts from this device.",
+  "Login Hours": "The sign-in happened at a time you don't usually sign in.",
+  "Device Sharing": "This device has also been used to sign in to other accounts.",
+  "IP Reputation": "The connection came through a VPN, proxy, Tor or hosting network."
+};
+
+const NEW_DEVICE_EXPLANATION = "This device is new to your account, so it hasn't built up trust yet.";
+
+const STEP_UP_EXPLANATIONS = {
+  geo_impossibility: "The sign-in location was too far from your previous one to have travelled there in the time between.",
+  new_device_low_trust: "The sign-in came from a new device whose trust score was too low to approve automatically.",
+  new_device_totp_required: "Your account settings require the authenticator app on every new device.",
+  out_of_household: "The device doesn't appear to be part of your household.",
+  reported_device: "You reported a sign-in from this device, so it has to be verified again."
+};
+
+const MAX_REASONS = 3;
+
+/**
+ * Persist one calculateTrustScore result. Returns the entry id so a later
+ * step-up decision can be attached to it.
+ */
+async function recordScore(userId, deviceId, { score, level, factors, ipAddress, signals, configVersion }) {
+  const entry = await TrustScoreHistory.create({
+    userId,
+    deviceId,
+    score: Math.round(score),
+    level,
+    factors,
+    ipAddress,
+    signals,
+    configVersion
+  });
+  return entry._id;
+}
+
+/**
+ * Note that a login was challenged. Attaches to the evaluation that led to
+ * it, or records a score-less entry when the challenge came first.
+ */
+async function recordStepUp(userId, deviceId, reason, { historyId, ipAddress } = {}) {
+  if (historyId) {
+    await TrustScoreHistory.updateOne({ _id: historyId }, { stepUpReason: reason });
+    return;
+  }
+  await TrustScoreHistory.create({ userId, deviceId, ipAddress, stepUpReason: reason });
+}
+
+/**
+ * Biggest negative factors of an entry, worst first, as sentences
+ */
+function explainEntry(entry) {
+  const factors = entry.factors || [];
+  const reasons = factors
+    .filter(f => f.score < 0 && FACTOR_EXPLANATIONS[f.factor])
+    .sort((a, b) => a.score - b.score)
+    .slice(0, MAX_REASONS)
+    .map(f => ({ factor: f.factor, contribution: f.score, explanation: FACTOR_EXPLANATIONS[f.factor] }));
+
+  // A new device earns nothing for history, which is often the whole story
+  const earned = (name) => factors.find(f => f.factor === name)?.score || 0;
+  if (factors.length > 0 && earned("Login Frequency") === 0 && earned("Device Age") === 0 &&
+      reasons.length < MAX_REASONS) {
+    reasons.push({ factor: "Device Age", contribution: 0, explanation: NEW_DEVICE_EXPLANATION });
+  }
+
+  const stepUp = entry.stepUpReason
+    ? STEP_UP_EXPLANATIONS[entry.stepUpReason] || "The sign-in needed extra verification."
+    : null;
+
+  let summary;
+  if (stepUp) {
+    summary = `Extra verification was required. ${stepUp}`;
+  } else if (reasons.length > 0) {
+    summary = reasons[0].explanation;
+  } else {
+    summary = "Nothing lowered the trust score for this sign-in.";
+  }
+
+  return { summary, stepUp, reasons };
+}
+
+function formatEntry(entry) {
+  return {
+    id: entry._id,
+    deviceId: entry.deviceId,
+    score: entry.score ?? null,
+    level: entry.level || null,
+    factors: (entry.factors || []).map(f => ({ factor: f.factor, contribution: f.score })),
+    ipAddress: entry.ipAddress,
+    stepUpReason: entry.stepUpReason || null,
+    explanation: explainEntry(entry),
+    timestamp: entry.timestamp
+  };
+}
+
+/**
+ * One page of a user's trust history, newest first, optionally for one
+ * device and time range. Returns { entries, nextCursor }.
+ */
+async function getHistory(userId, { deviceId, from, to, cursor, limit }) {
+  const filter = { userId };
+  if (deviceId) filter.deviceId = deviceId;
+  if (from || to) {
+    filter.timestamp = {};
+    if (from) filter.timestamp.$gte = from;
+    if (to) filter.timestamp.$lte = to;
+  }
+
+  const { items, nextCursor } = await paginate(TrustScoreHistory, filter, {
+    field: "timestamp",
+    direction: -1,
+    cursor,
+    limit
+  });
+
+  return { entries: items.map(formatEntry), nextCursor };
+}
+
+module.exports = {
+  recordScore,
+  recordStepUp,
+  explainEntry,
+  getHistory
+};
@@ -0,0 +1,199 @@
+const { redis } = require("../config/redis");
+const TrustScoringConfig = require("../models/TrustScoringConfig");
+const defaultTrustScoring = require("../config/defaultTrustScoring");
+
+/**
+ * Versioned trust scoring model. The active version is cached in memory;
+ * saving a new version bumps a Redis key so every instance reloads.
+ */
+
+const VERSION_KEY = "trust_scoring:version";
+const PLANS = ["BASIC", "STANDARD", "PREMIUM"];
+
+const BUCKET_FACTORS = [
+  "loginFrequency",
+  "deviceAge",
+  "geoConsistency.knownCountry",
+  "geoConsistency.newCountry",
+  "failedAttempts",
+  "loginTime",
+  "deviceSharing"
+];
+
+// Raised when a save races another admin's save
+class ConfigVersionConflictError extends Error {}
+
+// Defaults keep scoring working until the stored version loads
+let active = { version: 0, config: defaultTrustScoring };
+
+const getPath = (object, path) =>
+  path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+function validateBuckets(rule, path, errors) {
+  if (!rule || !Array.isArray(rule.buckets)) {
+    errors.push(`${path}.buckets: array of { min, points } required`);
+    return;
+  }
+  rule.buckets.forEach((bucket, i) => {
+    if (!bucket || !isNumber(bucket.min) || !isNumber(bucket.points)) {
+      errors.push(`${path}.buckets[${i}]: numeric min and points required`);
+    } else if (i > 0 && isNumber(rule.buckets[i - 1]?.min) && bucket.min >= rule.buckets[i - 1].min) {
+      errors.push(`${path}.buckets[${i}]: min must be lower than the previous bucket's`);
+    }
+  });
+  if (!isNumber(rule.fallback)) {
+    errors.push(`${path}.fallback: number required`);
+  }
+}
+
+/**
+ * Validate a scoring config; returns a list of errors
+ */
+function validateConfig(config) {
+  const errors = [];
+  if (!config || typeof config !== "object") return ["config: object required"];
+
+  if (!isNumber(config.baseScore) || config.baseScore < 0 || config.baseScore > 100) {
+    errors.push("baseScore: number between 0 and 100");
+  }
+
+  const factors = config.factors || {};
+  for (const path of BUCKET_FACTORS) {
+    validateBuckets(getPath(factors, path), `factors.${path}`, errors);
+  }
+  if (!isNumber(getPath(factors, "geoConsistency.firstLogin"))) {
+    errors.push("factors.geoConsistency.firstLogin: number required");
+  }
+
+  for (const category of ["tor", "vpn", "datacenter"]) {
+    if (!isNumber(getPath(factors, `ipReputation.${category}`))) {
+      errors.push(`factors.ipReputation.${category}: number required`);
+    }
+  }
+  if (!isNumber(getPath(factors, "passkey.points"))) {
+    errors.push("factors.passkey.points: number required");
+  }
+
+  const levels = config.levels || {};
+  if (![levels.HIGH, levels.MEDIUM, levels.LOW].every(isNumber) ||
+      !(levels.HIGH > levels.MEDIUM && levels.MEDIUM > levels.LOW)) {
+    errors.push("levels: numeric HIGH > MEDIUM > LOW required");
+  }
+
+  for (const plan of PLANS) {
+    const threshold = getPath(config, `thresholds.${plan}`);
+    if (!threshold || !isNumber(threshold.stepUp) || !isNumber(threshold.block)) {
+      errors.push(`thresholds.${plan}: numeric stepUp and block required`);
+    } else if (threshold.block > threshold.stepUp) {
+      errors.push(`thresholds.${plan}: block cannot be above stepUp`);
+    }
+  }
+
+  return errors;
+}
+
+// Load the newest stored version
+async function reload() {
+  const latest = await TrustScoringConfig.findOne().sort({ version: -1 }).lean();
+  if (!latest) return;
+
+  const errors = validateConfig(latest.config);
+  if (errors.length > 0) {
+    console.error(`Trust scoring v${latest.version} is invalid, keeping v${active.version}:`, errors);
+    return;
+  }
+
+  active = { version: latest.version, config: latest.config };
+  console.log(`🎯 Loaded trust scoring v${active.version}`);
+}
+
+// Seed the defaults as version 1 and load the active version
+async function initialize() {
+  await TrustScoringConfig.updateOne(
+    { version: 1 },
+    { $setOnInsert: { config: defaultTrustScoring, note: "Defaults", updatedBy: "system" } },
+    { upsert: true }
+  );
+  await reload();
+}
+
+// Hot-reload when another instance saved a version
+async function ensureFresh() {
+  try {
+    const version = await redis.get(VERSION_KEY);
+    if (version && parseInt(version) !== active.version) {
+      await reload();
+    }
+  } catch (err) {
+    console.error("Trust scoring reload failed, using cached config:", err.message);
+  }
+}
+
+/**
+ * Save `config` as the next version. `expectedVersion`, when given, must be
+ * the active version the change was based on.
+ */
+async function saveConfig(config, { updatedBy, note, expectedVersion } = {}) {
+  const latest = await TrustScoringConfig.findOne().sort({ version: -1 }).select("version").lean();
+  const current = latest ? latest.version : 0;
+
+  if (expectedVersion !== undefined && expectedVersion !== current) {
+    throw new ConfigVersionConflictError(
+      `Trust scoring changed since version ${expectedVersion} (now ${current})`
+    );
+  }
+
+  let saved;
+  try {
+    saved = await TrustScoringConfig.create({ version: current + 1, config, note, updatedBy });
+  } catch (err) {
+    // Unique version index: someone else saved first
+    if (err.code === 11000) {
+      throw new ConfigVersionConflictError("Trust scoring was changed by someone else, reload and retry");
+    }
+    throw err;
+  }
+
+  await redis.set(VERSION_KEY, saved.version);
+  await reload();
+  return saved;
+}
+
+function getConfig() {
+  return active;
+}
+
+function getThresholds(plan, config = active.config) {
+  return config.thresholds[plan] || config.thresholds.BASIC;
+}
+
+function getTrustLevel(score, config = active.config) {
+  if (score >= config.levels.HIGH) return "HIGH";
+  if (score >= config.levels.MEDIUM) return "MEDIUM";
+  if (score >= config.levels.LOW) return "LOW";
+  return "CRITICAL";
+}
+
+// What the login flow does with a score: "block", "step_up" or "allow"
+function getDecision(score, plan, config = active.config) {
+  const { stepUp, block } = getThresholds(plan, config);
+  if (score < block) return "block";
+  if (score < stepUp) return "step_up";
+  return "allow";
+}
+
+module.exports = {
+  PLANS,
+  ConfigVersionConflictError,
+  validateConfig,
+  initialize,
+  reload,
+  ensureFresh,
+  saveConfig,
+  getConfig,
+  getThresholds,
+  getTrustLevel,
+  getDecision
+};
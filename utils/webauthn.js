@@ -0,0 +1,361 @@
+const crypto = require("crypto");
+const { redis } = require("../config/redis");
+
+/**
+ * WebAuthn (passkey) ceremonies built on node:crypto
+ *
+ * Registration asks for attestation "none", so attestation statements are not
+ * verified - the credential is trusted because the signed-in user created it.
+ * A passkey login replaces the password, so user verification (PIN or
+ * biometric) is required, not just presence.
+ * Supported algorithms: ES256 (-7), EdDSA (-8), RS256 (-257).
+ *
+ * Everything in a credential comes from the client; anything malformed is
+ * reported as a WebAuthnError, never a TypeError or RangeError.
+ */
+
+const RP_ID = process.env.WEBAUTHN_RP_ID || "localhost";
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || "OTT Platform";
+const ALLOWED_ORIGINS = (process.env.WEBAUTHN_ORIGINS || process.env.APP_URL || "http://localhost:5000")
+  .split(",")
+  .map(origin => origin.trim());
+const CHALLENGE_TTL = 300; // 5 minutes to complete a ceremony
+const SUPPORTED_ALGORITHMS = [-7, -8, -257];
+
+const FLAGS = {
+  USER_PRESENT: 0x01,
+  USER_VERIFIED: 0x04,
+  BACKED_UP: 0x10,
+  ATTESTED_DATA: 0x40
+};
+
+class WebAuthnError extends Error {}
+
+const MAX_CBOR_DEPTH = 8; // COSE keys and attestation objects nest 2-3 deep
+
+// Fail on reads past the end instead of letting Buffer throw RangeError
+function ensureAvailable(buffer, offset, length) {
+  if (offset + length > buffer.length) throw new WebAuthnError("Truncated CBOR");
+}
+
+// Minimal CBOR decoder (RFC 8949) - definite lengths only, which is all
+// authenticators emit. Returns { value, offset } so trailing data can follow.
+function decodeCbor(buffer, offset = 0, depth = 0) {
+  if (depth > MAX_CBOR_DEPTH) throw new WebAuthnError("CBOR nested too deeply");
+  ensureAvailable(buffer, offset, 1);
+  const initial = buffer[offset];
+
+  const major = initial >> 5;
+  const info = initial & 0x1f;
+  offset++;
+
+  let length = info;
+  if (info === 24) { ensureAvailable(buffer, offset, 1); length = buffer.readUInt8(offset); offset += 1; }
+  else if (info === 25) { ensureAvailable(buffer, offset, 2); length = buffer.readUInt16BE(offset); offset += 2; }
+  else if (info === 26) { ensureAvailable(buffer, offset, 4); length = buffer.readUInt32BE(offset); offset += 4; }
+  else if (info === 27) { ensureAvailable(buffer, offset, 8); length = Number(buffer.readBigUInt64BE(offset)); offset += 8; }
+  else if (info > 27 && major !== 7) throw new WebAuthnError("Unsupported CBOR length");
+
+  switch (major) {
+    case 0: return { value: length, offset };
+    case 1: return { value: -1 - length, offset };
+    case 2:
+      ensureAvailable(buffer, offset, length);
+      return { value: buffer.subarray(offset, offset + length), offset: offset + length };
+    case 3:
+      ensureAvailable(buffer, offset, length);
+      return { value: buffer.toString("utf8", offset, offset + length), offset: offset + length };
+    case 4: {
+      // Every item takes at least one byte, so a longer count is a lie
+      ensureAvailable(buffer, offset, length);
+      const list = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeCbor(buffer, offset, depth + 1);
+        list.push(item.value);
+        offset = item.offset;
+      }
+      return { value: list, offset };
+    }
+    case 5: {
+      ensureAvailable(buffer, offset, length * 2);
+      const map = new Map();
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(buffer, offset, depth + 1);
+        const item = decodeCbor(buffer, key.offset, depth + 1);
+        map.set(key.value, item.value);
+        offset = item.offset;
+      }
+      return { value: map, offset };
+    }
+    case 7:
+      if (info === 20) return { value: false, offset };
+      if (info === 21) return { value: true, offset };
+      if (info === 22) return { value: null, offset };
+      throw new WebAuthnError("Unsupported CBOR simple value");
+    default:
+      throw new WebAuthnError("Unsupported CBOR type");
+  }
+}
+
+function parseAuthenticatorData(authData) {
+  if (!Buffer.isBuffer(authData) || authData.length < 37) {
+    throw new WebAuthnError("Authenticator data too short");
+  }
+
+  const parsed = {
+    rpIdHash: authData.subarray(0, 32),
+    flags: authData[32],
+    signCount: authData.readUInt32BE(33)
+  };
+
+  if (parsed.flags & FLAGS.ATTESTED_DATA) {
+    // 16-byte AAGUID, then the credential ID length
+    if (authData.length < 55) throw new WebAuthnError("Attested credential data too short");
+    const idLength = authData.readUInt16BE(53);
+    if (authData.length < 55 + idLength) throw new WebAuthnError("Attested credential data too short");
+    parsed.credentialId = authData.subarray(55, 55 + idLength);
+    parsed.credentialPublicKey = decodeCbor(authData, 55 + idLength).value;
+  }
+
+  return parsed;
+}
+
+// COSE_Key -> SPKI PEM
+function coseToPem(coseKey) {
+  if (!(coseKey instanceof Map)) throw new WebAuthnError("Malformed credential public key");
+
+  const kty = coseKey.get(1);
+  const alg = coseKey.get(3);
+  const bytes = (label) => {
+    const value = coseKey.get(label);
+    if (!Buffer.isBuffer(value)) throw new WebAuthnError("Malformed credential public key");
+    return value;
+  };
+  let jwk;
+
+  if (kty === 2 && alg === -7 && coseKey.get(-1) === 1) {
+    jwk = {
+      kty: "EC",
+      crv: "P-256",
+      x: bytes(-2).toString("base64url"),
+      y: bytes(-3).toString("base64url")
+    };
+  } else if (kty === 1 && alg === -8 && coseKey.get(-1) === 6) {
+    jwk = { kty: "OKP", crv: "Ed25519", x: bytes(-2).toString("base64url") };
+  } else if (kty === 3 && alg === -257) {
+    jwk = {
+      kty: "RSA",
+      n: bytes(-1).toString("base64url"),
+      e: bytes(-2).toString("base64url")
+    };
+  } else {
+    throw new WebAuthnError("Unsupported credential algorithm");
+  }
+
+  let publicKey;
+  try {
+    publicKey = crypto.createPublicKey({ key: jwk, format: "jwk" }).export({ type: "spki", format: "pem" });
+  } catch (err) {
+    throw new WebAuthnError("Invalid credential public key");
+  }
+  return { algorithm: alg, publicKey };
+}
+
+// base64url field of credential.response
+function decodeField(response, name) {
+  const value = response[name];
+  if (typeof value !== "string" || !value) throw new WebAuthnError(`Missing ${name}`);
+  return Buffer.from(value, "base64url");
+}
+
+function parseClientData(clientDataJSON, expectedType) {
+  if (typeof clientDataJSON !== "string") throw new WebAuthnError("Malformed client data");
+
+  let clientData;
+  try {
+    clientData = JSON.parse(Buffer.from(clientDataJSON, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new WebAuthnError("Malformed client data");
+  }
+
+  if (!clientData || typeof clientData !== "object") throw new WebAuthnError("Malformed client data");
+  if (clientData.type !== expectedType) throw new WebAuthnError("Wrong ceremony type");
+  if (!ALLOWED_ORIGINS.includes(clientData.origin)) throw new WebAuthnError("Origin not allowed");
+  return clientData;
+}
+
+function checkRpAndFlags(authData) {
+  const expectedHash = crypto.createHash("sha256").update(RP_ID).digest();
+  if (!crypto.timingSafeEqual(authData.rpIdHash, expectedHash)) {
+    throw new WebAuthnError("Relying party mismatch");
+  }
+  if (!(authData.flags & FLAGS.USER_PRESENT)) throw new WebAuthnError("User not present");
+  if (!(authData.flags & FLAGS.USER_VERIFIED)) throw new WebAuthnError("User verification required");
+}
+
+/**
+ * Store a single-use challenge. `data` is bound to it (e.g. the userId).
+ */
+async function createChallenge(type, data = {}) {
+  const challenge = crypto.randomBytes(32).toString("base64url");
+  await redis.setex(
+    `webauthn:challenge:${challenge}`,
+    CHALLENGE_TTL,
+    JSON.stringify({ type, ...data })
+  );
+  return challenge;
+}
+
+// Claim the challenge echoed in clientDataJSON; null if unknown, used or wrong type
+async function consumeChallenge(challenge, type) {
+  if (typeof challenge !== "string") return null;
+
+  const key = `webauthn:challenge:${challenge}`;
+  const data = await redis.get(key);
+  if (!data || (await redis.del(key)) === 0) return null;
+
+  const parsed = JSON.parse(data);
+  return parsed.type === type ? parsed : null;
+}
+
+/**
+ * PublicKeyCredentialCreationOptions for navigator.credentials.create()
+ */
+async function generateRegistrationOptions(user, existingCredentialIds = []) {
+  const challenge = await createChallenge("registration", { userId: user._id.toString() });
+
+  return {
+    challenge,
+    rp: { id: RP_ID, name: RP_NAME },
+    user: {
+      id: Buffer.from(user._id.toString()).toString("base64url"),
+      name: user.email,
+      displayName: user.email
+    },
+    pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: "public-key", alg })),
+    timeout: CHALLENGE_TTL * 1000,
+    attestation: "none",
+    excludeCredentials: existingCredentialIds.map(id => ({ type: "public-key", id })),
+    authenticatorSelection: {
+      residentKey: "preferred",
+      userVerification: "required"
+    }
+  };
+}
+
+/**
+ * PublicKeyCredentialRequestOptions for navigator.credentials.get()
+ */
+async function generateAuthenticationOptions(allowCredentials = []) {
+  const challenge = await createChallenge("authentication");
+
+  return {
+    challenge,
+    rpId: RP_ID,
+    timeout: CHALLENGE_TTL * 1000,
+    userVerification: "required",
+    allowCredentials: allowCredentials.map(c => ({
+      type: "public-key",
+      id: c.credentialId,
+      transports: c.transports
+    }))
+  };
+}
+
+/**
+ * Verify an attestation response for a challenge issued to `userId`.
+ */
+async function verifyRegistration(credential, userId) {
+  if (!credential || !credential.response) throw new WebAuthnError("Credential missing");
+
+  const clientData = parseClientData(credential.response.clientDataJSON, "webauthn.create");
+  const challenge = await consumeChallenge(clientData.challenge, "registration");
+  if (!challenge || challenge.userId !== userId.toString()) {
+    throw new WebAuthnError("Challenge expired or invalid");
+  }
+
+  const attestation = decodeCbor(decodeField(credential.response, "attestationObject")).value;
+  if (!(attestation instanceof Map)) throw new WebAuthnError("Malformed attestation object");
+  const authData = parseAuthenticatorData(attestation.get("authData"));
+  checkRpAndFlags(authData);
+
+  if (!authData.credentialId) throw new WebAuthnError("No credential in attestation");
+
+  const credentialId = authData.credentialId.toString("base64url");
+  if (credential.id !== credentialId) throw new WebAuthnError("Credential ID mismatch");
+
+  const { algorithm, publicKey } = coseToPem(authData.credentialPublicKey);
+
+  return {
+    credentialId,
+    publicKey,
+    algorithm,
+    signCount: authData.signCount,
+    userVerified: Boolean(authData.flags & FLAGS.USER_VERIFIED),
+    backedUp: Boolean(authData.flags & FLAGS.BACKED_UP)
+  };
+}
+
+/**
+ * Read the credential ID and claim the challenge of an assertion, before the
+ * stored credential is looked up
+ */
+async function beginAssertion(credential) {
+  if (!credential || !credential.response) throw new WebAuthnError("Credential missing");
+  if (typeof credential.id !== "string" || !credential.id) throw new WebAuthnError("Credential ID missing");
+
+  const clientData = parseClientData(credential.response.clientDataJSON, "webauthn.get");
+  const challenge = await consumeChallenge(clientData.challenge, "authentication");
+  if (!challenge) throw new WebAuthnError("Challenge expired or invalid");
+
+  return { credentialId: credential.id };
+}
+
+/**
+ * Verify an assertion signature against a stored credential.
+ * Throws on a sign counter that went backwards (cloned authenticator).
+ */
+function verifyAssertion(credential, stored) {
+  const authDataBuffer = decodeField(credential.response, "authenticatorData");
+  const authData = parseAuthenticatorData(authDataBuffer);
+  checkRpAndFlags(authData);
+
+  const clientDataHash = crypto.createHash("sha256")
+    .update(decodeField(credential.response, "clientDataJSON"))
+    .digest();
+  const signedData = Buffer.concat([authDataBuffer, clientDataHash]);
+  const signature = decodeField(credential.response, "signature");
+
+  // Malformed DER signatures throw rather than failing verification
+  let valid;
+  try {
+    valid = crypto.verify(
+      stored.algorithm === -8 ? null : "sha256",
+      signedData,
+      stored.publicKey,
+      signature
+    );
+  } catch (err) {
+    valid = false;
+  }
+  if (!valid) throw new WebAuthnError("Invalid signature");
+
+  if ((authData.signCount > 0 || stored.signCount > 0) && authData.signCount <= stored.signCount) {
+    throw new WebAuthnError("Sign counter did not increase - possible cloned authenticator");
+  }
+
+  return {
+    signCount: authData.signCount,
+    userVerified: Boolean(authData.flags & FLAGS.USER_VERIFIED)
+  };
+}
+
+module.exports = {
+  WebAuthnError,
+  decodeCbor,
+  generateRegistrationOptions,
+  generateAuthenticationOptions,
+  verifyRegistration,
+  beginAssertion,
+  verifyAssertion
+};